@@ -0,0 +1,219 @@
+/**
+ * API Route Tests for the Stripe webhook
+ * Tests for /api/webhooks/stripe subscription renewals
+ */
+
+import { POST } from '@/app/api/webhooks/stripe/route';
+import db from '@/lib/db';
+import { verifyWebhookSignature, extractAttributionInfo } from '@/lib/stripe';
+import { claimConversion, completeConversion, failConversion } from '@/lib/conversions';
+import { calculateCommission, checkPayoutRules } from '@/lib/commissions';
+import { applyCommissionCaps } from '@/lib/campaignCaps';
+import { findCustomer, isCustomerCreditActive } from '@/lib/customers';
+
+jest.mock('@/lib/db', () => ({ __esModule: true, default: { getConnection: jest.fn() } }));
+jest.mock('@/lib/stripe', () => ({
+  verifyWebhookSignature: jest.fn(),
+  extractAttributionInfo: jest.fn(),
+  getDiscountCodes: jest.fn(),
+}));
+jest.mock('@/lib/conversions', () => ({
+  ...jest.requireActual('@/lib/conversions'),
+  claimConversion: jest.fn(),
+  completeConversion: jest.fn(),
+  failConversion: jest.fn(),
+}));
+jest.mock('@/lib/commissions', () => ({ calculateCommission: jest.fn(), checkPayoutRules: jest.fn() }));
+jest.mock('@/lib/campaignCaps', () => ({ applyCommissionCaps: jest.fn(), releaseCommissionCaps: jest.fn() }));
+jest.mock('@/lib/customers', () => ({
+  findCustomer: jest.fn(),
+  findActiveCustomerOwner: jest.fn(),
+  isCustomerCreditActive: jest.fn(),
+  trackCustomer: jest.fn(),
+}));
+jest.mock('@/lib/affiliatePostbacks', () => ({ fireAffiliatePostbacks: jest.fn() }));
+
+describe('Stripe Webhook API Route', () => {
+  let revenues;
+  let profiles;
+  let conversions;
+  let clicks;
+
+  const renewalRequest = () => ({
+    text: async () => '{}',
+    headers: new Map([['stripe-signature', 'sig']]),
+  });
+
+  beforeEach(() => {
+    revenues = {
+      find: jest.fn(() => ({
+        toArray: () => Promise.resolve([{
+          affiliateId: 'aff1',
+          campaignId: 'camp1',
+          clickId: 'click1',
+          attribution: null,
+          metadata: { subscription: 'sub_1' },
+        }]),
+      })),
+      insertOne: jest.fn().mockResolvedValue({}),
+    };
+    profiles = { updateOne: jest.fn().mockResolvedValue({}) };
+    conversions = { updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }) };
+    clicks = { findOne: jest.fn().mockResolvedValue(null) };
+
+    const collections = {
+      affiliate_profiles: profiles,
+      conversions,
+      revenues,
+      click_events: clicks,
+      attribution_settings: { findOne: jest.fn().mockResolvedValue(null) },
+      campaigns: { findOne: jest.fn().mockResolvedValue(null) },
+    };
+    const database = { collection: jest.fn(name => collections[name]) };
+    db.getConnection.mockResolvedValue({ db: database });
+
+    verifyWebhookSignature.mockReturnValue({
+      type: 'invoice.payment_succeeded',
+      data: {
+        object: {
+          id: 'in_1',
+          subscription: 'sub_1',
+          payment_intent: 'pi_1',
+          amount_paid: 100000,
+          currency: 'inr',
+          customer: 'cus_1',
+          billing_reason: 'subscription_cycle',
+        },
+      },
+    });
+    claimConversion.mockResolvedValue({ claimed: true, resumed: false, key: { campaignId: 'camp1', transactionId: 'in_1' } });
+    findCustomer.mockResolvedValue(null);
+    isCustomerCreditActive.mockResolvedValue(true);
+    checkPayoutRules.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should credit a renewal with the capped commission', async () => {
+    calculateCommission.mockResolvedValue(100);
+    applyCommissionCaps.mockResolvedValue({ commissionAmount: 40, capped: { capId: 'cap1', metric: 'payout' } });
+
+    const response = await POST(renewalRequest());
+
+    expect(response.status).toBe(200);
+    expect(revenues.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 1000,
+      commissionAmount: 40,
+      capped: { capId: 'cap1', metric: 'payout' },
+    }));
+    expect(profiles.updateOne).toHaveBeenCalledWith(
+      { userId: 'aff1' },
+      expect.objectContaining({ $inc: { total_earnings: 40, pendingPayouts: 40 } })
+    );
+    expect(completeConversion).toHaveBeenCalled();
+    expect(failConversion).not.toHaveBeenCalled();
+  });
+
+  it('should reject a renewal on free-text payout rules and stop Stripe retrying', async () => {
+    checkPayoutRules.mockResolvedValue({ reason: 'payout_rules_invalid', message: 'Campaign payout rules are free text' });
+
+    const response = await POST(renewalRequest());
+
+    expect(response.status).toBe(200);
+    expect(revenues.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+      stripeInvoiceId: 'in_1',
+      status: 'rejected',
+      rejectionReason: 'payout_rules_invalid',
+      commissionAmount: 0,
+    }));
+    expect(calculateCommission).not.toHaveBeenCalled();
+    expect(completeConversion).toHaveBeenCalledWith(expect.anything(), { campaignId: 'camp1', transactionId: 'in_1' }, {
+      status: 422,
+      body: { success: false, reason: 'payout_rules_invalid' },
+    });
+    expect(failConversion).not.toHaveBeenCalled();
+  });
+
+  it('should return 500 and keep the claim for a retry when crediting fails', async () => {
+    calculateCommission.mockRejectedValue(new Error('connection lost'));
+
+    const response = await POST(renewalRequest());
+
+    expect(response.status).toBe(500);
+    expect(failConversion).toHaveBeenCalledWith(expect.anything(), { campaignId: 'camp1', transactionId: 'in_1' }, expect.any(Error));
+    expect(revenues.insertOne).not.toHaveBeenCalled();
+  });
+
+  it('should not credit a touch again when a failed renewal is resumed', async () => {
+    claimConversion.mockResolvedValue({ claimed: true, resumed: true, key: { campaignId: 'camp1', transactionId: 'in_1' } });
+    revenues.findOne = jest.fn().mockResolvedValue({ affiliateId: 'aff1', commissionAmount: 40 });
+    conversions.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const response = await POST(renewalRequest());
+
+    expect(response.status).toBe(200);
+    expect(revenues.insertOne).not.toHaveBeenCalled();
+    expect(profiles.updateOne).not.toHaveBeenCalled();
+    expect(completeConversion).toHaveBeenCalled();
+  });
+
+  it('should reject a checkout on a filtered click', async () => {
+    verifyWebhookSignature.mockReturnValue({
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          id: 'cs_1',
+          payment_intent: 'pi_1',
+          amount_total: 100000,
+          currency: 'inr',
+          payment_status: 'paid',
+          metadata: { click_id: 'click1' },
+        },
+      },
+    });
+    extractAttributionInfo.mockReturnValue({ clickId: 'click1', subIds: {} });
+    clicks.findOne.mockResolvedValue({
+      clickId: 'click1',
+      affiliateId: 'aff1',
+      campaignId: 'camp1',
+      filtered: true,
+      filterReason: 'bot_detected',
+      createdAt: new Date().toISOString(),
+    });
+    claimConversion.mockResolvedValue({ claimed: true, resumed: false, key: { campaignId: 'camp1', transactionId: 'pi_1' }, claimedAt: Date.now() });
+
+    const response = await POST(renewalRequest());
+
+    expect(response.status).toBe(200);
+    expect(revenues.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+      stripePaymentId: 'pi_1',
+      status: 'rejected',
+      rejectionReason: 'click_filtered',
+      commissionAmount: 0,
+    }));
+    expect(calculateCommission).not.toHaveBeenCalled();
+    expect(profiles.updateOne).not.toHaveBeenCalled();
+    expect(completeConversion).toHaveBeenCalledWith(expect.anything(), { campaignId: 'camp1', transactionId: 'pi_1' }, {
+      status: 422,
+      body: { success: false, reason: 'click_filtered' },
+    });
+  });
+
+  it('should mark every pending row of a succeeded payment', async () => {
+    verifyWebhookSignature.mockReturnValue({
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_1', payment_method: 'pm_1' } },
+    });
+    revenues.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 2 });
+
+    const response = await POST(renewalRequest());
+
+    expect(response.status).toBe(200);
+    expect(revenues.updateMany).toHaveBeenCalledWith(
+      { stripePaymentId: 'pi_1', status: 'pending' },
+      { $set: { status: 'succeeded', paymentMethod: 'pm_1' } }
+    );
+  });
+});
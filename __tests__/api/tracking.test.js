@@ -6,6 +6,7 @@
 import { POST, GET, PUT } from '@/app/api/tracking/click/route';
 import { detectBot, extractIP, extractReferrer, parseUserAgent } from '@/lib/botDetection';
 import { getDb } from '@/lib/db';
+import { NextResponse } from 'next/server';
 
 // Mock database
 jest.mock('@/lib/db', () => ({
@@ -110,6 +111,126 @@ describe('Tracking API Routes', () => {
       );
     });
 
+    it('should send clicks on paused campaigns to the fallback page without counting them', async () => {
+      const mockRequest = {
+        url: 'http://localhost/api/tracking/click?affiliate_id=affiliate123&campaign_id=campaign123',
+        headers: new Map([
+          ['user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'],
+        ]),
+        json: async () => ({}),
+      };
+
+      mockProfileCollection.findOne = jest.fn().mockResolvedValue({
+        _id: 'campaign123',
+        url: 'https://shop.example.com',
+        status: 'paused',
+        fallbackUrl: 'https://shop.example.com/offers',
+      });
+      mockClickCollection.insertOne.mockResolvedValue({
+        insertedId: 'click123',
+      });
+
+      const response = await POST(mockRequest);
+
+      expect(mockClickCollection.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filtered: true,
+          filterReason: 'inactive_campaign',
+          inactiveCampaign: 'paused',
+          fallbackReason: 'campaign_inactive',
+        })
+      );
+      expect(mockProfileCollection.updateOne).not.toHaveBeenCalled();
+      expect(String(response.headers.get('Location'))).toBe('https://shop.example.com/offers');
+    });
+
+    it('should filter clicks on expired campaigns and send them to the fallback page', async () => {
+      const mockRequest = {
+        url: 'http://localhost/api/tracking/click?affiliate_id=affiliate123&campaign_id=campaign123',
+        headers: new Map([
+          ['user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'],
+        ]),
+        json: async () => ({}),
+      };
+
+      mockProfileCollection.findOne = jest.fn().mockResolvedValue({
+        _id: 'campaign123',
+        url: 'https://shop.example.com',
+        status: 'active',
+        endsAt: '2020-01-01T00:00:00.000Z',
+        fallbackUrl: 'https://shop.example.com/offers',
+      });
+      mockClickCollection.insertOne.mockResolvedValue({
+        insertedId: 'click123',
+      });
+
+      const response = await POST(mockRequest);
+
+      expect(mockClickCollection.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filtered: true,
+          filterReason: 'inactive_campaign',
+          inactiveCampaign: 'expired',
+          fallbackReason: 'campaign_expired',
+        })
+      );
+      expect(String(response.headers.get('Location'))).toBe('https://shop.example.com/offers');
+    });
+
+    it('should block redirects to domains the campaign does not allow', async () => {
+      const mockRequest = {
+        url: 'http://localhost/api/tracking/click?affiliate_id=affiliate123&campaign_id=campaign123&redirect_url=https%3A%2F%2Fevil.example.net%2F',
+        headers: new Map([
+          ['user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'],
+        ]),
+        json: async () => ({}),
+      };
+
+      mockProfileCollection.findOne = jest.fn().mockResolvedValue({
+        _id: 'campaign123',
+        url: 'https://shop.example.com',
+        status: 'active',
+      });
+      mockClickCollection.insertOne.mockResolvedValue({
+        insertedId: 'click123',
+      });
+
+      const response = await POST(mockRequest);
+
+      expect(mockClickCollection.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filtered: true,
+          filterReason: 'blocked_redirect',
+        })
+      );
+      expect(String(response.headers.get('Location'))).toBe('https://shop.example.com/');
+    });
+
+    it('should not treat the page of a tracking script click as a blocked redirect', async () => {
+      const mockRequest = {
+        url: 'http://localhost/api/tracking/click?affiliate_id=affiliate123&campaign_id=campaign123&json=true&redirect_url=https%3A%2F%2Fblog.example.net%2Freview',
+        headers: new Map([
+          ['user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'],
+        ]),
+        json: async () => ({}),
+      };
+
+      mockProfileCollection.findOne = jest.fn().mockResolvedValue({
+        _id: 'campaign123',
+        url: 'https://shop.example.com',
+        status: 'active',
+      });
+      mockClickCollection.insertOne.mockResolvedValue({
+        insertedId: 'click123',
+      });
+
+      await POST(mockRequest);
+
+      const click = mockClickCollection.insertOne.mock.calls[0][0];
+      expect(click.filtered).toBe(false);
+      expect(click.filterReason).toBeUndefined();
+    });
+
     it('should return error for missing parameters', async () => {
       const mockRequest = {
         url: 'http://localhost/api/tracking/click',
@@ -246,6 +367,59 @@ describe('Tracking API Routes', () => {
       expect(data.error).toContain('Click not found');
     });
 
+    describe('responses', () => {
+      // The shared NextResponse mock has no headers; give these responses real ones for cors()
+      beforeEach(() => {
+        jest.spyOn(NextResponse, 'json').mockImplementation((body, options = {}) => ({
+          body,
+          status: options?.status || 200,
+          headers: new Map(),
+          json: () => Promise.resolve(body),
+        }));
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should send CORS headers with validation errors', async () => {
+        const missing = await PUT({ headers: new Map(), json: async () => ({ clickId: 'click123' }) });
+        expect(missing.status).toBe(400);
+        expect(missing.headers.get('Access-Control-Allow-Origin')).toBe('*');
+
+        mockClickCollection.findOne = jest.fn().mockResolvedValue(null);
+        const unknown = await PUT({ headers: new Map(), json: async () => validConversionData });
+        expect(unknown.status).toBe(404);
+        expect(unknown.headers.get('Access-Control-Allow-Origin')).toBe('*');
+      });
+
+      it('should reject conversions on filtered clicks', async () => {
+        mockClickCollection.findOne = jest.fn().mockResolvedValue({
+          clickId: 'click123',
+          affiliateId: 'affiliate123',
+          campaignId: 'campaign123',
+          filtered: true,
+          filterReason: 'bot_detected',
+          createdAt: new Date().toISOString(),
+        });
+        mockProfileCollection.findOne = jest.fn().mockResolvedValue(null);
+        mockProfileCollection.insertOne = jest.fn().mockResolvedValue({});
+        mockProfileCollection.updateOne.mockResolvedValue({});
+
+        const response = await PUT({ headers: new Map(), json: async () => validConversionData });
+        const data = await response.json();
+
+        expect(response.status).toBe(422);
+        expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+        expect(data.reason).toBe('click_filtered');
+        expect(mockProfileCollection.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+          status: 'rejected',
+          rejectionReason: 'click_filtered',
+          commissionAmount: 0,
+        }));
+      });
+    });
+
     it('should copy metadata from original click to conversion', async () => {
       const mockRequest = {
         json: async () => validConversionData,
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for outbound affiliate postbacks
+ */
+
+import http from 'http';
+import dns from 'dns';
+import { EventEmitter } from 'events';
+import {
+    isInternalPostbackUrl,
+    lookupPublicAddress,
+    attemptDelivery,
+    fireAffiliatePostbacks,
+    processDueDeliveries,
+} from '@/lib/affiliatePostbacks';
+
+// Deliveries collection that records updates
+const mockDatabase = ({ templates = [], due = [] } = {}) => {
+    const queue = [...due];
+    const deliveries = {
+        insertMany: jest.fn().mockResolvedValue({}),
+        updateOne: jest.fn().mockResolvedValue({}),
+        findOneAndUpdate: jest.fn(() => Promise.resolve(queue.shift() || null)),
+    };
+    const collections = {
+        affiliate_postbacks: { find: jest.fn(() => ({ toArray: () => Promise.resolve(templates) })) },
+        postback_deliveries: deliveries,
+    };
+    return { collection: jest.fn(name => collections[name]), deliveries };
+};
+
+// Make http.get answer with a status code without touching the network
+const mockResponse = (statusCode) => jest.spyOn(http, 'get').mockImplementation((url, options, callback) => {
+    const request = new EventEmitter();
+    request.setTimeout = jest.fn();
+    request.destroy = jest.fn();
+    process.nextTick(() => callback({ statusCode, resume: jest.fn() }));
+    return request;
+});
+
+describe('Affiliate Postbacks', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('isInternalPostbackUrl', () => {
+        it('should flag localhost and internal IP literals', () => {
+            expect(isInternalPostbackUrl('http://localhost:3000/x')).toBe(true);
+            expect(isInternalPostbackUrl('http://169.254.169.254/latest')).toBe(true);
+            expect(isInternalPostbackUrl('http://[::ffff:10.0.0.1]/x')).toBe(true);
+            expect(isInternalPostbackUrl('http://2130706433/x')).toBe(true);
+            expect(isInternalPostbackUrl('https://tracker.example.com/pb?cid={click_id}')).toBe(false);
+        });
+    });
+
+    describe('lookupPublicAddress', () => {
+        const resolveTo = (addresses) => jest.spyOn(dns, 'lookup')
+            .mockImplementation((hostname, options, callback) => callback(null, addresses));
+
+        it('should refuse hostnames that resolve to an internal address', (done) => {
+            resolveTo([{ address: '93.184.216.34', family: 4 }, { address: '127.0.0.1', family: 4 }]);
+
+            lookupPublicAddress('rebind.example.com', {}, (error) => {
+                expect(error.code).toBe('EINTERNALADDRESS');
+                done();
+            });
+        });
+
+        it('should pass public addresses through in both callback forms', (done) => {
+            resolveTo([{ address: '93.184.216.34', family: 4 }]);
+
+            lookupPublicAddress('tracker.example.com', { all: true }, (error, addresses) => {
+                expect(addresses).toEqual([{ address: '93.184.216.34', family: 4 }]);
+
+                lookupPublicAddress('tracker.example.com', {}, (err, address, family) => {
+                    expect(err).toBeNull();
+                    expect(address).toBe('93.184.216.34');
+                    expect(family).toBe(4);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('attemptDelivery', () => {
+        it('should refuse internal addresses without sending', async () => {
+            const get = jest.spyOn(http, 'get');
+            const db = mockDatabase();
+
+            const status = await attemptDelivery(db, { _id: 'd1', url: 'http://127.0.0.1:27017/', attempts: [] });
+
+            expect(get).not.toHaveBeenCalled();
+            expect(status).toBe('pending');
+            expect(db.deliveries.updateOne.mock.calls[0][1].$push.attempts.error).toMatch(/internal address/);
+        });
+
+        it('should not follow redirects', async () => {
+            const get = mockResponse(302);
+            const db = mockDatabase();
+
+            const status = await attemptDelivery(db, { _id: 'd1', url: 'http://tracker.example.com/pb', attempts: [] });
+
+            expect(get.mock.calls[0][1].lookup).toBe(lookupPublicAddress);
+            expect(status).toBe('pending');
+            expect(db.deliveries.updateOne.mock.calls[0][1].$push.attempts).toMatchObject({
+                statusCode: 302,
+                error: 'Redirect not followed (HTTP 302)',
+            });
+        });
+
+        it('should mark 2xx responses delivered', async () => {
+            mockResponse(204);
+            const db = mockDatabase();
+
+            expect(await attemptDelivery(db, { _id: 'd1', url: 'http://tracker.example.com/pb', attempts: [] })).toBe('delivered');
+        });
+    });
+
+    describe('fireAffiliatePostbacks', () => {
+        it('should queue deliveries without sending them', async () => {
+            const get = jest.spyOn(http, 'get');
+            const db = mockDatabase({ templates: [{ _id: 'pb1', url: 'https://tracker.example.com/pb?cid={click_id}' }] });
+
+            const queued = await fireAffiliatePostbacks(db, { _id: 'rev1', affiliateId: 'aff1', campaignId: 'camp1', clickId: 'click1' }, 'conversion');
+
+            expect(queued).toBe(1);
+            expect(get).not.toHaveBeenCalled();
+            const [delivery] = db.deliveries.insertMany.mock.calls[0][0];
+            expect(delivery).toMatchObject({ status: 'pending', url: 'https://tracker.example.com/pb?cid=click1' });
+            expect(delivery.nextAttemptAt).toBe(delivery.createdAt);
+        });
+    });
+
+    describe('processDueDeliveries', () => {
+        it('should lease and send due deliveries one at a time', async () => {
+            mockResponse(200);
+            const db = mockDatabase({
+                due: [
+                    { _id: 'd1', url: 'http://tracker.example.com/1', attempts: [] },
+                    { _id: 'd2', url: 'http://tracker.example.com/2', attempts: [] },
+                ],
+            });
+
+            const summary = await processDueDeliveries(db, 10);
+
+            expect(summary).toEqual({ processed: 2, delivered: 2, failed: 0 });
+            const [filter, update] = db.deliveries.findOneAndUpdate.mock.calls[0];
+            expect(filter.status).toBe('pending');
+            expect(update.$set.nextAttemptAt > filter.nextAttemptAt.$lte).toBe(true);
+        });
+    });
+});
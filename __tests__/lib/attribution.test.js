@@ -0,0 +1,163 @@
+/**
+ * Unit tests for the multi-touch attribution engine
+ */
+
+import { collectTouches, splitCredit, allocateAmount, checkConversionClick, getAttributionCookieOptions, appendClickId } from '@/lib/attribution';
+import { AttributionModel } from '@/models/AttributionSettings';
+
+describe('Attribution Engine', () => {
+    const now = new Date('2024-06-30T00:00:00.000Z').getTime();
+    const touches = [
+        { clickId: 'c1', affiliateId: 'a1', createdAt: '2024-06-01T00:00:00.000Z' },
+        { clickId: 'c2', affiliateId: 'a2', createdAt: '2024-06-20T00:00:00.000Z' },
+        { clickId: 'c3', affiliateId: 'a3', createdAt: '2024-06-29T00:00:00.000Z' },
+    ];
+    const settingsFor = (attributionModel) => ({
+        attributionModel,
+        clickAttributionWindow: { value: 30, unit: 'days' },
+    });
+
+    describe('collectTouches', () => {
+        const converting = {
+            clickId: 'c2', affiliateId: 'a2', campaignId: 'camp1',
+            ipAddress: '203.0.113.7', userAgent: 'Mozilla/5.0', createdAt: '2024-06-20T00:00:00.000Z',
+        };
+        const mockDatabase = (clicks) => {
+            const find = jest.fn(() => ({ sort: () => ({ toArray: () => Promise.resolve(clicks) }) }));
+            return { collection: jest.fn(() => ({ find })), find };
+        };
+
+        it('should only match the visitor\'s earlier clicks on the same campaign', async () => {
+            const db = mockDatabase([]);
+
+            await collectTouches(db, converting, settingsFor(AttributionModel.LINEAR), now);
+
+            expect(db.find).toHaveBeenCalledWith(expect.objectContaining({
+                campaignId: 'camp1',
+                ipAddress: '203.0.113.7',
+                clickId: { $ne: 'c2' },
+                createdAt: expect.objectContaining({ $lte: converting.createdAt }),
+            }));
+        });
+
+        it('should end with the converting click even when the link was clicked before', async () => {
+            const earlier = { ...converting, clickId: 'c1', createdAt: '2024-06-10T00:00:00.000Z' };
+            const other = { ...converting, clickId: 'c0', affiliateId: 'a1', createdAt: '2024-06-05T00:00:00.000Z' };
+            const db = mockDatabase([other, earlier]);
+            const settings = { ...settingsFor(AttributionModel.LAST_CLICK), DeDuplicateTouches: true };
+
+            const touches = await collectTouches(db, converting, settings, now);
+
+            expect(touches.map(touch => touch.clickId)).toEqual(['c0', 'c2']);
+            expect(splitCredit(touches, settings, now)).toEqual([{ click: converting, weight: 1 }]);
+        });
+    });
+
+    describe('splitCredit', () => {
+        it('should credit only the first touch for first_click', () => {
+            const credits = splitCredit(touches, settingsFor(AttributionModel.FIRST_CLICK), now);
+            expect(credits).toHaveLength(1);
+            expect(credits[0].click.clickId).toBe('c1');
+            expect(credits[0].weight).toBe(1);
+        });
+
+        it('should credit only the last touch for last_click', () => {
+            const credits = splitCredit(touches, settingsFor(AttributionModel.LAST_CLICK), now);
+            expect(credits).toHaveLength(1);
+            expect(credits[0].click.clickId).toBe('c3');
+        });
+
+        it('should split credit evenly for linear', () => {
+            const credits = splitCredit(touches, settingsFor(AttributionModel.LINEAR), now);
+            expect(credits).toHaveLength(3);
+            credits.forEach(credit => expect(credit.weight).toBeCloseTo(1 / 3));
+        });
+
+        it('should favour recent touches for time_decay', () => {
+            const credits = splitCredit(touches, settingsFor(AttributionModel.TIME_DECAY), now);
+            const total = credits.reduce((sum, credit) => sum + credit.weight, 0);
+
+            expect(total).toBeCloseTo(1);
+            expect(credits[2].weight).toBeGreaterThan(credits[1].weight);
+            expect(credits[1].weight).toBeGreaterThan(credits[0].weight);
+        });
+
+        it('should return no credits when there are no touches', () => {
+            expect(splitCredit([], settingsFor(AttributionModel.LINEAR), now)).toEqual([]);
+        });
+    });
+
+    describe('allocateAmount', () => {
+        it('should allocate amounts that add up to the total', () => {
+            const amounts = allocateAmount(100, [{ weight: 1 / 3 }, { weight: 1 / 3 }, { weight: 1 / 3 }]);
+            expect(amounts).toEqual([33.33, 33.33, 33.34]);
+        });
+
+        it('should give the full amount to a single credit', () => {
+            expect(allocateAmount(2500, [{ weight: 1 }])).toEqual([2500]);
+        });
+    });
+
+    describe('checkConversionClick', () => {
+        it('should reject filtered clicks even inside the attribution window', () => {
+            const rejection = checkConversionClick({ ...touches[2], filtered: true, filterReason: 'bot_detected' }, settingsFor(AttributionModel.LAST_CLICK), now);
+            expect(rejection.reason).toBe('click_filtered');
+            expect(rejection.message).toContain('bot_detected');
+        });
+
+        it('should reject clicks outside the attribution window', () => {
+            const settings = { clickAttributionWindow: { value: 7, unit: 'days' } };
+            expect(checkConversionClick(touches[0], settings, now).reason).toBe('click_outside_attribution_window');
+            expect(checkConversionClick(touches[2], settings, now)).toBeNull();
+        });
+
+        it('should reject conversions before the campaign starts or after it ends', () => {
+            const settings = settingsFor(AttributionModel.LAST_CLICK);
+            const schedule = { status: 'active', startsAt: '2024-06-01T00:00:00.000Z', endsAt: '2024-07-01T00:00:00.000Z' };
+
+            expect(checkConversionClick(touches[2], settings, now, schedule)).toBeNull();
+            expect(checkConversionClick(touches[2], settings, now, { ...schedule, endsAt: '2024-06-29T12:00:00.000Z' }).reason).toBe('campaign_outside_schedule');
+            expect(checkConversionClick(touches[2], settings, now, { ...schedule, startsAt: '2024-07-01T00:00:00.000Z', endsAt: null }).reason).toBe('campaign_outside_schedule');
+        });
+
+        it('should let paused campaigns convert earlier clicks', () => {
+            expect(checkConversionClick(touches[2], settingsFor(AttributionModel.LAST_CLICK), now, { status: 'paused' })).toBeNull();
+        });
+    });
+
+    describe('getAttributionCookieOptions', () => {
+        const cookieExpiry = { value: 7, unit: 'days' };
+
+        it('should use cookieExpiry for the cookie lifetime', () => {
+            const options = getAttributionCookieOptions({ cookieExpiry, firstPartyCookie: true }, { secure: false });
+            expect(options.maxAge).toBe(7 * 24 * 60 * 60);
+            expect(options.sameSite).toBe('lax');
+        });
+
+        it('should allow cross-site use over HTTPS when third-party cookies are enabled', () => {
+            const options = getAttributionCookieOptions({ cookieExpiry, thirdPartyCookie: true }, { secure: true });
+            expect(options.sameSite).toBe('none');
+            expect(options.secure).toBe(true);
+        });
+
+        it('should not set a cookie when both cookie types are disabled', () => {
+            const options = getAttributionCookieOptions(
+                { cookieExpiry, firstPartyCookie: false, thirdPartyCookie: false },
+                { secure: true }
+            );
+            expect(options).toBeNull();
+        });
+    });
+
+    describe('appendClickId', () => {
+        it('should append the click id using the configured parameter', () => {
+            const url = appendClickId('https://shop.example.com/p?x=1', 'http://localhost', { clickIdParameter: 'cid' }, 'click_1');
+            expect(url.toString()).toBe('https://shop.example.com/p?x=1&cid=click_1');
+        });
+
+        it('should leave the URL untouched when the parameter is disabled', () => {
+            const url = appendClickId('https://shop.example.com/p', 'http://localhost', { clickIdParameter: '' }, 'click_1');
+            expect(url.toString()).toBe('https://shop.example.com/p');
+        });
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * Unit tests for request IP extraction
+ */
+
+import { extractIP, extractTrustedIP } from '@/lib/botDetection';
+
+describe('Bot Detection', () => {
+    describe('extractTrustedIP', () => {
+        it('should take the entry appended by the trusted proxy', () => {
+            const headers = { 'x-forwarded-for': '10.0.0.5, 203.0.113.7' };
+
+            expect(extractTrustedIP(headers, 1)).toBe('203.0.113.7');
+            expect(extractTrustedIP(headers, 2)).toBe('10.0.0.5');
+        });
+
+        it('should ignore addresses the client prepends', () => {
+            const headers = { 'x-forwarded-for': '198.51.100.1, 203.0.113.7', 'x-real-ip': '198.51.100.1' };
+
+            expect(extractIP(headers)).toBe('198.51.100.1');
+            expect(extractTrustedIP(headers, 1)).toBe('203.0.113.7');
+        });
+
+        it('should not trust forwarded headers without trusted proxies', () => {
+            expect(extractTrustedIP({ 'x-forwarded-for': '198.51.100.1' }, 0)).toBe('unknown');
+            expect(extractTrustedIP({ 'x-forwarded-for': '198.51.100.1' }, 2)).toBe('unknown');
+        });
+
+        it('should not trust forwarded headers unless TRUSTED_PROXY_HOPS is set', () => {
+            const headers = { 'x-forwarded-for': '198.51.100.1, 203.0.113.7', 'remote-addr': '192.0.2.10' };
+
+            expect(extractTrustedIP(headers)).toBe('192.0.2.10');
+
+            process.env.TRUSTED_PROXY_HOPS = '1';
+            try {
+                expect(extractTrustedIP(headers)).toBe('203.0.113.7');
+            } finally {
+                delete process.env.TRUSTED_PROXY_HOPS;
+            }
+        });
+    });
+});
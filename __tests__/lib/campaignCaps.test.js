@@ -0,0 +1,216 @@
+/**
+ * Unit tests for campaign cap enforcement
+ */
+
+import { checkClickCaps, applyCommissionCaps, releaseCommissionCaps } from '@/lib/campaignCaps';
+import { sendEmail } from '@/lib/email';
+
+jest.mock('@/lib/email', () => ({ sendEmail: jest.fn().mockResolvedValue({ success: true }) }));
+
+const campaign = (caps) => ({ _id: 'camp1', name: 'Summer Sale', caps });
+
+// In-memory cap_usage counters supporting the conditional updates used to reserve budget
+const mockCapUsage = () => {
+    const counters = new Map();
+    const matches = (counter, { used }) => counter
+        && (used?.$lte === undefined || counter.used <= used.$lte)
+        && (used?.$lt === undefined || counter.used < used.$lt);
+
+    return {
+        counters,
+        findOne: jest.fn(async ({ _id }) => counters.get(_id) || null),
+        updateOne: jest.fn(async ({ _id }, update) => {
+            if (update.$setOnInsert && !counters.has(_id)) counters.set(_id, { _id, ...update.$setOnInsert });
+            if (update.$inc && counters.has(_id)) counters.get(_id).used += update.$inc.used;
+            return {};
+        }),
+        findOneAndUpdate: jest.fn(async (filter, update) => {
+            const counter = counters.get(filter._id);
+            if (!matches(counter, filter)) return null;
+
+            const before = { ...counter };
+            if (Array.isArray(update)) {
+                const [limit, [, amount]] = update[0].$set.used.$round[0].$min.map(arg => arg.$add || arg);
+                counter.used = Math.round(Math.min(limit, counter.used + amount) * 100) / 100;
+            } else {
+                counter.used += update.$inc.used;
+            }
+            return before;
+        }),
+    };
+};
+
+// Database whose clicks, conversions and commission totals are fixed
+const mockDatabase = ({ campaignDoc, clicks = 0, conversions = 0, commission = 0 }) => {
+    const notifications = { insertOne: jest.fn().mockResolvedValue({}) };
+    const collections = {
+        campaigns: { findOne: jest.fn().mockResolvedValue(campaignDoc) },
+        click_events: {
+            countDocuments: jest.fn().mockResolvedValue(clicks),
+            distinct: jest.fn().mockResolvedValue(['aff1']),
+        },
+        revenues: {
+            countDocuments: jest.fn().mockResolvedValue(conversions),
+            aggregate: jest.fn(() => ({ toArray: () => Promise.resolve([{ total: commission }]) })),
+        },
+        users: {
+            find: jest.fn((query) => ({
+                toArray: () => Promise.resolve(query.role ? [{ email: 'admin@example.com' }] : [{ email: 'aff1@example.com' }]),
+            })),
+        },
+        cap_notifications: notifications,
+        cap_usage: mockCapUsage(),
+    };
+
+    return { collection: jest.fn(name => collections[name]), collections };
+};
+
+describe('Campaign Caps', () => {
+    beforeEach(() => {
+        sendEmail.mockClear();
+    });
+
+    describe('checkClickCaps', () => {
+        it('should not cap campaigns without caps', async () => {
+            const db = mockDatabase({});
+            expect(await checkClickCaps(db, campaign([]), 'aff1')).toBeNull();
+            expect(db.collection).not.toHaveBeenCalled();
+        });
+
+        it('should cap clicks once a cap is used up and notify admins and affiliates', async () => {
+            const caps = [{ id: 'c1', metric: 'clicks', period: 'daily', limit: 100, scope: 'campaign', affiliateId: null }];
+            const db = mockDatabase({ clicks: 100 });
+
+            const capped = await checkClickCaps(db, campaign(caps), 'aff1');
+
+            expect(capped).toEqual({ capId: 'c1', metric: 'clicks', period: 'daily', scope: 'campaign' });
+            expect(db.collections.cap_notifications.insertOne).toHaveBeenCalledWith(
+                expect.objectContaining({ campaignId: 'camp1', capId: 'c1', affiliateId: null })
+            );
+            expect(sendEmail.mock.calls.map(([message]) => message.to)).toEqual(['admin@example.com', 'aff1@example.com']);
+        });
+
+        it('should notify only once per period', async () => {
+            const caps = [{ id: 'c1', metric: 'clicks', period: 'daily', limit: 100, scope: 'campaign', affiliateId: null }];
+            const db = mockDatabase({ clicks: 150 });
+            db.collections.cap_notifications.insertOne.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+            expect(await checkClickCaps(db, campaign(caps), 'aff1')).not.toBeNull();
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+
+        it('should let clicks through while under the cap', async () => {
+            const caps = [{ id: 'c1', metric: 'clicks', period: 'daily', limit: 100, scope: 'affiliate', affiliateId: null }];
+            const db = mockDatabase({ clicks: 10 });
+
+            expect(await checkClickCaps(db, campaign(caps), 'aff1')).toBeNull();
+            expect(db.collections.click_events.countDocuments).toHaveBeenCalledWith(
+                expect.objectContaining({ campaignId: 'camp1', affiliateId: 'aff1', capped: null })
+            );
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('applyCommissionCaps', () => {
+        const revenue = { affiliateId: 'aff1', campaignId: 'camp1', commissionAmount: 40 };
+
+        it('should cancel commission for capped clicks', async () => {
+            const db = mockDatabase({});
+            const capped = { capId: 'c1', metric: 'clicks', period: 'daily', scope: 'campaign' };
+
+            expect(await applyCommissionCaps(db, revenue, { capped })).toEqual({ commissionAmount: 0, capped });
+        });
+
+        it('should cut commission to the payout budget left', async () => {
+            const caps = [{ id: 'c1', metric: 'payout', period: 'monthly', limit: 100, scope: 'campaign', affiliateId: null }];
+            const db = mockDatabase({ campaignDoc: campaign(caps), commission: 75 });
+
+            expect(await applyCommissionCaps(db, revenue)).toEqual({ commissionAmount: 25, capped: null });
+            expect(db.collections.cap_notifications.insertOne).toHaveBeenCalled();
+        });
+
+        it('should cancel commission past a conversion cap', async () => {
+            const caps = [{ id: 'c2', metric: 'conversions', period: 'lifetime', limit: 3, scope: 'campaign', affiliateId: null }];
+            const db = mockDatabase({ campaignDoc: campaign(caps), conversions: 3 });
+
+            const result = await applyCommissionCaps(db, revenue);
+
+            expect(result.commissionAmount).toBe(0);
+            expect(result.capped).toEqual({ capId: 'c2', metric: 'conversions', period: 'lifetime', scope: 'campaign' });
+        });
+
+        it('should keep the commission when within all caps', async () => {
+            const caps = [{ id: 'c1', metric: 'payout', period: 'monthly', limit: 1000, scope: 'campaign', affiliateId: null }];
+            const db = mockDatabase({ campaignDoc: campaign(caps), commission: 100 });
+
+            expect(await applyCommissionCaps(db, revenue)).toEqual({ commissionAmount: 40, capped: null });
+            expect(db.collections.cap_notifications.insertOne).not.toHaveBeenCalled();
+        });
+
+        it('should not let concurrent conversions spend past the payout cap', async () => {
+            const caps = [{ id: 'c1', metric: 'payout', period: 'lifetime', limit: 100, scope: 'campaign', affiliateId: null }];
+            const db = mockDatabase({ campaignDoc: campaign(caps), commission: 30 });
+
+            const results = await Promise.all([1, 2, 3].map(() => applyCommissionCaps(db, revenue)));
+
+            expect(results.map(result => result.commissionAmount)).toEqual([40, 30, 0]);
+            expect(results[2].capped).toEqual({ capId: 'c1', metric: 'payout', period: 'lifetime', scope: 'campaign' });
+            expect(db.collections.cap_usage.counters.get('camp1|c1|*|lifetime').used).toBe(100);
+        });
+
+        it('should not let concurrent conversions pass a conversion cap', async () => {
+            const caps = [{ id: 'c2', metric: 'conversions', period: 'lifetime', limit: 3, scope: 'affiliate', affiliateId: null }];
+            const db = mockDatabase({ campaignDoc: campaign(caps), conversions: 1 });
+
+            const results = await Promise.all([1, 2, 3].map(() => applyCommissionCaps(db, revenue)));
+
+            expect(results.filter(result => result.capped)).toHaveLength(1);
+            expect(db.collections.cap_usage.counters.get('camp1|c2|aff1|lifetime').used).toBe(3);
+        });
+
+        it('should give back the budget reserved on other caps when one is used up', async () => {
+            const caps = [
+                { id: 'c1', metric: 'payout', period: 'lifetime', limit: 1000, scope: 'campaign', affiliateId: null },
+                { id: 'c2', metric: 'conversions', period: 'lifetime', limit: 3, scope: 'campaign', affiliateId: null },
+            ];
+            const db = mockDatabase({ campaignDoc: campaign(caps), conversions: 3, commission: 100 });
+
+            expect((await applyCommissionCaps(db, revenue)).commissionAmount).toBe(0);
+            expect(db.collections.cap_usage.counters.get('camp1|c1|*|lifetime').used).toBe(100);
+        });
+    });
+
+    describe('releaseCommissionCaps', () => {
+        const caps = [
+            { id: 'c1', metric: 'payout', period: 'lifetime', limit: 1000, scope: 'campaign', affiliateId: null },
+            { id: 'c2', metric: 'conversions', period: 'lifetime', limit: 10, scope: 'campaign', affiliateId: null },
+        ];
+        const revenue = { affiliateId: 'aff1', campaignId: 'camp1', commissionAmount: 40, status: 'succeeded' };
+
+        it('should give back the budget of a row that stops counting', async () => {
+            const db = mockDatabase({ campaignDoc: campaign(caps), conversions: 2, commission: 100 });
+            await applyCommissionCaps(db, revenue);
+
+            await releaseCommissionCaps(db, revenue);
+
+            expect(db.collections.cap_usage.counters.get('camp1|c1|*|lifetime').used).toBe(100);
+            expect(db.collections.cap_usage.counters.get('camp1|c2|*|lifetime').used).toBe(2);
+        });
+
+        it.each(['rejected', 'refunded', 'failed', 'reversed', 'disputed'])('should not give back budget twice for %s rows', async (status) => {
+            const db = mockDatabase({ campaignDoc: campaign(caps) });
+
+            await releaseCommissionCaps(db, { ...revenue, status });
+
+            expect(db.collections.cap_usage.updateOne).not.toHaveBeenCalled();
+        });
+
+        it('should not give back budget for capped rows', async () => {
+            const db = mockDatabase({ campaignDoc: campaign(caps) });
+
+            await releaseCommissionCaps(db, { ...revenue, commissionAmount: 0, capped: { capId: 'c2' } });
+
+            expect(db.collections.cap_usage.updateOne).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for the shared commission calculator
+ */
+
+import { checkPayoutRules, getPayoutRule, calculateCommission, migrateLegacyPayoutRules } from '@/lib/commissions';
+import { findCampaign } from '@/lib/campaigns';
+
+jest.mock('@/lib/campaigns', () => ({ findCampaign: jest.fn() }));
+
+// Database whose affiliate profile is fixed
+const mockDatabase = (profile = null) => {
+    const profiles = { findOne: jest.fn().mockResolvedValue(profile) };
+    return { collection: jest.fn(() => profiles), profiles };
+};
+
+describe('Commissions', () => {
+    const affiliateId = '507f1f77bcf86cd799439011';
+
+    beforeEach(() => {
+        findCampaign.mockReset();
+    });
+
+    describe('checkPayoutRules', () => {
+        it('should reject conversions on campaigns with free-text rules', async () => {
+            findCampaign.mockResolvedValue({ _id: 'camp1', payout_rules: 'Ask the account manager' });
+
+            const rejection = await checkPayoutRules(mockDatabase(), { campaignId: 'camp1' });
+
+            expect(rejection.reason).toBe('payout_rules_invalid');
+            expect(rejection.message).toMatch(/free text/);
+        });
+
+        it('should let structured, goal and missing rules through', async () => {
+            const goal = { id: 'signup', payout_rules: { type: 'CPA', amount: 50 } };
+
+            expect(await checkPayoutRules(mockDatabase(), { campaign: { payout_rules: 'Ask the account manager' }, goal })).toBeNull();
+            expect(await checkPayoutRules(mockDatabase(), { campaign: { payout_rules: { type: 'CPA', amount: 50 } } })).toBeNull();
+            expect(await checkPayoutRules(mockDatabase(), { campaign: null })).toBeNull();
+            expect(findCampaign).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getPayoutRule', () => {
+        it('should prefer the goal payout rule', async () => {
+            const goal = { id: 'signup', payout_rules: { type: 'CPA', amount: 50 } };
+            expect(await getPayoutRule(mockDatabase(), { affiliateId, campaignId: 'camp1', goal })).toBe(goal.payout_rules);
+            expect(findCampaign).not.toHaveBeenCalled();
+        });
+
+        it('should use structured campaign rules', async () => {
+            const payoutRules = { type: 'RevShare', percentage: 15, minOrderValue: 5000 };
+            findCampaign.mockResolvedValue({ _id: 'camp1', payout_rules: payoutRules });
+
+            expect(await getPayoutRule(mockDatabase(), { affiliateId, campaignId: 'camp1' })).toBe(payoutRules);
+        });
+
+        it('should reject free-text rules instead of paying the profile rate', async () => {
+            const db = mockDatabase({ total_earnings: 0 });
+            findCampaign.mockResolvedValue({ _id: 'camp1', payout_rules: 'Ask the account manager' });
+
+            await expect(getPayoutRule(db, { affiliateId, campaignId: 'camp1' })).rejects.toThrow(/free text/);
+            expect(db.profiles.findOne).not.toHaveBeenCalled();
+        });
+
+        it('should not pay flat campaign payouts again on renewals', async () => {
+            const db = mockDatabase({ total_earnings: 0 });
+            const campaign = { _id: 'camp1', payout_rules: { type: 'CPA', amount: 500 } };
+
+            expect(await getPayoutRule(db, { affiliateId, campaign, renewal: true })).toEqual({ type: 'RevShare', percentage: 10 });
+            expect(await getPayoutRule(db, { affiliateId, campaign })).toBe(campaign.payout_rules);
+        });
+    });
+
+    describe('migrateLegacyPayoutRules', () => {
+        it('should convert recognised free-text rules and flag the rest', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const campaigns = {
+                find: jest.fn(() => ({
+                    toArray: () => Promise.resolve([
+                        { _id: 'camp1', name: 'Winter', payout_rules: '15% on all orders over ₹5,000' },
+                        { _id: 'camp2', name: 'Custom', payout_rules: 'Ask the account manager' },
+                    ]),
+                })),
+                updateOne: jest.fn().mockResolvedValue({}),
+            };
+
+            const summary = await migrateLegacyPayoutRules({ collection: jest.fn(() => campaigns) });
+
+            expect(summary).toEqual({ migrated: 1, flagged: 1 });
+            expect(campaigns.updateOne).toHaveBeenCalledWith(
+                { _id: 'camp1', payout_rules: '15% on all orders over ₹5,000' },
+                {
+                    $set: {
+                        payout_rules: { type: 'RevShare', percentage: 15, minOrderValue: 5000 },
+                        payout_rules_text: '15% on all orders over ₹5,000',
+                    },
+                    $unset: { payoutRulesInvalid: '' },
+                }
+            );
+            expect(campaigns.updateOne).toHaveBeenCalledWith({ _id: 'camp2' }, { $set: { payoutRulesInvalid: true } });
+            warn.mockRestore();
+        });
+    });
+
+    describe('calculateCommission', () => {
+        it('should calculate with the campaign rules and the whole order value', async () => {
+            findCampaign.mockResolvedValue({
+                _id: 'camp1',
+                payout_rules: { type: 'RevShare', percentage: 15, minOrderValue: 5000, tiers: [{ minOrderValue: 20000, percentage: 20 }] },
+            });
+
+            const commission = await calculateCommission(mockDatabase(), {
+                affiliateId, campaignId: 'camp1', amount: 12000, orderValue: 24000, weight: 0.5,
+            });
+
+            expect(commission).toBe(2400);
+        });
+
+        it('should use the affiliate profile rate without campaign rules', async () => {
+            const db = mockDatabase({ total_earnings: 0 });
+            findCampaign.mockResolvedValue(null);
+
+            expect(await calculateCommission(db, { affiliateId, amount: 1000 })).toBe(100);
+            expect(db.profiles.findOne).toHaveBeenCalled();
+        });
+    });
+});
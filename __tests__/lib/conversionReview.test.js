@@ -0,0 +1,134 @@
+/**
+ * Unit tests for unconfirmed (browser-reported) conversions
+ */
+
+import {
+    creditEarnings,
+    approveConversions,
+    rejectConversions,
+    replaceUnconfirmedConversion,
+} from '@/lib/conversionReview';
+import { CONVERSION_STATUS } from '@/models/Conversion';
+import { releaseCommissionCaps } from '@/lib/campaignCaps';
+
+jest.mock('@/lib/campaignCaps', () => ({ releaseCommissionCaps: jest.fn() }));
+
+const AFFILIATE_ID = '507f1f77bcf86cd799439011';
+const REVENUE_ID = '507f1f77bcf86cd799439012';
+
+// Database with the collections conversion review touches
+const mockDatabase = () => {
+    const collections = {
+        revenues: {
+            findOneAndUpdate: jest.fn().mockResolvedValue(null),
+            countDocuments: jest.fn().mockResolvedValue(0),
+        },
+        conversions: { findOneAndUpdate: jest.fn().mockResolvedValue(null) },
+        affiliate_profiles: { updateOne: jest.fn().mockResolvedValue({}) },
+        affiliate_postbacks: { find: jest.fn(() => ({ toArray: () => Promise.resolve([]) })) },
+    };
+    return { collection: jest.fn(name => collections[name]), ...collections };
+};
+
+describe('Conversion Review', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('creditEarnings', () => {
+        it('should leave unconfirmed rows out of the affiliate earnings', async () => {
+            const db = mockDatabase();
+
+            const credited = await creditEarnings(db, { affiliateId: AFFILIATE_ID, campaignId: 'camp1', commissionAmount: 50, confirmed: false });
+
+            expect(credited).toBe(false);
+            expect(db.affiliate_profiles.updateOne).not.toHaveBeenCalled();
+            expect(db.affiliate_postbacks.find).not.toHaveBeenCalled();
+        });
+
+        it('should add confirmed commission to the affiliate earnings', async () => {
+            const db = mockDatabase();
+
+            await creditEarnings(db, { affiliateId: AFFILIATE_ID, campaignId: 'camp1', commissionAmount: 50 });
+
+            expect(db.affiliate_profiles.updateOne).toHaveBeenCalledWith(
+                expect.anything(),
+                { $inc: { total_earnings: 50, pendingPayouts: 50 } }
+            );
+        });
+    });
+
+    describe('approveConversions', () => {
+        it('should credit each row only when the review flips it', async () => {
+            const db = mockDatabase();
+            db.revenues.findOneAndUpdate
+                .mockResolvedValueOnce({ affiliateId: AFFILIATE_ID, campaignId: 'camp1', commissionAmount: 30, confirmed: true })
+                .mockResolvedValueOnce(null);
+
+            const approved = await approveConversions(db, [REVENUE_ID, REVENUE_ID], 'admin1');
+
+            expect(approved).toBe(1);
+            expect(db.revenues.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ confirmed: false, status: 'pending' });
+            expect(db.affiliate_profiles.updateOne).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('rejectConversions', () => {
+        it('should reject unconfirmed rows without touching earnings', async () => {
+            const db = mockDatabase();
+            const pending = { affiliateId: AFFILIATE_ID, campaignId: 'camp1', commissionAmount: 30, status: 'pending', confirmed: false };
+            db.revenues.findOneAndUpdate.mockResolvedValueOnce(pending).mockResolvedValueOnce(null);
+
+            const rejected = await rejectConversions(db, [REVENUE_ID, REVENUE_ID], 'admin1', 'Order not found');
+
+            expect(rejected).toBe(1);
+            const [filter, update] = db.revenues.findOneAndUpdate.mock.calls[0];
+            expect(filter).toMatchObject({ confirmed: false, status: 'pending' });
+            expect(update.$set).toMatchObject({
+                status: 'rejected',
+                rejectionReason: 'rejected_in_review',
+                rejectionDetail: 'Order not found',
+            });
+            expect(releaseCommissionCaps).toHaveBeenCalledTimes(1);
+            expect(releaseCommissionCaps).toHaveBeenCalledWith(db, pending);
+            expect(db.affiliate_profiles.updateOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('replaceUnconfirmedConversion', () => {
+        const key = { campaignId: 'camp1', transactionId: 'txn1' };
+        const existing = {
+            ...key,
+            source: 'tracking_script',
+            status: CONVERSION_STATUS.COMPLETED,
+            creditedTouches: ['click1'],
+            createdAt: '2024-06-01T00:00:00.000Z',
+        };
+
+        it('should hand the claim to the postback and reject the unconfirmed rows', async () => {
+            const db = mockDatabase();
+            const replaced = { touchKey: 'camp1|txn1|click1', campaignId: 'camp1', commissionAmount: 30, status: 'pending', confirmed: false };
+            db.conversions.findOneAndUpdate.mockResolvedValue({ ...existing, source: 'postback' });
+            db.revenues.findOneAndUpdate.mockResolvedValue(replaced);
+
+            const claim = await replaceUnconfirmedConversion(db, key, existing);
+
+            expect(claim).toEqual({ claimed: true, key, resumed: false, claimedAt: new Date(existing.createdAt).getTime() });
+            const [filter, update] = db.revenues.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ touchKey: 'camp1|txn1|click1', confirmed: false });
+            expect(update.$set.rejectionReason).toBe('replaced_by_postback');
+            expect(update.$unset).toEqual({ touchKey: '' });
+            expect(releaseCommissionCaps).toHaveBeenCalledWith(db, replaced);
+        });
+
+        it('should leave signed conversions and approved rows alone', async () => {
+            const db = mockDatabase();
+
+            expect(await replaceUnconfirmedConversion(db, key, { ...existing, source: 'postback' })).toBeNull();
+
+            db.revenues.countDocuments.mockResolvedValue(1);
+            expect(await replaceUnconfirmedConversion(db, key, existing)).toBeNull();
+            expect(db.conversions.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for idempotent conversion handling
+ */
+
+import { claimConversion, creditTouchOnce, failConversion, getDuplicateResult } from '@/lib/conversions';
+import { CONVERSION_STATUS } from '@/models/Conversion';
+
+describe('Conversion Idempotency', () => {
+    let mockCollection;
+    let mockDb;
+
+    beforeEach(() => {
+        mockCollection = {
+            insertOne: jest.fn(),
+            findOne: jest.fn(),
+            findOneAndUpdate: jest.fn().mockResolvedValue(null),
+            updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+        };
+        mockDb = { collection: jest.fn(() => mockCollection) };
+    });
+
+    describe('claimConversion', () => {
+        it('should claim a new transaction', async () => {
+            mockCollection.insertOne.mockResolvedValue({ insertedId: 'conv1' });
+
+            const claim = await claimConversion(mockDb, { campaignId: 'camp1', transactionId: 'txn1', source: 'postback' });
+
+            expect(claim.claimed).toBe(true);
+            expect(claim.key).toEqual({ campaignId: 'camp1', transactionId: 'txn1' });
+            expect(mockCollection.insertOne).toHaveBeenCalledWith(
+                expect.objectContaining({ campaignId: 'camp1', transactionId: 'txn1', status: CONVERSION_STATUS.PROCESSING })
+            );
+        });
+
+        it('should key goal conversions per goal', async () => {
+            mockCollection.insertOne.mockResolvedValue({ insertedId: 'conv1' });
+
+            const claim = await claimConversion(mockDb, { campaignId: 'camp1', transactionId: 'txn1', source: 'postback', goal: 'trial' });
+
+            expect(claim.key).toEqual({ campaignId: 'camp1', transactionId: 'txn1#trial' });
+            expect(mockCollection.insertOne).toHaveBeenCalledWith(expect.objectContaining({ goal: 'trial' }));
+        });
+
+        it('should return the existing conversion for a duplicate transaction', async () => {
+            const existing = { campaignId: 'camp1', transactionId: 'txn1', status: CONVERSION_STATUS.COMPLETED };
+            mockCollection.insertOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+            mockCollection.findOne.mockResolvedValue(existing);
+
+            const claim = await claimConversion(mockDb, { campaignId: 'camp1', transactionId: 'txn1', source: 'postback' });
+
+            expect(claim.claimed).toBe(false);
+            expect(claim.existing).toBe(existing);
+        });
+
+        it('should resume a claim that failed part-way', async () => {
+            mockCollection.insertOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+            mockCollection.findOneAndUpdate.mockResolvedValue({
+                campaignId: 'camp1', transactionId: 'txn1', status: CONVERSION_STATUS.PROCESSING, createdAt: '2024-06-01T00:00:00.000Z',
+            });
+
+            const claim = await claimConversion(mockDb, { campaignId: 'camp1', transactionId: 'txn1', source: 'postback' });
+
+            expect(claim).toMatchObject({ claimed: true, resumed: true, claimedAt: Date.parse('2024-06-01T00:00:00.000Z') });
+            expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
+                { campaignId: 'camp1', transactionId: 'txn1', status: CONVERSION_STATUS.FAILED },
+                expect.objectContaining({ $set: expect.objectContaining({ status: CONVERSION_STATUS.PROCESSING }) }),
+                expect.anything()
+            );
+        });
+
+        it('should rethrow other database errors', async () => {
+            mockCollection.insertOne.mockRejectedValue(new Error('connection lost'));
+
+            await expect(
+                claimConversion(mockDb, { campaignId: 'camp1', transactionId: 'txn1', source: 'postback' })
+            ).rejects.toThrow('connection lost');
+        });
+    });
+
+    describe('creditTouchOnce', () => {
+        const key = { campaignId: 'camp1', transactionId: 'txn1' };
+
+        it('should store the row and credit a new touch', async () => {
+            const onCredited = jest.fn();
+
+            const revenue = await creditTouchOnce(mockDb, { key, resumed: false }, 'click1', async () => ({ amount: 100 }), onCredited);
+
+            expect(revenue).toEqual({ amount: 100, touchKey: 'camp1|txn1|click1' });
+            expect(mockCollection.insertOne).toHaveBeenCalledWith(revenue);
+            expect(mockCollection.updateOne).toHaveBeenCalledWith(
+                { ...key, creditedTouches: { $ne: 'click1' } },
+                { $addToSet: { creditedTouches: 'click1' } }
+            );
+            expect(onCredited).toHaveBeenCalledWith(revenue);
+        });
+
+        it('should reuse the stored row and finish crediting it on resume', async () => {
+            const stored = { amount: 100, touchKey: 'camp1|txn1|click1' };
+            mockCollection.findOne.mockResolvedValue(stored);
+            const createRevenue = jest.fn();
+            const onCredited = jest.fn();
+
+            await creditTouchOnce(mockDb, { key, resumed: true }, 'click1', createRevenue, onCredited);
+
+            expect(createRevenue).not.toHaveBeenCalled();
+            expect(mockCollection.insertOne).not.toHaveBeenCalled();
+            expect(onCredited).toHaveBeenCalledWith(stored);
+        });
+
+        it('should skip touches an earlier attempt already credited', async () => {
+            mockCollection.findOne.mockResolvedValue({ amount: 100 });
+            mockCollection.updateOne.mockResolvedValue({ modifiedCount: 0 });
+            const onCredited = jest.fn();
+
+            await creditTouchOnce(mockDb, { key, resumed: true }, 'click1', jest.fn(), onCredited);
+
+            expect(onCredited).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('failConversion', () => {
+        it('should keep the claim, marked failed', async () => {
+            await failConversion(mockDb, { campaignId: 'camp1', transactionId: 'txn1' }, new Error('connection lost'));
+
+            expect(mockCollection.updateOne).toHaveBeenCalledWith(
+                { campaignId: 'camp1', transactionId: 'txn1', status: CONVERSION_STATUS.PROCESSING },
+                { $set: expect.objectContaining({ status: CONVERSION_STATUS.FAILED, error: 'connection lost' }) }
+            );
+        });
+    });
+
+    describe('getDuplicateResult', () => {
+        it('should return the original response flagged as duplicate', () => {
+            const result = getDuplicateResult({
+                status: CONVERSION_STATUS.COMPLETED,
+                result: { status: 200, body: { success: true, data: { commission: 25 } } },
+            });
+
+            expect(result.status).toBe(200);
+            expect(result.body).toEqual({ success: true, data: { commission: 25 }, duplicate: true });
+        });
+
+        it('should return 409 while the original is still processing', () => {
+            const result = getDuplicateResult({ status: CONVERSION_STATUS.PROCESSING });
+
+            expect(result.status).toBe(409);
+            expect(result.body.duplicate).toBe(true);
+        });
+    });
+});
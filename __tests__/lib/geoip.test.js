@@ -0,0 +1,136 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit tests for the offline GeoIP reader
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openGeoDatabase, validateGeoDatabase, loadGeoDatabase, lookupGeo, getGeoDatabaseStatus } from '@/lib/geoip';
+
+// Minimal MaxMind DB encoder for the fields used below (maps, strings, numbers)
+const encode = (value) => {
+    const control = (type, size) => Buffer.from([(type << 5) | size]);
+
+    if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        return Buffer.concat([control(2, bytes.length), bytes]);
+    }
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        const bytes = Buffer.alloc(8);
+        bytes.writeDoubleBE(value);
+        return Buffer.concat([control(3, 8), bytes]); // Doubles are always 8 bytes
+    }
+    if (typeof value === 'number') {
+        const bytes = Buffer.alloc(4);
+        bytes.writeUInt32BE(value);
+        return Buffer.concat([control(6, 4), bytes]);
+    }
+    if (Array.isArray(value)) {
+        return Buffer.concat([Buffer.from([value.length, 4]), ...value.map(encode)]); // Extended type 11
+    }
+    const entries = Object.entries(value);
+    return Buffer.concat([control(7, entries.length), ...entries.flatMap(([k, v]) => [encode(k), encode(v)])]);
+};
+
+const record24 = (value) => Buffer.from([(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]);
+
+// IPv4 database with one node: 0.0.0.0/1 -> record, 128.0.0.0/1 -> not found
+const buildDatabase = (record) => {
+    const nodeCount = 1;
+    const tree = Buffer.concat([record24(nodeCount + 16), record24(nodeCount)]);
+    const metadata = encode({
+        node_count: nodeCount,
+        record_size: 24,
+        ip_version: 4,
+        database_type: 'Test-City',
+        build_epoch: 1717200000,
+    });
+
+    return Buffer.concat([
+        tree,
+        Buffer.alloc(16),
+        encode(record),
+        Buffer.from([0xab, 0xcd, 0xef]),
+        Buffer.from('MaxMind.com'),
+        metadata,
+    ]);
+};
+
+const cityRecord = {
+    country: { iso_code: 'IN', names: { en: 'India' } },
+    subdivisions: [{ iso_code: 'MH', names: { en: 'Maharashtra' } }],
+    city: { names: { en: 'Mumbai' } },
+    location: { latitude: 19.07, longitude: 72.88 },
+};
+
+describe('GeoIP', () => {
+    describe('openGeoDatabase', () => {
+        it('should read metadata and look up records', () => {
+            const reader = openGeoDatabase(buildDatabase(cityRecord));
+
+            expect(reader.metadata.databaseType).toBe('Test-City');
+            expect(reader.lookup('10.1.2.3')).toEqual(cityRecord);
+            expect(reader.lookup('::ffff:10.1.2.3')).toEqual(cityRecord);
+        });
+
+        it('should return null for addresses outside the database', () => {
+            const reader = openGeoDatabase(buildDatabase(cityRecord));
+
+            expect(reader.lookup('200.1.2.3')).toBeNull();
+            expect(reader.lookup('2001:db8::1')).toBeNull(); // IPv6 in an IPv4 database
+            expect(reader.lookup('not-an-ip')).toBeNull();
+        });
+
+        it('should reject files that are not MaxMind databases', () => {
+            expect(() => openGeoDatabase(Buffer.from('id,country\n1,IN\n'))).toThrow(/MaxMind/);
+        });
+    });
+
+    describe('validateGeoDatabase', () => {
+        it('should accept a readable database', () => {
+            expect(validateGeoDatabase(buildDatabase(cityRecord))).toBeNull();
+        });
+
+        it('should report truncated and foreign files', () => {
+            const database = buildDatabase(cityRecord);
+            expect(validateGeoDatabase(database.subarray(0, 12))).toMatch(/Invalid GeoIP database/);
+            expect(validateGeoDatabase(Buffer.from('not a database'))).toMatch(/Invalid GeoIP database/);
+        });
+    });
+
+    describe('loadGeoDatabase', () => {
+        const databasePath = path.join(os.tmpdir(), `geoip-test-${process.pid}.mmdb`);
+
+        beforeAll(() => {
+            process.env.GEOIP_DB_PATH = databasePath;
+        });
+
+        afterAll(() => {
+            delete process.env.GEOIP_DB_PATH;
+            fs.rmSync(databasePath, { force: true });
+        });
+
+        it('should load the file once and look up clicks from memory', async () => {
+            fs.writeFileSync(databasePath, buildDatabase(cityRecord));
+            await loadGeoDatabase();
+
+            const readFileSync = jest.spyOn(fs, 'readFileSync');
+            expect(lookupGeo('10.1.2.3')).toMatchObject({ country: 'IN', region: 'Maharashtra', city: 'Mumbai' });
+            expect(readFileSync).not.toHaveBeenCalled();
+            expect(getGeoDatabaseStatus()).toMatchObject({ loaded: true, databaseType: 'Test-City', builtAt: '2024-06-01T00:00:00.000Z' });
+            readFileSync.mockRestore();
+        });
+
+        it('should unload the database when the file is removed', async () => {
+            fs.rmSync(databasePath, { force: true });
+            await loadGeoDatabase();
+
+            expect(lookupGeo('10.1.2.3')).toBeNull();
+            expect(getGeoDatabaseStatus()).toMatchObject({ loaded: false, error: null });
+        });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for postback source IP allowlists
+ */
+
+import {
+    parseIpAddress,
+    formatIpAddress,
+    parseIpRange,
+    normalizeIpAllowlist,
+    validateIpAllowlist,
+    isIpAllowed,
+} from '@/lib/ipAllowlist';
+
+describe('IP Allowlist', () => {
+    describe('isIpAllowed', () => {
+        const allowlist = ['203.0.113.7', '198.51.100.0/24', '2001:db8::/32'];
+
+        it('should match exact addresses', () => {
+            expect(isIpAllowed('203.0.113.7', allowlist)).toBe(true);
+            expect(isIpAllowed('203.0.113.8', allowlist)).toBe(false);
+        });
+
+        it('should match addresses inside CIDR ranges', () => {
+            expect(isIpAllowed('198.51.100.42', allowlist)).toBe(true);
+            expect(isIpAllowed('198.51.101.1', allowlist)).toBe(false);
+        });
+
+        it('should match IPv6 ranges', () => {
+            expect(isIpAllowed('2001:db8:1234::1', allowlist)).toBe(true);
+            expect(isIpAllowed('2001:db9::1', allowlist)).toBe(false);
+        });
+
+        it('should treat IPv4-mapped IPv6 addresses as IPv4', () => {
+            expect(isIpAllowed('::ffff:198.51.100.9', allowlist)).toBe(true);
+        });
+
+        it('should reject unknown or malformed addresses', () => {
+            expect(isIpAllowed('unknown', allowlist)).toBe(false);
+            expect(isIpAllowed('203.0.113.7', [])).toBe(false);
+        });
+    });
+
+    describe('formatIpAddress', () => {
+        it('should format parsed IPv4, IPv4-mapped and IPv6 addresses', () => {
+            expect(formatIpAddress(parseIpAddress('203.0.113.7'))).toBe('203.0.113.7');
+            expect(formatIpAddress(parseIpAddress('::ffff:203.0.113.7'))).toBe('203.0.113.7');
+            expect(formatIpAddress(parseIpAddress('[2001:db8::1]:443'))).toBe('2001:db8:0:0:0:0:0:1');
+        });
+    });
+
+    describe('validateIpAllowlist', () => {
+        it('should accept addresses and CIDR ranges', () => {
+            expect(validateIpAllowlist(['10.0.0.0/8', '::1', '2001:db8::/48'])).toBeNull();
+        });
+
+        it('should reject invalid entries', () => {
+            expect(validateIpAllowlist(['10.0.0.256', '10.0.0.0/33', 'example.com'])).toContain('10.0.0.256, 10.0.0.0/33, example.com');
+            expect(parseIpRange('2001:db8::/129')).toBeNull();
+        });
+    });
+
+    describe('normalizeIpAllowlist', () => {
+        it('should split, trim and de-duplicate entries', () => {
+            expect(normalizeIpAllowlist(' 10.0.0.1, 10.0.0.1\n198.51.100.0/24 ')).toEqual(['10.0.0.1', '198.51.100.0/24']);
+        });
+    });
+});
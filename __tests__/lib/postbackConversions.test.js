@@ -0,0 +1,183 @@
+/**
+ * Unit tests for postback and pixel conversion crediting
+ */
+
+import { recordPostbackConversion, reversePostbackConversion } from '@/lib/postbackConversions';
+import { getAttributionSettings, resolveAttribution } from '@/lib/attribution';
+import { claimConversion } from '@/lib/conversions';
+import { applyCommissionCaps } from '@/lib/campaignCaps';
+import { calculateCommission, checkPayoutRules } from '@/lib/commissions';
+import { fireAffiliatePostbacks } from '@/lib/affiliatePostbacks';
+
+jest.mock('@/lib/attribution', () => ({
+    ...jest.requireActual('@/lib/attribution'),
+    getAttributionSettings: jest.fn(),
+    resolveAttribution: jest.fn(),
+}));
+jest.mock('@/lib/conversions', () => ({
+    ...jest.requireActual('@/lib/conversions'),
+    claimConversion: jest.fn(),
+}));
+jest.mock('@/lib/campaignCaps', () => ({ applyCommissionCaps: jest.fn(), releaseCommissionCaps: jest.fn() }));
+jest.mock('@/lib/commissions', () => ({ calculateCommission: jest.fn(), checkPayoutRules: jest.fn() }));
+jest.mock('@/lib/customers', () => ({ trackCustomer: jest.fn() }));
+jest.mock('@/lib/affiliatePostbacks', () => ({ fireAffiliatePostbacks: jest.fn() }));
+
+const AFFILIATE_ID = '507f1f77bcf86cd799439011';
+
+describe('Postback Conversions', () => {
+    let collections;
+    let db;
+
+    const click = {
+        clickId: 'click1',
+        affiliateId: AFFILIATE_ID,
+        campaignId: 'camp1',
+        createdAt: new Date().toISOString(),
+    };
+
+    const conversion = (fields = {}) => ({
+        transactionId: 'txn1',
+        amount: 1000,
+        currency: 'INR',
+        status: 'success',
+        source: 'postback',
+        ...fields,
+    });
+
+    beforeEach(() => {
+        collections = {
+            click_events: { updateOne: jest.fn().mockResolvedValue({}) },
+            conversions: { updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }) },
+            revenues: {
+                insertOne: jest.fn().mockResolvedValue({}),
+                find: jest.fn(() => ({ toArray: () => Promise.resolve([]) })),
+                updateOne: jest.fn().mockResolvedValue({}),
+            },
+            affiliate_profiles: { updateOne: jest.fn().mockResolvedValue({}) },
+            campaigns: { findOne: jest.fn().mockResolvedValue({ _id: 'camp1', status: 'active' }) },
+        };
+        db = { collection: jest.fn(name => collections[name]) };
+
+        claimConversion.mockResolvedValue({ claimed: true, resumed: false, key: { campaignId: 'camp1', transactionId: 'txn1' }, claimedAt: Date.now() });
+        getAttributionSettings.mockResolvedValue({});
+        resolveAttribution.mockResolvedValue({ model: 'last_click', touchCount: 1, credits: [{ click, weight: 1 }] });
+        calculateCommission.mockResolvedValue(100);
+        checkPayoutRules.mockResolvedValue(null);
+        applyCommissionCaps.mockImplementation(async (database, revenue) => ({ commissionAmount: revenue.commissionAmount, capped: null }));
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('recordPostbackConversion', () => {
+        it('should add signed postback commission to the affiliate earnings', async () => {
+            const result = await recordPostbackConversion(db, click, conversion());
+
+            expect(result.status).toBe(200);
+            expect(collections.revenues.insertOne.mock.calls[0][0]).not.toHaveProperty('confirmed');
+            expect(collections.affiliate_profiles.updateOne).toHaveBeenCalledWith(
+                expect.anything(),
+                { $inc: { total_earnings: 100, pendingPayouts: 100 } }
+            );
+        });
+
+        it('should keep pixel conversions out of the affiliate earnings', async () => {
+
+            const result = await recordPostbackConversion(db, click, conversion({ status: 'pending', source: 'pixel' }));
+
+            expect(result.status).toBe(200);
+            expect(collections.revenues.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+                source: 'pixel',
+                status: 'pending',
+                confirmed: false,
+                commissionAmount: 100,
+            }));
+            expect(collections.affiliate_profiles.updateOne).not.toHaveBeenCalled();
+            expect(fireAffiliatePostbacks).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('filtered clicks', () => {
+        const filteredClick = { ...click, filtered: true, filterReason: 'bot_detected' };
+
+        it.each(['postback', 'pixel'])('should reject %s conversions on filtered clicks', async (source) => {
+            const result = await recordPostbackConversion(db, filteredClick, conversion({ source }));
+
+            expect(result.status).toBe(422);
+            expect(result.body.reason).toBe('click_filtered');
+            expect(collections.revenues.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+                source,
+                status: 'rejected',
+                rejectionReason: 'click_filtered',
+                commissionAmount: 0,
+            }));
+            expect(resolveAttribution).not.toHaveBeenCalled();
+            expect(collections.affiliate_profiles.updateOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('campaign schedule', () => {
+        it('should reject conversions after the campaign has ended', async () => {
+            collections.campaigns.findOne.mockResolvedValue({ _id: 'camp1', status: 'expired', endsAt: '2024-01-01T00:00:00.000Z' });
+
+            const result = await recordPostbackConversion(db, click, conversion());
+
+            expect(result.status).toBe(422);
+            expect(result.body.reason).toBe('campaign_outside_schedule');
+            expect(collections.revenues.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+                status: 'rejected',
+                rejectionReason: 'campaign_outside_schedule',
+            }));
+            expect(collections.affiliate_profiles.updateOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('free-text payout rules', () => {
+        const rejection = { reason: 'payout_rules_invalid', message: 'Campaign payout rules are free text' };
+
+        it('should reject the conversion with 422 instead of failing it', async () => {
+            checkPayoutRules.mockResolvedValue(rejection);
+
+            const result = await recordPostbackConversion(db, click, conversion());
+
+            expect(result.status).toBe(422);
+            expect(result.body.reason).toBe('payout_rules_invalid');
+            expect(collections.revenues.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+                status: 'rejected',
+                rejectionReason: 'payout_rules_invalid',
+                commissionAmount: 0,
+            }));
+            expect(calculateCommission).not.toHaveBeenCalled();
+            expect(collections.conversions.updateOne).toHaveBeenCalledWith(
+                expect.anything(),
+                expect.objectContaining({ $set: expect.objectContaining({ result: { status: 422, body: expect.objectContaining({ reason: 'payout_rules_invalid' }) } }) })
+            );
+        });
+
+        it('should pay conversions that name their payout', async () => {
+            checkPayoutRules.mockResolvedValue(rejection);
+
+            const result = await recordPostbackConversion(db, click, conversion({ payoutOverride: '25' }));
+
+            expect(result.status).toBe(200);
+            expect(checkPayoutRules).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reversePostbackConversion', () => {
+        it('should not deduct commission of unconfirmed pixel rows', async () => {
+            collections.revenues.find.mockReturnValue({
+                toArray: () => Promise.resolve([{ _id: 'rev1', affiliateId: AFFILIATE_ID, commissionAmount: 100, source: 'pixel', confirmed: false }]),
+            });
+
+            const result = await reversePostbackConversion(db, { clickId: 'click1' }, 'txn1');
+
+            expect(result.body.data.reversed).toBe(1);
+            expect(result.body.data.commission).toBeCloseTo(0);
+            expect(collections.revenues.updateOne).toHaveBeenCalledWith({ _id: 'rev1' }, expect.objectContaining({ $set: expect.objectContaining({ status: 'reversed' }) }));
+            expect(collections.affiliate_profiles.updateOne).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for signed postbacks
+ */
+
+import {
+    buildSigningString,
+    createSignedParams,
+    verifyPostbackSignature,
+    SignatureError,
+} from '@/lib/postbackSignature';
+
+describe('Postback Signatures', () => {
+    const secret = 'test-secret';
+    const now = new Date('2024-06-01T12:00:00.000Z').getTime();
+    const toSearchParams = (params) => {
+        const query = Object.entries(params)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+            .join('&');
+        return new URL(`http://localhost/api/postback?${query}`).searchParams;
+    };
+
+    describe('buildSigningString', () => {
+        it('should sort parameters and exclude the signature', () => {
+            const result = buildSigningString({ click_id: 'c 1', amount: '10', signature: 'abc' });
+            expect(result).toBe('amount=10&click_id=c%201');
+        });
+    });
+
+    describe('verifyPostbackSignature', () => {
+        it('should accept a correctly signed postback', () => {
+            const signed = createSignedParams({ click_id: 'click_1', amount: '999' }, secret, now);
+            expect(verifyPostbackSignature(toSearchParams(signed), secret, now)).toBeNull();
+        });
+
+        it('should reject tampered parameters', () => {
+            const signed = createSignedParams({ click_id: 'click_1', amount: '999' }, secret, now);
+            const result = verifyPostbackSignature(toSearchParams({ ...signed, amount: '99999' }), secret, now);
+            expect(result.reason).toBe(SignatureError.INVALID_SIGNATURE);
+        });
+
+        it('should reject signatures made with another secret', () => {
+            const signed = createSignedParams({ click_id: 'click_1' }, 'old-secret', now);
+            expect(verifyPostbackSignature(toSearchParams(signed), secret, now).reason).toBe(SignatureError.INVALID_SIGNATURE);
+        });
+
+        it('should reject timestamps outside the replay window', () => {
+            const signed = createSignedParams({ click_id: 'click_1' }, secret, now - 60 * 60 * 1000);
+            expect(verifyPostbackSignature(toSearchParams(signed), secret, now).reason).toBe(SignatureError.EXPIRED_TIMESTAMP);
+        });
+
+        it('should reject unsigned postbacks', () => {
+            const result = verifyPostbackSignature(toSearchParams({ click_id: 'click_1' }), secret, now);
+            expect(result.reason).toBe(SignatureError.MISSING_SIGNATURE);
+        });
+
+        it('should reject postbacks for campaigns without a secret', () => {
+            const signed = createSignedParams({ click_id: 'click_1' }, secret, now);
+            expect(verifyPostbackSignature(toSearchParams(signed), null, now).reason).toBe(SignatureError.SECRET_NOT_CONFIGURED);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for AffiliatePostback model
+ */
+
+import {
+    expandPostbackTemplate,
+    getPostbackMacroValues,
+    validateAffiliatePostback,
+    getNextAttemptAt,
+    MAX_DELIVERY_ATTEMPTS,
+    POSTBACK_EVENTS,
+} from '@/models/AffiliatePostback';
+
+describe('AffiliatePostback Model', () => {
+    const revenue = {
+        clickId: 'click_1',
+        campaignId: 'camp_1',
+        transactionId: 'ORDER 7',
+        amount: 1000,
+        commissionAmount: 100,
+        currency: 'INR',
+        status: 'succeeded',
+        subIds: { sub1: 'banner' },
+    };
+
+    describe('expandPostbackTemplate', () => {
+        it('should expand macros from a revenue row', () => {
+            const url = expandPostbackTemplate(
+                'https://t.example.com/pb?cid={click_id}&s1={sub1}&s2={sub2}&p={payout}&tx={transaction_id}&e={event}',
+                getPostbackMacroValues(revenue, POSTBACK_EVENTS.CONVERSION)
+            );
+            expect(url).toBe('https://t.example.com/pb?cid=click_1&s1=banner&s2=&p=100&tx=ORDER%207&e=conversion');
+        });
+
+        it('should use the deducted payout for refunds', () => {
+            const values = getPostbackMacroValues({ ...revenue, status: 'refunded' }, POSTBACK_EVENTS.REFUND, 40);
+            expect(expandPostbackTemplate('https://t.example.com/?p={payout}&s={status}', values))
+                .toBe('https://t.example.com/?p=40&s=refunded');
+        });
+    });
+
+    describe('validateAffiliatePostback', () => {
+        it('should accept a valid template', () => {
+            expect(validateAffiliatePostback({ campaignId: 'camp_1', url: 'https://t.example.com/?cid={click_id}' })).toBeNull();
+        });
+
+        it('should reject unknown macros and non-http URLs', () => {
+            expect(validateAffiliatePostback({ campaignId: 'camp_1', url: 'https://t.example.com/?x={secret}' })).toContain('{secret}');
+            expect(validateAffiliatePostback({ campaignId: 'camp_1', url: 'ftp://t.example.com/' })).toBe('Postback URL must use http or https');
+        });
+
+        it('should reject unknown events', () => {
+            expect(validateAffiliatePostback({ campaignId: 'camp_1', url: 'https://t.example.com/', events: ['chargeback'] }))
+                .toBe('Invalid event(s): chargeback');
+        });
+    });
+
+    describe('getNextAttemptAt', () => {
+        it('should back off between retries', () => {
+            const now = Date.parse('2024-06-01T12:00:00.000Z');
+            expect(getNextAttemptAt(1, now)).toBe('2024-06-01T12:01:00.000Z');
+            expect(getNextAttemptAt(2, now)).toBe('2024-06-01T12:05:00.000Z');
+        });
+
+        it('should stop after the last attempt', () => {
+            expect(getNextAttemptAt(MAX_DELIVERY_ATTEMPTS)).toBeNull();
+        });
+    });
+});
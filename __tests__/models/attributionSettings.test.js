@@ -0,0 +1,35 @@
+/**
+ * Unit tests for AttributionSettings model
+ */
+
+import { isClickValid, getAttributionWindowMs } from '@/models/AttributionSettings';
+
+describe('AttributionSettings Model', () => {
+    const now = new Date('2024-06-30T00:00:00.000Z').getTime();
+
+    describe('getAttributionWindowMs', () => {
+        it('should convert hours, days and months to milliseconds', () => {
+            const hour = 60 * 60 * 1000;
+            expect(getAttributionWindowMs({ clickAttributionWindow: { value: 12, unit: 'hours' } })).toBe(12 * hour);
+            expect(getAttributionWindowMs({ clickAttributionWindow: { value: 7, unit: 'days' } })).toBe(7 * 24 * hour);
+            expect(getAttributionWindowMs({ clickAttributionWindow: { value: 1, unit: 'months' } })).toBe(30 * 24 * hour);
+        });
+    });
+
+    describe('isClickValid', () => {
+        const settings = { clickAttributionWindow: { value: 7, unit: 'days' } };
+
+        it('should accept clicks inside the window', () => {
+            expect(isClickValid('2024-06-25T00:00:00.000Z', settings, now)).toBe(true);
+        });
+
+        it('should reject clicks older than the window', () => {
+            expect(isClickValid('2024-06-01T00:00:00.000Z', settings, now)).toBe(false);
+        });
+
+        it('should reject missing or invalid timestamps', () => {
+            expect(isClickValid(null, settings, now)).toBe(false);
+            expect(isClickValid('not-a-date', settings, now)).toBe(false);
+        });
+    });
+});
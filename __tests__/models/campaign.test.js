@@ -2,7 +2,26 @@
  * Unit tests for Campaign model
  */
 
-import { validateCampaign, CAMPAIGN_STATUS } from '@/models/Campaign';
+import {
+    validateCampaign,
+    validateCampaignUrlTemplate,
+    expandCampaignUrl,
+    getAllowedDomains,
+    isAllowedRedirect,
+    validateDestinationUrl,
+    normalizeLandingVariants,
+    validateLandingVariants,
+    getActiveLandingVariants,
+    pickLandingVariant,
+    getConversionRateConfidence,
+    summarizeLandingVariants,
+    normalizeCampaignSchedule,
+    validateCampaignSchedule,
+    getScheduledStatus,
+    isCampaignLinkable,
+    getInactiveCampaignReason,
+    CAMPAIGN_STATUS,
+} from '@/models/Campaign';
 
 describe('Campaign Model', () => {
     describe('validateCampaign', () => {
@@ -24,6 +43,15 @@ describe('Campaign Model', () => {
             expect(result).toBe('Payout rules are required');
         });
 
+        it('should return error for free-text payout_rules', () => {
+            const result = validateCampaign({
+                name: 'Test Campaign',
+                url: 'https://example.com',
+                payout_rules: '15% on all orders over ₹5,000'
+            });
+            expect(result).toContain('Payout rules must be structured');
+        });
+
         it('should return error for invalid status', () => {
             const result = validateCampaign({
                 name: 'Test Campaign',
@@ -44,4 +72,230 @@ describe('Campaign Model', () => {
             expect(result).toBeNull();
         });
     });
+
+    describe('expandCampaignUrl', () => {
+        it('should expand supported macros with URL-encoded values', () => {
+            const result = expandCampaignUrl(
+                'https://store.example.com/sale?ref={affiliate_id}&cid={click_id}&s1={sub1}',
+                { affiliate_id: 'aff1', click_id: 'click_1', sub1: 'banner top' }
+            );
+            expect(result).toBe('https://store.example.com/sale?ref=aff1&cid=click_1&s1=banner%20top');
+        });
+
+        it('should expand macros without a value to an empty string', () => {
+            expect(expandCampaignUrl('https://example.com?s2={sub2}', {})).toBe('https://example.com?s2=');
+        });
+    });
+
+    describe('validateCampaignUrlTemplate', () => {
+        it('should reject unknown macros', () => {
+            expect(validateCampaignUrlTemplate('https://example.com?x={foo}')).toContain('{foo}');
+        });
+
+        it('should reject URLs that are not absolute http(s) URLs', () => {
+            expect(validateCampaignUrlTemplate('store.example.com?ref={affiliate_id}')).toBe('Campaign URL must be a valid absolute URL');
+            expect(validateCampaignUrlTemplate('javascript:alert(1)')).toBe('Campaign URL must use http or https');
+        });
+
+        it('should accept templates using supported macros', () => {
+            expect(validateCampaignUrlTemplate('https://example.com?ref={affiliate_id}&u={utm_source}')).toBeNull();
+        });
+    });
+
+    describe('getAllowedDomains', () => {
+        it('should derive the allowlist from the campaign URL', () => {
+            expect(getAllowedDomains({ url: 'https://Store.Example.com/sale?ref={affiliate_id}' })).toEqual(['store.example.com']);
+        });
+
+        it('should prefer an explicit allowlist', () => {
+            const campaign = { url: 'https://store.example.com', allowedDomains: ['https://example.com/', 'Shop.example.org'] };
+            expect(getAllowedDomains(campaign)).toEqual(['example.com', 'shop.example.org']);
+        });
+    });
+
+    describe('isAllowedRedirect', () => {
+        const allowed = ['example.com'];
+
+        it('should allow listed domains and their subdomains', () => {
+            expect(isAllowedRedirect('https://example.com/landing', allowed)).toBe(true);
+            expect(isAllowedRedirect('https://www.example.com/landing', allowed)).toBe(true);
+        });
+
+        it('should block other domains and look-alikes', () => {
+            expect(isAllowedRedirect('https://evil.com/?example.com', allowed)).toBe(false);
+            expect(isAllowedRedirect('https://notexample.com', allowed)).toBe(false);
+            expect(isAllowedRedirect('https://example.com.evil.com', allowed)).toBe(false);
+        });
+
+        it('should block non-http schemes', () => {
+            expect(isAllowedRedirect('javascript:alert(1)', allowed)).toBe(false);
+        });
+    });
+
+    describe('validateDestinationUrl', () => {
+        const campaign = { url: 'https://shop.example.com/?ref={affiliate_id}', allowedDomains: ['example.com'] };
+
+        it('should accept pages on the allowed domains', () => {
+            expect(validateDestinationUrl('https://shop.example.com/product/1', campaign)).toBeNull();
+        });
+
+        it('should reject other domains and invalid URLs', () => {
+            expect(validateDestinationUrl('https://evil.test/product', campaign)).toMatch(/example\.com/);
+            expect(validateDestinationUrl('/product/1', campaign)).toMatch(/full URL/);
+        });
+
+        it('should require a campaign', () => {
+            expect(validateDestinationUrl('https://shop.example.com/product/1', null)).toMatch(/campaign/);
+        });
+    });
+
+    describe('landing variants', () => {
+        const campaign = { url: 'https://shop.example.com/?ref={affiliate_id}' };
+
+        it('should assign ids, labels and integer weights', () => {
+            const variants = normalizeLandingVariants([
+                { id: 'v1', url: ' https://shop.example.com/a ', weight: '60' },
+                { url: 'https://shop.example.com/b', weight: 40.4, label: 'Short form' },
+            ]);
+
+            expect(variants).toEqual([
+                { id: 'v1', label: 'Variant A', url: 'https://shop.example.com/a', weight: 60 },
+                { id: 'v2', label: 'Short form', url: 'https://shop.example.com/b', weight: 40 },
+            ]);
+        });
+
+        it('should accept variants on the allowed domains', () => {
+            const variants = normalizeLandingVariants([
+                { url: 'https://shop.example.com/a?cid={click_id}', weight: 50 },
+                { url: 'https://www.shop.example.com/b', weight: 50 },
+            ]);
+            expect(validateLandingVariants(variants, campaign)).toBeNull();
+            expect(validateLandingVariants([], campaign)).toBeNull();
+        });
+
+        it('should reject off-domain URLs, single variants and zero total weight', () => {
+            expect(validateLandingVariants(normalizeLandingVariants([
+                { url: 'https://shop.example.com/a', weight: 50 },
+                { url: 'https://evil.example.net/b', weight: 50 },
+            ]), campaign)).toMatch(/shop\.example\.com/);
+
+            expect(validateLandingVariants(normalizeLandingVariants([
+                { url: 'https://shop.example.com/a', weight: 50 },
+            ]), campaign)).toMatch(/at least two/);
+
+            expect(validateLandingVariants(normalizeLandingVariants([
+                { url: 'https://shop.example.com/a', weight: 0 },
+                { url: 'https://shop.example.com/b', weight: 0 },
+            ]), campaign)).toMatch(/weight above 0/);
+        });
+
+        it('should only serve variants with a weight', () => {
+            const active = getActiveLandingVariants({
+                landingVariants: [
+                    { id: 'v1', url: 'https://shop.example.com/a', weight: 0 },
+                    { id: 'v2', url: 'https://shop.example.com/b', weight: 10 },
+                ],
+            });
+            expect(active.map(v => v.id)).toEqual(['v2']);
+            expect(getActiveLandingVariants({ url: 'https://shop.example.com' })).toEqual([]);
+        });
+
+        it('should pick variants in proportion to their weight', () => {
+            const variants = [{ id: 'a', weight: 75 }, { id: 'b', weight: 25 }];
+            expect(pickLandingVariant(variants, () => 0).id).toBe('a');
+            expect(pickLandingVariant(variants, () => 0.74).id).toBe('a');
+            expect(pickLandingVariant(variants, () => 0.75).id).toBe('b');
+            expect(pickLandingVariant([], () => 0.5)).toBeNull();
+        });
+
+        it('should report confidence that conversion rates differ', () => {
+            expect(getConversionRateConfidence({ clicks: 1000, conversions: 50 }, { clicks: 1000, conversions: 50 })).toBeCloseTo(0, 5);
+            expect(getConversionRateConfidence({ clicks: 1000, conversions: 80 }, { clicks: 1000, conversions: 50 })).toBeGreaterThan(0.99);
+            expect(getConversionRateConfidence({ clicks: 0, conversions: 0 }, { clicks: 10, conversions: 1 })).toBe(0);
+        });
+
+        it('should summarize results and flag a significant leader', () => {
+            const variants = [{ id: 'v1', label: 'A' }, { id: 'v2', label: 'B' }, { id: 'v3', label: 'C' }];
+            const summary = summarizeLandingVariants(
+                variants,
+                [{ _id: 'v1', clicks: 1000 }, { _id: 'v2', clicks: 1000 }],
+                [{ _id: 'v1', conversions: 50, revenue: 500, commission: 50 }, { _id: 'v2', conversions: 80, revenue: 800, commission: 80 }]
+            );
+
+            expect(summary.leader).toBe('v2');
+            expect(summary.significant).toBe(true);
+            expect(summary.variants[1].conversionRate).toBeCloseTo(8);
+            expect(summary.variants[2]).toMatchObject({ id: 'v3', clicks: 0, conversions: 0, conversionRate: 0 });
+        });
+
+        it('should not call a winner on too few clicks', () => {
+            const summary = summarizeLandingVariants(
+                [{ id: 'v1' }, { id: 'v2' }],
+                [{ _id: 'v1', clicks: 10 }, { _id: 'v2', clicks: 10 }],
+                [{ _id: 'v2', conversions: 9 }]
+            );
+
+            expect(summary.leader).toBe('v2');
+            expect(summary.significant).toBe(false);
+        });
+    });
+
+    describe('schedule', () => {
+        const now = new Date('2024-06-15T12:00:00.000Z');
+
+        it('should normalize dates to ISO and clear empty fields', () => {
+            expect(normalizeCampaignSchedule({ startsAt: '2024-07-01T00:00:00Z', endsAt: '', fallbackUrl: '  ' })).toEqual({
+                startsAt: '2024-07-01T00:00:00.000Z',
+                endsAt: null,
+                fallbackUrl: null,
+            });
+        });
+
+        it('should reject invalid dates, ends before starts and bad fallback URLs', () => {
+            expect(validateCampaignSchedule(normalizeCampaignSchedule({ startsAt: 'soon' }))).toMatch(/Start date/);
+            expect(validateCampaignSchedule(normalizeCampaignSchedule({ startsAt: '2024-07-02', endsAt: '2024-07-01' }))).toMatch(/after/);
+            expect(validateCampaignSchedule(normalizeCampaignSchedule({ fallbackUrl: 'not a url' }))).toMatch(/^Fallback URL/);
+            expect(validateCampaignSchedule(normalizeCampaignSchedule({ startsAt: '2024-07-01', endsAt: '2024-08-01', fallbackUrl: 'https://example.com/ended' }))).toBeNull();
+        });
+
+        it('should derive scheduled, active and expired from the dates', () => {
+            const campaign = { status: CAMPAIGN_STATUS.ACTIVE, startsAt: '2024-06-01T00:00:00.000Z', endsAt: '2024-07-01T00:00:00.000Z' };
+
+            expect(getScheduledStatus(campaign, new Date('2024-05-01T00:00:00.000Z'))).toBe(CAMPAIGN_STATUS.SCHEDULED);
+            expect(getScheduledStatus({ ...campaign, status: CAMPAIGN_STATUS.SCHEDULED }, now)).toBe(CAMPAIGN_STATUS.ACTIVE);
+            expect(getScheduledStatus(campaign, new Date('2024-07-01T00:00:00.000Z'))).toBe(CAMPAIGN_STATUS.EXPIRED);
+        });
+
+        it('should keep paused and archived campaigns as they are', () => {
+            expect(getScheduledStatus({ status: CAMPAIGN_STATUS.PAUSED, endsAt: '2024-01-01T00:00:00.000Z' }, now)).toBe(CAMPAIGN_STATUS.PAUSED);
+            expect(getScheduledStatus({ status: CAMPAIGN_STATUS.ARCHIVED, startsAt: '2025-01-01T00:00:00.000Z' }, now)).toBe(CAMPAIGN_STATUS.ARCHIVED);
+        });
+
+        it('should only link campaigns that have started and not ended', () => {
+            expect(isCampaignLinkable({ status: CAMPAIGN_STATUS.ACTIVE, startsAt: '2024-07-01T00:00:00.000Z' }, now)).toBe(false);
+            expect(isCampaignLinkable({ status: CAMPAIGN_STATUS.ACTIVE, endsAt: '2024-06-01T00:00:00.000Z' }, now)).toBe(false);
+            expect(isCampaignLinkable({ status: CAMPAIGN_STATUS.ACTIVE }, now)).toBe(true);
+        });
+    });
+
+    describe('getInactiveCampaignReason', () => {
+        it('should flag paused, archived and unknown campaigns', () => {
+            expect(getInactiveCampaignReason({ status: CAMPAIGN_STATUS.PAUSED })).toBe('paused');
+            expect(getInactiveCampaignReason({ status: CAMPAIGN_STATUS.ARCHIVED })).toBe('archived');
+            expect(getInactiveCampaignReason(null)).toBe('unknown');
+        });
+
+        it('should let active campaigns through', () => {
+            expect(getInactiveCampaignReason({ status: CAMPAIGN_STATUS.ACTIVE })).toBeNull();
+        });
+
+        it('should flag campaigns outside their schedule', () => {
+            const now = new Date('2024-06-15T00:00:00.000Z');
+            const schedule = { startsAt: '2024-06-01T00:00:00.000Z', endsAt: '2024-07-01T00:00:00.000Z' };
+
+            expect(getInactiveCampaignReason({ status: CAMPAIGN_STATUS.ACTIVE, ...schedule }, now)).toBeNull();
+            expect(getInactiveCampaignReason({ status: CAMPAIGN_STATUS.ACTIVE, ...schedule }, new Date('2024-05-01'))).toBe('scheduled');
+            expect(getInactiveCampaignReason({ status: CAMPAIGN_STATUS.SCHEDULED, ...schedule }, new Date('2024-08-01'))).toBe('expired');
+        });
+    });
 });
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for CampaignCap model
+ */
+
+import {
+    normalizeCampaignCaps,
+    validateCampaignCaps,
+    getCapPeriodStart,
+    getApplicableCaps,
+    getCapProgress,
+} from '@/models/CampaignCap';
+
+describe('CampaignCap Model', () => {
+    describe('normalizeCampaignCaps', () => {
+        it('should assign ids, parse limits and default the scope', () => {
+            const caps = normalizeCampaignCaps([
+                { metric: 'Payout', period: 'monthly', limit: '500.456' },
+                { id: 'c1', metric: 'clicks', period: 'daily', limit: '10.9', scope: 'affiliate', affiliateId: ' aff1 ' },
+            ]);
+
+            expect(caps).toEqual([
+                { id: 'c2', metric: 'payout', period: 'monthly', limit: 500.46, scope: 'campaign', affiliateId: null },
+                { id: 'c1', metric: 'clicks', period: 'daily', limit: 10, scope: 'affiliate', affiliateId: 'aff1' },
+            ]);
+        });
+
+        it('should drop the affiliate id of campaign caps', () => {
+            const [cap] = normalizeCampaignCaps([{ metric: 'clicks', period: 'daily', limit: 5, affiliateId: 'aff1' }]);
+            expect(cap.affiliateId).toBeNull();
+        });
+    });
+
+    describe('validateCampaignCaps', () => {
+        it('should accept valid caps', () => {
+            expect(validateCampaignCaps(normalizeCampaignCaps([{ metric: 'conversions', period: 'lifetime', limit: 100 }]))).toBeNull();
+        });
+
+        it('should reject unknown metrics, periods and non-positive limits', () => {
+            expect(validateCampaignCaps(normalizeCampaignCaps([{ metric: 'views', period: 'daily', limit: 1 }]))).toMatch(/metric/);
+            expect(validateCampaignCaps(normalizeCampaignCaps([{ metric: 'clicks', period: 'weekly', limit: 1 }]))).toMatch(/period/);
+            expect(validateCampaignCaps(normalizeCampaignCaps([{ metric: 'clicks', period: 'daily', limit: 0 }]))).toMatch(/greater than 0/);
+            expect(validateCampaignCaps(normalizeCampaignCaps([{ metric: 'clicks', period: 'daily', limit: 'abc' }]))).toMatch(/greater than 0/);
+        });
+    });
+
+    describe('getCapPeriodStart', () => {
+        const now = new Date('2024-06-15T18:30:00.000Z');
+
+        it('should start daily caps at UTC midnight and monthly caps on the 1st', () => {
+            expect(getCapPeriodStart('daily', now)).toBe('2024-06-15T00:00:00.000Z');
+            expect(getCapPeriodStart('monthly', now)).toBe('2024-06-01T00:00:00.000Z');
+        });
+
+        it('should have no start for lifetime caps', () => {
+            expect(getCapPeriodStart('lifetime', now)).toBeNull();
+        });
+    });
+
+    describe('getApplicableCaps', () => {
+        const caps = normalizeCampaignCaps([
+            { metric: 'clicks', period: 'daily', limit: 100 },
+            { metric: 'payout', period: 'monthly', limit: 500, scope: 'affiliate' },
+            { metric: 'conversions', period: 'daily', limit: 5, scope: 'affiliate', affiliateId: 'aff2' },
+        ]);
+
+        it('should include campaign caps, caps for every affiliate and caps for this affiliate', () => {
+            expect(getApplicableCaps(caps, 'aff1').map(cap => cap.id)).toEqual(['c1', 'c2']);
+            expect(getApplicableCaps(caps, 'aff2').map(cap => cap.id)).toEqual(['c1', 'c2', 'c3']);
+        });
+
+        it('should filter by metric', () => {
+            expect(getApplicableCaps(caps, 'aff2', ['conversions', 'payout']).map(cap => cap.id)).toEqual(['c2', 'c3']);
+        });
+    });
+
+    describe('getCapProgress', () => {
+        it('should return the used percentage capped at 100', () => {
+            expect(getCapProgress(25, 200)).toBe(12.5);
+            expect(getCapProgress(300, 200)).toBe(100);
+            expect(getCapProgress(5, 0)).toBe(0);
+        });
+    });
+});
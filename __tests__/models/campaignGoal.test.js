@@ -0,0 +1,100 @@
+/**
+ * Unit tests for CampaignGoal model
+ */
+
+import {
+    normalizeGoalId,
+    normalizeCampaignGoals,
+    validateCampaignGoals,
+    findCampaignGoal,
+    buildGoalFunnel,
+} from '@/models/CampaignGoal';
+
+describe('CampaignGoal Model', () => {
+    describe('normalizeGoalId', () => {
+        it('should lowercase ids and replace spaces', () => {
+            expect(normalizeGoalId(' Trial Start ')).toBe('trial_start');
+            expect(normalizeGoalId('paid-plan!')).toBe('paid-plan');
+        });
+
+        it('should return null for empty ids', () => {
+            expect(normalizeGoalId('')).toBeNull();
+            expect(normalizeGoalId(null)).toBeNull();
+            expect(normalizeGoalId('!!')).toBeNull();
+        });
+    });
+
+    describe('normalizeCampaignGoals', () => {
+        it('should derive ids from names and parse payouts', () => {
+            const goals = normalizeCampaignGoals([
+                { name: 'Signup', payout_rules: { type: 'cpa', amount: '50.456' } },
+                { id: 'paid', name: 'Paid plan', payout_rules: { type: 'RevShare', percentage: '20' } },
+            ]);
+
+            expect(goals).toEqual([
+                { id: 'signup', name: 'Signup', payout_rules: { type: 'CPA', amount: 50.46 } },
+                { id: 'paid', name: 'Paid plan', payout_rules: { type: 'RevShare', percentage: 20 } },
+            ]);
+        });
+    });
+
+    describe('validateCampaignGoals', () => {
+        it('should accept valid goals', () => {
+            const goals = normalizeCampaignGoals([
+                { name: 'Signup', payout_rules: { type: 'CPA', amount: 50 } },
+                { name: 'Trial', payout_rules: { type: 'Fixed', amount: 0 } },
+            ]);
+            expect(validateCampaignGoals(goals)).toBeNull();
+        });
+
+        it('should reject duplicate ids', () => {
+            const goals = normalizeCampaignGoals([
+                { name: 'Signup', payout_rules: { type: 'CPA', amount: 50 } },
+                { name: 'signup', payout_rules: { type: 'CPA', amount: 10 } },
+            ]);
+            expect(validateCampaignGoals(goals)).toMatch(/more than once/);
+        });
+
+        it('should reject bad payout rules', () => {
+            expect(validateCampaignGoals(normalizeCampaignGoals([
+                { name: 'Paid', payout_rules: { type: 'RevShare', percentage: 120 } },
+            ]))).toMatch(/percentage/);
+            expect(validateCampaignGoals(normalizeCampaignGoals([
+                { name: 'Paid', payout_rules: { type: 'Bonus', amount: 5 } },
+            ]))).toMatch(/payout type/);
+            expect(validateCampaignGoals(normalizeCampaignGoals([
+                { name: '', payout_rules: { type: 'CPA', amount: 5 } },
+            ]))).toMatch(/name/);
+        });
+    });
+
+    describe('findCampaignGoal', () => {
+        const campaign = { goals: [{ id: 'signup', name: 'Signup' }, { id: 'trial_start', name: 'Trial start' }] };
+
+        it('should find goals by normalized id', () => {
+            expect(findCampaignGoal(campaign, 'Trial Start')).toBe(campaign.goals[1]);
+        });
+
+        it('should return null for unknown goals and campaigns without goals', () => {
+            expect(findCampaignGoal(campaign, 'purchase')).toBeNull();
+            expect(findCampaignGoal({}, 'signup')).toBeNull();
+            expect(findCampaignGoal(null, 'signup')).toBeNull();
+        });
+    });
+
+    describe('buildGoalFunnel', () => {
+        it('should add each goal with its rate from clicks and from the previous step', () => {
+            const goals = [{ id: 'signup', name: 'Signup' }, { id: 'trial', name: 'Trial' }];
+            const funnel = buildGoalFunnel(goals, 200, { signup: 50, trial: 10 });
+
+            expect(funnel.map(step => [step.name, step.value])).toEqual([['Clicks', 200], ['Signup', 50], ['Trial', 10]]);
+            expect(funnel[1]).toMatchObject({ goal: 'signup', rate: 25, stepRate: 25 });
+            expect(funnel[2]).toMatchObject({ goal: 'trial', rate: 5, stepRate: 20 });
+        });
+
+        it('should report zero rates without clicks', () => {
+            const funnel = buildGoalFunnel([{ id: 'signup', name: 'Signup' }], 0);
+            expect(funnel[1]).toMatchObject({ value: 0, rate: 0, stepRate: 0 });
+        });
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for ClickEvent model
+ */
+
+import {
+    extractSubIds,
+    MAX_SUB_ID_LENGTH,
+    getLandingPage,
+    mergeLandingPageStats,
+    toClickGeo,
+    mergeGeoStats,
+    CLICK_CONSENT,
+    parseClickConsent,
+    allowsAttributionCookie,
+} from '@/models/ClickEvent';
+
+describe('ClickEvent Model', () => {
+    describe('extractSubIds', () => {
+        it('should read sub-IDs from query parameters', () => {
+            const params = new URLSearchParams('affiliate_id=a1&sub1=banner&sub3=footer&other=x');
+            expect(extractSubIds(params)).toEqual({ sub1: 'banner', sub3: 'footer' });
+        });
+
+        it('should read sub-IDs from a plain object', () => {
+            expect(extractSubIds({ sub2: ' email ', sub5: 42 })).toEqual({ sub2: 'email', sub5: '42' });
+        });
+
+        it('should drop empty values and cap long ones', () => {
+            const result = extractSubIds({ sub1: '   ', sub2: 'x'.repeat(500) });
+            expect(result.sub1).toBeUndefined();
+            expect(result.sub2).toHaveLength(MAX_SUB_ID_LENGTH);
+        });
+
+        it('should return an empty object without a source', () => {
+            expect(extractSubIds(null)).toEqual({});
+        });
+    });
+
+    describe('parseClickConsent', () => {
+        it('should accept the states sent by tracking.js', () => {
+            expect(parseClickConsent('granted')).toBe(CLICK_CONSENT.GRANTED);
+            expect(parseClickConsent(' Pending ')).toBe(CLICK_CONSENT.PENDING);
+            expect(parseClickConsent('denied')).toBe(CLICK_CONSENT.DENIED);
+        });
+
+        it('should return null for missing or unknown values', () => {
+            expect(parseClickConsent(null)).toBeNull();
+            expect(parseClickConsent('unknown')).toBeNull();
+            expect(parseClickConsent('yes')).toBeNull();
+        });
+    });
+
+    describe('allowsAttributionCookie', () => {
+        it('should allow the cookie for granted consent and plain links', () => {
+            expect(allowsAttributionCookie(CLICK_CONSENT.GRANTED)).toBe(true);
+            expect(allowsAttributionCookie(null)).toBe(true);
+        });
+
+        it('should not allow the cookie while consent is pending or denied', () => {
+            expect(allowsAttributionCookie(CLICK_CONSENT.PENDING)).toBe(false);
+            expect(allowsAttributionCookie(CLICK_CONSENT.DENIED)).toBe(false);
+        });
+    });
+
+    describe('getLandingPage', () => {
+        it('should drop the query string and fragment', () => {
+            expect(getLandingPage('https://shop.example.com/product/1?aff_click_id=c1#reviews'))
+                .toBe('https://shop.example.com/product/1');
+        });
+
+        it('should resolve relative destinations against a base', () => {
+            expect(getLandingPage('/pricing?x=1', 'https://app.example.com/api/tracking/click'))
+                .toBe('https://app.example.com/pricing');
+        });
+
+        it('should return null for missing or non-http destinations', () => {
+            expect(getLandingPage(null)).toBeNull();
+            expect(getLandingPage('javascript:alert(1)')).toBeNull();
+        });
+    });
+
+    describe('mergeLandingPageStats', () => {
+        it('should combine clicks and revenue per landing page', () => {
+            const rows = mergeLandingPageStats(
+                [{ _id: 'https://a.test/x', clicks: 10 }, { _id: 'https://a.test/y', clicks: 4 }],
+                [{ _id: 'https://a.test/x', conversions: 2, revenue: 200, commission: 20 }]
+            );
+
+            expect(rows).toHaveLength(2);
+            expect(rows[0]).toMatchObject({ landingPage: 'https://a.test/x', clicks: 10, conversions: 2, commission: 20 });
+            expect(rows[0].conversionRate).toBe(20);
+            expect(rows[0].epc).toBe(2);
+            expect(rows[1]).toMatchObject({ landingPage: 'https://a.test/y', conversions: 0, revenue: 0 });
+        });
+    });
+
+    describe('toClickGeo', () => {
+        it('should map a city record to click fields', () => {
+            expect(toClickGeo({
+                country: { iso_code: 'IN', names: { en: 'India' } },
+                subdivisions: [{ iso_code: 'MH', names: { en: 'Maharashtra' } }],
+                city: { names: { en: 'Mumbai' } },
+                location: { latitude: 19.07, longitude: 72.88 },
+            })).toEqual({
+                country: 'IN',
+                countryName: 'India',
+                region: 'Maharashtra',
+                regionCode: 'MH',
+                city: 'Mumbai',
+                latitude: 19.07,
+                longitude: 72.88,
+            });
+        });
+
+        it('should fall back to the registered country and skip records without one', () => {
+            expect(toClickGeo({ registered_country: { iso_code: 'DE', names: { en: 'Germany' } } })).toMatchObject({
+                country: 'DE',
+                city: null,
+            });
+            expect(toClickGeo({ city: { names: { en: 'Nowhere' } } })).toBeNull();
+            expect(toClickGeo(null)).toBeNull();
+        });
+    });
+
+    describe('mergeGeoStats', () => {
+        it('should keep location details from the click rows', () => {
+            const rows = mergeGeoStats(
+                [
+                    { _id: 'IN', country: 'IN', countryName: 'India', latitude: 20, longitude: 77, clicks: 40 },
+                    { _id: 'US', country: 'US', countryName: 'United States', latitude: 38, longitude: -97, clicks: 60 },
+                ],
+                [{ _id: 'IN', conversions: 4, revenue: 400, commission: 40 }]
+            );
+
+            expect(rows.map(row => row.location)).toEqual(['US', 'IN']);
+            expect(rows[1]).toMatchObject({ countryName: 'India', latitude: 20, conversions: 4, conversionRate: 10, epc: 1 });
+        });
+    });
+
+});
@@ -0,0 +1,41 @@
+/**
+ * Unit tests for Conversion model
+ */
+
+import { parseConversionPixelParams, MAX_TRANSACTION_ID_LENGTH } from '@/models/Conversion';
+
+describe('Conversion Model', () => {
+    const params = (query) => new URL(`https://example.com/api/tracking/conversion?${query}`).searchParams;
+
+    describe('parseConversionPixelParams', () => {
+        it('should read the order from the query string', () => {
+            expect(parseConversionPixelParams(params('click_id=c1&order_id=ORD-9&amount=249.999&currency=usd'))).toEqual({
+                clickId: 'c1',
+                transactionId: 'ORD-9',
+                amount: 250,
+                currency: 'USD',
+            });
+        });
+
+        it('should prefer click_id over the cookie and fall back to it', () => {
+            expect(parseConversionPixelParams(params('click_id=c1'), 'cookie_click').clickId).toBe('c1');
+            expect(parseConversionPixelParams(params('amount=10'), 'cookie_click')).toMatchObject({
+                clickId: 'cookie_click',
+                transactionId: 'cookie_click',
+            });
+        });
+
+        it('should default invalid amounts and currencies', () => {
+            expect(parseConversionPixelParams(params('click_id=c1&amount=-5&currency=rupees'))).toMatchObject({
+                amount: 0,
+                currency: 'INR',
+            });
+            expect(parseConversionPixelParams(params('click_id=c1&amount={ORDER_TOTAL}')).amount).toBe(0);
+        });
+
+        it('should cap the order id length', () => {
+            const result = parseConversionPixelParams(params(`click_id=c1&transaction_id=${'x'.repeat(300)}`));
+            expect(result.transactionId).toHaveLength(MAX_TRANSACTION_ID_LENGTH);
+        });
+    });
+});
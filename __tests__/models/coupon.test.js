@@ -0,0 +1,52 @@
+/**
+ * Unit tests for Coupon model
+ */
+
+import {
+    normalizeCouponCode,
+    validateCoupon,
+    getCouponCredit,
+    ATTRIBUTION_SOURCES,
+} from '@/models/Coupon';
+
+describe('Coupon Model', () => {
+    describe('normalizeCouponCode', () => {
+        it('should trim and upper-case codes', () => {
+            expect(normalizeCouponCode('  diana20 ')).toBe('DIANA20');
+        });
+
+        it('should return an empty string for missing codes', () => {
+            expect(normalizeCouponCode(null)).toBe('');
+            expect(normalizeCouponCode(undefined)).toBe('');
+        });
+    });
+
+    describe('validateCoupon', () => {
+        const valid = { code: 'diana-20', affiliateId: 'aff_1', campaignId: 'camp_1' };
+
+        it('should accept a valid coupon', () => {
+            expect(validateCoupon(valid)).toBeNull();
+        });
+
+        it('should reject malformed codes', () => {
+            expect(validateCoupon({ ...valid, code: '' })).toBe('Coupon code is required');
+            expect(validateCoupon({ ...valid, code: 'AB' })).toContain('3-40 characters');
+            expect(validateCoupon({ ...valid, code: 'SAVE 20%' })).toContain('3-40 characters');
+        });
+
+        it('should require an affiliate, a campaign and a known status', () => {
+            expect(validateCoupon({ ...valid, affiliateId: '' })).toBe('Affiliate is required');
+            expect(validateCoupon({ ...valid, campaignId: null })).toBe('Campaign is required');
+            expect(validateCoupon({ ...valid, status: 'expired' })).toContain('Status must be one of');
+        });
+    });
+
+    describe('getCouponCredit', () => {
+        it('should mark revenue as coupon-attributed', () => {
+            expect(getCouponCredit({ code: 'DIANA20', affiliateId: 'aff_1' })).toEqual({
+                attributionSource: ATTRIBUTION_SOURCES.COUPON,
+                couponCode: 'DIANA20',
+            });
+        });
+    });
+});
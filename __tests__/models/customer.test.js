@@ -0,0 +1,81 @@
+/**
+ * Unit tests for Customer model
+ */
+
+import {
+    getCreditDurationMs,
+    isWithinCreditDuration,
+    maskEmail,
+    maskCustomerId,
+    getCustomerCredit,
+} from '@/models/Customer';
+import { ATTRIBUTION_SOURCES } from '@/models/Coupon';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Customer Model', () => {
+    describe('getCreditDurationMs', () => {
+        it('should return null when the campaign sets no duration', () => {
+            expect(getCreditDurationMs({ type: 'CPA', amount: 25 })).toBeNull();
+            expect(getCreditDurationMs('Custom rule text')).toBeNull();
+            expect(getCreditDurationMs(null)).toBeNull();
+        });
+
+        it('should treat lifetime as unlimited and once as no repeat credit', () => {
+            expect(getCreditDurationMs({ duration: 'lifetime' })).toBe(Infinity);
+            expect(getCreditDurationMs({ duration: 'Once' })).toBe(0);
+        });
+
+        it('should parse counted durations', () => {
+            expect(getCreditDurationMs({ duration: '90 days' })).toBe(90 * DAY_MS);
+            expect(getCreditDurationMs({ duration: '1 year' })).toBe(365 * DAY_MS);
+            expect(getCreditDurationMs({ duration: '6 months' })).toBe(180 * DAY_MS);
+        });
+
+        it('should not extend credit for unknown durations', () => {
+            expect(getCreditDurationMs({ duration: 'forever-ish' })).toBe(0);
+        });
+    });
+
+    describe('isWithinCreditDuration', () => {
+        const now = Date.parse('2024-06-01T00:00:00Z');
+
+        it('should always credit lifetime customers', () => {
+            expect(isWithinCreditDuration(Infinity, '2010-01-01T00:00:00Z', now)).toBe(true);
+        });
+
+        it('should compare the acquisition date against the duration', () => {
+            expect(isWithinCreditDuration(30 * DAY_MS, '2024-05-15T00:00:00Z', now)).toBe(true);
+            expect(isWithinCreditDuration(30 * DAY_MS, '2024-04-01T00:00:00Z', now)).toBe(false);
+        });
+
+        it('should never credit a zero duration', () => {
+            expect(isWithinCreditDuration(0, '2024-06-01T00:00:00Z', now)).toBe(false);
+        });
+    });
+
+    describe('masking', () => {
+        it('should keep only the first letters of the email name and domain', () => {
+            expect(maskEmail(' Jane.Doe@Gmail.com ')).toBe('j***@g***.com');
+        });
+
+        it('should return null for invalid emails', () => {
+            expect(maskEmail('not-an-email')).toBeNull();
+            expect(maskEmail('')).toBeNull();
+        });
+
+        it('should keep the last four characters of a customer id', () => {
+            expect(maskCustomerId('cus_NffrFeUfNV2Hib')).toBe('****2Hib');
+            expect(maskCustomerId(null)).toBeNull();
+        });
+    });
+
+    describe('getCustomerCredit', () => {
+        it('should record the customer attribution source and id', () => {
+            expect(getCustomerCredit({ _id: { toString: () => 'cust_1' } })).toEqual({
+                attributionSource: ATTRIBUTION_SOURCES.CUSTOMER,
+                customerId: 'cust_1',
+            });
+        });
+    });
+});
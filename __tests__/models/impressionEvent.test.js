@@ -0,0 +1,41 @@
+/**
+ * Unit tests for ImpressionEvent model
+ */
+
+import { extractCreativeId, calculateCtr, calculateEcpm, MAX_CREATIVE_ID_LENGTH } from '@/models/ImpressionEvent';
+
+describe('ImpressionEvent Model', () => {
+    describe('extractCreativeId', () => {
+        it('should read creative_id or creative', () => {
+            expect(extractCreativeId({ creative_id: ' banner-728 ' })).toBe('banner-728');
+            expect(extractCreativeId({ creative: 'sidebar' })).toBe('sidebar');
+        });
+
+        it('should cap long values and ignore empty ones', () => {
+            expect(extractCreativeId({ creative_id: 'x'.repeat(500) })).toHaveLength(MAX_CREATIVE_ID_LENGTH);
+            expect(extractCreativeId({ creative_id: '  ' })).toBeNull();
+            expect(extractCreativeId(null)).toBeNull();
+        });
+    });
+
+    describe('calculateCtr', () => {
+        it('should return clicks per impression in percent', () => {
+            expect(calculateCtr(3, 200)).toBe(1.5);
+        });
+
+        it('should return 0 without impressions', () => {
+            expect(calculateCtr(5, 0)).toBe(0);
+        });
+    });
+
+    describe('calculateEcpm', () => {
+        it('should return earnings per thousand impressions', () => {
+            expect(calculateEcpm(25, 5000)).toBe(5);
+            expect(calculateEcpm(10, 3)).toBe(3333.33);
+        });
+
+        it('should return 0 without impressions', () => {
+            expect(calculateEcpm(100, 0)).toBe(0);
+        });
+    });
+});
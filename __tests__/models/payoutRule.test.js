@@ -0,0 +1,153 @@
+/**
+ * Unit tests for PayoutRule model
+ */
+
+import {
+    isStructuredPayoutRule,
+    normalizePayoutRule,
+    validatePayoutRule,
+    parseLegacyPayoutRule,
+    calculatePayout,
+    describePayoutRule,
+} from '@/models/PayoutRule';
+
+describe('PayoutRule Model', () => {
+    const tiered = {
+        type: 'RevShare',
+        percentage: 15,
+        minOrderValue: 5000,
+        minCommission: 100,
+        maxCommission: 2000,
+        tiers: [{ minOrderValue: 20000, percentage: 20 }],
+    };
+
+    describe('isStructuredPayoutRule', () => {
+        it('should only accept objects with a known type', () => {
+            expect(isStructuredPayoutRule({ type: 'CPA', amount: 10 })).toBe(true);
+            expect(isStructuredPayoutRule('15% on all orders over ₹5,000')).toBe(false);
+            expect(isStructuredPayoutRule({ type: 'Bonus' })).toBe(false);
+            expect(isStructuredPayoutRule(null)).toBe(false);
+        });
+    });
+
+    describe('normalizePayoutRule', () => {
+        it('should parse form values, drop empty fields and sort tiers', () => {
+            const rules = normalizePayoutRule({
+                type: 'revshare',
+                percentage: '15',
+                minOrderValue: '5000',
+                minCommission: '',
+                maxCommission: '2000',
+                tiers: [{ minOrderValue: '50000', percentage: '25' }, { minOrderValue: '20000', percentage: '20' }],
+            });
+
+            expect(rules).toEqual({
+                type: 'RevShare',
+                percentage: 15,
+                minOrderValue: 5000,
+                maxCommission: 2000,
+                tiers: [{ minOrderValue: 20000, percentage: 20 }, { minOrderValue: 50000, percentage: 25 }],
+            });
+        });
+
+        it('should round flat amounts and remove empty tiers', () => {
+            expect(normalizePayoutRule({ type: 'CPA', amount: '50.456', tiers: [] })).toEqual({ type: 'CPA', amount: 50.46 });
+        });
+
+        it('should return free-text rules as they are', () => {
+            expect(normalizePayoutRule('15% on all orders')).toBe('15% on all orders');
+        });
+    });
+
+    describe('validatePayoutRule', () => {
+        it('should accept valid rules', () => {
+            expect(validatePayoutRule(tiered)).toBeNull();
+            expect(validatePayoutRule({ type: 'Fixed', amount: 0 })).toBeNull();
+        });
+
+        it('should reject missing and free-text rules', () => {
+            expect(validatePayoutRule(undefined)).toBe('Payout rules are required');
+            expect(validatePayoutRule('15% on all orders over ₹5,000')).toMatch(/must be structured/);
+        });
+
+        it('should reject bad rates and limits', () => {
+            expect(validatePayoutRule({ type: 'RevShare', percentage: 120 })).toMatch(/Percentage/);
+            expect(validatePayoutRule({ type: 'CPA', amount: -1 })).toMatch(/amount/);
+            expect(validatePayoutRule({ type: 'CPA', amount: 10, minOrderValue: -5 })).toMatch(/minOrderValue/);
+            expect(validatePayoutRule({ type: 'CPA', amount: 10, minCommission: 50, maxCommission: 20 })).toMatch(/cannot be more/);
+        });
+
+        it('should reject bad tiers', () => {
+            expect(validatePayoutRule({ ...tiered, tiers: [{ minOrderValue: 0, percentage: 20 }] })).toMatch(/above 0/);
+            expect(validatePayoutRule({
+                ...tiered,
+                tiers: [{ minOrderValue: 20000, percentage: 20 }, { minOrderValue: 20000, percentage: 25 }],
+            })).toMatch(/More than one tier/);
+            expect(validatePayoutRule({ ...tiered, tiers: [{ minOrderValue: 20000, percentage: 0 }] })).toMatch(/Tier percentages/);
+        });
+    });
+
+    describe('parseLegacyPayoutRule', () => {
+        it('should convert known free-text wordings', () => {
+            expect(parseLegacyPayoutRule('15% on all orders over ₹5,000')).toEqual({ type: 'RevShare', percentage: 15, minOrderValue: 5000 });
+            expect(parseLegacyPayoutRule('12.5% of sales')).toEqual({ type: 'RevShare', percentage: 12.5 });
+            expect(parseLegacyPayoutRule('Rs. 250 per sale')).toEqual({ type: 'CPA', amount: 250 });
+        });
+
+        it('should leave anything else alone', () => {
+            expect(parseLegacyPayoutRule('Ask the account manager')).toBeNull();
+            expect(parseLegacyPayoutRule('150% on all orders')).toBeNull();
+            expect(parseLegacyPayoutRule({ type: 'CPA', amount: 10 })).toBeNull();
+        });
+    });
+
+    describe('calculatePayout', () => {
+        it('should pay flat payouts split by attribution weight', () => {
+            const rules = { type: 'CPA', amount: 100 };
+            expect(calculatePayout(rules, { amount: 999 })).toBe(100);
+            expect(calculatePayout(rules, { amount: 999, weight: 0.25 })).toBe(25);
+        });
+
+        it('should pay a percentage of the credited amount', () => {
+            const rules = { type: 'RevShare', percentage: 20 };
+            expect(calculatePayout(rules, { amount: 499.99 })).toBe(100);
+            expect(calculatePayout(rules, { amount: 0 })).toBe(0);
+        });
+
+        it('should pay nothing below the minimum order value', () => {
+            expect(calculatePayout(tiered, { amount: 4999 })).toBe(0);
+        });
+
+        it('should use the highest tier the order reaches', () => {
+            expect(calculatePayout(tiered, { amount: 10000 })).toBe(1500);
+            expect(calculatePayout(tiered, { amount: 20000 })).toBe(2000);
+            expect(calculatePayout({ ...tiered, maxCommission: undefined }, { amount: 30000 })).toBe(6000);
+        });
+
+        it('should apply the min and max commission', () => {
+            expect(calculatePayout(tiered, { amount: 5000 })).toBe(750);
+            expect(calculatePayout({ ...tiered, minCommission: 1000 }, { amount: 5000 })).toBe(1000);
+            expect(calculatePayout(tiered, { amount: 15000 })).toBe(2000);
+        });
+
+        it('should pick the tier by order value and split the limits by weight', () => {
+            // Half of a ₹40,000 order: 20% of ₹20,000, capped at half of ₹2,000
+            expect(calculatePayout(tiered, { amount: 20000, orderValue: 40000, weight: 0.5 })).toBe(1000);
+        });
+
+        it('should return null for free-text rules', () => {
+            expect(calculatePayout('15% on all orders', { amount: 1000 })).toBeNull();
+        });
+    });
+
+    describe('describePayoutRule', () => {
+        it('should describe structured rules', () => {
+            expect(describePayoutRule(tiered)).toBe('15% of orders over ₹5,000, 20% from ₹20,000, min ₹100, max ₹2,000');
+            expect(describePayoutRule({ type: 'CPA', amount: 50 })).toBe('₹50 per conversion');
+        });
+
+        it('should return free-text rules as they are', () => {
+            expect(describePayoutRule('15% on all orders')).toBe('15% on all orders');
+        });
+    });
+});
@@ -0,0 +1,35 @@
+/**
+ * Unit tests for Revenue model
+ */
+
+import { Revenue, REVENUE_STATUSES } from '@/models/Revenue';
+
+describe('Revenue Model', () => {
+    const revenue = {
+        stripePaymentId: 'pi_1',
+        amount: 1000,
+        currency: 'INR',
+        affiliateId: 'aff1',
+        campaignId: 'camp1',
+        commissionAmount: 100,
+    };
+
+    describe('validate', () => {
+        it('should accept a complete revenue row', () => {
+            expect(Revenue.validate({ ...revenue, status: 'succeeded' })).toBeNull();
+        });
+
+        it.each(['reversed', 'disputed', 'partially_refunded'])('should accept %s rows written after crediting', (status) => {
+            expect(Revenue.validate({ ...revenue, status })).toBeNull();
+        });
+
+        it('should reject unknown statuses', () => {
+            expect(Revenue.validate({ ...revenue, status: 'paid' })).toBe(`Status must be one of: ${REVENUE_STATUSES.join(', ')}`);
+        });
+
+        it('should require a rejection reason on rejected rows', () => {
+            expect(Revenue.validate({ ...revenue, status: 'rejected' })).toBe('Rejected revenue must include a rejection reason');
+            expect(Revenue.validate({ ...revenue, status: 'rejected', rejectionReason: 'click_filtered' })).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for RoutingRule model
+ */
+
+import {
+    normalizeRoutingRules,
+    validateRoutingRules,
+    getPreferredLanguage,
+    getRoutingContext,
+    findRoutingRule,
+} from '@/models/RoutingRule';
+
+const rules = normalizeRoutingRules([
+    { name: 'iOS in India', url: 'https://apps.apple.com/app/id1?ref={affiliate_id}', conditions: { devices: ['mobile'], os: ['iOS'], countries: 'in' } },
+    { name: 'Desktop', url: 'https://shop.example.com/web', conditions: { devices: ['desktop'] } },
+    { name: 'Portuguese', url: 'https://shop.example.com/pt', conditions: { languages: 'pt' } },
+]);
+
+describe('RoutingRule Model', () => {
+    describe('normalizeRoutingRules', () => {
+        it('should assign ids and normalize condition lists', () => {
+            expect(rules.map(rule => rule.id)).toEqual(['r1', 'r2', 'r3']);
+            expect(rules[0].conditions).toEqual({ countries: ['IN'], devices: ['mobile'], os: ['iOS'], languages: [] });
+            expect(rules[2].conditions.languages).toEqual(['pt']);
+        });
+
+        it('should keep existing ids and name unnamed rules', () => {
+            const normalized = normalizeRoutingRules([{ id: 'r1', url: 'https://a.com' }, { url: 'https://b.com' }]);
+            expect(normalized.map(rule => rule.id)).toEqual(['r1', 'r2']);
+            expect(normalized[1].name).toBe('Rule 2');
+        });
+    });
+
+    describe('validateRoutingRules', () => {
+        it('should accept valid rules including off-domain URLs', () => {
+            expect(validateRoutingRules(rules)).toBeNull();
+        });
+
+        it('should reject missing URLs, unknown macros and bad conditions', () => {
+            expect(validateRoutingRules(normalizeRoutingRules([{ name: 'A' }]))).toMatch(/URL is required/);
+            expect(validateRoutingRules(normalizeRoutingRules([{ name: 'A', url: 'https://a.com/?x={nope}' }]))).toMatch(/nope/);
+            expect(validateRoutingRules(normalizeRoutingRules([{ name: 'A', url: 'https://a.com', conditions: { countries: 'India' } }]))).toMatch(/country/);
+            expect(validateRoutingRules(normalizeRoutingRules([{ name: 'A', url: 'https://a.com', conditions: { devices: ['tv'] } }]))).toMatch(/device/);
+            expect(validateRoutingRules(normalizeRoutingRules([{ name: 'A', url: 'https://a.com', conditions: { os: ['BeOS'] } }]))).toMatch(/OS/);
+        });
+    });
+
+    describe('getPreferredLanguage', () => {
+        it('should return the highest quality language tag', () => {
+            expect(getPreferredLanguage('en;q=0.5,pt-BR,pt;q=0.9')).toBe('pt-br');
+            expect(getPreferredLanguage('*')).toBeNull();
+            expect(getPreferredLanguage(undefined)).toBeNull();
+        });
+    });
+
+    describe('findRoutingRule', () => {
+        it('should return the first matching rule', () => {
+            const iphoneInIndia = getRoutingContext({ deviceType: 'mobile', os: 'iOS', country: 'IN', acceptLanguage: 'pt-BR' });
+            expect(findRoutingRule(rules, iphoneInIndia).name).toBe('iOS in India');
+        });
+
+        it('should treat clicks without a device type as desktop', () => {
+            const mac = getRoutingContext({ deviceType: undefined, os: 'macOS', country: 'US' });
+            expect(findRoutingRule(rules, mac).name).toBe('Desktop');
+        });
+
+        it('should match a primary language against regional tags', () => {
+            const android = getRoutingContext({ deviceType: 'mobile', os: 'Android', acceptLanguage: 'pt-BR,pt;q=0.9' });
+            expect(findRoutingRule(rules, android).name).toBe('Portuguese');
+        });
+
+        it('should return null when no rule matches', () => {
+            const iphoneInUs = getRoutingContext({ deviceType: 'mobile', os: 'iOS', country: 'US', acceptLanguage: 'en-US' });
+            expect(findRoutingRule(rules, iphoneInUs)).toBeNull();
+            expect(findRoutingRule(undefined, iphoneInUs)).toBeNull();
+        });
+
+        it('should treat a rule without conditions as a catch-all', () => {
+            const withFallback = normalizeRoutingRules([...rules, { name: 'Everyone', url: 'https://shop.example.com/all' }]);
+            const tablet = getRoutingContext({ deviceType: 'tablet', os: 'iOS' });
+            expect(findRoutingRule(withFallback, tablet).name).toBe('Everyone');
+        });
+    });
+});
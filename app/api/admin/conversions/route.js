@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { ObjectId } from 'mongodb';
+import { getDb } from '@/lib/db';
+import { requireAdmin, getAuthUser } from '@/lib/auth';
+import {
+    listUnconfirmedConversions,
+    approveConversions,
+    rejectConversions
+} from '@/lib/conversionReview';
+
+const REVIEW_ACTIONS = ['approve', 'reject'];
+
+/**
+ * GET /api/admin/conversions
+ * Lists unconfirmed revenue rows (reported by the tracking script or the pixel) waiting for review.
+ * Query: limit (max 200)
+ */
+export async function GET(request) {
+    const authError = requireAdmin(request);
+    if (authError) return authError;
+
+    try {
+        const { searchParams } = new URL(request.url);
+        const limit = Math.min(parseInt(searchParams.get('limit')) || 100, 200);
+
+        const db = await getDb();
+        const conversions = await listUnconfirmedConversions(db, limit);
+
+        return NextResponse.json({ success: true, data: conversions });
+    } catch (error) {
+        console.error('Error fetching unconfirmed conversions:', error);
+        return NextResponse.json({ success: false, error: 'Failed to fetch conversions' }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/admin/conversions
+ * Approves or rejects unconfirmed revenue rows. Approved rows are added to the affiliate's
+ * earnings and fire the affiliate's postbacks; rejected rows are kept with status rejected.
+ * Payload: { ids: [revenueId], action: 'approve' | 'reject', reason? }
+ */
+export async function POST(request) {
+    const authError = requireAdmin(request);
+    if (authError) return authError;
+
+    const admin = getAuthUser(request);
+
+    try {
+        const { ids, action, reason } = await request.json();
+
+        if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => ObjectId.isValid(id))) {
+            return NextResponse.json({ success: false, error: 'ids must be a list of revenue ids' }, { status: 400 });
+        }
+
+        if (!REVIEW_ACTIONS.includes(action)) {
+            return NextResponse.json({ success: false, error: 'action must be approve or reject' }, { status: 400 });
+        }
+
+        const db = await getDb();
+        const reviewer = admin?.userId || admin?.email || 'admin';
+        const reviewed = action === 'approve'
+            ? await approveConversions(db, ids, reviewer)
+            : await rejectConversions(db, ids, reviewer, reason);
+
+        return NextResponse.json({
+            success: true,
+            data: { action, reviewed, skipped: ids.length - reviewed },
+            message: `${reviewed} conversion(s) ${action === 'approve' ? 'approved' : 'rejected'}`
+        });
+    } catch (error) {
+        console.error('Error reviewing conversions:', error);
+        return NextResponse.json({ success: false, error: 'Failed to review conversions' }, { status: 500 });
+    }
+}
@@ -0,0 +1,196 @@
+import { NextResponse } from 'next/server';
+import { ObjectId } from 'mongodb';
+import { getDb } from '@/lib/db';
+import { requireAdmin, getAuthUser } from '@/lib/auth';
+import { findCampaign } from '@/lib/campaigns';
+import { USERS_COLLECTION } from '@/models/User';
+import { AFFILIATE_PROFILES_COLLECTION } from '@/models/AffiliateProfile';
+import { REVENUE_COLLECTION } from '@/models/Revenue';
+import {
+    COUPONS_COLLECTION,
+    COUPON_STATUS,
+    normalizeCouponCode,
+    validateCoupon
+} from '@/models/Coupon';
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * GET /api/admin/coupons
+ * Lists all coupon codes with the number of conversions credited through each.
+ */
+export async function GET(request) {
+    const authError = requireAdmin(request);
+    if (authError) return authError;
+
+    try {
+        const db = await getDb();
+        const coupons = await db.collection(COUPONS_COLLECTION)
+            .find({})
+            .sort({ createdAt: -1 })
+            .toArray();
+
+        const usage = await db.collection(REVENUE_COLLECTION).aggregate([
+            { $match: { couponCode: { $in: coupons.map(c => c.code) }, status: { $ne: 'rejected' } } },
+            {
+                $group: {
+                    _id: '$couponCode',
+                    conversions: { $sum: 1 },
+                    revenue: { $sum: '$amount' }
+                }
+            }
+        ]).toArray();
+
+        const data = coupons.map(coupon => {
+            const stat = usage.find(row => row._id === coupon.code);
+            return { ...coupon, conversions: stat?.conversions || 0, revenue: stat?.revenue || 0 };
+        });
+
+        return NextResponse.json({ success: true, data });
+    } catch (error) {
+        console.error('Error fetching coupons:', error);
+        return NextResponse.json({ success: false, error: 'Failed to fetch coupons' }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/admin/coupons
+ * Assigns a coupon code to an affiliate and campaign.
+ * Payload: { code, affiliateId, campaignId, description? }
+ */
+export async function POST(request) {
+    const authError = requireAdmin(request);
+    if (authError) return authError;
+
+    const admin = getAuthUser(request);
+
+    try {
+        const body = await request.json();
+
+        const validationError = validateCoupon(body);
+        if (validationError) {
+            return NextResponse.json({ success: false, error: validationError }, { status: 400 });
+        }
+
+        if (!ObjectId.isValid(body.affiliateId)) {
+            return NextResponse.json({ success: false, error: 'Invalid affiliate ID' }, { status: 400 });
+        }
+
+        const db = await getDb();
+        const affiliateOid = new ObjectId(body.affiliateId);
+
+        const [profile, user, campaign] = await Promise.all([
+            db.collection(AFFILIATE_PROFILES_COLLECTION).findOne({ userId: affiliateOid }),
+            db.collection(USERS_COLLECTION).findOne({ _id: affiliateOid }),
+            findCampaign(db, body.campaignId)
+        ]);
+
+        if (!profile) {
+            return NextResponse.json({ success: false, error: 'Affiliate not found' }, { status: 404 });
+        }
+
+        if (!campaign) {
+            return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+        }
+
+        const coupon = {
+            code: normalizeCouponCode(body.code),
+            affiliateId: body.affiliateId,
+            affiliateName: user?.name || user?.email || null,
+            campaignId: campaign._id.toString(),
+            campaignName: campaign.name,
+            status: COUPON_STATUS.ACTIVE,
+            description: body.description ? String(body.description).trim().slice(0, 200) : '',
+            createdBy: admin?.userId || admin?.email || 'admin',
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            const result = await db.collection(COUPONS_COLLECTION).insertOne(coupon);
+            coupon._id = result.insertedId;
+        } catch (err) {
+            if (err?.code !== DUPLICATE_KEY_ERROR) throw err;
+
+            return NextResponse.json(
+                { success: false, error: `Coupon code ${coupon.code} is already assigned` },
+                { status: 409 }
+            );
+        }
+
+        return NextResponse.json({ success: true, message: 'Coupon assigned', data: coupon }, { status: 201 });
+    } catch (error) {
+        console.error('Error creating coupon:', error);
+        return NextResponse.json({ success: false, error: 'Failed to create coupon' }, { status: 500 });
+    }
+}
+
+/**
+ * PUT /api/admin/coupons
+ * Activates or deactivates a coupon. Inactive codes no longer credit their affiliate.
+ * Payload: { id, status: 'active' | 'inactive' }
+ */
+export async function PUT(request) {
+    const authError = requireAdmin(request);
+    if (authError) return authError;
+
+    try {
+        const { id, status } = await request.json();
+
+        if (!id || !ObjectId.isValid(id)) {
+            return NextResponse.json({ success: false, error: 'Valid coupon id is required' }, { status: 400 });
+        }
+
+        if (!Object.values(COUPON_STATUS).includes(status)) {
+            return NextResponse.json(
+                { success: false, error: `Status must be one of: ${Object.values(COUPON_STATUS).join(', ')}` },
+                { status: 400 }
+            );
+        }
+
+        const db = await getDb();
+        const result = await db.collection(COUPONS_COLLECTION).updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { status, updatedAt: new Date().toISOString() } }
+        );
+
+        if (result.matchedCount === 0) {
+            return NextResponse.json({ success: false, error: 'Coupon not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, message: 'Coupon updated' });
+    } catch (error) {
+        console.error('Error updating coupon:', error);
+        return NextResponse.json({ success: false, error: 'Failed to update coupon' }, { status: 500 });
+    }
+}
+
+/**
+ * DELETE /api/admin/coupons?id=
+ * Removes a coupon assignment. Revenue already credited through it is kept.
+ */
+export async function DELETE(request) {
+    const authError = requireAdmin(request);
+    if (authError) return authError;
+
+    try {
+        const { searchParams } = new URL(request.url);
+        const id = searchParams.get('id');
+
+        if (!id || !ObjectId.isValid(id)) {
+            return NextResponse.json({ success: false, error: 'Valid coupon id is required' }, { status: 400 });
+        }
+
+        const db = await getDb();
+        const result = await db.collection(COUPONS_COLLECTION).deleteOne({ _id: new ObjectId(id) });
+
+        if (result.deletedCount === 0) {
+            return NextResponse.json({ success: false, error: 'Coupon not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, message: 'Coupon removed' });
+    } catch (error) {
+        console.error('Error deleting coupon:', error);
+        return NextResponse.json({ success: false, error: 'Failed to delete coupon' }, { status: 500 });
+    }
+}
@@ -52,6 +52,7 @@ export async function GET(request) {
                     _id: "$ipAddress",
                     count: { $sum: 1 },
                     reasons: { $addToSet: "$filterReason" },
+                    country: { $first: "$geo.country" },
                     lastSeen: { $max: "$createdAt" }
                 }
             },
@@ -92,6 +93,27 @@ export async function GET(request) {
             { $sort: { _id: 1 } }
         ]).toArray();
 
+        // 6. Traffic by Country (Map), from clicks enriched by the GeoIP database
+        const trafficByCountry = await collection.aggregate([
+            {
+                $match: {
+                    createdAt: dateFilter,
+                    "geo.country": { $type: "string" }
+                }
+            },
+            {
+                $group: {
+                    _id: "$geo.country",
+                    countryName: { $first: "$geo.countryName" },
+                    latitude: { $avg: "$geo.latitude" },
+                    longitude: { $avg: "$geo.longitude" },
+                    clicks: { $sum: 1 },
+                    flagged: { $sum: { $cond: ["$filtered", 1, 0] } }
+                }
+            },
+            { $sort: { clicks: -1 } }
+        ]).toArray();
+
         return NextResponse.json({
             success: true,
             data: {
@@ -105,10 +127,20 @@ export async function GET(request) {
                     ip: o._id,
                     count: o.count,
                     reasons: o.reasons,
+                    country: o.country || null,
                     lastSeen: o.lastSeen
                 })),
                 recentEvents,
-                dailyTrend: dailyTrend.map(d => ({ date: d._id, count: d.count }))
+                dailyTrend: dailyTrend.map(d => ({ date: d._id, count: d.count })),
+                countries: trafficByCountry.map(c => ({
+                    country: c._id,
+                    countryName: c.countryName,
+                    latitude: c.latitude,
+                    longitude: c.longitude,
+                    clicks: c.clicks,
+                    flagged: c.flagged,
+                    fraudRate: c.clicks > 0 ? (c.flagged / c.clicks) * 100 : 0
+                }))
             }
         });
 
@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/lib/auth';
+import { getGeoDatabaseStatus, validateGeoDatabase, saveGeoDatabase } from '@/lib/geoip';
+
+// GeoLite2-City is about 60 MB; leave room for larger commercial editions
+const MAX_DATABASE_BYTES = 200 * 1024 * 1024;
+
+/**
+ * GET /api/admin/geoip
+ * Returns the GeoIP database used to enrich clicks with country, region and city.
+ * Admin only.
+ */
+export async function GET(request) {
+    const authError = requireAdmin(request);
+    if (authError) return authError;
+
+    try {
+        return NextResponse.json({ success: true, data: getGeoDatabaseStatus() });
+    } catch (error) {
+        console.error('Error reading GeoIP status:', error);
+        return NextResponse.json({ success: false, error: 'Failed to read GeoIP status' }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/admin/geoip
+ * Uploads a MaxMind DB (.mmdb) file, replacing the current database. New clicks are
+ * enriched from it immediately; earlier clicks keep their stored location.
+ * Payload: multipart/form-data with a `file` field
+ */
+export async function POST(request) {
+    const authError = requireAdmin(request);
+    if (authError) return authError;
+
+    try {
+        const formData = await request.formData();
+        const file = formData.get('file');
+
+        if (!file || typeof file.arrayBuffer !== 'function') {
+            return NextResponse.json({ success: false, error: 'A .mmdb file is required' }, { status: 400 });
+        }
+
+        if (file.size > MAX_DATABASE_BYTES) {
+            return NextResponse.json({ success: false, error: 'GeoIP database must be 200 MB or smaller' }, { status: 413 });
+        }
+
+        const buffer = Buffer.from(await file.arrayBuffer());
+        const validationError = validateGeoDatabase(buffer);
+        if (validationError) {
+            return NextResponse.json({ success: false, error: validationError }, { status: 400 });
+        }
+
+        const status = await saveGeoDatabase(buffer);
+
+        console.log('GeoIP database uploaded:', { type: status.databaseType, size: status.size });
+
+        return NextResponse.json({ success: true, data: status, message: 'GeoIP database updated' });
+    } catch (error) {
+        console.error('Error uploading GeoIP database:', error);
+        return NextResponse.json({ success: false, error: 'Failed to save GeoIP database' }, { status: 500 });
+    }
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { getDb } from '@/lib/db';
+import { requireAdmin } from '@/lib/auth';
+import { processDueDeliveries } from '@/lib/affiliatePostbacks';
+
+/**
+ * POST /api/admin/postback-deliveries
+ * Sends due affiliate postback deliveries now instead of waiting for the delivery worker,
+ * e.g. when the worker is disabled (POSTBACK_DELIVERY_INTERVAL_SECONDS=0) and an external scheduler runs them.
+ * Payload (optional): { limit }
+ */
+export async function POST(request) {
+    const authError = requireAdmin(request);
+    if (authError) return authError;
+
+    try {
+        const body = await request.json().catch(() => ({}));
+        const limit = Math.min(parseInt(body.limit) || 50, 200);
+
+        const db = await getDb();
+        const summary = await processDueDeliveries(db, limit);
+
+        if (summary.processed > 0) {
+            console.log('Affiliate postback deliveries processed:', summary);
+        }
+
+        return NextResponse.json({ success: true, data: summary });
+    } catch (error) {
+        console.error('Error processing postback deliveries:', error);
+        return NextResponse.json({ success: false, error: 'Failed to process deliveries' }, { status: 500 });
+    }
+}
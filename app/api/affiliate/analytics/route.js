@@ -2,6 +2,12 @@ import { NextResponse } from 'next/server';
 import { ObjectId } from 'mongodb';
 import { getDb } from '@/lib/db';
 import { CAMPAIGNS_COLLECTION } from '@/models/Campaign';
+import { IMPRESSION_EVENTS_COLLECTION, calculateCtr, calculateEcpm } from '@/models/ImpressionEvent';
+import { COUPONS_COLLECTION, ATTRIBUTION_SOURCE_EXPRESSION } from '@/models/Coupon';
+import { CONVERSION_KEY_EXPRESSION } from '@/models/Revenue';
+import { mergeLandingPageStats } from '@/models/ClickEvent';
+import { getGeoBreakdown } from '@/lib/geoip';
+import { getGoalFunnels } from '@/lib/campaignGoals';
 import jwt from 'jsonwebtoken';
 
 // Collections
@@ -47,34 +53,53 @@ export async function GET(request) {
 
         // Aggregate Revenue/Commissions by Campaign
         const revenueStats = await db.collection(REVENUE_COLLECTION).aggregate([
-            { $match: { affiliateId: affiliateId } },
+            { $match: { affiliateId: affiliateId, status: { $ne: 'rejected' } } }, // Exclude rejected conversions
             {
                 $group: {
                     _id: '$campaignId',
-                    conversions: { $sum: 1 },
+                    conversionKeys: { $addToSet: CONVERSION_KEY_EXPRESSION },
                     totalRevenue: { $sum: '$amount' },
                     totalCommission: { $sum: '$commissionAmount' }
                 }
+            },
+            { $set: { conversions: { $size: '$conversionKeys' } } },
+            { $unset: 'conversionKeys' }
+        ]).toArray();
+
+        // Aggregate Impressions by Campaign
+        const impressionStats = await db.collection(IMPRESSION_EVENTS_COLLECTION).aggregate([
+            { $match: { affiliateId: affiliateId, filtered: { $ne: true } } }, // Exclude bots
+            {
+                $group: {
+                    _id: '$campaignId',
+                    impressions: { $sum: 1 }
+                }
             }
         ]).toArray();
 
         // Merge Stats and Fetch Campaign Details
         const campaignMap = {};
+        const campaignRow = (campId) => {
+            if (!campaignMap[campId]) campaignMap[campId] = { id: campId, impressions: 0, clicks: 0, conversions: 0, revenue: 0, commission: 0 };
+            return campaignMap[campId];
+        };
+
+        // Process Impressions
+        impressionStats.forEach(stat => {
+            campaignRow(stat._id || 'unknown').impressions = stat.impressions;
+        });
 
         // Process Clicks
         clickStats.forEach(stat => {
-            const campId = stat._id || 'unknown';
-            if (!campaignMap[campId]) campaignMap[campId] = { id: campId, clicks: 0, conversions: 0, revenue: 0, commission: 0 };
-            campaignMap[campId].clicks = stat.clicks;
+            campaignRow(stat._id || 'unknown').clicks = stat.clicks;
         });
 
         // Process Revenue
         revenueStats.forEach(stat => {
-            const campId = stat._id || 'unknown';
-            if (!campaignMap[campId]) campaignMap[campId] = { id: campId, clicks: 0, conversions: 0, revenue: 0, commission: 0 };
-            campaignMap[campId].conversions = stat.conversions;
-            campaignMap[campId].revenue = stat.totalRevenue;
-            campaignMap[campId].commission = stat.totalCommission;
+            const row = campaignRow(stat._id || 'unknown');
+            row.conversions = stat.conversions;
+            row.revenue = stat.totalRevenue;
+            row.commission = stat.totalCommission;
         });
 
         // Fetch Campaign Names
@@ -105,7 +130,9 @@ export async function GET(request) {
             ...camp,
             name: camp.name || 'Unknown Campaign',
             conversionRate: camp.clicks > 0 ? (camp.conversions / camp.clicks) * 100 : 0,
-            epc: camp.clicks > 0 ? (camp.commission / camp.clicks) : 0
+            epc: camp.clicks > 0 ? (camp.commission / camp.clicks) : 0,
+            ctr: calculateCtr(camp.clicks, camp.impressions),
+            ecpm: calculateEcpm(camp.commission, camp.impressions)
         }));
 
 
@@ -132,11 +159,29 @@ export async function GET(request) {
             { $sort: { _id: 1 } }
         ]).toArray();
 
+        // Aggregate Daily Impressions
+        const dailyImpressions = await db.collection(IMPRESSION_EVENTS_COLLECTION).aggregate([
+            {
+                $match: {
+                    affiliateId: affiliateId,
+                    filtered: { $ne: true },
+                    createdAt: { $gte: dateLimit }
+                }
+            },
+            {
+                $group: {
+                    _id: { $substr: ['$createdAt', 0, 10] },
+                    impressions: { $sum: 1 }
+                }
+            }
+        ]).toArray();
+
         // Aggregate Daily Commissions
         const dailyRevenue = await db.collection(REVENUE_COLLECTION).aggregate([
             {
                 $match: {
                     affiliateId: affiliateId,
+                    status: { $ne: 'rejected' },
                     createdAt: { $gte: dateLimit }
                 }
             },
@@ -156,7 +201,7 @@ export async function GET(request) {
             const d = new Date();
             d.setDate(d.getDate() - i);
             const dateStr = d.toISOString().split('T')[0];
-            dailyMap[dateStr] = { date: dateStr, clicks: 0, earnings: 0 };
+            dailyMap[dateStr] = { date: dateStr, impressions: 0, clicks: 0, earnings: 0 };
         }
 
         dailyClicks.forEach(item => {
@@ -167,6 +212,10 @@ export async function GET(request) {
             if (dailyMap[item._id]) dailyMap[item._id].earnings = item.commission;
         });
 
+        dailyImpressions.forEach(item => {
+            if (dailyMap[item._id]) dailyMap[item._id].impressions = item.impressions;
+        });
+
         const dailyPerformance = Object.values(dailyMap).sort((a, b) => a.date.localeCompare(b.date));
 
         // 4. Get Funnel Metrics (Total Clicks vs Total Conversions)
@@ -175,21 +224,184 @@ export async function GET(request) {
             filtered: { $ne: true }
         });
 
-        const totalFunnelConversions = await db.collection(REVENUE_COLLECTION).countDocuments({
-            affiliateId: affiliateId
-        });
+        // One conversion per transaction, however many touches or goals it credited
+        const [conversionTotals] = await db.collection(REVENUE_COLLECTION).aggregate([
+            { $match: { affiliateId: affiliateId, status: { $ne: 'rejected' } } },
+            { $group: { _id: null, conversionKeys: { $addToSet: CONVERSION_KEY_EXPRESSION } } },
+            { $project: { conversions: { $size: '$conversionKeys' } } }
+        ]).toArray();
+        const totalFunnelConversions = conversionTotals?.conversions || 0;
+
+        const totalFunnelImpressions = impressionStats.reduce((sum, stat) => sum + stat.impressions, 0);
+        const totalCommission = campaignPerformance.reduce((sum, camp) => sum + camp.commission, 0);
 
         const funnelMetrics = [
+            ...(totalFunnelImpressions > 0 ? [{ name: 'Impressions', value: totalFunnelImpressions, fill: '#8b5cf6' }] : []),
             { name: 'Clicks', value: totalFunnelClicks, fill: '#3b82f6' }, // Primary Color
             { name: 'Conversions', value: totalFunnelConversions, fill: '#10b981' } // Success Color
         ];
 
+        // 5. Get Sub-ID Breakdown (one row per sub-ID key/value pair)
+        const subIdClicks = await db.collection(CLICK_EVENTS_COLLECTION).aggregate([
+            { $match: { affiliateId: affiliateId, filtered: { $ne: true }, subIds: { $type: 'object' } } },
+            { $project: { sub: { $objectToArray: '$subIds' } } },
+            { $unwind: '$sub' },
+            {
+                $group: {
+                    _id: { key: '$sub.k', value: '$sub.v' },
+                    clicks: { $sum: 1 }
+                }
+            }
+        ]).toArray();
+
+        const subIdRevenue = await db.collection(REVENUE_COLLECTION).aggregate([
+            { $match: { affiliateId: affiliateId, status: { $ne: 'rejected' }, subIds: { $type: 'object' } } },
+            { $project: { sub: { $objectToArray: '$subIds' }, amount: 1, commissionAmount: 1 } },
+            { $unwind: '$sub' },
+            {
+                $group: {
+                    _id: { key: '$sub.k', value: '$sub.v' },
+                    conversionKeys: { $addToSet: CONVERSION_KEY_EXPRESSION },
+                    totalRevenue: { $sum: '$amount' },
+                    totalCommission: { $sum: '$commissionAmount' }
+                }
+            },
+            { $set: { conversions: { $size: '$conversionKeys' } } },
+            { $unset: 'conversionKeys' }
+        ]).toArray();
+
+        const subIdMap = {};
+        const subIdRow = (id) => {
+            const mapKey = `${id.key}:${id.value}`;
+            if (!subIdMap[mapKey]) subIdMap[mapKey] = { key: id.key, value: id.value, clicks: 0, conversions: 0, revenue: 0, commission: 0 };
+            return subIdMap[mapKey];
+        };
+
+        subIdClicks.forEach(stat => {
+            subIdRow(stat._id).clicks = stat.clicks;
+        });
+
+        subIdRevenue.forEach(stat => {
+            const row = subIdRow(stat._id);
+            row.conversions = stat.conversions;
+            row.revenue = stat.totalRevenue;
+            row.commission = stat.totalCommission;
+        });
+
+        const subIdPerformance = Object.values(subIdMap)
+            .map(row => ({
+                ...row,
+                conversionRate: row.clicks > 0 ? (row.conversions / row.clicks) * 100 : 0,
+                epc: row.clicks > 0 ? (row.commission / row.clicks) : 0
+            }))
+            .sort((a, b) => a.key.localeCompare(b.key) || b.clicks - a.clicks);
+
+        // 6. Get Landing Page Breakdown (campaign URL or deep link each click was sent to)
+        const landingPageMatch = { affiliateId: affiliateId, landingPage: { $type: 'string' } };
+        const [landingPageClicks, landingPageRevenue] = await Promise.all([
+            db.collection(CLICK_EVENTS_COLLECTION).aggregate([
+                { $match: { ...landingPageMatch, filtered: { $ne: true } } },
+                { $group: { _id: '$landingPage', clicks: { $sum: 1 } } }
+            ]).toArray(),
+            db.collection(REVENUE_COLLECTION).aggregate([
+                { $match: { ...landingPageMatch, status: { $ne: 'rejected' } } },
+                {
+                    $group: {
+                        _id: '$landingPage',
+                        conversionKeys: { $addToSet: CONVERSION_KEY_EXPRESSION },
+                        revenue: { $sum: '$amount' },
+                        commission: { $sum: '$commissionAmount' }
+                    }
+                },
+                { $set: { conversions: { $size: '$conversionKeys' } } },
+                { $unset: 'conversionKeys' }
+            ]).toArray()
+        ]);
+
+        const landingPages = mergeLandingPageStats(landingPageClicks, landingPageRevenue);
+
+        // 7. Get Geo Breakdown (country, region and city of each click)
+        const geo = await getGeoBreakdown(
+            db,
+            { affiliateId: affiliateId, filtered: { $ne: true } },
+            { affiliateId: affiliateId, status: { $ne: 'rejected' } }
+        );
+
+        // 8. Get Goal Funnels (click → goal 1 → goal 2 of each campaign with goals)
+        const goalFunnels = await getGoalFunnels(
+            db,
+            { affiliateId: affiliateId },
+            { affiliateId: affiliateId }
+        );
+
+        // 9. Get Attribution Source Breakdown (tracking links vs coupon codes)
+        const sourceStats = await db.collection(REVENUE_COLLECTION).aggregate([
+            { $match: { affiliateId: affiliateId, status: { $ne: 'rejected' } } },
+            {
+                $group: {
+                    _id: ATTRIBUTION_SOURCE_EXPRESSION,
+                    conversionKeys: { $addToSet: CONVERSION_KEY_EXPRESSION },
+                    revenue: { $sum: '$amount' },
+                    commission: { $sum: '$commissionAmount' }
+                }
+            },
+            { $set: { conversions: { $size: '$conversionKeys' } } },
+            { $unset: 'conversionKeys' },
+            { $sort: { conversions: -1 } }
+        ]).toArray();
+
+        const attributionSources = sourceStats.map(({ _id, ...stat }) => ({ source: _id, ...stat }));
+
+        // 10. Get Coupon Code Performance (assigned codes, including unused ones)
+        const [assignedCoupons, couponRevenue] = await Promise.all([
+            db.collection(COUPONS_COLLECTION).find({ affiliateId: affiliateId }).sort({ code: 1 }).toArray(),
+            db.collection(REVENUE_COLLECTION).aggregate([
+                { $match: { affiliateId: affiliateId, status: { $ne: 'rejected' }, couponCode: { $type: 'string' } } },
+                {
+                    $group: {
+                        _id: '$couponCode',
+                        conversionKeys: { $addToSet: CONVERSION_KEY_EXPRESSION },
+                        revenue: { $sum: '$amount' },
+                        commission: { $sum: '$commissionAmount' }
+                    }
+                },
+                { $set: { conversions: { $size: '$conversionKeys' } } },
+                { $unset: 'conversionKeys' }
+            ]).toArray()
+        ]);
+
+        const couponPerformance = assignedCoupons.map(coupon => {
+            const stat = couponRevenue.find(row => row._id === coupon.code);
+            return {
+                code: coupon.code,
+                campaignId: coupon.campaignId,
+                campaignName: coupon.campaignName || campaignMap[coupon.campaignId]?.name || null,
+                status: coupon.status,
+                conversions: stat?.conversions || 0,
+                revenue: stat?.revenue || 0,
+                commission: stat?.commission || 0
+            };
+        });
+
         return NextResponse.json({
             success: true,
             data: {
                 campaigns: campaignPerformance,
                 daily: dailyPerformance,
-                funnel: funnelMetrics
+                funnel: funnelMetrics,
+                goalFunnels,
+                subIds: subIdPerformance,
+                landingPages,
+                geo,
+                attributionSources,
+                coupons: couponPerformance,
+                totals: {
+                    impressions: totalFunnelImpressions,
+                    clicks: totalFunnelClicks,
+                    conversions: totalFunnelConversions,
+                    ctr: calculateCtr(totalFunnelClicks, totalFunnelImpressions),
+                    ecpm: calculateEcpm(totalCommission, totalFunnelImpressions)
+                }
             }
         });
 
@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server';
+import { ObjectId } from 'mongodb';
+import { getDb } from '@/lib/db';
+import { verifyAuth } from '@/lib/auth';
+import { CAMPAIGNS_COLLECTION } from '@/models/Campaign';
+import {
+    CUSTOMERS_COLLECTION,
+    getCreditDurationMs,
+    isWithinCreditDuration,
+    maskCustomerId
+} from '@/models/Customer';
+
+const MAX_CUSTOMERS = 200;
+
+/**
+ * GET /api/affiliate/customers
+ * Lists the customers the current affiliate acquired, newest first. Emails and Stripe ids
+ * are masked. creditActive tells whether later purchases are still credited under the
+ * campaign's payout_rules.duration.
+ */
+export async function GET(request) {
+    const auth = verifyAuth(request);
+    if (!auth.success) {
+        return NextResponse.json({ success: false, error: auth.error }, { status: 401 });
+    }
+
+    const userId = auth.user.userId || auth.user.sub;
+    if (!userId) {
+        return NextResponse.json({ success: false, error: 'Invalid token payload' }, { status: 401 });
+    }
+
+    try {
+        const db = await getDb();
+        const customers = await db.collection(CUSTOMERS_COLLECTION)
+            .find({ affiliateId: userId.toString() })
+            .sort({ acquiredAt: -1 })
+            .limit(MAX_CUSTOMERS)
+            .toArray();
+
+        const campaignIds = [...new Set(customers.map(c => c.campaignId).filter(id => id && ObjectId.isValid(id)))];
+        const campaigns = campaignIds.length > 0
+            ? await db.collection(CAMPAIGNS_COLLECTION)
+                .find({ _id: { $in: campaignIds.map(id => new ObjectId(id)) } })
+                .project({ name: 1, payout_rules: 1 })
+                .toArray()
+            : [];
+        const campaignsById = new Map(campaigns.map(c => [c._id.toString(), c]));
+
+        const data = customers.map(customer => {
+            const campaign = campaignsById.get(customer.campaignId);
+            const durationMs = getCreditDurationMs(campaign?.payout_rules);
+
+            return {
+                id: customer._id.toString(),
+                customer: customer.maskedEmail || maskCustomerId(customer.stripeCustomerId),
+                campaignId: customer.campaignId,
+                campaignName: campaign?.name || null,
+                duration: campaign?.payout_rules?.duration || null,
+                creditActive: durationMs !== null && isWithinCreditDuration(durationMs, customer.acquiredAt),
+                acquiredAt: customer.acquiredAt,
+                purchaseCount: customer.purchaseCount || 0,
+                totalRevenue: customer.totalRevenue || 0,
+                lastPurchaseAt: customer.lastPurchaseAt || null
+            };
+        });
+
+        return NextResponse.json({ success: true, data });
+    } catch (error) {
+        console.error('Error fetching referred customers:', error);
+        return NextResponse.json({ success: false, error: 'Failed to fetch customers' }, { status: 500 });
+    }
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { getDb } from '@/lib/db';
+import { verifyAuth } from '@/lib/auth';
+import { POSTBACK_DELIVERIES_COLLECTION } from '@/models/AffiliatePostback';
+
+const MAX_DELIVERIES = 100;
+
+/**
+ * GET /api/affiliate/postbacks/deliveries
+ * Returns the current affiliate's postback delivery log (newest first),
+ * including every attempt's response code.
+ * Query: postbackId (optional), limit (optional, max 100)
+ */
+export async function GET(request) {
+    const auth = verifyAuth(request);
+    if (!auth.success) {
+        return NextResponse.json({ success: false, error: auth.error }, { status: 401 });
+    }
+
+    const userId = auth.user.userId || auth.user.sub;
+    if (!userId) {
+        return NextResponse.json({ success: false, error: 'Invalid token payload' }, { status: 401 });
+    }
+
+    try {
+        const { searchParams } = new URL(request.url);
+        const postbackId = searchParams.get('postbackId');
+        const limit = Math.min(parseInt(searchParams.get('limit') || '50') || 50, MAX_DELIVERIES);
+
+        const query = { affiliateId: userId.toString() };
+        if (postbackId) query.postbackId = postbackId;
+
+        const db = await getDb();
+        const deliveries = await db.collection(POSTBACK_DELIVERIES_COLLECTION)
+            .find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+
+        return NextResponse.json({ success: true, data: deliveries });
+    } catch (error) {
+        console.error('Error fetching postback deliveries:', error);
+        return NextResponse.json({ success: false, error: 'Failed to fetch delivery log' }, { status: 500 });
+    }
+}
@@ -0,0 +1,145 @@
+import { NextResponse } from 'next/server';
+import { ObjectId } from 'mongodb';
+import { getDb } from '@/lib/db';
+import { verifyAuth } from '@/lib/auth';
+import { findCampaign, affiliatePromotesCampaign } from '@/lib/campaigns';
+import { isInternalPostbackUrl } from '@/lib/affiliatePostbacks';
+import {
+    AFFILIATE_POSTBACKS_COLLECTION,
+    POSTBACK_EVENTS,
+    validateAffiliatePostback
+} from '@/models/AffiliatePostback';
+
+/**
+ * Resolve the signed-in affiliate's id, or an error response
+ */
+function getAffiliateId(request) {
+    const auth = verifyAuth(request);
+    if (!auth.success) {
+        return { error: NextResponse.json({ success: false, error: auth.error }, { status: 401 }) };
+    }
+
+    const userId = auth.user.userId || auth.user.sub;
+    if (!userId) {
+        return { error: NextResponse.json({ success: false, error: 'Invalid token payload' }, { status: 401 }) };
+    }
+
+    return { affiliateId: userId.toString() };
+}
+
+/**
+ * GET /api/affiliate/postbacks
+ * Lists the current affiliate's postback templates.
+ */
+export async function GET(request) {
+    const { affiliateId, error } = getAffiliateId(request);
+    if (error) return error;
+
+    try {
+        const db = await getDb();
+        const postbacks = await db.collection(AFFILIATE_POSTBACKS_COLLECTION)
+            .find({ affiliateId })
+            .sort({ createdAt: -1 })
+            .toArray();
+
+        return NextResponse.json({ success: true, data: postbacks });
+    } catch (err) {
+        console.error('Error fetching affiliate postbacks:', err);
+        return NextResponse.json({ success: false, error: 'Failed to fetch postbacks' }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/affiliate/postbacks
+ * Registers a postback template for a campaign the affiliate promotes
+ * (has a tracking link, click or coupon for).
+ * Payload: { campaignId, url, events?: ['conversion', 'reversal', 'refund'] }
+ */
+export async function POST(request) {
+    const { affiliateId, error } = getAffiliateId(request);
+    if (error) return error;
+
+    try {
+        const body = await request.json();
+
+        const validationError = validateAffiliatePostback(body);
+        if (validationError) {
+            return NextResponse.json({ success: false, error: validationError }, { status: 400 });
+        }
+
+        if (isInternalPostbackUrl(body.url)) {
+            return NextResponse.json(
+                { success: false, error: 'Postback URL must point to a public host' },
+                { status: 400 }
+            );
+        }
+
+        const db = await getDb();
+        const campaign = await findCampaign(db, body.campaignId);
+
+        if (!campaign) {
+            return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+        }
+
+        if (!await affiliatePromotesCampaign(db, affiliateId, campaign)) {
+            return NextResponse.json(
+                { success: false, error: 'You can only add postbacks for campaigns you promote' },
+                { status: 403 }
+            );
+        }
+
+        const postback = {
+            affiliateId,
+            campaignId: campaign._id.toString(),
+            campaignName: campaign.name,
+            url: body.url.trim(),
+            events: body.events || Object.values(POSTBACK_EVENTS),
+            active: true,
+            createdAt: new Date().toISOString()
+        };
+
+        const result = await db.collection(AFFILIATE_POSTBACKS_COLLECTION).insertOne(postback);
+
+        return NextResponse.json({
+            success: true,
+            data: { ...postback, _id: result.insertedId },
+            message: 'Postback registered'
+        }, { status: 201 });
+    } catch (err) {
+        console.error('Error registering affiliate postback:', err);
+        return NextResponse.json({ success: false, error: 'Failed to register postback' }, { status: 500 });
+    }
+}
+
+/**
+ * DELETE /api/affiliate/postbacks?id=...
+ * Removes one of the affiliate's postback templates. Its delivery log is kept.
+ */
+export async function DELETE(request) {
+    const { affiliateId, error } = getAffiliateId(request);
+    if (error) return error;
+
+    try {
+        const { searchParams } = new URL(request.url);
+        const id = searchParams.get('id');
+
+        if (!id || !ObjectId.isValid(id)) {
+            return NextResponse.json({ success: false, error: 'A valid id is required' }, { status: 400 });
+        }
+
+        const db = await getDb();
+        const result = await db.collection(AFFILIATE_POSTBACKS_COLLECTION).deleteOne({
+            _id: new ObjectId(id),
+            affiliateId
+        });
+
+        if (result.deletedCount === 0) {
+            return NextResponse.json({ success: false, error: 'Postback not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, message: 'Postback removed' });
+    } catch (err) {
+        console.error('Error removing affiliate postback:', err);
+        return NextResponse.json({ success: false, error: 'Failed to remove postback' }, { status: 500 });
+    }
+}
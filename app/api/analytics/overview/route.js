@@ -1,6 +1,15 @@
 import { NextResponse } from 'next/server';
 import { getDb } from '@/lib/db';
 import { requireAuth, getAuthUser } from '@/lib/auth';
+import { IMPRESSION_EVENTS_COLLECTION, calculateCtr, calculateEcpm } from '@/models/ImpressionEvent';
+import { ATTRIBUTION_SOURCE_EXPRESSION } from '@/models/Coupon';
+import { CONVERSION_KEY_EXPRESSION } from '@/models/Revenue';
+import { CLICK_CONSENT_EXPRESSION, mergeLandingPageStats } from '@/models/ClickEvent';
+import { getGeoBreakdown } from '@/lib/geoip';
+import { getGoalFunnels } from '@/lib/campaignGoals';
+
+// Landing pages listed in the overview, busiest first
+const MAX_LANDING_PAGES = 10;
 
 // Collection names
 const CLICK_EVENTS_COLLECTION = 'click_events';
@@ -148,6 +157,7 @@ export async function GET(request) {
 
     const clickCollection = db.collection(CLICK_EVENTS_COLLECTION);
     const revenueCollection = db.collection(REVENUES_COLLECTION);
+    const impressionCollection = db.collection(IMPRESSION_EVENTS_COLLECTION);
 
     // Determine Date Range
     let startDate, endDate;
@@ -176,14 +186,28 @@ export async function GET(request) {
       status: 'succeeded'
     };
 
+    const baseImpressionMatch = {
+      createdAt: { $gte: startDate.toISOString(), $lte: endDate.toISOString() },
+      filtered: false // Bot impressions are excluded like bot clicks
+    };
+
     // If affiliate, add affiliateId filter
     if (userRole === 'affiliate' && userId) {
       baseClickMatch.affiliateId = userId;
       baseRevenueMatch.affiliateId = userId;
+      baseImpressionMatch.affiliateId = userId;
     }
 
-    // Aggregate clicks and revenues separately
-    const [clickResults, revenueResults] = await Promise.all([
+    // Aggregate clicks, revenues, impressions, attribution sources, consent and landing pages separately
+    const [
+      clickResults,
+      revenueResults,
+      impressionResults,
+      sourceResults,
+      consentResults,
+      landingPageClicks,
+      landingPageRevenue
+    ] = await Promise.all([
       clickCollection.aggregate([
         {
           $match: baseClickMatch
@@ -226,7 +250,7 @@ export async function GET(request) {
             _id: {
               $dateToString: { format: "%Y-%m-%d", date: "$dateObj" }
             },
-            conversions: { $sum: 1 },
+            conversionKeys: { $addToSet: CONVERSION_KEY_EXPRESSION },
             revenue: { $sum: "$amount" }
           }
         },
@@ -237,13 +261,119 @@ export async function GET(request) {
           $project: {
             _id: 0,
             date: "$_id",
-            conversions: 1,
+            conversions: { $size: "$conversionKeys" },
             revenue: 1
           }
         }
+      ]).toArray(),
+      impressionCollection.aggregate([
+        {
+          $match: baseImpressionMatch
+        },
+        {
+          $group: {
+            _id: { $substr: ["$createdAt", 0, 10] }, // YYYY-MM-DD
+            impressions: { $sum: 1 }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            date: "$_id",
+            impressions: 1
+          }
+        }
+      ]).toArray(),
+      // Tracking links vs coupon codes
+      revenueCollection.aggregate([
+        {
+          $match: baseRevenueMatch
+        },
+        {
+          $group: {
+            _id: ATTRIBUTION_SOURCE_EXPRESSION,
+            conversionKeys: { $addToSet: CONVERSION_KEY_EXPRESSION },
+            revenue: { $sum: "$amount" },
+            commission: { $sum: "$commissionAmount" }
+          }
+        },
+        {
+          $sort: { revenue: -1 }
+        },
+        {
+          $project: {
+            _id: 0,
+            source: "$_id",
+            conversions: { $size: "$conversionKeys" },
+            revenue: 1,
+            commission: 1
+          }
+        }
+      ]).toArray(),
+      // Clicks by visitor consent (tracking.js consent mode)
+      clickCollection.aggregate([
+        {
+          $match: baseClickMatch
+        },
+        {
+          $group: {
+            _id: CLICK_CONSENT_EXPRESSION,
+            clicks: { $sum: 1 },
+            conversions: { $sum: { $cond: ["$converted", 1, 0] } }
+          }
+        },
+        {
+          $sort: { clicks: -1 }
+        },
+        {
+          $project: {
+            _id: 0,
+            consent: "$_id",
+            clicks: 1,
+            conversions: 1
+          }
+        }
+      ]).toArray(),
+      // Clicks and revenue by landing page (campaign URL or deep link)
+      clickCollection.aggregate([
+        {
+          $match: { ...baseClickMatch, landingPage: { $type: "string" } }
+        },
+        {
+          $group: {
+            _id: "$landingPage",
+            clicks: { $sum: 1 }
+          }
+        }
+      ]).toArray(),
+      revenueCollection.aggregate([
+        {
+          $match: { ...baseRevenueMatch, landingPage: { $type: "string" } }
+        },
+        {
+          $group: {
+            _id: "$landingPage",
+            conversionKeys: { $addToSet: CONVERSION_KEY_EXPRESSION },
+            revenue: { $sum: "$amount" },
+            commission: { $sum: "$commissionAmount" }
+          }
+        },
+        {
+          $project: {
+            conversions: { $size: "$conversionKeys" },
+            revenue: 1,
+            commission: 1
+          }
+        }
       ]).toArray()
     ]);
 
+    // Clicks and revenue by country, region and city (clicks enriched from the GeoIP database)
+    const geo = await getGeoBreakdown(db, baseClickMatch, baseRevenueMatch);
+
+    // Click → goal funnels of campaigns with goals
+    const goalFunnels = await getGoalFunnels(db, baseClickMatch, baseRevenueMatch);
+
     // Fetch recent activity (Clicks & Conversions)
     // Apply role-based filtering
     const recentClickMatch = { filtered: false };
@@ -349,15 +479,18 @@ export async function GET(request) {
     const mergedChartData = [];
     const allDates = new Set([
       ...clickResults.map(r => r.date),
-      ...revenueResults.map(r => r.date)
+      ...revenueResults.map(r => r.date),
+      ...impressionResults.map(r => r.date)
     ]);
 
     allDates.forEach(date => {
       const clickData = clickResults.find(r => r.date === date) || { clicks: 0 };
       const revenueData = revenueResults.find(r => r.date === date) || { conversions: 0, revenue: 0 };
+      const impressionData = impressionResults.find(r => r.date === date) || { impressions: 0 };
 
       mergedChartData.push({
         date,
+        impressions: impressionData.impressions,
         clicks: clickData.clicks,
         conversions: revenueData.conversions,
         revenue: revenueData.revenue
@@ -368,16 +501,21 @@ export async function GET(request) {
     const totalClicks = clickResults.reduce((sum, r) => sum + r.clicks, 0);
     const totalConversions = revenueResults.reduce((sum, r) => sum + r.conversions, 0);
     const totalRevenue = revenueResults.reduce((sum, r) => sum + r.revenue, 0);
+    const totalImpressions = impressionResults.reduce((sum, r) => sum + r.impressions, 0);
     const conversionRate = totalClicks > 0 ? (totalConversions / totalClicks) * 100 : 0;
 
     const kpis = {
+      totalImpressions,
       totalClicks,
       totalConversions,
       totalRevenue: parseFloat(totalRevenue.toFixed(2)),
-      conversionRate: parseFloat(conversionRate.toFixed(2))
+      conversionRate: parseFloat(conversionRate.toFixed(2)),
+      ctr: calculateCtr(totalClicks, totalImpressions),
+      ecpm: calculateEcpm(totalRevenue, totalImpressions)
     };
 
     const funnel = [
+      ...(totalImpressions > 0 ? [{ name: 'Impressions', value: totalImpressions, fill: '#8b5cf6' }] : []),
       { name: 'Clicks', value: totalClicks, fill: '#3b82f6' },
       { name: 'Conversions', value: totalConversions, fill: '#10b981' }
     ];
@@ -388,7 +526,12 @@ export async function GET(request) {
         kpis,
         chartData: mergedChartData,
         recentActivity,
-        funnel
+        funnel,
+        goalFunnels,
+        attributionSources: sourceResults,
+        consent: consentResults,
+        landingPages: mergeLandingPageStats(landingPageClicks, landingPageRevenue).slice(0, MAX_LANDING_PAGES),
+        geo
       }
     });
 
@@ -0,0 +1,110 @@
+import { NextResponse } from 'next/server';
+import { getDb } from '@/lib/db';
+import { requireAdmin } from '@/lib/auth';
+import { CAMPAIGNS_COLLECTION, validateCampaignUrlTemplate } from '@/models/Campaign';
+import { normalizeCampaignCaps, validateCampaignCaps } from '@/models/CampaignCap';
+import { findCampaign } from '@/lib/campaigns';
+import { getCampaignCapReport } from '@/lib/campaignCaps';
+
+/**
+ * GET /api/campaigns/caps?campaignId=...
+ * Returns the campaign's caps with their usage in the current period and capFallbackUrl.
+ * Without campaignId, returns { [campaignId]: caps } for every campaign with caps
+ * (progress bars on the campaigns page).
+ * Admin only.
+ */
+export async function GET(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const campaignId = searchParams.get('campaignId');
+    const db = await getDb();
+
+    if (!campaignId) {
+      const campaigns = await db.collection(CAMPAIGNS_COLLECTION)
+        .find({ 'caps.0': { $exists: true } })
+        .toArray();
+
+      const reports = await Promise.all(campaigns.map(async campaign => [
+        String(campaign._id),
+        await getCampaignCapReport(db, campaign)
+      ]));
+
+      return NextResponse.json({ success: true, data: Object.fromEntries(reports) });
+    }
+
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        campaignId,
+        capFallbackUrl: campaign.capFallbackUrl || '',
+        caps: await getCampaignCapReport(db, campaign)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching campaign caps:', error);
+    return NextResponse.json({ success: false, error: 'Failed to fetch campaign caps' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/campaigns/caps
+ * Replaces the campaign's caps and fallback URL. Usage is counted from the stored clicks
+ * and revenue, so changing a limit applies to the current period straight away.
+ * Payload: { campaignId, caps: [{ id?, metric, period, limit, scope, affiliateId? }], capFallbackUrl }
+ */
+export async function PUT(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { campaignId, caps = [], capFallbackUrl = '' } = await request.json();
+
+    if (!campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const fallbackUrl = String(capFallbackUrl || '').trim();
+    const normalized = normalizeCampaignCaps(caps);
+    const validationError = validateCampaignCaps(normalized)
+      || (fallbackUrl ? validateCampaignUrlTemplate(fallbackUrl) : null);
+    if (validationError) {
+      return NextResponse.json({ success: false, error: validationError }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    await db.collection(CAMPAIGNS_COLLECTION).updateOne(
+      { _id: campaign._id },
+      { $set: { caps: normalized, capFallbackUrl: fallbackUrl || null } }
+    );
+
+    console.log('Campaign caps updated:', { campaignId, caps: normalized.length });
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        campaignId,
+        capFallbackUrl: fallbackUrl,
+        caps: await getCampaignCapReport(db, { ...campaign, caps: normalized })
+      },
+      message: 'Campaign caps updated'
+    });
+  } catch (error) {
+    console.error('Error updating campaign caps:', error);
+    return NextResponse.json({ success: false, error: 'Failed to update campaign caps' }, { status: 500 });
+  }
+}
@@ -0,0 +1,96 @@
+import { NextResponse } from 'next/server';
+import { getDb } from '@/lib/db';
+import { requireAdmin } from '@/lib/auth';
+import { CAMPAIGNS_COLLECTION, toPublicCampaign } from '@/models/Campaign';
+import { normalizeCampaignGoals, validateCampaignGoals } from '@/models/CampaignGoal';
+import { findCampaign } from '@/lib/campaigns';
+import { getGoalFunnels } from '@/lib/campaignGoals';
+
+/**
+ * GET /api/campaigns/goals?campaignId=...
+ * Returns the campaign's goals with its click → goal funnel, overall and per affiliate.
+ * Admin only.
+ */
+export async function GET(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const campaignId = searchParams.get('campaignId');
+
+    if (!campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    const [[overall], [byAffiliate]] = await Promise.all([
+      getGoalFunnels(db, {}, {}, { campaignId }),
+      getGoalFunnels(db, {}, {}, { campaignId, byAffiliate: true })
+    ]);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        campaignId,
+        goals: campaign.goals || [],
+        funnel: overall?.funnel || [],
+        affiliates: byAffiliate?.affiliates || []
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching campaign goals:', error);
+    return NextResponse.json({ success: false, error: 'Failed to fetch campaign goals' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/campaigns/goals
+ * Replaces the campaign's goals. Conversions already credited keep their commission;
+ * removing a goal makes postbacks naming it fail with "Unknown goal".
+ * Payload: { campaignId, goals: [{ id?, name, payout_rules: { type, amount | percentage } }] }
+ */
+export async function PUT(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { campaignId, goals = [] } = await request.json();
+
+    if (!campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const normalized = normalizeCampaignGoals(goals);
+    const validationError = validateCampaignGoals(normalized);
+    if (validationError) {
+      return NextResponse.json({ success: false, error: validationError }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    await db.collection(CAMPAIGNS_COLLECTION).updateOne({ _id: campaign._id }, { $set: { goals: normalized } });
+
+    console.log('Campaign goals updated:', { campaignId, goals: normalized.map(goal => goal.id) });
+
+    return NextResponse.json({
+      success: true,
+      data: toPublicCampaign({ ...campaign, goals: normalized }),
+      message: 'Campaign goals updated'
+    });
+  } catch (error) {
+    console.error('Error updating campaign goals:', error);
+    return NextResponse.json({ success: false, error: 'Failed to update campaign goals' }, { status: 500 });
+  }
+}
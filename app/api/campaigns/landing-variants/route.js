@@ -0,0 +1,187 @@
+import { NextResponse } from 'next/server';
+import { getDb } from '@/lib/db';
+import { requireAdmin } from '@/lib/auth';
+import {
+  CAMPAIGNS_COLLECTION,
+  normalizeLandingVariants,
+  validateLandingVariants,
+  summarizeLandingVariants
+} from '@/models/Campaign';
+import { CLICK_EVENTS_COLLECTION } from '@/models/ClickEvent';
+import { REVENUE_COLLECTION } from '@/models/Revenue';
+import { findCampaign } from '@/lib/campaigns';
+
+/**
+ * Split test results for a campaign: clicks by served variant and the conversions
+ * credited to those clicks
+ */
+async function getLandingVariantReport(db, campaignId, campaign) {
+  const variants = campaign.landingVariants || [];
+  const match = { campaignId, landingVariant: { $type: 'string' } };
+
+  const [clickStats, revenueStats] = variants.length > 0
+    ? await Promise.all([
+      db.collection(CLICK_EVENTS_COLLECTION).aggregate([
+        { $match: { ...match, filtered: { $ne: true } } },
+        { $group: { _id: '$landingVariant', clicks: { $sum: 1 } } }
+      ]).toArray(),
+      db.collection(REVENUE_COLLECTION).aggregate([
+        { $match: { ...match, status: { $ne: 'rejected' } } },
+        {
+          $group: {
+            _id: '$landingVariant',
+            conversions: { $sum: 1 },
+            revenue: { $sum: '$amount' },
+            commission: { $sum: { $ifNull: ['$commissionAmount', 0] } }
+          }
+        }
+      ]).toArray()
+    ])
+    : [[], []];
+
+  return {
+    campaignId,
+    url: campaign.url,
+    promotedLandingVariant: campaign.promotedLandingVariant || null,
+    ...summarizeLandingVariants(variants, clickStats, revenueStats)
+  };
+}
+
+/**
+ * GET /api/campaigns/landing-variants?campaignId=...
+ * Returns the campaign's landing page variants with clicks, conversions and conversion
+ * rate per variant, the leading variant and whether its lead is significant.
+ * Admin only.
+ */
+export async function GET(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const campaignId = searchParams.get('campaignId');
+
+    if (!campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, data: await getLandingVariantReport(db, campaignId, campaign) });
+  } catch (error) {
+    console.error('Error fetching landing variants:', error);
+    return NextResponse.json({ success: false, error: 'Failed to fetch landing variants' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/campaigns/landing-variants
+ * Replaces the campaign's landing page variants. An empty list sends all traffic to the
+ * campaign URL. A weight of 0 pauses a variant while keeping its results.
+ * Payload: { campaignId, landingVariants: [{ id?, label, url, weight }] }
+ */
+export async function PUT(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { campaignId, landingVariants = [] } = await request.json();
+
+    if (!campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    const variants = normalizeLandingVariants(landingVariants);
+    const validationError = validateLandingVariants(variants, campaign);
+    if (validationError) {
+      return NextResponse.json({ success: false, error: validationError }, { status: 400 });
+    }
+
+    await db.collection(CAMPAIGNS_COLLECTION).updateOne(
+      { _id: campaign._id },
+      { $set: { landingVariants: variants } }
+    );
+
+    console.log('Landing variants updated:', { campaignId, variants: variants.length });
+
+    return NextResponse.json({
+      success: true,
+      data: await getLandingVariantReport(db, campaignId, { ...campaign, landingVariants: variants }),
+      message: 'Landing variants updated'
+    });
+  } catch (error) {
+    console.error('Error updating landing variants:', error);
+    return NextResponse.json({ success: false, error: 'Failed to update landing variants' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/campaigns/landing-variants
+ * Promotes a variant: its URL becomes the campaign URL and the split test ends.
+ * Payload: { campaignId, variantId }
+ */
+export async function POST(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { campaignId, variantId } = await request.json();
+
+    if (!campaignId || !variantId) {
+      return NextResponse.json({ success: false, error: 'campaignId and variantId are required' }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    const variant = (campaign.landingVariants || []).find(v => v.id === variantId);
+    if (!variant) {
+      return NextResponse.json({ success: false, error: 'Variant not found' }, { status: 404 });
+    }
+
+    const promotedLandingVariant = {
+      id: variant.id,
+      label: variant.label,
+      url: variant.url,
+      previousUrl: campaign.url,
+      promotedAt: new Date().toISOString()
+    };
+
+    await db.collection(CAMPAIGNS_COLLECTION).updateOne(
+      { _id: campaign._id },
+      { $set: { url: variant.url, landingVariants: [], promotedLandingVariant } }
+    );
+
+    console.log('Landing variant promoted:', { campaignId, variantId });
+
+    return NextResponse.json({
+      success: true,
+      data: await getLandingVariantReport(db, campaignId, {
+        ...campaign,
+        url: variant.url,
+        landingVariants: [],
+        promotedLandingVariant
+      }),
+      message: `${variant.label} is now the campaign URL`
+    });
+  } catch (error) {
+    console.error('Error promoting landing variant:', error);
+    return NextResponse.json({ success: false, error: 'Failed to promote landing variant' }, { status: 500 });
+  }
+}
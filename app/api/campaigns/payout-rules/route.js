@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { getDb } from '@/lib/db';
+import { requireAdmin } from '@/lib/auth';
+import { CAMPAIGNS_COLLECTION, toPublicCampaign } from '@/models/Campaign';
+import { normalizePayoutRule, validatePayoutRule } from '@/models/PayoutRule';
+import { findCampaign } from '@/lib/campaigns';
+
+/**
+ * PUT /api/campaigns/payout-rules
+ * Replaces a campaign's payout rule, e.g. to turn an older free-text rule into a
+ * structured one (which clears payoutRulesInvalid). Conversions already credited keep their commission.
+ * Payload: { campaignId, payout_rules: { type, percentage | amount, minOrderValue?, minCommission?, maxCommission?, tiers? } }
+ */
+export async function PUT(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const body = await request.json();
+
+    if (!body.campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const payoutRules = normalizePayoutRule(body.payout_rules);
+    const validationError = validatePayoutRule(payoutRules);
+    if (validationError) {
+      return NextResponse.json({ success: false, error: validationError }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, body.campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    await db.collection(CAMPAIGNS_COLLECTION).updateOne({ _id: campaign._id }, {
+      $set: { payout_rules: payoutRules },
+      $unset: { payoutRulesInvalid: '' }
+    });
+
+    console.log('Campaign payout rules updated:', { campaignId: body.campaignId, payout_rules: payoutRules });
+
+    return NextResponse.json({
+      success: true,
+      data: toPublicCampaign({ ...campaign, payout_rules: payoutRules, payoutRulesInvalid: undefined }),
+      message: 'Campaign payout rules updated'
+    });
+  } catch (error) {
+    console.error('Error updating campaign payout rules:', error);
+    return NextResponse.json({ success: false, error: 'Failed to update campaign payout rules' }, { status: 500 });
+  }
+}
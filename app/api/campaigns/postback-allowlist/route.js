@@ -0,0 +1,96 @@
+import { NextResponse } from 'next/server';
+import { getDb } from '@/lib/db';
+import { requireAdmin } from '@/lib/auth';
+import { CAMPAIGNS_COLLECTION } from '@/models/Campaign';
+import { findCampaign } from '@/lib/campaigns';
+import { normalizeIpAllowlist, validateIpAllowlist } from '@/lib/ipAllowlist';
+
+/**
+ * Allowlist and recent rejections, newest rejection first
+ */
+function toAllowlistResponse(campaignId, campaign) {
+  return {
+    campaignId,
+    postbackAllowedIps: campaign.postbackAllowedIps || [],
+    postbackRejectedIps: [...(campaign.postbackRejectedIps || [])].reverse(),
+  };
+}
+
+/**
+ * GET /api/campaigns/postback-allowlist?campaignId=...
+ * Returns the campaign's postback source IP allowlist and the last rejected source IPs.
+ * Admin only.
+ */
+export async function GET(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const campaignId = searchParams.get('campaignId');
+
+    if (!campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, data: toAllowlistResponse(campaignId, campaign) });
+  } catch (error) {
+    console.error('Error fetching postback allowlist:', error);
+    return NextResponse.json({ success: false, error: 'Failed to fetch postback allowlist' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/campaigns/postback-allowlist
+ * Replaces the campaign's postback source IP allowlist. An empty list allows any source.
+ * Payload: { campaignId, postbackAllowedIps: ["203.0.113.7", "198.51.100.0/24"] }
+ */
+export async function PUT(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { campaignId, postbackAllowedIps = [] } = await request.json();
+
+    if (!campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const validationError = validateIpAllowlist(postbackAllowedIps);
+    if (validationError) {
+      return NextResponse.json({ success: false, error: validationError }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    const allowlist = normalizeIpAllowlist(postbackAllowedIps);
+
+    await db.collection(CAMPAIGNS_COLLECTION).updateOne(
+      { _id: campaign._id },
+      { $set: { postbackAllowedIps: allowlist } }
+    );
+
+    console.log('Postback IP allowlist updated:', { campaignId, entries: allowlist.length });
+
+    return NextResponse.json({
+      success: true,
+      data: toAllowlistResponse(campaignId, { ...campaign, postbackAllowedIps: allowlist }),
+      message: 'Postback IP allowlist updated'
+    });
+  } catch (error) {
+    console.error('Error updating postback allowlist:', error);
+    return NextResponse.json({ success: false, error: 'Failed to update postback allowlist' }, { status: 500 });
+  }
+}
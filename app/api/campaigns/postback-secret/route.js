@@ -0,0 +1,93 @@
+import { NextResponse } from 'next/server';
+import { getDb } from '@/lib/db';
+import { requireAdmin } from '@/lib/auth';
+import { CAMPAIGNS_COLLECTION } from '@/models/Campaign';
+import { findCampaign } from '@/lib/campaigns';
+import { generatePostbackSecret } from '@/lib/postbackSignature';
+
+/**
+ * Store a fresh postback secret on the campaign
+ */
+async function setPostbackSecret(db, campaign) {
+  const update = {
+    postbackSecret: generatePostbackSecret(),
+    postbackSecretRotatedAt: new Date().toISOString(),
+  };
+
+  await db.collection(CAMPAIGNS_COLLECTION).updateOne({ _id: campaign._id }, { $set: update });
+
+  return update;
+}
+
+/**
+ * GET /api/campaigns/postback-secret?campaignId=...
+ * Returns the campaign's postback secret. Campaigns created before signing
+ * was introduced get a secret on first access. Admin only.
+ */
+export async function GET(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const campaignId = searchParams.get('campaignId');
+
+    if (!campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    const secret = campaign.postbackSecret
+      ? { postbackSecret: campaign.postbackSecret, postbackSecretRotatedAt: campaign.postbackSecretRotatedAt || null }
+      : await setPostbackSecret(db, campaign);
+
+    return NextResponse.json({ success: true, data: { campaignId, ...secret } });
+  } catch (error) {
+    console.error('Error fetching postback secret:', error);
+    return NextResponse.json({ success: false, error: 'Failed to fetch postback secret' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/campaigns/postback-secret
+ * Rotates the campaign's postback secret. Postbacks signed with the old secret stop working immediately.
+ * Payload: { campaignId }
+ */
+export async function POST(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { campaignId } = await request.json();
+
+    if (!campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    const secret = await setPostbackSecret(db, campaign);
+
+    console.log('Postback secret rotated:', { campaignId });
+
+    return NextResponse.json({
+      success: true,
+      data: { campaignId, ...secret },
+      message: 'Postback secret rotated'
+    });
+  } catch (error) {
+    console.error('Error rotating postback secret:', error);
+    return NextResponse.json({ success: false, error: 'Failed to rotate postback secret' }, { status: 500 });
+  }
+}
@@ -1,7 +1,20 @@
 import { NextResponse } from 'next/server';
 import { getDb } from '@/lib/db';
 import { requireAdmin } from '@/lib/auth';
-import { CAMPAIGNS_COLLECTION, validateCampaign, CAMPAIGN_STATUS } from '@/models/Campaign';
+import {
+  CAMPAIGNS_COLLECTION,
+  validateCampaign,
+  CAMPAIGN_STATUS,
+  normalizeAllowedDomains,
+  normalizeCampaignSchedule,
+  getScheduledStatus,
+  toPublicCampaign
+} from '@/models/Campaign';
+import { normalizeRoutingRules, validateRoutingRules } from '@/models/RoutingRule';
+import { normalizeCampaignGoals, validateCampaignGoals } from '@/models/CampaignGoal';
+import { normalizePayoutRule } from '@/models/PayoutRule';
+import { generatePostbackSecret } from '@/lib/postbackSignature';
+import { syncCampaignStatus } from '@/lib/campaigns';
 
 /**
  * Helper function to seed sample campaigns if the collection is empty.
@@ -33,7 +46,7 @@ async function seedSampleCampaigns(db) {
         {
           name: "Winter Fashion Collection",
           url: "https://fashion.example.com/winter?aff={affiliate_id}",
-          payout_rules: "15% on all orders over ₹5,000",
+          payout_rules: { type: "RevShare", percentage: 15, minOrderValue: 5000 },
           status: CAMPAIGN_STATUS.PAUSED,
           createdAt: new Date(Date.now() - 86400000 * 30).toISOString() // 30 days ago
         },
@@ -100,11 +113,15 @@ export async function GET(request) {
     const collection = db.collection(CAMPAIGNS_COLLECTION);
 
     // Fetch all campaigns sorted by newest first
-    const campaigns = await collection.find({})
+    const stored = await collection.find({})
       .sort({ createdAt: -1 })
       .toArray();
 
-    return NextResponse.json({ success: true, data: campaigns });
+    // Scheduled campaigns start and expire on read
+    const campaigns = await Promise.all(stored.map(campaign => syncCampaignStatus(db, campaign)));
+
+    // Postback secrets are only available to admins via /api/campaigns/postback-secret
+    return NextResponse.json({ success: true, data: campaigns.map(toPublicCampaign) });
   } catch (error) {
     console.error('Error fetching campaigns:', error);
     return NextResponse.json(
@@ -127,7 +144,9 @@ export async function POST(request) {
     const body = await request.json();
 
     // Validate input using the model's validation function
-    const validationError = validateCampaign(body);
+    const routingRules = normalizeRoutingRules(body.routingRules || []);
+    const goals = normalizeCampaignGoals(body.goals || []);
+    const validationError = validateCampaign(body) || validateRoutingRules(routingRules) || validateCampaignGoals(goals);
     if (validationError) {
       return NextResponse.json(
         { success: false, error: validationError },
@@ -147,11 +166,19 @@ export async function POST(request) {
       );
     }
 
+    const schedule = normalizeCampaignSchedule(body);
+
     const newCampaign = {
       name: body.name,
       url: body.url,
-      payout_rules: body.payout_rules,
-      status: body.status || CAMPAIGN_STATUS.ACTIVE,
+      payout_rules: normalizePayoutRule(body.payout_rules),
+      allowedDomains: normalizeAllowedDomains(body.allowedDomains || []),
+      routingRules,
+      goals,
+      ...schedule,
+      status: getScheduledStatus({ ...schedule, status: body.status || CAMPAIGN_STATUS.ACTIVE }),
+      postbackSecret: generatePostbackSecret(),
+      postbackSecretRotatedAt: new Date().toISOString(),
       createdAt: new Date().toISOString()
     };
 
@@ -159,7 +186,7 @@ export async function POST(request) {
 
     return NextResponse.json({
       success: true,
-      data: { ...newCampaign, _id: result.insertedId },
+      data: toPublicCampaign({ ...newCampaign, _id: result.insertedId }),
       message: "Campaign created successfully"
     }, { status: 201 });
 
@@ -0,0 +1,108 @@
+import { NextResponse } from 'next/server';
+import { getDb } from '@/lib/db';
+import { requireAdmin } from '@/lib/auth';
+import { CAMPAIGNS_COLLECTION } from '@/models/Campaign';
+import { normalizeRoutingRules, validateRoutingRules } from '@/models/RoutingRule';
+import { CLICK_EVENTS_COLLECTION } from '@/models/ClickEvent';
+import { findCampaign } from '@/lib/campaigns';
+
+/**
+ * Routing rules of a campaign with the clicks each rule has matched
+ */
+async function getRoutingRuleReport(db, campaignId, campaign) {
+  const rules = campaign.routingRules || [];
+
+  const clickStats = rules.length > 0
+    ? await db.collection(CLICK_EVENTS_COLLECTION).aggregate([
+      { $match: { campaignId, filtered: { $ne: true }, 'routingRule.id': { $type: 'string' } } },
+      { $group: { _id: '$routingRule.id', clicks: { $sum: 1 } } }
+    ]).toArray()
+    : [];
+
+  const clicksByRule = Object.fromEntries(clickStats.map(row => [row._id, row.clicks]));
+
+  return {
+    campaignId,
+    url: campaign.url,
+    routingRules: rules.map(rule => ({ ...rule, clicks: clicksByRule[rule.id] || 0 }))
+  };
+}
+
+/**
+ * GET /api/campaigns/routing-rules?campaignId=...
+ * Returns the campaign's routing rules in evaluation order with matched clicks per rule.
+ * Admin only.
+ */
+export async function GET(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const campaignId = searchParams.get('campaignId');
+
+    if (!campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true, data: await getRoutingRuleReport(db, campaignId, campaign) });
+  } catch (error) {
+    console.error('Error fetching routing rules:', error);
+    return NextResponse.json({ success: false, error: 'Failed to fetch routing rules' }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/campaigns/routing-rules
+ * Replaces the campaign's routing rules. Rules are evaluated in the given order and the
+ * first match wins; an empty list sends all traffic to the campaign URL.
+ * Payload: { campaignId, routingRules: [{ id?, name, url, conditions: { countries, devices, os, languages } }] }
+ */
+export async function PUT(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const { campaignId, routingRules = [] } = await request.json();
+
+    if (!campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    const rules = normalizeRoutingRules(routingRules);
+    const validationError = validateRoutingRules(rules);
+    if (validationError) {
+      return NextResponse.json({ success: false, error: validationError }, { status: 400 });
+    }
+
+    await db.collection(CAMPAIGNS_COLLECTION).updateOne(
+      { _id: campaign._id },
+      { $set: { routingRules: rules } }
+    );
+
+    console.log('Routing rules updated:', { campaignId, rules: rules.length });
+
+    return NextResponse.json({
+      success: true,
+      data: await getRoutingRuleReport(db, campaignId, { ...campaign, routingRules: rules }),
+      message: 'Routing rules updated'
+    });
+  } catch (error) {
+    console.error('Error updating routing rules:', error);
+    return NextResponse.json({ success: false, error: 'Failed to update routing rules' }, { status: 500 });
+  }
+}
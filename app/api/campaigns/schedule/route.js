@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import { getDb } from '@/lib/db';
+import { requireAdmin } from '@/lib/auth';
+import {
+  CAMPAIGNS_COLLECTION,
+  normalizeCampaignSchedule,
+  validateCampaignSchedule,
+  getScheduledStatus,
+  toPublicCampaign
+} from '@/models/Campaign';
+import { findCampaign } from '@/lib/campaigns';
+
+/**
+ * PUT /api/campaigns/schedule
+ * Sets a campaign's start and end dates and the fallback URL for clicks after it ends.
+ * Active, scheduled and expired campaigns switch status from the dates straight away;
+ * paused and archived campaigns keep their status.
+ * Payload: { campaignId, startsAt, endsAt, fallbackUrl } (null or empty clears a field)
+ */
+export async function PUT(request) {
+  const authError = requireAdmin(request);
+  if (authError) return authError;
+
+  try {
+    const body = await request.json();
+
+    if (!body.campaignId) {
+      return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+    }
+
+    const schedule = normalizeCampaignSchedule(body);
+    const validationError = validateCampaignSchedule(schedule);
+    if (validationError) {
+      return NextResponse.json({ success: false, error: validationError }, { status: 400 });
+    }
+
+    const db = await getDb();
+    const campaign = await findCampaign(db, body.campaignId);
+
+    if (!campaign) {
+      return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+    }
+
+    const status = getScheduledStatus({ ...campaign, ...schedule });
+    const update = { ...schedule, status };
+    if (status !== campaign.status) update.statusChangedAt = new Date().toISOString();
+
+    await db.collection(CAMPAIGNS_COLLECTION).updateOne({ _id: campaign._id }, { $set: update });
+
+    console.log('Campaign schedule updated:', { campaignId: body.campaignId, ...schedule, status });
+
+    return NextResponse.json({
+      success: true,
+      data: toPublicCampaign({ ...campaign, ...update }),
+      message: 'Campaign schedule updated'
+    });
+  } catch (error) {
+    console.error('Error updating campaign schedule:', error);
+    return NextResponse.json({ success: false, error: 'Failed to update campaign schedule' }, { status: 500 });
+  }
+}
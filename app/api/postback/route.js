@@ -1,8 +1,17 @@
 import { NextResponse } from 'next/server';
 import { getDb } from '@/lib/db';
-import { REVENUE_COLLECTION } from '@/models/Revenue';
-import { AFFILIATE_PROFILES_COLLECTION } from '@/models/AffiliateProfile';
-import { ObjectId } from 'mongodb';
+import { verifyPostbackSignature, SIGNATURE_PARAM } from '@/lib/postbackSignature';
+import { findCampaign, hasPostbackIpAllowlist, checkPostbackSource } from '@/lib/campaigns';
+import { extractTrustedIP } from '@/lib/botDetection';
+import {
+    recordPostbackConversion,
+    recordCouponConversion,
+    recordCustomerConversion,
+    reversePostbackConversion
+} from '@/lib/postbackConversions';
+import { resolveCoupon } from '@/lib/coupons';
+import { findCustomer, findActiveCustomerOwner } from '@/lib/customers';
+import { findCampaignGoal } from '@/models/CampaignGoal';
 
 const CLICK_EVENTS_COLLECTION = 'click_events';
 
@@ -11,107 +20,169 @@ const CLICK_EVENTS_COLLECTION = 'click_events';
  * Server-to-server postback endpoint for conversion notifications.
  * 
  * Query params:
- *  - click_id (required): The click ID from the original tracking
+ *  - click_id (required unless coupon or a customer is sent): The click ID from the original tracking
+ *  - coupon (optional): Coupon code used on the order. Credits the code's affiliate when there is no click_id
+ *  - customer_id / customer_email (optional): The buyer. Binds new customers to the credited affiliate;
+ *    repeat purchases without a click or coupon are credited to the affiliate who acquired them
+ *  - transaction_id / order_id (optional): Advertiser transaction id (default: click_id; required without one)
  *  - amount (optional): Revenue amount (default: 0)
  *  - currency (optional): Currency code (default: INR)
- *  - status (optional): 'success' | 'pending' (default: 'success')
+ *  - status (optional): 'success' | 'pending' | 'reversed' (default: 'success')
  *  - payout (optional): Commission amount override
+ *  - goal (optional): Id of the campaign goal reached (e.g. 'trial'), paid by the goal's payout rule
+ *  - timestamp (required): Unix time in seconds, must be within the replay window
+ *  - signature (required): Hex HMAC-SHA256 of the other parameters, keyed with the campaign's postback secret
+ *
+ * Campaigns with a source IP allowlist reject callers outside it (403). Callers on the
+ * allowlist may omit timestamp/signature.
+ *
+ * Revenue and commission are split across every click the visitor made within the
+ * attribution window, according to the configured attribution model.
+ * Clicks older than the window are rejected (422) and stored with a rejection reason.
+ * Coupon conversions give the coupon's affiliate full credit (attribution source "coupon").
+ * Returning customers are credited in full to their acquiring affiliate while the campaign's
+ * payout_rules.duration allows it (attribution source "customer").
+ * Each transaction id is credited once per campaign and goal; repeats return the original
+ * response with duplicate: true. status=reversed undoes a credited transaction
+ * (only the named goal's conversion when goal is sent). Unknown goals are rejected (400).
+ * Affiliate postbacks fire for every credited or reversed revenue row.
  */
 export async function GET(request) {
     try {
         const { searchParams } = new URL(request.url);
         const clickId = searchParams.get('click_id');
+        const couponCode = searchParams.get('coupon');
+        const customerId = searchParams.get('customer_id');
+        const customerEmail = searchParams.get('customer_email');
+        const customer = customerId || customerEmail
+            ? { stripeCustomerId: customerId, email: customerEmail }
+            : null;
+        const transactionId = searchParams.get('transaction_id') || searchParams.get('order_id') || clickId;
         const amount = parseFloat(searchParams.get('amount') || '0');
         const currency = searchParams.get('currency') || 'INR';
         const status = searchParams.get('status') || 'success';
         const payoutOverride = searchParams.get('payout');
+        const goalId = searchParams.get('goal');
 
-        if (!clickId) {
+        if (!clickId && !couponCode && !customer) {
             return NextResponse.json({
                 success: false,
-                error: 'click_id is required'
+                error: 'click_id, coupon or customer_id is required'
+            }, { status: 400 });
+        }
+
+        if (!transactionId) {
+            return NextResponse.json({
+                success: false,
+                error: 'transaction_id is required for conversions without a click_id'
             }, { status: 400 });
         }
 
         const db = await getDb();
 
-        // 1. Find the click event
-        const click = await db.collection(CLICK_EVENTS_COLLECTION).findOne({ clickId });
+        // 1. Find the click event, else the coupon, else the customer's acquiring affiliate.
+        // Reversals look the customer up regardless of the campaign's credit duration.
+        const click = clickId
+            ? await db.collection(CLICK_EVENTS_COLLECTION).findOne({ clickId })
+            : null;
+        const coupon = !clickId && couponCode ? await resolveCoupon(db, couponCode) : null;
+        const owner = !clickId && !coupon && customer
+            ? await (status === 'reversed' ? findCustomer(db, customer) : findActiveCustomerOwner(db, customer))
+            : null;
 
-        if (!click) {
+        if (clickId && !click) {
             return NextResponse.json({
                 success: false,
                 error: 'Click not found'
             }, { status: 404 });
         }
 
-        // 2. Mark click as converted
-        await db.collection(CLICK_EVENTS_COLLECTION).updateOne(
-            { clickId },
-            {
-                $set: {
-                    converted: true,
-                    convertedAt: new Date().toISOString(),
-                    conversionAmount: amount
-                }
-            }
-        );
-
-        // 3. Calculate commission
-        let commissionAmount = 0;
-
-        if (payoutOverride) {
-            commissionAmount = parseFloat(payoutOverride);
-        } else if (amount > 0) {
-            // Get affiliate's commission rate
-            const profile = await db.collection(AFFILIATE_PROFILES_COLLECTION).findOne({
-                userId: new ObjectId(click.affiliateId)
-            });
-            const rate = profile?.commission_rate || 0.10;
-            commissionAmount = amount * rate;
+        if (!clickId && !coupon && !owner) {
+            return NextResponse.json({
+                success: false,
+                error: couponCode ? 'Coupon not found' : 'Customer not found'
+            }, { status: 404 });
         }
 
-        // 4. Create revenue record
-        const revenue = {
-            affiliateId: click.affiliateId,
-            campaignId: click.campaignId,
-            clickId: clickId,
-            amount: amount,
-            commissionAmount: commissionAmount,
-            currency: currency,
-            status: status === 'success' ? 'succeeded' : 'pending',
-            source: 'postback',
-            createdAt: new Date().toISOString()
-        };
+        // 2. Check the caller against the campaign's source IP allowlist
+        const campaign = await findCampaign(db, (click || coupon || owner).campaignId);
+        const ipAddress = extractTrustedIP(Object.fromEntries(request.headers.entries()));
+        const sourceError = await checkPostbackSource(db, campaign, { ip: ipAddress, source: 'postback', clickId });
+
+        if (sourceError) {
+            console.warn('Postback source rejected:', { clickId, ip: ipAddress });
 
-        await db.collection(REVENUE_COLLECTION).insertOne(revenue);
-
-        // 5. Update affiliate earnings
-        if (commissionAmount > 0) {
-            await db.collection(AFFILIATE_PROFILES_COLLECTION).updateOne(
-                { userId: new ObjectId(click.affiliateId) },
-                {
-                    $inc: {
-                        total_earnings: commissionAmount,
-                        pendingPayouts: commissionAmount
-                    }
-                }
-            );
+            return NextResponse.json({
+                success: false,
+                error: sourceError.message,
+                reason: sourceError.reason
+            }, { status: 403 });
         }
 
-        return NextResponse.json({
-            success: true,
-            message: 'Conversion recorded',
-            data: {
+        // 3. Verify the HMAC signature with the campaign's postback secret.
+        // Allowlisted servers (by the IP our proxies saw, not the client's X-Forwarded-For)
+        // may send plain (unsigned) pixel postbacks.
+        const isPlainAllowlisted = hasPostbackIpAllowlist(campaign) && !searchParams.get(SIGNATURE_PARAM);
+        const signatureError = isPlainAllowlisted
+            ? null
+            : verifyPostbackSignature(searchParams, campaign?.postbackSecret);
+
+        if (signatureError) {
+            console.warn('Postback signature rejected:', { clickId, reason: signatureError.reason });
+
+            return NextResponse.json({
+                success: false,
+                error: signatureError.message,
+                reason: signatureError.reason
+            }, { status: 401 });
+        }
+
+        // 4. Goal conversions must name one of the campaign's goals
+        const goal = goalId ? findCampaignGoal(campaign, goalId) : null;
+
+        if (goalId && !goal) {
+            return NextResponse.json({
+                success: false,
+                error: 'Unknown goal for this campaign'
+            }, { status: 400 });
+        }
+
+        // 5. Reversals undo a previously credited transaction
+        if (status === 'reversed') {
+            const reversal = await reversePostbackConversion(db, {
                 clickId,
-                affiliateId: click.affiliateId,
-                amount,
-                commission: commissionAmount
-            }
-        });
+                couponCode: coupon?.code,
+                customerId: owner?._id.toString()
+            }, transactionId, goal?.id);
+            return NextResponse.json(reversal.body, { status: reversal.status });
+        }
+
+        // 6. Credit the conversion across the attributed touches, the coupon's affiliate
+        // or the customer's acquiring affiliate
+        const conversion = {
+            transactionId,
+            amount,
+            currency,
+            status,
+            payoutOverride,
+            source: 'postback',
+            customer,
+            goal
+        };
+        let result;
+        if (click) {
+            result = await recordPostbackConversion(db, click, conversion);
+        } else if (coupon) {
+            result = await recordCouponConversion(db, coupon, conversion);
+        } else {
+            result = await recordCustomerConversion(db, owner, conversion);
+        }
+
+        return NextResponse.json(result.body, { status: result.status });
 
     } catch (error) {
         console.error('Postback error:', error);
+
         return NextResponse.json({
             success: false,
             error: 'Postback processing failed'
@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server';
+import { getDb } from '@/lib/db';
+import { requireAdmin } from '@/lib/auth';
+import { findCampaign } from '@/lib/campaigns';
+import { createSignedParams } from '@/lib/postbackSignature';
+
+/**
+ * POST /api/postback/sign
+ * Builds a signed example postback URL for a campaign (used by the postback docs page).
+ * Admin only.
+ * Payload: { campaignId, params: { click_id, amount, transaction_id, ... } }
+ */
+export async function POST(request) {
+    const authError = requireAdmin(request);
+    if (authError) return authError;
+
+    try {
+        const { campaignId, params = {} } = await request.json();
+
+        if (!campaignId) {
+            return NextResponse.json({ success: false, error: 'campaignId is required' }, { status: 400 });
+        }
+
+        const db = await getDb();
+        const campaign = await findCampaign(db, campaignId);
+
+        if (!campaign) {
+            return NextResponse.json({ success: false, error: 'Campaign not found' }, { status: 404 });
+        }
+
+        if (!campaign.postbackSecret) {
+            return NextResponse.json(
+                { success: false, error: 'Postback secret is not configured for this campaign' },
+                { status: 409 }
+            );
+        }
+
+        // Only sign non-empty values, exactly as they will appear in the URL
+        const cleanParams = Object.fromEntries(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        const signedParams = createSignedParams(cleanParams, campaign.postbackSecret);
+
+        const url = new URL('/api/postback', request.url);
+        Object.entries(signedParams).forEach(([key, value]) => url.searchParams.set(key, value));
+
+        return NextResponse.json({
+            success: true,
+            data: {
+                url: url.toString(),
+                timestamp: signedParams.timestamp,
+                signature: signedParams.signature
+            }
+        });
+    } catch (error) {
+        console.error('Error signing postback:', error);
+        return NextResponse.json({ success: false, error: 'Failed to sign postback' }, { status: 500 });
+    }
+}
@@ -82,6 +82,9 @@ export async function GET(request) {
           clickAttributionWindow: attributionSettings.clickAttributionWindow,
           cookieExpiry: attributionSettings.cookieExpiry,
           multipleTouchSessions: attributionSettings.Sessions,
+          firstPartyCookie: attributionSettings.firstPartyCookie,
+          thirdPartyCookie: attributionSettings.thirdPartyCookie,
+          clickIdParameter: attributionSettings.clickIdParameter ?? DEFAULT_ATTRIBUTION_SETTINGS.clickIdParameter,
           createdAt: attributionSettings.createdAt
         }
       }
@@ -147,6 +150,7 @@ export async function PUT(request) {
     if (body.minimumPayout !== undefined) globalUpdateData.minimumPayout = Number(body.minimumPayout);
     if (body.supportEmail) globalUpdateData.supportEmail = body.supportEmail;
     if (body.allowRegistration !== undefined) globalUpdateData.allowRegistration = Boolean(body.allowRegistration);
+    if (body.inactiveCampaignUrl !== undefined) globalUpdateData.inactiveCampaignUrl = String(body.inactiveCampaignUrl || '').trim();
 
     const db = await getDb();
     const globalCollection = db.collection(GLOBAL_SETTINGS_COLLECTION);
@@ -193,6 +197,9 @@ export async function PUT(request) {
           clickAttributionWindow: updatedAttribution?.clickAttributionWindow,
           cookieExpiry: updatedAttribution?.cookieExpiry,
           multipleTouchSessions: updatedAttribution?.multipleTouchSessions,
+          firstPartyCookie: updatedAttribution?.firstPartyCookie,
+          thirdPartyCookie: updatedAttribution?.thirdPartyCookie,
+          clickIdParameter: updatedAttribution?.clickIdParameter ?? DEFAULT_ATTRIBUTION_SETTINGS.clickIdParameter,
           createdAt: updatedAttribution?.createdAt
         }
       },
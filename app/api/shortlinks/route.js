@@ -1,10 +1,15 @@
 import { NextResponse } from 'next/server';
 import { getDb } from '@/lib/db';
 import { SHORTLINKS_COLLECTION, generateShortCode, validateShortLink } from '@/models/ShortLink';
+import { extractSubIds } from '@/models/ClickEvent';
+import { validateDestinationUrl, getInactiveCampaignReason } from '@/models/Campaign';
+import { findCampaign } from '@/lib/campaigns';
 
 /**
  * GET /api/shortlinks
  * List all short links, optionally filtered by affiliateId.
+ * Each link has campaignName, and inactiveCampaign set to the reason when its campaign is
+ * paused, archived or unknown.
  */
 export async function GET(request) {
     try {
@@ -17,7 +22,17 @@ export async function GET(request) {
         const query = affiliateId ? { affiliateId } : {};
         const links = await collection.find(query).sort({ createdAt: -1 }).limit(100).toArray();
 
-        return NextResponse.json({ success: true, data: links });
+        const campaignIds = [...new Set(links.map(link => link.campaignId).filter(Boolean))];
+        const campaigns = await Promise.all(campaignIds.map(id => findCampaign(db, id)));
+        const campaignsById = Object.fromEntries(campaignIds.map((id, index) => [id, campaigns[index]]));
+
+        const data = links.map(link => ({
+            ...link,
+            campaignName: campaignsById[link.campaignId]?.name || null,
+            inactiveCampaign: link.campaignId ? getInactiveCampaignReason(campaignsById[link.campaignId]) : null,
+        }));
+
+        return NextResponse.json({ success: true, data });
     } catch (error) {
         console.error('Error fetching short links:', error);
         return NextResponse.json({ success: false, error: 'Failed' }, { status: 500 });
@@ -27,12 +42,15 @@ export async function GET(request) {
 /**
  * POST /api/shortlinks
  * Create a new short link.
- * Payload: { affiliateId, campaignId? }
+ * Payload: { affiliateId, campaignId?, destinationUrl?, sub1?..sub5? }
+ * destinationUrl deep links to a page on the campaign's allowed domains.
  */
 export async function POST(request) {
     try {
         const body = await request.json();
         const { affiliateId, campaignId } = body;
+        const destinationUrl = body.destinationUrl ? String(body.destinationUrl).trim() : null;
+        const subIds = extractSubIds(body);
 
         const validationError = validateShortLink(body);
         if (validationError) {
@@ -42,6 +60,14 @@ export async function POST(request) {
         const db = await getDb();
         const collection = db.collection(SHORTLINKS_COLLECTION);
 
+        if (destinationUrl) {
+            const campaign = campaignId ? await findCampaign(db, campaignId) : null;
+            const destinationError = validateDestinationUrl(destinationUrl, campaign);
+            if (destinationError) {
+                return NextResponse.json({ success: false, error: destinationError }, { status: 400 });
+            }
+        }
+
         // Generate unique code
         let code;
         let isUnique = false;
@@ -65,11 +91,19 @@ export async function POST(request) {
         if (campaignId) {
             targetUrl += `&campaign_id=${campaignId}`;
         }
+        Object.entries(subIds).forEach(([key, value]) => {
+            targetUrl += `&${key}=${encodeURIComponent(value)}`;
+        });
+        if (destinationUrl) {
+            targetUrl += `&redirect_url=${encodeURIComponent(destinationUrl)}`;
+        }
 
         const shortLink = {
             code,
             affiliateId,
             campaignId: campaignId || null,
+            subIds: Object.keys(subIds).length > 0 ? subIds : null,
+            destinationUrl,
             targetUrl,
             clicks: 0,
             createdAt: new Date().toISOString()
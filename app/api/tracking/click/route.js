@@ -1,12 +1,47 @@
 import { NextResponse } from 'next/server';
 import { getDb } from '@/lib/db';
-import { detectBot, extractIP, extractReferrer, parseUserAgent } from '@/lib/botDetection';
+import { detectBot, extractIP, extractTrustedIP, extractReferrer, parseUserAgent } from '@/lib/botDetection';
+import {
+  getAttributionSettings,
+  checkConversionClick,
+  recordRejectedConversion,
+  resolveAttribution,
+  allocateAmount,
+  describeCredit,
+  getAttributionCookieOptions,
+  appendClickId,
+  ATTRIBUTION_COOKIE_NAME,
+} from '@/lib/attribution';
+import { DEFAULT_ATTRIBUTION_SETTINGS, getCookieMaxAge } from '@/models/AttributionSettings';
+import {
+  expandCampaignUrl,
+  getAllowedDomains,
+  isAllowedRedirect,
+  getActiveLandingVariants,
+  pickLandingVariant,
+  getInactiveCampaignReason,
+  INACTIVE_CAMPAIGN_REASONS,
+} from '@/models/Campaign';
+import { findCampaign, checkPostbackSource, getCampaignFallbackUrl } from '@/lib/campaigns';
+import {
+  extractSubIds,
+  getLandingPage,
+  parseClickConsent,
+  allowsAttributionCookie,
+  CLICK_CONSENT,
+} from '@/models/ClickEvent';
+import { claimConversion, creditTouchOnce, completeConversion, failConversion, getDuplicateResult } from '@/lib/conversions';
+import { creditEarnings } from '@/lib/conversionReview';
+import { lookupGeo } from '@/lib/geoip';
+import { getRoutingContext, findRoutingRule } from '@/models/RoutingRule';
+import { checkClickCaps, applyCommissionCaps } from '@/lib/campaignCaps';
+import { calculateCommission, checkPayoutRules } from '@/lib/commissions';
 import { ObjectId } from 'mongodb';
 
 // Helper to add CORS headers
 function cors(response) {
   response.headers.set('Access-Control-Allow-Origin', '*');
-  response.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+  response.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, OPTIONS');
   response.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   return response;
 }
@@ -18,6 +53,10 @@ export async function OPTIONS() {
 // Collection name for click events
 const CLICK_EVENTS_COLLECTION = 'click_events';
 
+// filterReason for clicks whose redirect_url is not on the campaign allowlist
+const REDIRECT_BLOCKED_REASON = 'blocked_redirect';
+const INACTIVE_CAMPAIGN_REASON = 'inactive_campaign';
+
 // Collection name for conversion events
 const CONVERSION_EVENTS_COLLECTION = 'conversion_events';
 
@@ -28,18 +67,50 @@ const CONVERSION_EVENTS_COLLECTION = 'conversion_events';
  * Query Parameters:
  * - affiliate_id: Affiliate ID (required)
  * - campaign_id: Campaign ID (required)
- * - redirect_url: URL to redirect to after tracking (optional, defaults to provided or dashboard)
+ * - redirect_url: Deep link to redirect to after tracking (optional, must be on the campaign's allowed domains)
+ * - sub1..sub5: Affiliate sub-IDs, stored on the click and carried to its conversions
+ * - sub1..sub5, utm_*: Expanded into {macro} placeholders of the campaign URL
+ * - consent: Visitor consent from tracking.js ('granted' | 'pending' | 'denied'), stored on the click
+ *
+ * Clicks on a campaign past one of its caps are stored with capped set and, when the
+ * campaign has a capFallbackUrl, redirected there instead (deep links and rules included).
+ * Clicks on an expired campaign (past endsAt) go to its fallbackUrl the same way, or to the
+ * global inactiveCampaignUrl setting when the campaign has none. Clicks on paused, archived
+ * or unknown campaigns go there too; they are stored as filtered ('inactive_campaign', with
+ * inactiveCampaign set to the reason) and do not count toward the affiliate's stats. The
+ * redirect reason is stored as fallbackReason ('campaign_expired' | 'campaign_inactive' | 'capped').
+ *
+ * Campaigns with routingRules send each click to the URL of the first rule matching its
+ * device, OS, GeoIP country and Accept-Language; the matched rule is stored on the click
+ * as routingRule. Clicks matching no rule fall back to the campaign URL.
+ *
+ * Campaigns with landingVariants split redirect traffic by weight. A visitor whose
+ * aff_click_id cookie points at an earlier click on the same campaign keeps that
+ * variant; the served variant id is stored on the click as landingVariant.
+ *
+ * Valid clicks set the aff_click_id cookie (lifetime from cookieExpiry) and append the
+ * click id to the destination URL using the configured clickIdParameter. No cookie is set
+ * while consent is pending or denied. JSON responses include cookieMaxAge (seconds) and
+ * clickIdParameter so tracking.js stores the click id the same way.
+ *
+ * POST ?event=conversion is a conversion sent with navigator.sendBeacon (which can only
+ * POST) and is handled like PUT.
  */
 export async function POST(request) {
   try {
     const url = new URL(request.url);
     const searchParams = url.searchParams;
 
+    if (request.method === 'POST' && searchParams.get('event') === 'conversion') {
+      return PUT(request);
+    }
+
     // Get tracking parameters
     const affiliateId = searchParams.get('affiliate_id');
     const campaignId = searchParams.get('campaign_id');
     const redirectUrl = searchParams.get('redirect_url');
     const returnJson = searchParams.get('json') === 'true';
+    const consent = parseClickConsent(searchParams.get('consent'));
 
     // Extract UTM parameters
     const utmParams = {
@@ -57,6 +128,9 @@ export async function POST(request) {
       }
     });
 
+    // Extract sub-IDs (affiliate placement tags)
+    const subIds = extractSubIds(searchParams);
+
     if (!affiliateId || !campaignId) {
       return NextResponse.json(
         { error: 'Missing required parameters: affiliate_id or campaign_id' },
@@ -99,9 +173,18 @@ export async function POST(request) {
       referrer: referrer,
       userAgent: userAgent,
 
+      // Location from the local GeoIP database (null without one)
+      geo: lookupGeo(ipAddress),
+
       // UTM Parameters
       utmParameters: Object.keys(utmParams).length > 0 ? utmParams : null,
 
+      // Sub-IDs
+      subIds: Object.keys(subIds).length > 0 ? subIds : null,
+
+      // Visitor consent (null for plain tracking links)
+      consent,
+
       // Device and browser info
       deviceMetadata: {
         browser: deviceInfo.browser?.name || 'unknown',
@@ -138,19 +221,80 @@ export async function POST(request) {
     // Get database connection
     const database = await getDb();
 
-    // If bot detected, still log but mark as filtered
-    if (botDetection.isBot) {
+    // redirect_url may only point at the campaign's allowed domains (or back to this site).
+    // JSON clicks (tracking.js) are not redirected; their redirect_url is the page they were made on.
+    const campaign = await loadCampaign(database, campaignId);
+    const blockedRedirect = !returnJson && redirectUrl && !isSafeRedirect(redirectUrl, request.url, getAllowedDomains(campaign));
+
+    // Paused, archived, scheduled, expired and unknown campaigns take no traffic (a failed lookup is not "unknown")
+    const inactiveCampaign = campaign === undefined ? null : getInactiveCampaignReason(campaign);
+    clickEvent.inactiveCampaign = inactiveCampaign;
+
+    // Capped traffic earns no commission and goes to the fallback page when there is one
+    const capped = inactiveCampaign ? null : await checkClickCaps(database, campaign, affiliateId);
+    clickEvent.capped = capped;
+
+    // Expired and inactive campaigns send traffic to the campaign's or the global fallback page
+    const expired = inactiveCampaign === INACTIVE_CAMPAIGN_REASONS.EXPIRED;
+    const inactiveFallbackUrl = inactiveCampaign ? await loadFallbackUrl(database, campaign) : null;
+    const fallbackUrl = inactiveFallbackUrl || (capped ? campaign.capFallbackUrl || null : null);
+    clickEvent.fallbackReason = fallbackUrl
+      ? (inactiveFallbackUrl ? (expired ? 'campaign_expired' : 'campaign_inactive') : 'capped')
+      : null;
+
+    const deepLink = blockedRedirect || fallbackUrl ? null : redirectUrl;
+
+    // Deep links bypass routing rules and the split test; tracking.js clicks are already on a page
+    const routingRule = deepLink || returnJson || fallbackUrl
+      ? null
+      : findRoutingRule(campaign?.routingRules, getRoutingContext({
+        deviceType: clickEvent.deviceMetadata.deviceType,
+        os: clickEvent.deviceMetadata.os,
+        country: clickEvent.geo?.country,
+        acceptLanguage: clickEvent.headers.acceptLanguage,
+      }));
+    clickEvent.routingRule = routingRule ? { id: routingRule.id, name: routingRule.name } : null;
+
+    const landingVariant = deepLink || returnJson || routingRule || fallbackUrl
+      ? null
+      : await chooseLandingVariant(database, request, campaign, campaignId);
+    clickEvent.landingVariant = landingVariant?.id || null;
+
+    // Resolve destination: the fallback, rule, variant or campaign URL with macros expanded
+    const urlTemplate = fallbackUrl || routingRule?.url || landingVariant?.url || campaign?.url;
+    const campaignUrl = urlTemplate
+      ? expandCampaignUrl(urlTemplate, {
+        affiliate_id: affiliateId,
+        click_id: clickId,
+        campaign_id: campaignId,
+        ...subIds,
+        ...utmParams,
+      })
+      : null;
+
+    const destination = deepLink || campaignUrl;
+    clickEvent.landingPage = getLandingPage(destination, request.url);
+
+    // Bots, inactive campaigns and blocked redirects are logged as filtered clicks (visible on
+    // the fraud dashboard) and do not count toward the affiliate's total_clicks
+    const filterReason = botDetection.isBot
+      ? botDetection.reason
+      : inactiveCampaign ? INACTIVE_CAMPAIGN_REASON
+        : blockedRedirect ? REDIRECT_BLOCKED_REASON : null;
+
+    if (filterReason) {
       clickEvent.filtered = true;
-      clickEvent.filterReason = botDetection.reason;
+      clickEvent.filterReason = filterReason;
+      if (blockedRedirect) clickEvent.blockedRedirectUrl = redirectUrl;
 
       // Store in click_events collection but with filtered flag
       await database.collection(CLICK_EVENTS_COLLECTION).insertOne(clickEvent);
 
-      console.log('Bot click filtered:', {
+      console.log('Click filtered:', {
         clickId,
         affiliateId,
         campaignId,
-        reason: botDetection.reason,
+        reason: filterReason,
         ip: ipAddress,
       });
 
@@ -164,7 +308,7 @@ export async function POST(request) {
       }
 
       // Still redirect but don't count as valid click
-      const targetUrl = redirectUrl || '/dashboard';
+      const targetUrl = destination || '/dashboard';
 
       return NextResponse.redirect(new URL(targetUrl, request.url));
     }
@@ -183,26 +327,37 @@ export async function POST(request) {
     // Calculate impression for the affiliate (Using fixed update logic)
     await updateAffiliateStats(database, affiliateId, campaignId);
 
-    // Note: In production, you would typically:
-    // 1. Store the clickId in a cookie or localStorage for conversion tracking
-    // 2. When the user makes a purchase, the clickId can be passed to Stripe as metadata
-
-    // Set click ID in cookie for conversion tracking (30 day expiry)
-    // Note: This requires proper response handling which isn't possible in Next.js API routes
-    // You would typically use middleware or a server action for this
+    // Attribution settings drive the cookie lifetime and the click id query parameter
+    const attributionSettings = await loadAttributionSettings(database, campaignId);
+    const cookieOptions = allowsAttributionCookie(consent)
+      ? getAttributionCookieOptions(attributionSettings, {
+        secure: url.protocol === 'https:' || headers['x-forwarded-proto'] === 'https',
+      })
+      : null;
 
     // If JSON requested, return clickId instead of redirecting
     if (returnJson) {
-      return cors(NextResponse.json({
+      const response = cors(NextResponse.json({
         success: true,
-        clickId: clickId
+        clickId: clickId,
+        cookieMaxAge: getCookieMaxAge(attributionSettings),
+        clickIdParameter: attributionSettings?.clickIdParameter ?? DEFAULT_ATTRIBUTION_SETTINGS.clickIdParameter
       }));
+      if (cookieOptions) response.cookies.set(ATTRIBUTION_COOKIE_NAME, clickId, cookieOptions);
+      return response;
     }
 
-    // Redirect to target URL
-    const targetUrl = redirectUrl || '/dashboard';
+    // Redirect to target URL, carrying the click id for advertisers without tracking.js
+    const targetUrl = destination
+      ? appendClickId(destination, request.url, attributionSettings, clickId)
+      : new URL('/dashboard', request.url);
+
+    const response = NextResponse.redirect(targetUrl);
 
-    return NextResponse.redirect(new URL(targetUrl, request.url));
+    // Set the first-party attribution cookie so conversions can be matched server-side
+    if (cookieOptions) response.cookies.set(ATTRIBUTION_COOKIE_NAME, clickId, cookieOptions);
+
+    return response;
 
   } catch (error) {
     console.error('Click tracking error:', error);
@@ -221,6 +376,126 @@ export async function GET(request) {
   return POST(request);
 }
 
+/**
+ * Consent update endpoint
+ * tracking.js calls this when the visitor grants or denies consent after the click was
+ * recorded, so reports split consented and unconsented traffic by the final choice.
+ * Body: { clickId, consent: 'granted' | 'denied' }
+ */
+export async function PATCH(request) {
+  try {
+    const { clickId, consent: rawConsent } = await request.json();
+    const consent = parseClickConsent(rawConsent);
+
+    if (!clickId || (consent !== CLICK_CONSENT.GRANTED && consent !== CLICK_CONSENT.DENIED)) {
+      return cors(NextResponse.json(
+        { error: "clickId and consent ('granted' or 'denied') are required" },
+        { status: 400 }
+      ));
+    }
+
+    const database = await getDb();
+    const result = await database.collection(CLICK_EVENTS_COLLECTION).updateOne(
+      { clickId },
+      { $set: { consent, consentUpdatedAt: new Date().toISOString() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return cors(NextResponse.json({ error: 'Click not found' }, { status: 404 }));
+    }
+
+    return cors(NextResponse.json({ success: true, clickId, consent }));
+  } catch (error) {
+    console.error('Consent update error:', error);
+    return cors(NextResponse.json({ error: 'Consent update failed' }, { status: 500 }));
+  }
+}
+
+/**
+ * Whether redirect_url is on the campaign allowlist or stays on this site
+ * @param {string} redirectUrl - Absolute or relative URL from the query string
+ * @param {string} requestUrl - URL of the tracking request
+ * @param {string[]} allowedDomains
+ * @returns {boolean}
+ */
+function isSafeRedirect(redirectUrl, requestUrl, allowedDomains) {
+  let target;
+  try {
+    target = new URL(redirectUrl, requestUrl);
+  } catch (e) {
+    return false;
+  }
+
+  if (target.origin === new URL(requestUrl).origin) return true;
+
+  return isAllowedRedirect(target.toString(), allowedDomains);
+}
+
+/**
+ * Load the campaign a click belongs to (ObjectId or custom string id)
+ * Returns null when the campaign is unknown and undefined when the lookup fails.
+ */
+async function loadCampaign(database, campaignId) {
+  try {
+    return await findCampaign(database, campaignId);
+  } catch (error) {
+    console.error('Error loading campaign for click:', error);
+    return undefined;
+  }
+}
+
+/**
+ * Fallback page for an expired or inactive campaign, or null when none is configured
+ */
+async function loadFallbackUrl(database, campaign) {
+  try {
+    return await getCampaignFallbackUrl(database, campaign);
+  } catch (error) {
+    console.error('Error loading fallback URL:', error);
+    return null;
+  }
+}
+
+/**
+ * Choose the landing page variant for a click, or null when the campaign has no split test.
+ * Repeat visitors keep the variant of their previous click on the campaign while it is
+ * still receiving traffic.
+ */
+async function chooseLandingVariant(database, request, campaign, campaignId) {
+  const variants = getActiveLandingVariants(campaign);
+  if (variants.length === 0) return null;
+
+  const previousClickId = request.cookies?.get(ATTRIBUTION_COOKIE_NAME)?.value || null;
+  if (previousClickId) {
+    try {
+      const previous = await database.collection(CLICK_EVENTS_COLLECTION).findOne(
+        { clickId: previousClickId },
+        { projection: { campaignId: 1, landingVariant: 1 } }
+      );
+      const sticky = previous?.campaignId === campaignId
+        && variants.find(variant => variant.id === previous.landingVariant);
+      if (sticky) return sticky;
+    } catch (error) {
+      console.error('Error loading previous click for landing variant:', error);
+    }
+  }
+
+  return pickLandingVariant(variants);
+}
+
+/**
+ * Load attribution settings for the click's campaign, falling back to defaults
+ * so a settings lookup failure never blocks the redirect
+ */
+async function loadAttributionSettings(database, campaignId) {
+  try {
+    return await getAttributionSettings(database, campaignId);
+  } catch (error) {
+    console.error('Error loading attribution settings:', error);
+    return DEFAULT_ATTRIBUTION_SETTINGS;
+  }
+}
+
 /**
  * Update affiliate statistics
  * Fixed: Prevents ghost affiliate creation by validating ObjectId and using upsert: false
@@ -252,24 +527,81 @@ async function updateAffiliateStats(database, affiliateId, campaignId) {
   }
 }
 
+/**
+ * Create a revenue row for a tracking-script conversion, once per touch of the claimed
+ * conversion. The conversion event is stored with it. Browser-reported conversions are
+ * stored pending and unconfirmed: the commission reaches the affiliate's earnings when an
+ * admin approves the row or the advertiser's signed postback replaces it (lib/conversionReview.js).
+ * @returns {Promise<number>} Commission awaiting confirmation
+ */
+async function creditTrackedConversion(database, claim, touch, { amount, orderValue, weight, transactionId, attribution }, conversionEvent) {
+  const revenue = await creditTouchOnce(database, claim, touch.clickId, async () => {
+    const row = {
+      affiliateId: touch.affiliateId,
+      campaignId: touch.campaignId,
+      clickId: touch.clickId,
+      transactionId,
+      amount,
+      commissionAmount: await calculateCommission(database, {
+        affiliateId: touch.affiliateId,
+        campaignId: touch.campaignId,
+        amount,
+        orderValue,
+        weight,
+      }),
+      currency: 'INR',
+      status: 'pending',
+      confirmed: false,
+      source: 'tracking_script',
+      attribution,
+      subIds: touch.subIds || null,
+      landingPage: touch.landingPage || null,
+      landingVariant: touch.landingVariant || null,
+      geo: touch.geo || null,
+      createdAt: new Date().toISOString(),
+    };
+
+    // Campaign caps can cut or cancel the commission
+    const caps = await applyCommissionCaps(database, row, touch);
+    return { ...row, commissionAmount: caps.commissionAmount, capped: caps.capped };
+  }, async (row) => {
+    await database.collection(CONVERSION_EVENTS_COLLECTION).insertOne(conversionEvent);
+    await creditEarnings(database, row);
+  });
+
+  return revenue.commissionAmount;
+}
+
 /**
  * Conversion tracking endpoint
  * Call this when a conversion occurs (e.g., after successful Stripe payment)
- * Links conversion to the original click
+ * The body is JSON; beacons send it as text/plain to avoid a CORS preflight.
+ * Links conversion to the original click and splits credit across the visitor's
+ * touches according to the configured attribution model.
+ * Each transactionId (default: the click id) is credited once per campaign;
+ * repeats return the original response with duplicate: true.
+ * The revenue rows are unconfirmed: they earn nothing until an admin approves them or the
+ * advertiser's signed postback for the same transactionId replaces them.
+ * Callers outside the campaign's postback IP allowlist (if any) are rejected with 403,
+ * and conversions on filtered clicks with 422.
  */
 export async function PUT(request) {
+  let database;
+  let claim = null;
+
   try {
     const body = await request.json();
-    const { clickId, revenueAmount, transactionId } = body;
+    const { clickId, revenueAmount } = body;
+    const transactionId = body.transactionId || body.orderId || clickId;
 
     if (!clickId || !revenueAmount) {
-      return NextResponse.json(
-        { error: 'click_id and revenueAmount are required' },
+      return cors(NextResponse.json(
+        { success: false, error: 'click_id and revenueAmount are required' },
         { status: 400 }
-      );
+      ));
     }
 
-    const database = await getDb();
+    database = await getDb();
 
     // Find the original click event
     const clickEvent = await database
@@ -277,49 +609,133 @@ export async function PUT(request) {
       .findOne({ clickId: clickId });
 
     if (!clickEvent) {
-      return NextResponse.json(
-        { error: 'Click not found' },
+      return cors(NextResponse.json(
+        { success: false, error: 'Click not found' },
         { status: 404 }
-      );
+      ));
     }
 
-    // Create conversion event
-    const conversionEvent = {
+    // Campaigns with a postback IP allowlist only accept conversions from those servers
+    const campaign = await findCampaign(database, clickEvent.campaignId);
+    const ipAddress = extractTrustedIP(Object.fromEntries(request.headers.entries()));
+    const sourceError = await checkPostbackSource(database, campaign, {
+      ip: ipAddress,
+      source: 'tracking_script',
       clickId,
-      type: 'conversion',
-      affiliateId: clickEvent.affiliateId,
+    });
+
+    if (sourceError) {
+      console.warn('Conversion source rejected:', { clickId, ip: ipAddress });
+      return cors(NextResponse.json(
+        { success: false, error: sourceError.message, reason: sourceError.reason },
+        { status: 403 }
+      ));
+    }
+
+    // Claim the transaction so repeated conversion calls are only credited once
+    claim = await claimConversion(database, {
       campaignId: clickEvent.campaignId,
-      revenueAmount: revenueAmount,
-      currency: 'INR',
-      transactionId: transactionId || `txn_${Date.now()}`,
-      convertedAt: new Date().toISOString(),
-
-      // Copy metadata from original click
-      originalClick: {
-        ipAddress: clickEvent.ipAddress,
-        userAgent: clickEvent.userAgent,
-        deviceMetadata: clickEvent.deviceMetadata,
-        clickTimestamp: clickEvent.createdAt,
-      },
+      transactionId,
+      source: 'tracking_script',
+    });
+
+    if (!claim.claimed) {
+      const duplicate = getDuplicateResult(claim.existing);
+      return cors(NextResponse.json(duplicate.body, { status: duplicate.status }));
+    }
+
+    // Store the response on the claim so duplicates get the same answer
+    const respond = async (responseBody, status = 200) => {
+      await completeConversion(database, claim.key, { status, body: responseBody });
+      return cors(NextResponse.json(responseBody, { status }));
     };
 
-    // Store conversion event
-    await database
-      .collection(CONVERSION_EVENTS_COLLECTION)
-      .insertOne(conversionEvent);
+    // Reject conversions on filtered clicks (bots, inactive campaigns, blocked redirects), campaigns
+    // outside their schedule or with free-text payout rules and clicks outside the attribution
+    // window (as of the first delivery, when a failed claim is resumed)
+    const settings = await getAttributionSettings(database, clickEvent.campaignId);
+    const rejection = checkConversionClick(clickEvent, settings, claim.claimedAt, campaign)
+      || await checkPayoutRules(database, { campaign });
+
+    if (rejection) {
+      await recordRejectedConversion(database, clickEvent, rejection, {
+        amount: Number(revenueAmount),
+        currency: 'INR',
+        transactionId,
+        source: 'tracking_script',
+      });
 
-    console.log('Conversion recorded:', {
-      clickId,
-      revenueAmount,
-      affiliateId: clickEvent.affiliateId,
-    });
+      return respond(
+        { success: false, error: rejection.message, reason: rejection.reason },
+        422
+      );
+    }
 
-    return cors(NextResponse.json(
-      { success: true, message: 'Conversion recorded' },
-      { status: 200 }
-    ));
+    // Resolve which touches share the credit under the active attribution model
+    const attribution = await resolveAttribution(database, clickEvent, { settings, conversionTime: claim.claimedAt });
+    const revenueShares = allocateAmount(Number(revenueAmount), attribution.credits);
+    const convertedAt = new Date().toISOString();
+
+    for (const [i, credit] of attribution.credits.entries()) {
+      const touch = credit.click;
+      const creditInfo = describeCredit(attribution, credit, clickId);
+
+      // Create conversion event for this credited touch
+      const conversionEvent = {
+        clickId: touch.clickId,
+        type: 'conversion',
+        affiliateId: touch.affiliateId,
+        campaignId: touch.campaignId,
+        revenueAmount: revenueShares[i],
+        currency: 'INR',
+        transactionId,
+        convertedAt,
+        attribution: creditInfo,
+        subIds: touch.subIds || null,
+
+        // Copy metadata from original click
+        originalClick: {
+          ipAddress: touch.ipAddress,
+          userAgent: touch.userAgent,
+          deviceMetadata: touch.deviceMetadata,
+          geo: touch.geo || null,
+          clickTimestamp: touch.createdAt,
+        },
+      };
+
+      // Credit commission for this touch and store its conversion event
+      const commissionAmount = await creditTrackedConversion(database, claim, touch, {
+        amount: revenueShares[i],
+        orderValue: Number(revenueAmount),
+        weight: credit.weight,
+        transactionId,
+        attribution: creditInfo,
+      }, conversionEvent);
+
+      console.log('Conversion recorded:', {
+        clickId: touch.clickId,
+        revenueAmount: revenueShares[i],
+        commission: commissionAmount,
+        affiliateId: touch.affiliateId,
+        model: attribution.model,
+      });
+    }
+
+    return respond({
+      success: true,
+      message: 'Conversion recorded',
+      transactionId,
+      confirmed: false,
+      attribution: { model: attribution.model, creditedTouches: attribution.credits.length },
+    });
   } catch (error) {
     console.error('Conversion tracking error:', error);
+
+    // Let the page's retry resume the touches that are left
+    if (claim?.claimed) {
+      await failConversion(database, claim.key, error).catch(err => console.error('Failed to mark conversion failed:', err));
+    }
+
     return cors(NextResponse.json(
       { error: 'Conversion tracking failed' },
       { status: 500 }
@@ -0,0 +1,97 @@
+import { getDb } from '@/lib/db';
+import { pixelResponse } from '@/lib/pixel';
+import { extractTrustedIP } from '@/lib/botDetection';
+import { ATTRIBUTION_COOKIE_NAME } from '@/lib/attribution';
+import { findCampaign, checkPostbackSource } from '@/lib/campaigns';
+import { recordPostbackConversion } from '@/lib/postbackConversions';
+import { parseConversionPixelParams } from '@/models/Conversion';
+import { normalizeGoalId, findCampaignGoal } from '@/models/CampaignGoal';
+
+const CLICK_EVENTS_COLLECTION = 'click_events';
+
+/**
+ * Conversion Pixel Endpoint
+ * For checkouts that cannot run tracking.js or send server-side postbacks. Place on the
+ * order confirmation page as
+ * <img src="/api/tracking/conversion?amount=...&order_id=...&currency=INR" width="1" height="1">
+ * (or an <iframe> with the same src).
+ *
+ * Query Parameters:
+ * - click_id: Click ID (optional; defaults to the aff_click_id cookie)
+ * - order_id (or transaction_id): Order id, credited once per campaign (default: the click id)
+ * - amount: Order amount (default: 0)
+ * - currency: ISO currency code (default: INR)
+ * - goal: Id of the campaign goal reached (optional); unknown goals are not credited
+ *
+ * The cookie is only sent when the pixel is served from the same site as the tracking link,
+ * or when third-party cookies are enabled in attribution settings; pass click_id otherwise.
+ *
+ * Conversions go through the same attribution and commission logic as /api/postback.
+ * Browser-reported conversions cannot be signed, so they are recorded as pending and
+ * unconfirmed: they stay out of the affiliate's earnings until an admin approves them or the
+ * advertiser's signed postback replaces them (lib/conversionReview.js), and cannot override
+ * the payout. Campaigns with a postback IP allowlist reject them.
+ * Always answers with the pixel so a tracking failure never breaks the checkout page.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const cookieClickId = request.cookies?.get(ATTRIBUTION_COOKIE_NAME)?.value || null;
+    const { clickId, transactionId, amount, currency } = parseConversionPixelParams(searchParams, cookieClickId);
+    const goalId = normalizeGoalId(searchParams.get('goal'));
+
+    if (!clickId) {
+      return pixelResponse();
+    }
+
+    const database = await getDb();
+
+    const click = await database.collection(CLICK_EVENTS_COLLECTION).findOne({ clickId });
+
+    if (!click) {
+      console.warn('Conversion pixel for unknown click:', { clickId });
+      return pixelResponse();
+    }
+
+    // Campaigns with a postback IP allowlist only accept conversions from those servers
+    const campaign = await findCampaign(database, click.campaignId);
+    const ipAddress = extractTrustedIP(Object.fromEntries(request.headers.entries()));
+    const sourceError = await checkPostbackSource(database, campaign, { ip: ipAddress, source: 'pixel', clickId });
+
+    if (sourceError) {
+      console.warn('Conversion pixel source rejected:', { clickId, ip: ipAddress });
+      return pixelResponse();
+    }
+
+    const goal = goalId ? findCampaignGoal(campaign, goalId) : null;
+
+    if (goalId && !goal) {
+      console.warn('Conversion pixel for unknown goal:', { clickId, goal: goalId });
+      return pixelResponse();
+    }
+
+    const result = await recordPostbackConversion(database, click, {
+      transactionId,
+      amount,
+      currency,
+      status: 'pending',
+      source: 'pixel',
+      goal,
+    });
+
+    if (result.status !== 200) {
+      console.warn('Conversion pixel not credited:', { clickId, transactionId, status: result.status, error: result.body.error });
+    }
+  } catch (error) {
+    console.error('Conversion pixel error:', error);
+  }
+
+  return pixelResponse();
+}
+
+/**
+ * POST variant (e.g. navigator.sendBeacon)
+ */
+export async function POST(request) {
+  return GET(request);
+}
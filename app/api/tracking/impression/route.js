@@ -0,0 +1,71 @@
+import { getDb } from '@/lib/db';
+import { pixelResponse } from '@/lib/pixel';
+import { detectBot, extractIP, extractReferrer, parseUserAgent } from '@/lib/botDetection';
+import { extractSubIds } from '@/models/ClickEvent';
+import { IMPRESSION_EVENTS_COLLECTION, extractCreativeId } from '@/models/ImpressionEvent';
+
+/**
+ * Impression Pixel Endpoint
+ * Embed as <img src="/api/tracking/impression?affiliate_id=...&campaign_id=..." width="1" height="1">
+ * next to a banner to count its views.
+ *
+ * Query Parameters:
+ * - affiliate_id: Affiliate ID (required)
+ * - campaign_id: Campaign ID (required)
+ * - creative_id (or creative): Banner/creative identifier (optional)
+ * - sub1..sub5: Affiliate sub-IDs (optional)
+ *
+ * Always answers with the pixel so a tracking failure never breaks the host page.
+ * Bots are stored with filtered: true and excluded from impression counts.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const affiliateId = searchParams.get('affiliate_id');
+    const campaignId = searchParams.get('campaign_id');
+
+    if (!affiliateId || !campaignId) {
+      return pixelResponse();
+    }
+
+    const headers = Object.fromEntries(request.headers.entries());
+    const referrer = extractReferrer(headers);
+    const userAgent = headers['user-agent'] || '';
+
+    const botDetection = detectBot({
+      userAgent,
+      referrer,
+      hostname: request.headers.get('host'),
+    });
+
+    const subIds = extractSubIds(searchParams);
+
+    const impression = {
+      affiliateId,
+      campaignId,
+      creativeId: extractCreativeId(searchParams),
+      subIds: Object.keys(subIds).length > 0 ? subIds : null,
+      ipAddress: extractIP(headers),
+      referrer,
+      userAgent,
+      deviceType: parseUserAgent(userAgent).device?.type || 'desktop',
+      filtered: botDetection.isBot,
+      filterReason: botDetection.isBot ? botDetection.reason : null,
+      createdAt: new Date().toISOString(),
+    };
+
+    const database = await getDb();
+    await database.collection(IMPRESSION_EVENTS_COLLECTION).insertOne(impression);
+  } catch (error) {
+    console.error('Impression tracking error:', error);
+  }
+
+  return pixelResponse();
+}
+
+/**
+ * POST variant for tracking.js (e.g. navigator.sendBeacon)
+ */
+export async function POST(request) {
+  return GET(request);
+}
@@ -1,10 +1,28 @@
 import { NextResponse } from 'next/server';
 import db from '@/lib/db';
-import { verifyWebhookSignature, extractAttributionInfo } from '@/lib/stripe';
+import { verifyWebhookSignature, extractAttributionInfo, getDiscountCodes } from '@/lib/stripe';
 import { REVENUE_COLLECTION } from '@/models/Revenue';
-import { AFFILIATE_PROFILES_COLLECTION, getCommissionRate } from '@/models/AffiliateProfile';
-import { CAMPAIGNS_COLLECTION } from '@/models/Campaign';
-import { ObjectId } from 'mongodb';
+import {
+  getAttributionSettings,
+  checkConversionClick,
+  recordRejectedConversion,
+  resolveAttribution,
+  allocateAmount,
+  describeCredit,
+} from '@/lib/attribution';
+import { claimConversion, creditTouchOnce, completeConversion, failConversion } from '@/lib/conversions';
+import { fireAffiliatePostbacks } from '@/lib/affiliatePostbacks';
+import { POSTBACK_EVENTS } from '@/models/AffiliatePostback';
+import { getCouponCredit } from '@/models/Coupon';
+import { getCustomerCredit } from '@/models/Customer';
+import { resolveCoupon } from '@/lib/coupons';
+import { findCustomer, findActiveCustomerOwner, isCustomerCreditActive, trackCustomer } from '@/lib/customers';
+import { applyCommissionCaps, releaseCommissionCaps } from '@/lib/campaignCaps';
+import { findCampaign } from '@/lib/campaigns';
+import { findCampaignGoal } from '@/models/CampaignGoal';
+import { calculateCommission, checkPayoutRules } from '@/lib/commissions';
+
+const CLICK_EVENTS_COLLECTION = 'click_events';
 
 // Enable raw body for webhook signature verification
 export const config = {
@@ -78,10 +96,15 @@ export async function POST(request) {
 
 /**
  * Handle checkout.session.completed event
- * Creates revenue record with attribution data
+ * Creates one revenue record per credited touch with attribution data.
+ * Without a click id, a promotion code or coupon assigned to an affiliate credits that affiliate.
+ * A returning customer with no other attribution is credited to the affiliate who acquired them.
+ * A goal in the session metadata (e.g. goal: 'purchase') pays by that campaign goal's payout rule.
+ * Each payment is credited once per goal; redelivered events are ignored.
  */
 async function handleCheckoutCompleted(session) {
   const { db: database } = await db.getConnection();
+  let claim = null;
 
   try {
     // Extract attribution information from metadata or client_reference_id
@@ -99,126 +122,223 @@ async function handleCheckoutCompleted(session) {
       }
     }
 
-    // Create revenue record
-    const revenueRecord = {
-      stripePaymentId: session.payment_intent || session.id,
-      stripeSessionId: session.id,
-      amount: session.amount_total / 100, // Convert from cents
-      currency: session.currency?.toUpperCase() || 'INR',
-      status: session.payment_status === 'paid' ? 'succeeded' : 'pending',
-      affiliateId: attributionInfo.affiliateId,
-      campaignId: attributionInfo.campaignId,
-      clickId: attributionInfo.clickId,
-      metadata: {
-        customerEmail: session.customer_details?.email,
-        customerName: session.customer_details?.name,
-        paymentStatus: session.payment_status,
-        paymentMethodTypes: session.payment_method_types,
-        billingDetails: session.customer_details,
-        metadata: session.metadata,
-        clientReferenceId: session.client_reference_id,
-        subscription: session.subscription,
-        mode: session.mode,
-      },
-      createdAt: new Date().toISOString(),
-      convertedAt: null, // Will be set when payout is calculated
-    };
-
-    // Calculate commission
-    let commissionAmount = 0;
-
-    // 1. Try to calculate based on Campaign Rules first
-    let campaignRulesApplied = false;
-
-    if (revenueRecord.campaignId) {
-      try {
-        const campaignQuery = ObjectId.isValid(revenueRecord.campaignId)
-          ? { _id: new ObjectId(revenueRecord.campaignId) }
-          : { _id: revenueRecord.campaignId }; // Fallback for custom IDs
-
-        const campaign = await database.collection(CAMPAIGNS_COLLECTION).findOne(campaignQuery);
-
-        if (campaign && campaign.payout_rules) {
-          const rules = campaign.payout_rules;
-
-          if (typeof rules === 'object') {
-            if (rules.type === 'RevShare' && rules.percentage) {
-              commissionAmount = revenueRecord.amount * (rules.percentage / 100);
-              campaignRulesApplied = true;
-            } else if ((rules.type === 'CPA' || rules.type === 'Fixed') && rules.amount) {
-              commissionAmount = rules.amount;
-              campaignRulesApplied = true;
-            }
-          }
-        }
-      } catch (error) {
-        console.error('Error fetching campaign for commission:', error);
-      }
+    const orderAmount = session.amount_total / 100; // Convert from cents
+    const customerIdentity = { stripeCustomerId: session.customer, email: session.customer_details?.email };
+
+    // Resolve which touches share the credit under the active attribution model.
+    // Without a known click, the coupon's affiliate (or else the metadata affiliate, or else
+    // the customer's acquiring affiliate) receives full credit.
+    const conversionClick = attributionInfo.clickId
+      ? await database.collection(CLICK_EVENTS_COLLECTION).findOne({ clickId: attributionInfo.clickId })
+      : null;
+    const coupon = attributionInfo.clickId
+      ? null
+      : await resolveCoupon(database, await getDiscountCodes(session));
+    const owner = attributionInfo.clickId || coupon || attributionInfo.affiliateId
+      ? null
+      : await findActiveCustomerOwner(database, customerIdentity);
+    const directCredit = coupon || owner;
+
+    // Resolve the campaign goal the checkout reports; unknown goals are paid as plain sales
+    const conversionCampaignId = conversionClick?.campaignId ?? directCredit?.campaignId ?? attributionInfo.campaignId;
+    const goal = attributionInfo.goal
+      ? findCampaignGoal(await findCampaign(database, conversionCampaignId), attributionInfo.goal)
+      : null;
+
+    if (attributionInfo.goal && !goal) {
+      console.warn('Checkout names an unknown campaign goal:', { campaignId: conversionCampaignId, goal: attributionInfo.goal });
     }
 
-    // 2. Fallback to Affiliate Profile Rate (with tiered support) if Campaign Rules didn't apply
-    if (!campaignRulesApplied && revenueRecord.affiliateId) {
-      try {
-        const profile = await database.collection(AFFILIATE_PROFILES_COLLECTION).findOne({
-          userId: revenueRecord.affiliateId
-        });
+    // Stripe retries webhooks - credit each payment only once per campaign (and goal)
+    const stripePaymentId = session.payment_intent || session.id;
+    claim = await claimConversion(database, {
+      campaignId: conversionCampaignId,
+      transactionId: stripePaymentId,
+      source: 'stripe',
+      goal: goal?.id,
+    });
 
-        if (profile) {
-          // Use tiered commission rate based on current earnings
-          const rate = getCommissionRate(profile, profile.total_earnings || 0);
-          commissionAmount = revenueRecord.amount * rate;
-        } else {
-          // Fallback default 10%
-          commissionAmount = revenueRecord.amount * 0.10;
-        }
-      } catch (error) {
-        console.error('Error fetching affiliate profile for commission calc:', error);
-      }
+    if (!claim.claimed) return;
+
+    // Reject sales on filtered clicks, campaigns outside their schedule and clicks outside
+    // the attribution window (as of the first delivery, when a failed claim is resumed), and
+    // sales on campaigns whose payout rules are free text. Stripe still gets a 200.
+    let settings = null;
+    let rejection = null;
+    if (conversionClick) {
+      settings = await getAttributionSettings(database, conversionClick.campaignId);
+      const campaign = await findCampaign(database, conversionClick.campaignId);
+      rejection = checkConversionClick(conversionClick, settings, claim.claimedAt, campaign);
+    }
+    rejection = rejection || await checkPayoutRules(database, { campaignId: conversionCampaignId, goal });
+
+    if (rejection) {
+      const rejectedClick = conversionClick || {
+        affiliateId: directCredit ? directCredit.affiliateId : attributionInfo.affiliateId,
+        campaignId: conversionCampaignId,
+        clickId: attributionInfo.clickId || null,
+      };
+      await recordRejectedConversion(database, rejectedClick, rejection, {
+        stripePaymentId,
+        stripeSessionId: session.id,
+        amount: orderAmount,
+        currency: session.currency?.toUpperCase() || 'INR',
+        metadata: {
+          customerEmail: session.customer_details?.email,
+          subscription: session.subscription,
+          mode: session.mode,
+        },
+      });
+      await completeConversion(database, claim.key, { status: 422, body: { success: false, reason: rejection.reason } });
+      return;
     }
 
-    // Round to 2 decimals
-    commissionAmount = Math.round(commissionAmount * 100) / 100;
-    // ensure not negative
-    if (commissionAmount < 0) commissionAmount = 0;
-
-    // Add commission amount to record
-    revenueRecord.commissionAmount = commissionAmount;
+    const attribution = conversionClick
+      ? await resolveAttribution(database, conversionClick, { settings, conversionTime: claim.claimedAt })
+      : null;
+
+    const credits = attribution
+      ? attribution.credits.map(credit => ({
+        affiliateId: credit.click.affiliateId,
+        campaignId: credit.click.campaignId,
+        clickId: credit.click.clickId,
+        weight: credit.weight,
+        attribution: describeCredit(attribution, credit, attributionInfo.clickId),
+        subIds: credit.click.subIds || null,
+        landingPage: credit.click.landingPage || null,
+        landingVariant: credit.click.landingVariant || null,
+        geo: credit.click.geo || null,
+        capped: credit.click.capped || null,
+      }))
+      : [{
+        affiliateId: directCredit ? directCredit.affiliateId : attributionInfo.affiliateId,
+        campaignId: directCredit ? directCredit.campaignId : attributionInfo.campaignId,
+        clickId: attributionInfo.clickId,
+        weight: 1,
+        attribution: null,
+        ...(coupon ? getCouponCredit(coupon) : {}),
+        ...(owner ? getCustomerCredit(owner) : {}),
+        subIds: Object.keys(attributionInfo.subIds).length > 0 ? attributionInfo.subIds : null,
+      }];
+
+    const amountShares = allocateAmount(orderAmount, credits);
+
+    for (const [i, credit] of credits.entries()) {
+      // Create revenue record for this credited touch (once, also when a failed delivery is resumed)
+      await creditTouchOnce(database, claim, credit.clickId || 'direct', async () => {
+        const revenueRecord = {
+          stripePaymentId,
+          stripeSessionId: session.id,
+          goal: goal?.id || null,
+          amount: amountShares[i],
+          currency: session.currency?.toUpperCase() || 'INR',
+          status: session.payment_status === 'paid' ? 'succeeded' : 'pending',
+          affiliateId: credit.affiliateId,
+          campaignId: credit.campaignId,
+          clickId: credit.clickId,
+          attribution: credit.attribution,
+          ...getCreditSource(credit),
+          subIds: credit.subIds,
+          landingPage: credit.landingPage || null,
+          landingVariant: credit.landingVariant || null,
+          geo: credit.geo || null,
+          metadata: {
+            customerEmail: session.customer_details?.email,
+            customerName: session.customer_details?.name,
+            paymentStatus: session.payment_status,
+            paymentMethodTypes: session.payment_method_types,
+            billingDetails: session.customer_details,
+            metadata: session.metadata,
+            clientReferenceId: session.client_reference_id,
+            subscription: session.subscription,
+            mode: session.mode,
+            orderAmount,
+          },
+          createdAt: new Date().toISOString(),
+          convertedAt: null, // Will be set when payout is calculated
+        };
+
+        revenueRecord.commissionAmount = await calculateCommission(database, {
+          affiliateId: revenueRecord.affiliateId,
+          campaignId: revenueRecord.campaignId,
+          goal,
+          amount: revenueRecord.amount,
+          orderValue: orderAmount,
+          weight: credit.weight,
+        });
 
-    // Insert into database
-    await database.collection(REVENUE_COLLECTION).insertOne(revenueRecord);
+        // Campaign caps can cut or cancel the commission
+        const caps = await applyCommissionCaps(database, revenueRecord, credit);
+        revenueRecord.commissionAmount = caps.commissionAmount;
+        revenueRecord.capped = caps.capped;
+
+        return revenueRecord;
+      }, async (revenueRecord) => {
+        console.log('Revenue recorded:', {
+          amount: revenueRecord.amount,
+          commission: revenueRecord.commissionAmount,
+          currency: revenueRecord.currency,
+          affiliateId: revenueRecord.affiliateId,
+          campaignId: revenueRecord.campaignId,
+          attributionSource: revenueRecord.attributionSource,
+          weight: credit.weight,
+        });
 
-    console.log('Revenue recorded:', {
-      amount: revenueRecord.amount,
-      commission: commissionAmount,
-      currency: revenueRecord.currency,
-      affiliateId: revenueRecord.affiliateId,
-      campaignId: revenueRecord.campaignId,
-    });
+        // Update affiliate's total earnings with COMMISSION amount, not total sales
+        if (revenueRecord.affiliateId) {
+          await updateAffiliateEarnings(
+            database,
+            revenueRecord.affiliateId,
+            revenueRecord.commissionAmount
+          );
+        }
 
-    // Update affiliate's total earnings with COMMISSION amount, not total sales
-    if (revenueRecord.affiliateId) {
-      await updateAffiliateEarnings(
-        database,
-        revenueRecord.affiliateId,
-        commissionAmount
-      );
+        await fireAffiliatePostbacks(database, revenueRecord, POSTBACK_EVENTS.CONVERSION);
+      });
     }
 
+    // Bind the customer to the touch with the largest share of the credit
+    const acquiringCredit = credits.reduce((best, credit) => (credit.weight > best.weight ? credit : best), credits[0]);
+    await trackCustomer(database, customerIdentity, acquiringCredit, { amount: orderAmount, source: 'stripe' });
+
+    await completeConversion(database, claim.key, { status: 200, body: { success: true, credits: credits.length } });
+
   } catch (error) {
     console.error('Error handling checkout.session.completed:', error);
+
+    // Stripe's retry resumes the touches that are left
+    if (claim?.claimed) {
+      await failConversion(database, claim.key, error).catch(err => console.error('Failed to mark conversion failed:', err));
+    }
+    throw error;
   }
 }
 
+/**
+ * Revenue fields naming a coupon or returning-customer credit, copied from a credit or an
+ * earlier revenue record. Link (click) credits have none.
+ */
+function getCreditSource(record) {
+  if (!record.attributionSource) return {};
+
+  return {
+    attributionSource: record.attributionSource,
+    ...(record.couponCode ? { couponCode: record.couponCode } : {}),
+    ...(record.customerId ? { customerId: record.customerId } : {}),
+  };
+}
+
 /**
  * Handle payment_intent.succeeded event
- * Updates revenue record status
+ * Marks every pending revenue row of the payment (one per credited touch and goal) succeeded.
+ * Rejected, refunded or reversed rows keep their status.
  */
 async function handlePaymentSucceeded(paymentIntent) {
   const { db: database } = await db.getConnection();
 
   try {
-    await database.collection(REVENUE_COLLECTION).updateOne(
-      { stripePaymentId: paymentIntent.id },
+    await database.collection(REVENUE_COLLECTION).updateMany(
+      { stripePaymentId: paymentIntent.id, status: 'pending' },
       {
         $set: {
           status: 'succeeded',
@@ -244,55 +364,69 @@ async function handleRefund(charge) {
     const paymentIntentId = charge.payment_intent;
     const amountRefunded = charge.amount_refunded / 100;
 
-    // 1. Find original revenue record to get attribution info
-    const revenueRecord = await database.collection(REVENUE_COLLECTION).findOne({
-      stripePaymentId: paymentIntentId
-    });
+    // 1. Find original revenue records (one per credited touch) to get attribution info
+    const revenueRecords = await database.collection(REVENUE_COLLECTION).find({
+      stripePaymentId: paymentIntentId,
+      status: { $ne: 'rejected' }
+    }).toArray();
 
-    if (!revenueRecord) {
+    if (revenueRecords.length === 0) {
       console.warn('Refund received for unknown payment:', paymentIntentId);
       return;
     }
 
-    // 2. Calculate commission to deduct (Pro-rated)
-    // If fully refunded, deduct full commission.
-    // If partial, deduct proportional commission.
-    let commissionToDeduct = 0;
+    const orderAmount = revenueRecords.reduce((sum, record) => sum + (record.amount || 0), 0);
+    const refundRatio = orderAmount > 0 ? Math.min(amountRefunded / orderAmount, 1) : 0;
+
+    for (const revenueRecord of revenueRecords) {
+      // 2. Calculate commission to deduct (Pro-rated)
+      // If fully refunded, deduct full commission.
+      // If partial, deduct proportional commission.
+      let commissionToDeduct = 0;
 
-    if (revenueRecord.amount > 0 && revenueRecord.commissionAmount > 0) {
-      const refundRatio = amountRefunded / revenueRecord.amount;
-      commissionToDeduct = revenueRecord.commissionAmount * refundRatio;
-      // Round to 2 decimals
-      commissionToDeduct = Math.round(commissionToDeduct * 100) / 100;
+      if (revenueRecord.commissionAmount > 0) {
+        commissionToDeduct = revenueRecord.commissionAmount * refundRatio;
+        // Round to 2 decimals
+        commissionToDeduct = Math.round(commissionToDeduct * 100) / 100;
 
-      // Cap at original commission (safety)
-      if (commissionToDeduct > revenueRecord.commissionAmount) {
-        commissionToDeduct = revenueRecord.commissionAmount;
+        // Cap at original commission (safety)
+        if (commissionToDeduct > revenueRecord.commissionAmount) {
+          commissionToDeduct = revenueRecord.commissionAmount;
+        }
       }
-    }
 
-    // 3. Update Revenue Record
-    await database.collection(REVENUE_COLLECTION).updateOne(
-      { stripePaymentId: paymentIntentId },
-      {
-        $set: {
-          status: charge.amount_refunded === charge.amount_captured ? 'refunded' : 'partially_refunded',
-          refundAmount: amountRefunded,
-          refundedAt: new Date().toISOString(),
-        },
-        $inc: {
-          // We might want to track this separately? 
-          // For now, let's just keep the original commissionAmount as "what was earned initially"
-          // and maybe add a 'deductedCommission' field or just reduce net earnings in profile.
+      // 3. Update Revenue Record
+      const refundStatus = charge.amount_refunded === charge.amount_captured ? 'refunded' : 'partially_refunded';
+      await database.collection(REVENUE_COLLECTION).updateOne(
+        { _id: revenueRecord._id },
+        {
+          $set: {
+            status: refundStatus,
+            refundAmount: Math.round((revenueRecord.amount || 0) * refundRatio * 100) / 100,
+            refundedAt: new Date().toISOString(),
+          }
         }
+      );
+
+      // A fully refunded conversion no longer counts towards the campaign's caps
+      if (refundStatus === 'refunded') {
+        await releaseCommissionCaps(database, revenueRecord);
+      }
+
+      // 4. Deduct from Affiliate Earnings
+      if (revenueRecord.affiliateId && commissionToDeduct > 0) {
+        console.log(`Deducting commission of ${commissionToDeduct} for refund ${charge.id}`);
+        // Pass negative amount to decrement
+        await updateAffiliateEarnings(database, revenueRecord.affiliateId, -commissionToDeduct);
       }
-    );
 
-    // 4. Deduct from Affiliate Earnings
-    if (revenueRecord.affiliateId && commissionToDeduct > 0) {
-      console.log(`Deducting commission of ${commissionToDeduct} for refund ${charge.id}`);
-      // Pass negative amount to decrement
-      await updateAffiliateEarnings(database, revenueRecord.affiliateId, -commissionToDeduct);
+      // 5. Notify the affiliate's tracker
+      await fireAffiliatePostbacks(
+        database,
+        { ...revenueRecord, status: refundStatus },
+        POSTBACK_EVENTS.REFUND,
+        { payout: commissionToDeduct }
+      );
     }
 
     console.log('Refund processed:', charge.id);
@@ -310,16 +444,17 @@ async function handleDispute(dispute) {
   try {
     const paymentIntentId = dispute.payment_intent;
 
-    // Find record
-    const revenueRecord = await database.collection(REVENUE_COLLECTION).findOne({
-      stripePaymentId: paymentIntentId
-    });
+    // Find records (one per credited touch)
+    const revenueRecords = await database.collection(REVENUE_COLLECTION).find({
+      stripePaymentId: paymentIntentId,
+      status: { $ne: 'rejected' }
+    }).toArray();
 
-    if (!revenueRecord) return;
+    if (revenueRecords.length === 0) return;
 
     // Mark revenue as disputed
-    await database.collection(REVENUE_COLLECTION).updateOne(
-      { stripePaymentId: paymentIntentId },
+    await database.collection(REVENUE_COLLECTION).updateMany(
+      { stripePaymentId: paymentIntentId, status: { $ne: 'rejected' } },
       { $set: { status: 'disputed', disputedAt: new Date().toISOString() } }
     );
 
@@ -328,11 +463,17 @@ async function handleDispute(dispute) {
     // If they win the dispute later, we would need a 'dispute.closed' handler to re-add it.
     // For safety/MVB, we deduct it now.
 
-    if (revenueRecord.affiliateId && revenueRecord.commissionAmount > 0) {
-      // Only deduct if not already fully refunded/deducted
-      // Simple approach: deduct full commission on dispute
-      console.log(`Deducting commission of ${revenueRecord.commissionAmount} for dispute ${dispute.id}`);
-      await updateAffiliateEarnings(database, revenueRecord.affiliateId, -revenueRecord.commissionAmount);
+    for (const revenueRecord of revenueRecords) {
+      await releaseCommissionCaps(database, revenueRecord);
+
+      if (revenueRecord.affiliateId && revenueRecord.commissionAmount > 0) {
+        // Only deduct if not already fully refunded/deducted
+        // Simple approach: deduct full commission on dispute
+        console.log(`Deducting commission of ${revenueRecord.commissionAmount} for dispute ${dispute.id}`);
+        await updateAffiliateEarnings(database, revenueRecord.affiliateId, -revenueRecord.commissionAmount);
+      }
+
+      await fireAffiliatePostbacks(database, { ...revenueRecord, status: 'disputed' }, POSTBACK_EVENTS.REVERSAL);
     }
 
   } catch (error) {
@@ -364,75 +505,172 @@ async function updateAffiliateEarnings(database, affiliateId, amount) {
 
 /**
  * Handle invoice.payment_succeeded for subscription renewals
- * Generates recurring commission for affiliates
+ * Generates recurring commission for affiliates while the original campaign's
+ * payout_rules.duration covers the customer. Subscriptions without an attributed first
+ * payment are credited to the affiliate owning the invoice's promotion code or coupon,
+ * or else to the customer's acquiring affiliate.
  */
 async function handleSubscriptionRenewal(invoice) {
   const { db: database } = await db.getConnection();
+  let claim = null;
 
   try {
     const subscriptionId = invoice.subscription;
     const paymentIntentId = invoice.payment_intent;
     const amount = invoice.amount_paid / 100; // Convert from cents
     const currency = invoice.currency?.toUpperCase() || 'INR';
+    const customerIdentity = { stripeCustomerId: invoice.customer, email: invoice.customer_email };
 
-    // Find the original revenue record linked to this subscription to get attribution
-    const originalRecord = await database.collection(REVENUE_COLLECTION).findOne({
+    // Find the original revenue records (one per credited touch) linked to this subscription
+    const originalRecords = await database.collection(REVENUE_COLLECTION).find({
       'metadata.subscription': subscriptionId,
-    });
+      'metadata.isRenewal': { $ne: true },
+      status: { $ne: 'rejected' },
+    }).toArray();
+
+    if (originalRecords.length > 0) {
+      // Campaigns without a duration rule keep paying recurring commission
+      const customer = await findCustomer(database, customerIdentity);
+      const isActive = await isCustomerCreditActive(database, {
+        campaignId: originalRecords[0].campaignId,
+        acquiredAt: customer?.acquiredAt || originalRecords[0].createdAt,
+      }, { defaultActive: true });
+
+      if (!isActive) {
+        console.log('Subscription renewal outside the campaign credit duration:', subscriptionId);
+        return;
+      }
+    } else {
+      const coupon = await resolveCoupon(database, await getDiscountCodes(invoice));
+      const owner = coupon ? null : await findActiveCustomerOwner(database, customerIdentity);
 
-    if (!originalRecord) {
-      console.log('Subscription renewal without original attribution:', subscriptionId);
-      return; // No attribution found, skip commission
-    }
+      if (!coupon && !owner) {
+        console.log('Subscription renewal without original attribution:', subscriptionId);
+        return; // No attribution found, skip commission
+      }
 
-    // Calculate commission based on affiliate profile
-    let commissionAmount = 0;
-    if (originalRecord.affiliateId) {
-      const profile = await database.collection(AFFILIATE_PROFILES_COLLECTION).findOne({
-        userId: originalRecord.affiliateId,
+      // Credit the coupon's or customer's affiliate as if it had made the original sale
+      const directCredit = coupon || owner;
+      originalRecords.push({
+        affiliateId: directCredit.affiliateId,
+        campaignId: directCredit.campaignId,
+        clickId: null,
+        attribution: null,
+        ...(coupon ? getCouponCredit(coupon) : getCustomerCredit(owner)),
+        subIds: null,
       });
-
-      if (profile) {
-        const rate = getCommissionRate(profile, profile.total_earnings || 0);
-        commissionAmount = Math.round(amount * rate * 100) / 100;
-      } else {
-        commissionAmount = Math.round(amount * 0.10 * 100) / 100; // Default 10%
-      }
     }
 
-    // Create revenue record for the renewal
-    const renewalRecord = {
-      stripePaymentId: paymentIntentId,
-      stripeInvoiceId: invoice.id,
-      amount,
-      currency,
-      status: 'succeeded',
-      affiliateId: originalRecord.affiliateId,
-      campaignId: originalRecord.campaignId,
-      commissionAmount,
-      metadata: {
-        billingReason: invoice.billing_reason,
-        subscription: subscriptionId,
-        customerEmail: invoice.customer_email,
-        isRenewal: true,
-      },
-      createdAt: new Date().toISOString(),
-    };
-
-    await database.collection(REVENUE_COLLECTION).insertOne(renewalRecord);
-
-    console.log('Subscription renewal recorded:', {
-      invoiceId: invoice.id,
-      amount,
-      commission: commissionAmount,
-      affiliateId: originalRecord.affiliateId,
+    // Stripe retries webhooks - credit each invoice only once
+    claim = await claimConversion(database, {
+      campaignId: originalRecords[0].campaignId,
+      transactionId: invoice.id,
+      source: 'stripe',
     });
 
-    // Update affiliate earnings
-    if (originalRecord.affiliateId && commissionAmount > 0) {
-      await updateAffiliateEarnings(database, originalRecord.affiliateId, commissionAmount);
+    if (!claim.claimed) return;
+
+    // Renewals on campaigns whose payout rules are free text are rejected; Stripe still gets a 200
+    const rejection = await checkPayoutRules(database, { campaignId: originalRecords[0].campaignId });
+
+    if (rejection) {
+      await recordRejectedConversion(database, originalRecords[0], rejection, {
+        stripePaymentId: paymentIntentId,
+        stripeInvoiceId: invoice.id,
+        amount,
+        currency,
+        metadata: {
+          billingReason: invoice.billing_reason,
+          subscription: subscriptionId,
+          customerEmail: invoice.customer_email,
+          isRenewal: true,
+        },
+      });
+      await completeConversion(database, claim.key, { status: 422, body: { success: false, reason: rejection.reason } });
+      return;
     }
+
+    // Renewals keep the credit split of the original conversion
+    const credits = originalRecords.map(record => ({ record, weight: record.attribution?.weight ?? 1 }));
+    const totalWeight = credits.reduce((sum, credit) => sum + credit.weight, 0) || 1;
+    credits.forEach(credit => { credit.weight = credit.weight / totalWeight; });
+
+    const amountShares = allocateAmount(amount, credits);
+
+    for (const [i, { record: originalRecord, weight }] of credits.entries()) {
+      const creditedAmount = amountShares[i];
+
+      // Create revenue record for the renewal (once, also when a failed delivery is resumed)
+      await creditTouchOnce(database, claim, originalRecord.clickId || 'direct', async () => {
+        const renewalRecord = {
+          stripePaymentId: paymentIntentId,
+          stripeInvoiceId: invoice.id,
+          amount: creditedAmount,
+          currency,
+          status: 'succeeded',
+          affiliateId: originalRecord.affiliateId,
+          campaignId: originalRecord.campaignId,
+          clickId: originalRecord.clickId,
+          // Renewals earn the campaign's RevShare, else the affiliate's profile rate
+          commissionAmount: originalRecord.affiliateId
+            ? await calculateCommission(database, {
+              affiliateId: originalRecord.affiliateId,
+              campaignId: originalRecord.campaignId,
+              amount: creditedAmount,
+              orderValue: amount,
+              weight,
+              renewal: true,
+            })
+            : 0,
+          attribution: originalRecord.attribution ? { ...originalRecord.attribution, weight } : null,
+          ...getCreditSource(originalRecord),
+          subIds: originalRecord.subIds || null,
+          landingPage: originalRecord.landingPage || null,
+          landingVariant: originalRecord.landingVariant || null,
+          geo: originalRecord.geo || null,
+          metadata: {
+            billingReason: invoice.billing_reason,
+            subscription: subscriptionId,
+            customerEmail: invoice.customer_email,
+            isRenewal: true,
+          },
+          createdAt: new Date().toISOString(),
+        };
+
+        // Campaign caps can cut or cancel the commission
+        const caps = await applyCommissionCaps(database, renewalRecord);
+        renewalRecord.commissionAmount = caps.commissionAmount;
+        renewalRecord.capped = caps.capped;
+
+        return renewalRecord;
+      }, async (renewalRecord) => {
+        console.log('Subscription renewal recorded:', {
+          invoiceId: invoice.id,
+          amount: creditedAmount,
+          commission: renewalRecord.commissionAmount,
+          affiliateId: originalRecord.affiliateId,
+        });
+
+        // Update affiliate earnings
+        if (originalRecord.affiliateId && renewalRecord.commissionAmount > 0) {
+          await updateAffiliateEarnings(database, originalRecord.affiliateId, renewalRecord.commissionAmount);
+        }
+
+        await fireAffiliatePostbacks(database, renewalRecord, POSTBACK_EVENTS.CONVERSION);
+      });
+    }
+
+    const acquiringCredit = credits.reduce((best, credit) => (credit.weight > best.weight ? credit : best), credits[0]);
+    await trackCustomer(database, customerIdentity, acquiringCredit.record, { amount, source: 'stripe' });
+
+    await completeConversion(database, claim.key, { status: 200, body: { success: true, credits: credits.length } });
   } catch (error) {
     console.error('Error handling subscription renewal:', error);
+
+    // Stripe's retry resumes the touches that are left
+    if (claim?.claimed) {
+      await failConversion(database, claim.key, error).catch(err => console.error('Failed to mark conversion failed:', err));
+    }
+    throw error;
   }
 }
\ No newline at end of file
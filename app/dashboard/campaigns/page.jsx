@@ -7,8 +7,16 @@ import Button from "@/components/ui/Button";
 import Icon from "@/components/Icon";
 import CreateCampaignModal from "@/components/dashboard/CreateCampaignModal";
 import GetLinkModal from "@/components/dashboard/GetLinkModal";
+import PostbackSettingsModal from "@/components/dashboard/PostbackSettingsModal";
+import LandingVariantsModal from "@/components/dashboard/LandingVariantsModal";
+import RoutingRulesModal from "@/components/dashboard/RoutingRulesModal";
+import CampaignCapsModal from "@/components/dashboard/CampaignCapsModal";
+import CampaignScheduleModal from "@/components/dashboard/CampaignScheduleModal";
+import CampaignGoalsModal from "@/components/dashboard/CampaignGoalsModal";
+import CapProgress from "@/components/dashboard/CapProgress";
 
 import { useAuth } from "@/context/AuthContext";
+import { describePayoutRule } from "@/models/PayoutRule";
 
 const CampaignsPage = () => {
   const { user } = useAuth();
@@ -18,6 +26,13 @@ const CampaignsPage = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [linkModalOpen, setLinkModalOpen] = useState(false);
+  const [postbackModalOpen, setPostbackModalOpen] = useState(false);
+  const [variantsModalOpen, setVariantsModalOpen] = useState(false);
+  const [routingModalOpen, setRoutingModalOpen] = useState(false);
+  const [capsModalOpen, setCapsModalOpen] = useState(false);
+  const [scheduleModalOpen, setScheduleModalOpen] = useState(false);
+  const [goalsModalOpen, setGoalsModalOpen] = useState(false);
+  const [capReports, setCapReports] = useState({});
   const [selectedCampaign, setSelectedCampaign] = useState(null);
 
   // Search and View State
@@ -42,6 +57,13 @@ const CampaignsPage = () => {
       } else {
         console.error("Failed to fetch campaigns:", data.error);
       }
+
+      // Cap usage for the progress bars
+      if (user?.role === 'admin') {
+        const capsRes = await fetch("/api/campaigns/caps");
+        const capsData = await capsRes.json();
+        if (capsData.success) setCapReports(capsData.data);
+      }
     } catch (err) {
       console.error("Error fetching campaigns:", err);
     } finally {
@@ -55,10 +77,40 @@ const CampaignsPage = () => {
     setLinkModalOpen(true);
   };
 
+  const handlePostbackSettings = (campaign) => {
+    setSelectedCampaign(campaign);
+    setPostbackModalOpen(true);
+  };
+
+  const handleLandingVariants = (campaign) => {
+    setSelectedCampaign(campaign);
+    setVariantsModalOpen(true);
+  };
+
+  const handleRoutingRules = (campaign) => {
+    setSelectedCampaign(campaign);
+    setRoutingModalOpen(true);
+  };
+
+  const handleCaps = (campaign) => {
+    setSelectedCampaign(campaign);
+    setCapsModalOpen(true);
+  };
+
+  const handleSchedule = (campaign) => {
+    setSelectedCampaign(campaign);
+    setScheduleModalOpen(true);
+  };
+
+  const handleGoals = (campaign) => {
+    setSelectedCampaign(campaign);
+    setGoalsModalOpen(true);
+  };
+
   // Initial Fetch
   useEffect(() => {
     fetchCampaigns();
-  }, []);
+  }, [user?.role]);
 
   // Table Column Definitions
   const columns = [
@@ -72,7 +124,19 @@ const CampaignsPage = () => {
             <Icon name="Megaphone" size={20} />
           </div>
           <div>
-            <div className="font-bold text-base-content">{row.name}</div>
+            <div className="font-bold text-base-content flex items-center gap-2">
+              {row.name}
+              {row.landingVariants?.length > 0 && (
+                <span className="badge badge-sm badge-info badge-outline" title="Landing page split test running">
+                  {row.landingVariants.length} variants
+                </span>
+              )}
+              {row.routingRules?.length > 0 && (
+                <span className="badge badge-sm badge-secondary badge-outline" title="Smart-link routing rules">
+                  {row.routingRules.length} rules
+                </span>
+              )}
+            </div>
             <a
               href={row.url}
               target="_blank"
@@ -95,16 +159,25 @@ const CampaignsPage = () => {
           active: "badge-success text-success-content",
           paused: "badge-warning text-warning-content",
           archived: "badge-neutral text-neutral-content",
+          scheduled: "badge-info text-info-content",
+          expired: "badge-error text-error-content",
         };
         return (
-          <div
-            className={`badge ${statusStyles[row.status] || "badge-ghost"
-              } gap-1 capitalize font-medium`}
-          >
-            {row.status === "active" && (
-              <div className="w-1.5 h-1.5 rounded-full bg-current animate-pulse"></div>
+          <div className="flex flex-col gap-1">
+            <div
+              className={`badge ${statusStyles[row.status] || "badge-ghost"
+                } gap-1 capitalize font-medium`}
+            >
+              {row.status === "active" && (
+                <div className="w-1.5 h-1.5 rounded-full bg-current animate-pulse"></div>
+              )}
+              {row.status}
+            </div>
+            {(row.startsAt || row.endsAt) && (
+              <span className="text-xs text-base-content/50">
+                {row.startsAt ? new Date(row.startsAt).toLocaleDateString() : "…"} – {row.endsAt ? new Date(row.endsAt).toLocaleDateString() : "…"}
+              </span>
             )}
-            {row.status}
           </div>
         );
       },
@@ -148,20 +221,36 @@ const CampaignsPage = () => {
       key: "value",
       render: (row) => {
         const rules = row.payout_rules;
-        if (typeof rules === "string") return <span className="text-xs italic opacity-70 truncate max-w-37.5" title={rules}>{rules}</span>;
+        // Free-text rules from before structured payouts cannot be calculated
+        if (typeof rules === "string") {
+          return (
+            <span className="text-xs italic text-error truncate max-w-37.5" title={`${rules} (not calculated: conversions are rejected until the payout rule is restructured)`}>
+              {rules}
+            </span>
+          );
+        }
 
         if (rules.type === "RevShare") {
-          return <span className="font-bold text-secondary">{rules.percentage}%</span>;
+          return <span className="font-bold text-secondary" title={describePayoutRule(rules)}>{rules.percentage}%</span>;
         }
 
         return (
-          <span className="font-bold text-success">
+          <span className="font-bold text-success" title={describePayoutRule(rules)}>
             {rules.currency === "INR" ? "₹" : rules.currency}
             {rules.amount?.toFixed(2)}
           </span>
         );
       }
     },
+    {
+      label: "Caps",
+      key: "caps",
+      render: (row) => (
+        capReports[row._id]?.length > 0
+          ? <CapProgress caps={capReports[row._id]} compact />
+          : <span className="text-xs opacity-50">—</span>
+      ),
+    },
     {
       label: "Created",
       key: "createdAt",
@@ -176,7 +265,82 @@ const CampaignsPage = () => {
       label: "Actions",
       key: "actions",
       render: (row) => (
-        user?.role !== 'admin' && (
+        user?.role === 'admin' ? (
+          <div className="flex gap-1">
+            <Button
+              size="sm"
+              variant="ghost"
+              className="text-primary hover:bg-primary/10"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleLandingVariants(row);
+              }}
+            >
+              <Icon name="Split" size={16} className="mr-1" />
+              Split Test
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              className="text-primary hover:bg-primary/10"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleRoutingRules(row);
+              }}
+            >
+              <Icon name="Route" size={16} className="mr-1" />
+              Routing
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              className="text-primary hover:bg-primary/10"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleCaps(row);
+              }}
+            >
+              <Icon name="Gauge" size={16} className="mr-1" />
+              Caps
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              className="text-primary hover:bg-primary/10"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleSchedule(row);
+              }}
+            >
+              <Icon name="CalendarClock" size={16} className="mr-1" />
+              Schedule
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              className="text-primary hover:bg-primary/10"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleGoals(row);
+              }}
+            >
+              <Icon name="Flag" size={16} className="mr-1" />
+              Goals
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              className="text-primary hover:bg-primary/10"
+              onClick={(e) => {
+                e.stopPropagation();
+                handlePostbackSettings(row);
+              }}
+            >
+              <Icon name="KeyRound" size={16} className="mr-1" />
+              Postback Settings
+            </Button>
+          </div>
+        ) : (
           <Button
             size="sm"
             variant="ghost"
@@ -378,9 +542,38 @@ const CampaignsPage = () => {
                         )}
                       </div>
 
+                      {capReports[campaign._id]?.length > 0 && (
+                        <div className="mb-4">
+                          <CapProgress caps={capReports[campaign._id]} compact />
+                        </div>
+                      )}
+
                       <div className="card-actions justify-end mt-auto">
                         {user?.role === 'admin' ? (
-                          <div className="text-xs text-base-content/40">Created: {new Date(campaign.createdAt).toLocaleDateString()}</div>
+                          <div className="flex w-full items-center justify-between">
+                            <div className="text-xs text-base-content/40">Created: {new Date(campaign.createdAt).toLocaleDateString()}</div>
+                            <div className="flex gap-1">
+                              <Button size="sm" variant="ghost" onClick={() => handleLandingVariants(campaign)} title="Split Test">
+                                <Icon name="Split" size={14} />
+                              </Button>
+                              <Button size="sm" variant="ghost" onClick={() => handleRoutingRules(campaign)} title="Routing Rules">
+                                <Icon name="Route" size={14} />
+                              </Button>
+                              <Button size="sm" variant="ghost" onClick={() => handleCaps(campaign)} title="Caps & Budgets">
+                                <Icon name="Gauge" size={14} />
+                              </Button>
+                              <Button size="sm" variant="ghost" onClick={() => handleSchedule(campaign)} title="Schedule">
+                                <Icon name="CalendarClock" size={14} />
+                              </Button>
+                              <Button size="sm" variant="ghost" onClick={() => handleGoals(campaign)} title="Goals">
+                                <Icon name="Flag" size={14} />
+                              </Button>
+                              <Button size="sm" variant="ghost" onClick={() => handlePostbackSettings(campaign)}>
+                                <Icon name="KeyRound" size={14} className="mr-1" />
+                                Postback Settings
+                              </Button>
+                            </div>
+                          </div>
                         ) : (
                           <Button
                             variant="primary"
@@ -413,6 +606,47 @@ const CampaignsPage = () => {
         campaign={selectedCampaign}
         affiliateId={user?._id}
       />
+
+      <PostbackSettingsModal
+        isOpen={postbackModalOpen}
+        onClose={() => setPostbackModalOpen(false)}
+        campaign={selectedCampaign}
+      />
+
+      <LandingVariantsModal
+        isOpen={variantsModalOpen}
+        onClose={() => setVariantsModalOpen(false)}
+        campaign={selectedCampaign}
+        onSuccess={fetchCampaigns}
+      />
+
+      <RoutingRulesModal
+        isOpen={routingModalOpen}
+        onClose={() => setRoutingModalOpen(false)}
+        campaign={selectedCampaign}
+        onSuccess={fetchCampaigns}
+      />
+
+      <CampaignCapsModal
+        isOpen={capsModalOpen}
+        onClose={() => setCapsModalOpen(false)}
+        campaign={selectedCampaign}
+        onSuccess={fetchCampaigns}
+      />
+
+      <CampaignScheduleModal
+        isOpen={scheduleModalOpen}
+        onClose={() => setScheduleModalOpen(false)}
+        campaign={selectedCampaign}
+        onSuccess={fetchCampaigns}
+      />
+
+      <CampaignGoalsModal
+        isOpen={goalsModalOpen}
+        onClose={() => setGoalsModalOpen(false)}
+        campaign={selectedCampaign}
+        onSuccess={fetchCampaigns}
+      />
     </div>
   );
 };
@@ -0,0 +1,275 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import Card from "@/components/ui/Card";
+import Input from "@/components/ui/Input";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+import { useAuth } from "@/context/AuthContext";
+import { COUPON_STATUS, validateCoupon } from "@/models/Coupon";
+
+const initialFormState = { code: "", affiliateId: "", campaignId: "", description: "" };
+
+const CouponsPage = () => {
+  const { user } = useAuth();
+  const router = useRouter();
+
+  // Role check - coupon assignment is admin only
+  useEffect(() => {
+    if (user && user.role !== "admin") {
+      router.push("/dashboard/my-portal");
+    }
+  }, [user, router]);
+
+  const [coupons, setCoupons] = useState([]);
+  const [affiliates, setAffiliates] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+  const [formData, setFormData] = useState(initialFormState);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchCoupons = async () => {
+    try {
+      const res = await fetch("/api/admin/coupons");
+      const data = await res.json();
+      if (data.success) setCoupons(data.data);
+    } catch (err) {
+      console.error("Error fetching coupons:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [resAffiliates, resCampaigns] = await Promise.all([
+          fetch("/api/affiliates"),
+          fetch("/api/campaigns"),
+        ]);
+        const affiliateData = await resAffiliates.json();
+        const campaignData = await resCampaigns.json();
+        if (affiliateData.success) setAffiliates(affiliateData.data.filter((aff) => aff.user?._id));
+        if (campaignData.success) setCampaigns(campaignData.data);
+      } catch (err) {
+        console.error("Error fetching coupon options:", err);
+      }
+    };
+
+    fetchOptions();
+    fetchCoupons();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: name === "code" ? value.toUpperCase() : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = validateCoupon(formData);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+    try {
+      const res = await fetch("/api/admin/coupons", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(formData),
+      });
+      const data = await res.json();
+      if (data.success) {
+        setFormData((prev) => ({ ...initialFormState, affiliateId: prev.affiliateId, campaignId: prev.campaignId }));
+        fetchCoupons();
+      } else {
+        setError(data.error || "Failed to assign coupon");
+      }
+    } catch (err) {
+      setError("An unexpected error occurred. Please try again.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleToggleStatus = async (coupon) => {
+    const status = coupon.status === COUPON_STATUS.ACTIVE ? COUPON_STATUS.INACTIVE : COUPON_STATUS.ACTIVE;
+    try {
+      const res = await fetch("/api/admin/coupons", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ id: coupon._id, status }),
+      });
+      const data = await res.json();
+      if (data.success) {
+        setCoupons((prev) => prev.map((c) => (c._id === coupon._id ? { ...c, status } : c)));
+      }
+    } catch (err) {
+      console.error("Error updating coupon:", err);
+    }
+  };
+
+  const handleDelete = async (coupon) => {
+    if (!window.confirm(`Remove coupon ${coupon.code}? Future sales with this code will not be credited.`)) return;
+
+    try {
+      const res = await fetch(`/api/admin/coupons?id=${coupon._id}`, { method: "DELETE" });
+      const data = await res.json();
+      if (data.success) {
+        setCoupons((prev) => prev.filter((c) => c._id !== coupon._id));
+      }
+    } catch (err) {
+      console.error("Error deleting coupon:", err);
+    }
+  };
+
+  return (
+    <div className="space-y-8 animate-in fade-in duration-500">
+      <div>
+        <h1 className="text-3xl font-bold text-base-content flex items-center gap-2">
+          <Icon name="Ticket" className="text-primary" size={32} />
+          Coupons
+        </h1>
+        <p className="text-base-content/60 mt-1">
+          Assign discount codes to affiliates. Sales using a code without a tracking link are credited to its affiliate.
+        </p>
+      </div>
+
+      <Card title="Assign Coupon Code">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <Input
+              label="Code"
+              name="code"
+              placeholder="e.g. DIANA20"
+              value={formData.code}
+              onChange={handleChange}
+            />
+            <div className="form-control w-full">
+              <div className="label">
+                <span className="label-text font-medium">Affiliate</span>
+              </div>
+              <select
+                name="affiliateId"
+                className="select select-bordered w-full focus:outline-primary"
+                value={formData.affiliateId}
+                onChange={handleChange}
+              >
+                <option value="">Select affiliate</option>
+                {affiliates.map((aff) => (
+                  <option key={aff._id} value={aff.user._id}>{aff.user.name || aff.user.email}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-control w-full">
+              <div className="label">
+                <span className="label-text font-medium">Campaign</span>
+              </div>
+              <select
+                name="campaignId"
+                className="select select-bordered w-full focus:outline-primary"
+                value={formData.campaignId}
+                onChange={handleChange}
+              >
+                <option value="">Select campaign</option>
+                {campaigns.map((camp) => (
+                  <option key={camp._id} value={camp._id}>{camp.name}</option>
+                ))}
+              </select>
+            </div>
+            <Input
+              label="Description (optional)"
+              name="description"
+              placeholder="Instagram bio code"
+              value={formData.description}
+              onChange={handleChange}
+            />
+          </div>
+
+          {error && (
+            <div className="alert alert-error text-sm py-3 rounded-lg">
+              <Icon name="AlertCircle" size={18} />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <Button type="submit" isLoading={isSubmitting} disabled={isSubmitting}>
+              <Icon name="Plus" size={16} className="mr-1" />
+              Assign Code
+            </Button>
+          </div>
+        </form>
+      </Card>
+
+      <Card title="Coupon Codes">
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <span className="loading loading-spinner loading-md text-primary"></span>
+          </div>
+        ) : coupons.length === 0 ? (
+          <p className="text-sm text-base-content/50 text-center py-6">No coupon codes assigned yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table table-sm">
+              <thead className="bg-base-200/50">
+                <tr>
+                  <th>Code</th>
+                  <th>Affiliate</th>
+                  <th>Campaign</th>
+                  <th className="text-center">Conversions</th>
+                  <th className="text-right">Revenue</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {coupons.map((coupon) => (
+                  <tr key={coupon._id} className="hover">
+                    <td>
+                      <div className="font-mono font-bold">{coupon.code}</div>
+                      {coupon.description && <div className="text-xs text-base-content/50">{coupon.description}</div>}
+                    </td>
+                    <td>{coupon.affiliateName || coupon.affiliateId}</td>
+                    <td>{coupon.campaignName || coupon.campaignId}</td>
+                    <td className="text-center font-mono">{coupon.conversions}</td>
+                    <td className="text-right font-mono">₹{coupon.revenue.toFixed(2)}</td>
+                    <td>
+                      <span className={`badge badge-sm ${coupon.status === COUPON_STATUS.ACTIVE ? "badge-success" : "badge-ghost"}`}>
+                        {coupon.status}
+                      </span>
+                    </td>
+                    <td className="text-right whitespace-nowrap">
+                      <button
+                        className="btn btn-ghost btn-xs"
+                        onClick={() => handleToggleStatus(coupon)}
+                        title={coupon.status === COUPON_STATUS.ACTIVE ? "Deactivate" : "Activate"}
+                      >
+                        <Icon name={coupon.status === COUPON_STATUS.ACTIVE ? "PauseCircle" : "PlayCircle"} size={14} />
+                      </button>
+                      <button
+                        className="btn btn-ghost btn-xs text-error"
+                        onClick={() => handleDelete(coupon)}
+                        title="Remove"
+                      >
+                        <Icon name="Trash2" size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default CouponsPage;
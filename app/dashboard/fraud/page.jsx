@@ -11,6 +11,7 @@ import Card from '@/components/ui/Card';
 import Icon from '@/components/Icon';
 import FraudStats from '@/components/dashboard/FraudStats';
 import FlaggedEventsTable from '@/components/dashboard/FlaggedEventsTable';
+import CountryMap from '@/components/dashboard/CountryMap';
 
 const COLORS = ['#ef4444', '#f59e0b', '#3b82f6', '#10b981', '#6366f1'];
 
@@ -30,7 +31,8 @@ const FraudPage = () => {
         fraudByReason: [],
         topOffenders: [],
         recentEvents: [],
-        dailyTrend: []
+        dailyTrend: [],
+        countries: []
     });
     const [loading, setLoading] = useState(true);
 
@@ -121,6 +123,18 @@ const FraudPage = () => {
                 </Card>
             </div>
 
+            {/* Traffic by Country Map */}
+            <Card>
+                <h3 className="font-bold text-lg mb-1 flex items-center gap-2">
+                    <Icon name="Globe" size={18} className="text-info" />
+                    Traffic by Country
+                </h3>
+                <p className="text-xs text-base-content/50 mb-4">
+                    Bubble size shows clicks; colour shows the share flagged (green under 10%, amber under 50%, red above).
+                </p>
+                <CountryMap countries={data.countries} />
+            </Card>
+
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
                 {/* Top Offenders List */}
                 <div className="lg:col-span-1">
@@ -133,7 +147,10 @@ const FraudPage = () => {
                             {data.topOffenders.map((offender, i) => (
                                 <div key={i} className="flex items-center justify-between p-2 hover:bg-base-200/50 rounded-lg">
                                     <div>
-                                        <div className="font-mono text-sm font-medium">{offender.ip}</div>
+                                        <div className="font-mono text-sm font-medium">
+                                            {offender.ip}
+                                            {offender.country && <span className="badge badge-ghost badge-xs ml-2 font-sans">{offender.country}</span>}
+                                        </div>
                                         <div className="text-xs text-base-content/50">
                                             {offender.reasons.join(', ')}
                                         </div>
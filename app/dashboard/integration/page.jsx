@@ -3,20 +3,57 @@
 import React, { useState } from "react";
 import Card from "@/components/ui/Card";
 import Button from "@/components/ui/Button";
+import Input from "@/components/ui/Input";
 import Icon from "@/components/Icon";
 
 const IntegrationPage = () => {
     const [copied, setCopied] = useState(false);
+    const [waitForConsent, setWaitForConsent] = useState(false);
+
+    const origin = typeof window !== 'undefined' ? window.location.origin : 'https://your-domain.com';
 
     const scriptCode = `<!-- AffiliatePro Tracking Code -->
-<script src="${typeof window !== 'undefined' ? window.location.origin : 'https://your-domain.com'}/tracking.js" async></script>`;
+<script>window.Affiliate = window.Affiliate || [];</script>
+<script src="${origin}/tracking.js"${waitForConsent ? ' data-wait-for-consent="true"' : ''} async></script>`;
+
+    const consentCode = `// Call from your consent banner once the visitor chooses
+Affiliate.push(['setConsent', true]);  // or false to decline`;
 
-    const conversionCode = `// Call this when a purchase/action completes
-Affiliate.conversion({
+    const conversionCode = `// Call this when a purchase/action completes.
+// Safe before tracking.js has loaded; sent with sendBeacon so redirects don't drop it.
+Affiliate.push(['conversion', {
   amount: 100.00,  // Purchase amount
   transactionId: 'ORDER_123', // Unique Order ID
   currency: 'INR' // Optional
-});`;
+}]);`;
+
+    const [pixel, setPixel] = useState({
+        tag: "img",
+        orderId: "{ORDER_ID}",
+        amount: "{ORDER_TOTAL}",
+        currency: "INR",
+        clickId: "",
+    });
+
+    const buildPixelUrl = () => {
+        const params = [
+            ["order_id", pixel.orderId],
+            ["amount", pixel.amount],
+            ["currency", pixel.currency],
+            ["click_id", pixel.clickId],
+        ].filter(([, value]) => value);
+
+        // Template placeholders are left unencoded so checkout platforms can substitute them
+        const query = params
+            .map(([key, value]) => `${key}=${/^\{.+\}$/.test(value) ? value : encodeURIComponent(value)}`)
+            .join("&");
+
+        return `${origin}/api/tracking/conversion?${query}`;
+    };
+
+    const pixelCode = pixel.tag === "iframe"
+        ? `<iframe src="${buildPixelUrl()}" width="1" height="1" frameborder="0" style="display:none"></iframe>`
+        : `<img src="${buildPixelUrl()}" width="1" height="1" alt="" style="display:none" />`;
 
     const handleCopy = (text) => {
         navigator.clipboard.writeText(text);
@@ -57,14 +94,43 @@ Affiliate.conversion({
                         </button>
                     </div>
 
+                    <label className="label cursor-pointer justify-start gap-3 mt-4">
+                        <input
+                            type="checkbox"
+                            className="toggle toggle-primary toggle-sm"
+                            checked={waitForConsent}
+                            onChange={(e) => setWaitForConsent(e.target.checked)}
+                        />
+                        <span className="label-text">Wait for visitor consent before storing anything (GDPR)</span>
+                    </label>
+
+                    {waitForConsent && (
+                        <div className="relative group mt-2">
+                            <div className="mockup-code bg-neutral text-neutral-content p-4 rounded-lg text-sm overflow-x-auto">
+                                <pre><code>{consentCode}</code></pre>
+                            </div>
+                            <button
+                                onClick={() => handleCopy(consentCode)}
+                                className="absolute top-2 right-2 btn btn-sm btn-ghost bg-base-100/10 text-white hover:bg-base-100/20"
+                            >
+                                <Icon name="Copy" size={14} />
+                                Copy
+                            </button>
+                        </div>
+                    )}
+
                     <div className="mt-4 bg-base-200/50 p-4 rounded-lg flex gap-3 text-sm">
                         <Icon name="Info" className="text-info shrink-0" size={18} />
                         <div>
                             <p className="font-bold">How it works:</p>
                             <ul className="list-disc list-inside mt-1 opacity-80 space-y-1">
-                                <li>Detects <code>?affiliate_id=...</code> in URLs.</li>
+                                <li>Detects <code>?affiliate_id=...</code> in URLs, including route changes in single-page apps.</li>
+                                <li>Works on any domain: API calls go to the domain the script is loaded from.</li>
                                 <li>Logs clicks to the server automatically.</li>
-                                <li>Stores a cookie <code>aff_click_id</code> for 30 days.</li>
+                                <li>Stores a cookie <code>aff_click_id</code> for the cookie lifetime set in Settings.</li>
+                                {waitForConsent && (
+                                    <li>Until consent is given, keeps the click id only in memory and the page URL.</li>
+                                )}
                             </ul>
                         </div>
                     </div>
@@ -99,6 +165,72 @@ Affiliate.conversion({
                 </Card>
             </div>
 
+            {/* Conversion pixel for checkouts without JavaScript */}
+            <Card title="Conversion Pixel (No JavaScript)" icon="Image">
+                <p className="mb-4 text-sm text-base-content/70">
+                    If your checkout cannot run scripts, place this pixel on the order confirmation page instead of
+                    Step 2. Replace the placeholders with your platform&apos;s order variables.
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
+                    <div className="form-control w-full">
+                        <div className="label">
+                            <span className="label-text font-medium">Tag</span>
+                        </div>
+                        <select
+                            className="select select-bordered w-full focus:outline-primary"
+                            value={pixel.tag}
+                            onChange={(e) => setPixel((prev) => ({ ...prev, tag: e.target.value }))}
+                        >
+                            <option value="img">Image</option>
+                            <option value="iframe">Iframe</option>
+                        </select>
+                    </div>
+                    <Input
+                        label="Order ID"
+                        value={pixel.orderId}
+                        onChange={(e) => setPixel((prev) => ({ ...prev, orderId: e.target.value }))}
+                    />
+                    <Input
+                        label="Amount"
+                        value={pixel.amount}
+                        onChange={(e) => setPixel((prev) => ({ ...prev, amount: e.target.value }))}
+                    />
+                    <Input
+                        label="Currency"
+                        value={pixel.currency}
+                        onChange={(e) => setPixel((prev) => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+                    />
+                    <Input
+                        label="Click ID (optional)"
+                        placeholder="Uses the aff_click_id cookie"
+                        value={pixel.clickId}
+                        onChange={(e) => setPixel((prev) => ({ ...prev, clickId: e.target.value }))}
+                    />
+                </div>
+
+                <div className="relative group">
+                    <div className="mockup-code bg-neutral text-neutral-content p-4 rounded-lg text-sm overflow-x-auto">
+                        <pre><code>{pixelCode}</code></pre>
+                    </div>
+                    <button
+                        onClick={() => handleCopy(pixelCode)}
+                        className="absolute top-2 right-2 btn btn-sm btn-ghost bg-base-100/10 text-white hover:bg-base-100/20"
+                    >
+                        <Icon name="Copy" size={14} />
+                        Copy
+                    </button>
+                </div>
+
+                <div className="mt-4 bg-base-200/50 p-4 rounded-lg flex gap-3 text-sm">
+                    <Icon name="Info" className="text-info shrink-0" size={18} />
+                    <ul className="list-disc list-inside opacity-80 space-y-1">
+                        <li>Without <code>click_id</code>, the visitor&apos;s <code>aff_click_id</code> cookie is used. It is only sent when the pixel is on the same site as your tracking links or third-party cookies are enabled.</li>
+                        <li>Each order ID is credited once. Pixel conversions are recorded as pending until reviewed.</li>
+                    </ul>
+                </div>
+            </Card>
+
             <div className="card bg-base-100 shadow-sm border border-base-200">
                 <div className="card-body">
                     <h3 className="font-bold text-lg">Server-side Integration (Advanced)</h3>
@@ -126,6 +258,16 @@ Affiliate.conversion({
                                     <td><span className="badge badge-secondary badge-outline">PUT</span></td>
                                     <td>Record a conversion. Requires <code>clickId</code>.</td>
                                 </tr>
+                                <tr>
+                                    <td className="font-mono">/api/tracking/impression</td>
+                                    <td><span className="badge badge-ghost">GET</span></td>
+                                    <td>1x1 impression pixel for banners. Takes <code>affiliate_id</code>, <code>campaign_id</code>, <code>creative_id</code> and <code>sub1</code>–<code>sub5</code>.</td>
+                                </tr>
+                                <tr>
+                                    <td className="font-mono">/api/tracking/conversion</td>
+                                    <td><span className="badge badge-ghost">GET</span></td>
+                                    <td>1x1 conversion pixel. Takes <code>order_id</code>, <code>amount</code>, <code>currency</code> and <code>click_id</code> (or the <code>aff_click_id</code> cookie).</td>
+                                </tr>
                                 <tr>
                                     <td className="font-mono">/api/webhooks/stripe</td>
                                     <td><span className="badge badge-primary badge-outline">POST</span></td>
@@ -5,10 +5,17 @@ import { useAuth } from "@/context/AuthContext";
 import Card from "@/components/ui/Card";
 import Table from "@/components/ui/Table";
 import LinkGenerator from "@/components/dashboard/LinkGenerator";
+import MyLinks from "@/components/dashboard/MyLinks";
 import Icon from "@/components/Icon";
 import AnalyticsChart from "@/components/dashboard/AnalyticsChart";
 import CampaignTable from "@/components/dashboard/CampaignTable";
+import SubIdTable from "@/components/dashboard/SubIdTable";
+import CouponTable from "@/components/dashboard/CouponTable";
+import LandingPageTable from "@/components/dashboard/LandingPageTable";
 import FunnelChart from "@/components/dashboard/FunnelChart";
+import GoalFunnels from "@/components/dashboard/GoalFunnels";
+import AffiliatePostbacks from "@/components/dashboard/AffiliatePostbacks";
+import ReferredCustomers from "@/components/dashboard/ReferredCustomers";
 
 const MyPortalPage = () => {
     const { user, token } = useAuth();
@@ -75,7 +82,10 @@ const MyPortalPage = () => {
         },
         {
             label: "Status", key: "status", render: (row) => (
-                <span className={`badge badge-outline ${row.status === 'succeeded' ? 'badge-success' : 'badge-warning'}`}>
+                <span
+                    className={`badge badge-outline ${row.status === 'succeeded' ? 'badge-success' : row.status === 'rejected' ? 'badge-error' : 'badge-warning'}`}
+                    title={row.rejectionDetail}
+                >
                     {row.status}
                 </span>
             )
@@ -134,6 +144,20 @@ const MyPortalPage = () => {
                 >
                     Detailed Analytics
                 </a>
+                <a
+                    role="tab"
+                    className={`tab ${activeTab === 'customers' ? 'tab-active bg-primary text-primary-content' : ''}`}
+                    onClick={() => setActiveTab('customers')}
+                >
+                    Customers
+                </a>
+                <a
+                    role="tab"
+                    className={`tab ${activeTab === 'postbacks' ? 'tab-active bg-primary text-primary-content' : ''}`}
+                    onClick={() => setActiveTab('postbacks')}
+                >
+                    Postbacks
+                </a>
             </div>
 
             {/* OVERVIEW TAB */}
@@ -203,6 +227,8 @@ const MyPortalPage = () => {
                         <LinkGenerator affiliateId={user?._id} />
                     </Card>
 
+                    <MyLinks affiliateId={user?._id} />
+
                     {/* History Sections */}
                     <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                         <Card title="Recent Earnings" icon="TrendingUp">
@@ -229,6 +255,27 @@ const MyPortalPage = () => {
             {/* ANALYTICS TAB */}
             {activeTab === 'analytics' && (
                 <div className="space-y-6 animate-in slide-in-from-bottom-2 duration-300">
+                    {/* Impression Metrics */}
+                    <div className="stats stats-vertical md:stats-horizontal shadow-sm border border-base-200 w-full bg-base-100">
+                        <div className="stat">
+                            <div className="stat-title">Impressions</div>
+                            <div className="stat-value text-2xl">{(analyticsData?.totals?.impressions || 0).toLocaleString()}</div>
+                        </div>
+                        <div className="stat">
+                            <div className="stat-title">Clicks</div>
+                            <div className="stat-value text-2xl">{(analyticsData?.totals?.clicks || 0).toLocaleString()}</div>
+                        </div>
+                        <div className="stat">
+                            <div className="stat-title">CTR</div>
+                            <div className="stat-value text-2xl">{(analyticsData?.totals?.ctr || 0).toFixed(2)}%</div>
+                        </div>
+                        <div className="stat">
+                            <div className="stat-title">eCPM</div>
+                            <div className="stat-value text-2xl text-success">₹{(analyticsData?.totals?.ecpm || 0).toFixed(2)}</div>
+                            <div className="stat-desc">Commission per 1,000 impressions</div>
+                        </div>
+                    </div>
+
                     {/* Charts Grid */}
                     <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
                         {/* Trend Chart */}
@@ -244,8 +291,38 @@ const MyPortalPage = () => {
                         </div>
                     </div>
 
+                    {/* Click → goal funnels of campaigns with goals */}
+                    {analyticsData?.goalFunnels?.length > 0 && (
+                        <div className="h-[420px] w-full bg-base-100 p-4 rounded-xl border border-base-200 shadow-sm">
+                            <GoalFunnels goalFunnels={analyticsData.goalFunnels} />
+                        </div>
+                    )}
+
                     {/* Campaign Performance Table */}
                     <CampaignTable campaigns={analyticsData?.campaigns || []} />
+
+                    {/* Sub-ID Breakdown Table */}
+                    <SubIdTable subIds={analyticsData?.subIds || []} />
+
+                    {/* Landing Page (Deep Link) Breakdown */}
+                    <LandingPageTable landingPages={analyticsData?.landingPages || []} />
+
+                    {/* Coupon Code Performance */}
+                    <CouponTable coupons={analyticsData?.coupons || []} />
+                </div>
+            )}
+
+            {/* CUSTOMERS TAB */}
+            {activeTab === 'customers' && (
+                <div className="animate-in slide-in-from-bottom-2 duration-300">
+                    <ReferredCustomers token={token} />
+                </div>
+            )}
+
+            {/* POSTBACKS TAB */}
+            {activeTab === 'postbacks' && (
+                <div className="animate-in slide-in-from-bottom-2 duration-300">
+                    <AffiliatePostbacks token={token} />
                 </div>
             )}
         </div>
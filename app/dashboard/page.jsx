@@ -9,6 +9,22 @@ import Chart from "@/components/ui/Chart";
 import DateRangeFilter from "@/components/ui/DateRangeFilter";
 import CreateCampaignModal from "@/components/dashboard/CreateCampaignModal";
 import FunnelChart from "@/components/dashboard/FunnelChart";
+import GoalFunnels from "@/components/dashboard/GoalFunnels";
+import LandingPageTable from "@/components/dashboard/LandingPageTable";
+import { ATTRIBUTION_SOURCES } from "@/models/Coupon";
+import { CLICK_CONSENT } from "@/models/ClickEvent";
+
+// Badge per revenue attribution source; anything unlisted is a tracking link credit
+const ATTRIBUTION_SOURCE_BADGES = {
+  [ATTRIBUTION_SOURCES.COUPON]: { label: "Coupon code", className: "badge-secondary" },
+  [ATTRIBUTION_SOURCES.CUSTOMER]: { label: "Returning customer", className: "badge-accent" },
+};
+
+const CONSENT_BADGES = {
+  [CLICK_CONSENT.GRANTED]: "badge-success",
+  [CLICK_CONSENT.PENDING]: "badge-warning",
+  [CLICK_CONSENT.DENIED]: "badge-error",
+};
 
 const DashboardPage = () => {
   const { user } = useAuth();
@@ -17,10 +33,13 @@ const DashboardPage = () => {
   const router = useRouter();
   const [analyticsData, setAnalyticsData] = useState({
     kpis: {
+      totalImpressions: 0,
       totalClicks: 0,
       totalConversions: 0,
       totalRevenue: 0,
       conversionRate: 0,
+      ctr: 0,
+      ecpm: 0,
     },
     chartData: [],
     recentActivity: []
@@ -30,6 +49,12 @@ const DashboardPage = () => {
 
   // Chart configuration for different metrics
   const chartConfig = {
+    impressions: {
+      label: "Impressions",
+      color: "#8b5cf6",
+      icon: "Eye",
+      formatter: (val) => val.toLocaleString(),
+    },
     clicks: {
       label: "Clicks",
       color: "#4f46e5", // Primary
@@ -118,6 +143,14 @@ const DashboardPage = () => {
 
   // Prepare KPI cards data
   const stats = [
+    {
+      title: "Impressions",
+      value: (analyticsData.kpis.totalImpressions || 0).toLocaleString(),
+      icon: "Eye",
+      color: "text-accent",
+      bg: "bg-accent/10",
+      loading: loading,
+    },
     {
       title: "Total Clicks",
       value: analyticsData.kpis.totalClicks.toLocaleString(),
@@ -153,6 +186,25 @@ const DashboardPage = () => {
       bg: "bg-secondary/10",
       loading: loading,
     },
+    {
+      title: "CTR",
+      value: `${analyticsData.kpis.ctr || 0}%`,
+      icon: "MousePointerClick",
+      color: "text-info",
+      bg: "bg-info/10",
+      loading: loading,
+    },
+    {
+      title: "eCPM",
+      value: new Intl.NumberFormat("en-IN", {
+        style: "currency",
+        currency: "INR",
+      }).format(analyticsData.kpis.ecpm || 0),
+      icon: "Gauge",
+      color: "text-accent",
+      bg: "bg-accent/10",
+      loading: loading,
+    },
   ];
 
   return (
@@ -295,6 +347,82 @@ const DashboardPage = () => {
           <Card>
             <FunnelChart data={analyticsData.funnel || []} />
           </Card>
+
+          {/* Click → goal funnels of campaigns with goals; per-affiliate funnels are under Campaigns → Goals */}
+          {analyticsData.goalFunnels?.length > 0 && (
+            <Card>
+              <GoalFunnels goalFunnels={analyticsData.goalFunnels} />
+            </Card>
+          )}
+
+          {/* Revenue by attribution source: tracking links, coupon codes and returning customers */}
+          {analyticsData.attributionSources?.length > 0 && (
+            <Card title="Attribution Sources" icon="Ticket">
+              <div className="overflow-x-auto">
+                <table className="table table-sm">
+                  <thead className="bg-base-200/50">
+                    <tr>
+                      <th>Source</th>
+                      <th className="text-right">Conversions</th>
+                      <th className="text-right">Revenue</th>
+                      <th className="text-right">Commission</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analyticsData.attributionSources.map((row) => (
+                      <tr key={row.source} className="hover">
+                        <td>
+                          <span className={`badge badge-sm capitalize ${ATTRIBUTION_SOURCE_BADGES[row.source]?.className || "badge-primary"}`}>
+                            {ATTRIBUTION_SOURCE_BADGES[row.source]?.label || "Tracking link"}
+                          </span>
+                        </td>
+                        <td className="text-right font-mono">{row.conversions.toLocaleString()}</td>
+                        <td className="text-right font-mono">₹{row.revenue.toFixed(2)}</td>
+                        <td className="text-right font-mono">₹{(row.commission || 0).toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+          )}
+
+          {/* Top landing pages (campaign URLs and deep links) */}
+          <LandingPageTable landingPages={analyticsData.landingPages} title="Top Landing Pages" />
+
+          {/* Clicks by visitor consent: tracking.js consent mode vs plain links */}
+          {analyticsData.consent?.length > 0 && (
+            <Card title="Tracking Consent" icon="ShieldCheck">
+              <div className="overflow-x-auto">
+                <table className="table table-sm">
+                  <thead className="bg-base-200/50">
+                    <tr>
+                      <th>Consent</th>
+                      <th className="text-right">Clicks</th>
+                      <th className="text-right">Conversions</th>
+                      <th className="text-right">Conv. Rate</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analyticsData.consent.map((row) => (
+                      <tr key={row.consent} className="hover">
+                        <td>
+                          <span className={`badge badge-sm capitalize ${CONSENT_BADGES[row.consent] || "badge-ghost"}`}>
+                            {row.consent === CLICK_CONSENT.UNKNOWN ? "Not collected" : row.consent}
+                          </span>
+                        </td>
+                        <td className="text-right font-mono">{row.clicks.toLocaleString()}</td>
+                        <td className="text-right font-mono">{row.conversions.toLocaleString()}</td>
+                        <td className="text-right font-mono">
+                          {row.clicks > 0 ? ((row.conversions / row.clicks) * 100).toFixed(2) : "0.00"}%
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+          )}
         </div>
 
         {/* Recent Activity Feed (Static/Placeholder for now as per context) */}
@@ -1,12 +1,66 @@
 "use client";
 
-import React from "react";
+import React, { useState, useEffect } from "react";
 import Card from "@/components/ui/Card";
+import Input from "@/components/ui/Input";
+import Button from "@/components/ui/Button";
 import Icon from "@/components/Icon";
 
 const PostbackDocsPage = () => {
     const baseUrl = typeof window !== 'undefined' ? window.location.origin : 'https://yourdomain.com';
 
+    const [campaigns, setCampaigns] = useState([]);
+    const [selectedCampaign, setSelectedCampaign] = useState("");
+    const [exampleParams, setExampleParams] = useState({ click_id: "abc123", amount: "999", transaction_id: "ORDER-1001" });
+    const [signedUrl, setSignedUrl] = useState("");
+    const [isSigning, setIsSigning] = useState(false);
+    const [signError, setSignError] = useState("");
+
+    useEffect(() => {
+        const fetchCampaigns = async () => {
+            try {
+                const res = await fetch("/api/campaigns");
+                const data = await res.json();
+                if (data.success) {
+                    setCampaigns(data.data);
+                    if (data.data.length > 0) setSelectedCampaign(data.data[0]._id);
+                }
+            } catch (err) {
+                console.error("Failed to fetch campaigns", err);
+            }
+        };
+
+        fetchCampaigns();
+    }, []);
+
+    const handleParamChange = (e) => {
+        const { name, value } = e.target;
+        setExampleParams((prev) => ({ ...prev, [name]: value }));
+    };
+
+    const generateSignedUrl = async () => {
+        setIsSigning(true);
+        setSignError("");
+        setSignedUrl("");
+        try {
+            const res = await fetch("/api/postback/sign", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ campaignId: selectedCampaign, params: exampleParams }),
+            });
+            const data = await res.json();
+            if (data.success) {
+                setSignedUrl(data.data.url);
+            } else {
+                setSignError(data.error || "Failed to sign postback");
+            }
+        } catch (err) {
+            setSignError("An unexpected error occurred. Please try again.");
+        } finally {
+            setIsSigning(false);
+        }
+    };
+
     return (
         <div className="space-y-8 animate-in fade-in duration-500">
             <div>
@@ -21,7 +75,85 @@ const PostbackDocsPage = () => {
 
             <Card title="Postback URL Format" icon="Link">
                 <div className="mockup-code bg-neutral text-neutral-content p-4 rounded-lg text-sm overflow-x-auto">
-                    <pre><code>{`GET ${baseUrl}/api/postback?click_id={click_id}&amount={amount}`}</code></pre>
+                    <pre><code>{`GET ${baseUrl}/api/postback?click_id={click_id}&amount={amount}&timestamp={unix_seconds}&signature={hmac}`}</code></pre>
+                </div>
+            </Card>
+
+            <Card title="Signing Postbacks" icon="ShieldCheck">
+                <div className="space-y-3 text-sm text-base-content/80">
+                    <p>
+                        Every postback must be signed with the campaign&apos;s postback secret (Campaigns → Postback Settings).
+                        Requests with a missing or wrong signature, or a <code>timestamp</code> more than 5 minutes from server time, are rejected with <code>401</code>.
+                    </p>
+                    <p>
+                        If your server cannot sign requests, ask for its IP addresses to be added to the campaign&apos;s source IP allowlist.
+                        Postbacks from allowlisted IPs may omit <code>timestamp</code> and <code>signature</code>; once a campaign has an allowlist, postbacks from any other IP are rejected with <code>403</code>.
+                    </p>
+                    <ol className="list-decimal list-inside space-y-1">
+                        <li>Add <code>timestamp</code> (current Unix time in seconds) to your parameters.</li>
+                        <li>Sort all parameters except <code>signature</code> by name and join them as URL-encoded <code>key=value</code> pairs with <code>&amp;</code>.</li>
+                        <li>Compute the hex HMAC-SHA256 of that string using the secret and send it as <code>signature</code>.</li>
+                    </ol>
+                </div>
+                <div className="mockup-code bg-neutral text-neutral-content p-4 rounded-lg text-sm overflow-x-auto mt-4">
+                    <pre><code>{`const crypto = require('crypto');
+
+const params = { click_id: 'abc123', amount: '999', timestamp: Math.floor(Date.now() / 1000).toString() };
+const payload = Object.keys(params).sort()
+  .map(key => \`\${encodeURIComponent(key)}=\${encodeURIComponent(params[key])}\`)
+  .join('&');
+params.signature = crypto.createHmac('sha256', POSTBACK_SECRET).update(payload).digest('hex');`}</code></pre>
+                </div>
+            </Card>
+
+            <Card title="Generate a Signed Example" icon="KeyRound">
+                <div className="space-y-4">
+                    <div className="form-control w-full">
+                        <label className="label">
+                            <span className="label-text font-medium">Campaign</span>
+                        </label>
+                        <select
+                            className="select select-bordered w-full focus:outline-primary"
+                            value={selectedCampaign}
+                            onChange={(e) => setSelectedCampaign(e.target.value)}
+                        >
+                            {campaigns.length === 0 && <option value="">No campaigns available</option>}
+                            {campaigns.map((camp) => (
+                                <option key={camp._id} value={camp._id}>{camp.name}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <Input label="click_id" name="click_id" value={exampleParams.click_id} onChange={handleParamChange} />
+                        <Input label="amount" name="amount" value={exampleParams.amount} onChange={handleParamChange} />
+                        <Input label="transaction_id" name="transaction_id" value={exampleParams.transaction_id} onChange={handleParamChange} />
+                    </div>
+
+                    <div className="flex justify-end">
+                        <Button onClick={generateSignedUrl} isLoading={isSigning} disabled={!selectedCampaign || isSigning}>
+                            <Icon name="Zap" size={16} className="mr-1" />
+                            Generate Signed URL
+                        </Button>
+                    </div>
+
+                    {signError && (
+                        <div className="alert alert-error text-sm py-3 rounded-lg">
+                            <Icon name="AlertCircle" size={18} />
+                            <span>{signError}</span>
+                        </div>
+                    )}
+
+                    {signedUrl && (
+                        <div className="mockup-code bg-neutral text-neutral-content p-4 rounded-lg text-sm overflow-x-auto">
+                            <pre><code>{`curl "${signedUrl}"`}</code></pre>
+                        </div>
+                    )}
+                    {signedUrl && (
+                        <p className="text-xs text-base-content/50">
+                            This URL is valid for 5 minutes from its timestamp.
+                        </p>
+                    )}
                 </div>
             </Card>
 
@@ -39,7 +171,32 @@ const PostbackDocsPage = () => {
                             <tr>
                                 <td><code className="badge badge-ghost">click_id</code></td>
                                 <td><span className="badge badge-error badge-sm">Required</span></td>
-                                <td>The click ID returned when the user clicked the tracking link</td>
+                                <td>The click ID returned when the user clicked the tracking link. May be omitted when <code>coupon</code> or a customer is sent</td>
+                            </tr>
+                            <tr>
+                                <td><code className="badge badge-ghost">coupon</code></td>
+                                <td><span className="badge badge-warning badge-sm">Optional</span></td>
+                                <td>Coupon code used on the order. Without a <code>click_id</code>, the affiliate the code is assigned to gets full credit (<code>transaction_id</code> is then required)</td>
+                            </tr>
+                            <tr>
+                                <td><code className="badge badge-ghost">customer_id</code> / <code className="badge badge-ghost">customer_email</code></td>
+                                <td><span className="badge badge-warning badge-sm">Optional</span></td>
+                                <td>The buyer. New customers are linked to the credited affiliate; their later orders without a <code>click_id</code> or <code>coupon</code> are credited to that affiliate while the campaign&apos;s commission duration lasts. Emails are stored hashed</td>
+                            </tr>
+                            <tr>
+                                <td><code className="badge badge-ghost">timestamp</code></td>
+                                <td><span className="badge badge-error badge-sm">Required</span></td>
+                                <td>Current Unix time in seconds (must be within 5 minutes of server time)</td>
+                            </tr>
+                            <tr>
+                                <td><code className="badge badge-ghost">signature</code></td>
+                                <td><span className="badge badge-error badge-sm">Required</span></td>
+                                <td>Hex HMAC-SHA256 of the other parameters, keyed with the campaign&apos;s postback secret</td>
+                            </tr>
+                            <tr>
+                                <td><code className="badge badge-ghost">transaction_id</code></td>
+                                <td><span className="badge badge-warning badge-sm">Optional</span></td>
+                                <td>Your order/transaction ID (alias <code>order_id</code>); each one is credited once per campaign (default: click_id)</td>
                             </tr>
                             <tr>
                                 <td><code className="badge badge-ghost">amount</code></td>
@@ -54,7 +211,7 @@ const PostbackDocsPage = () => {
                             <tr>
                                 <td><code className="badge badge-ghost">status</code></td>
                                 <td><span className="badge badge-warning badge-sm">Optional</span></td>
-                                <td>"success" or "pending" (default: success)</td>
+                                <td>"success", "pending" or "reversed" to undo a credited transaction (default: success)</td>
                             </tr>
                             <tr>
                                 <td><code className="badge badge-ghost">payout</code></td>
@@ -68,7 +225,7 @@ const PostbackDocsPage = () => {
 
             <Card title="Example Request" icon="Code">
                 <div className="mockup-code bg-neutral text-neutral-content p-4 rounded-lg text-sm overflow-x-auto">
-                    <pre><code>{`curl "${baseUrl}/api/postback?click_id=abc123&amount=999&currency=INR&status=success"`}</code></pre>
+                    <pre><code>{`curl "${baseUrl}/api/postback?click_id=abc123&amount=999&currency=INR&status=success&timestamp=1718000000&signature=..."`}</code></pre>
                 </div>
                 <div className="mt-4">
                     <p className="text-sm font-medium">Response:</p>
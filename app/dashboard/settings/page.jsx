@@ -6,6 +6,7 @@ import Card from "@/components/ui/Card";
 import Input from "@/components/ui/Input";
 import Button from "@/components/ui/Button";
 import Icon from "@/components/Icon";
+import GeoIpSettings from "@/components/dashboard/GeoIpSettings";
 
 const SettingsPage = () => {
   const { user } = useAuth();
@@ -28,6 +29,7 @@ const SettingsPage = () => {
     defaultCommissionRate: "",
     minimumPayout: "",
     supportEmail: "",
+    inactiveCampaignUrl: "",
     allowRegistration: true,
   });
 
@@ -43,6 +45,9 @@ const SettingsPage = () => {
       unit: "days",
     },
     multipleTouchSessions: false,
+    firstPartyCookie: true,
+    thirdPartyCookie: true,
+    clickIdParameter: "aff_click_id",
   });
 
   // Initialize profile data from AuthContext
@@ -77,6 +82,7 @@ const SettingsPage = () => {
             defaultCommissionRate: data.data.defaultCommissionRate || 0.1,
             minimumPayout: data.data.minimumPayout || 5000,
             supportEmail: data.data.supportEmail || "",
+            inactiveCampaignUrl: data.data.inactiveCampaignUrl || "",
             allowRegistration: data.data.allowRegistration ?? true,
           });
 
@@ -93,6 +99,9 @@ const SettingsPage = () => {
                 unit: "days",
               },
               multipleTouchSessions: data.data.attribution.multipleTouchSessions || false,
+              firstPartyCookie: data.data.attribution.firstPartyCookie ?? true,
+              thirdPartyCookie: data.data.attribution.thirdPartyCookie ?? true,
+              clickIdParameter: data.data.attribution.clickIdParameter ?? "aff_click_id",
             });
           }
         }
@@ -132,10 +141,10 @@ const SettingsPage = () => {
         ...prev,
         [parent]: {
           ...prev[parent],
-          [child]: value,
+          [child]: child === 'value' ? Number(value) : value,
         },
       }));
-    } else if (name === 'multipleTouchSessions') {
+    } else if (e.target.type === 'checkbox') {
       setAttributionSettings((prev) => ({
         ...prev,
         [name]: e.target.checked,
@@ -411,6 +420,17 @@ const SettingsPage = () => {
                   />
                 </div>
 
+                <Input
+                  label="Inactive Campaign Fallback URL"
+                  name="inactiveCampaignUrl"
+                  value={globalSettings.inactiveCampaignUrl}
+                  onChange={handleSettingsChange}
+                  placeholder="https://example.com/offers"
+                />
+                <p className="text-xs text-base-content/60 -mt-2">
+                  Where clicks on paused, archived, expired or unknown campaigns go when the campaign has no fallback URL of its own. Leave empty to keep the campaign URL (or the home page for unknown short links).
+                </p>
+
                 <div className="form-control">
                   <label className="label cursor-pointer justify-start gap-4">
                     <input
@@ -558,6 +578,60 @@ const SettingsPage = () => {
                   </div>
                 </div>
 
+                {/* Cookie Scope */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <label className="label cursor-pointer justify-start gap-4">
+                    <input
+                      type="checkbox"
+                      name="firstPartyCookie"
+                      checked={attributionSettings.firstPartyCookie}
+                      onChange={handleAttributionChange}
+                      className="checkbox checkbox-primary"
+                    />
+                    <div>
+                      <span className="label-text font-medium">First-Party Cookie</span>
+                      <span className="label-text-alt block">
+                        Set the click cookie on redirect (SameSite=Lax)
+                      </span>
+                    </div>
+                  </label>
+                  <label className="label cursor-pointer justify-start gap-4">
+                    <input
+                      type="checkbox"
+                      name="thirdPartyCookie"
+                      checked={attributionSettings.thirdPartyCookie}
+                      onChange={handleAttributionChange}
+                      className="checkbox checkbox-primary"
+                    />
+                    <div>
+                      <span className="label-text font-medium">Third-Party Cookie</span>
+                      <span className="label-text-alt block">
+                        Allow cross-site use over HTTPS (SameSite=None)
+                      </span>
+                    </div>
+                  </label>
+                </div>
+
+                {/* Click ID Query Parameter */}
+                <div className="form-control">
+                  <label className="label">
+                    <span className="label-text font-medium">Click ID URL Parameter</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="clickIdParameter"
+                    value={attributionSettings.clickIdParameter}
+                    onChange={handleAttributionChange}
+                    placeholder="aff_click_id"
+                    className="input input-bordered w-full font-mono"
+                  />
+                  <label className="label">
+                    <span className="label-text-alt">
+                      Appended to destination URLs so advertisers without the tracking script can attribute conversions. Leave empty to disable.
+                    </span>
+                  </label>
+                </div>
+
                 {/* Multiple Touch Sessions */}
                 <div className="form-control">
                   <label className="label cursor-pointer justify-start gap-4">
@@ -591,6 +665,9 @@ const SettingsPage = () => {
               </form>
             </Card>
           )}
+
+          {/* Admin Only: GeoIP Database */}
+          {user?.role === "admin" && <GeoIpSettings />}
         </div>
 
         {/* Right Column: Info & Help */}
@@ -1,11 +1,16 @@
 import { NextResponse } from 'next/server';
 import { getDb } from '@/lib/db';
 import { SHORTLINKS_COLLECTION } from '@/models/ShortLink';
+import { getInactiveCampaignReason, expandCampaignUrl } from '@/models/Campaign';
+import { findCampaign, getCampaignFallbackUrl } from '@/lib/campaigns';
 
 /**
  * GET /s/[code]
  * Redirect handler for short links.
  * Increments click count and redirects to the tracking URL.
+ * Unknown codes go to the global inactiveCampaignUrl setting (home page when unset).
+ * Links to paused, archived, scheduled, expired or unknown campaigns are not counted; the
+ * tracking URL records the click as inactive campaign traffic and sends it to the fallback page.
  */
 export async function GET(request, { params }) {
     try {
@@ -22,15 +27,21 @@ export async function GET(request, { params }) {
         const shortLink = await collection.findOne({ code });
 
         if (!shortLink) {
-            // Short link not found - redirect to home
-            return NextResponse.redirect(new URL('/', request.url));
+            // Short link not found - redirect to the fallback page or home
+            const fallbackUrl = await getCampaignFallbackUrl(db, null);
+            return NextResponse.redirect(new URL(fallbackUrl ? expandCampaignUrl(fallbackUrl, {}) : '/', request.url));
         }
 
-        // Increment click counter (fire and forget)
-        collection.updateOne(
-            { code },
-            { $inc: { clicks: 1 } }
-        ).catch(err => console.error('Failed to increment click:', err));
+        const campaign = shortLink.campaignId ? await findCampaign(db, shortLink.campaignId) : null;
+        const inactiveCampaign = shortLink.campaignId ? getInactiveCampaignReason(campaign) : null;
+
+        if (!inactiveCampaign) {
+            // Increment click counter (fire and forget)
+            collection.updateOne(
+                { code },
+                { $inc: { clicks: 1 } }
+            ).catch(err => console.error('Failed to increment click:', err));
+        }
 
         // Redirect to the full tracking URL
         return NextResponse.redirect(shortLink.targetUrl);
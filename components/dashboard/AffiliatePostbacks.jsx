@@ -0,0 +1,285 @@
+"use client";
+
+import React, { useState, useEffect, useCallback } from "react";
+import Card from "@/components/ui/Card";
+import Input from "@/components/ui/Input";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+import {
+    AFFILIATE_POSTBACK_MACROS,
+    POSTBACK_EVENTS,
+    validateAffiliatePostback
+} from "@/models/AffiliatePostback";
+
+const DELIVERY_BADGES = {
+    delivered: "badge-success",
+    pending: "badge-warning",
+    failed: "badge-error",
+};
+
+const AffiliatePostbacks = ({ token }) => {
+    const [campaigns, setCampaigns] = useState([]);
+    const [postbacks, setPostbacks] = useState([]);
+    const [deliveries, setDeliveries] = useState([]);
+    const [form, setForm] = useState({ campaignId: "", url: "", events: Object.values(POSTBACK_EVENTS) });
+    const [error, setError] = useState("");
+    const [isSaving, setIsSaving] = useState(false);
+
+    const authHeaders = { Authorization: `Bearer ${token}` };
+
+    const fetchPostbacks = useCallback(async () => {
+        try {
+            const [resPostbacks, resDeliveries] = await Promise.all([
+                fetch("/api/affiliate/postbacks", { headers: { Authorization: `Bearer ${token}` } }),
+                fetch("/api/affiliate/postbacks/deliveries", { headers: { Authorization: `Bearer ${token}` } }),
+            ]);
+            const postbackData = await resPostbacks.json();
+            const deliveryData = await resDeliveries.json();
+            if (postbackData.success) setPostbacks(postbackData.data);
+            if (deliveryData.success) setDeliveries(deliveryData.data);
+        } catch (err) {
+            console.error("Failed to fetch postbacks", err);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        if (!token) return;
+
+        const fetchCampaigns = async () => {
+            try {
+                const res = await fetch("/api/campaigns?status=active", { headers: { Authorization: `Bearer ${token}` } });
+                const data = await res.json();
+                if (data.success) {
+                    setCampaigns(data.data);
+                    if (data.data.length > 0) {
+                        setForm((prev) => ({ ...prev, campaignId: prev.campaignId || data.data[0]._id }));
+                    }
+                }
+            } catch (err) {
+                console.error("Failed to fetch campaigns", err);
+            }
+        };
+
+        fetchCampaigns();
+        fetchPostbacks();
+    }, [token, fetchPostbacks]);
+
+    const toggleEvent = (event) => {
+        setForm((prev) => ({
+            ...prev,
+            events: prev.events.includes(event)
+                ? prev.events.filter((e) => e !== event)
+                : [...prev.events, event],
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const validationError = validateAffiliatePostback(form);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setIsSaving(true);
+        setError("");
+        try {
+            const res = await fetch("/api/affiliate/postbacks", {
+                method: "POST",
+                headers: { "Content-Type": "application/json", ...authHeaders },
+                body: JSON.stringify(form),
+            });
+            const data = await res.json();
+            if (data.success) {
+                setForm((prev) => ({ ...prev, url: "" }));
+                fetchPostbacks();
+            } else {
+                setError(data.error || "Failed to register postback");
+            }
+        } catch (err) {
+            setError("An unexpected error occurred. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!window.confirm("Remove this postback? Conversions will no longer be sent to this URL.")) return;
+
+        try {
+            const res = await fetch(`/api/affiliate/postbacks?id=${id}`, { method: "DELETE", headers: authHeaders });
+            const data = await res.json();
+            if (data.success) {
+                setPostbacks((prev) => prev.filter((p) => p._id !== id));
+            }
+        } catch (err) {
+            console.error("Failed to remove postback", err);
+        }
+    };
+
+    const campaignName = (id) => campaigns.find((c) => c._id === id)?.name || id;
+
+    return (
+        <div className="space-y-6">
+            <Card title="Postback URLs" icon="Webhook">
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <p className="text-sm text-base-content/60">
+                        We call your tracker whenever one of your conversions is credited, reversed or refunded.
+                    </p>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div className="form-control w-full">
+                            <div className="label">
+                                <span className="label-text font-medium">Campaign</span>
+                            </div>
+                            <select
+                                className="select select-bordered w-full focus:outline-primary"
+                                value={form.campaignId}
+                                onChange={(e) => setForm((prev) => ({ ...prev, campaignId: e.target.value }))}
+                            >
+                                {campaigns.length === 0 && <option value="">No campaigns available</option>}
+                                {campaigns.map((camp) => (
+                                    <option key={camp._id} value={camp._id}>{camp.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="md:col-span-2">
+                            <Input
+                                label="Postback URL"
+                                placeholder="https://tracker.example.com/postback?cid={click_id}&payout={payout}"
+                                value={form.url}
+                                onChange={(e) => setForm((prev) => ({ ...prev, url: e.target.value }))}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="flex flex-wrap gap-1">
+                        {AFFILIATE_POSTBACK_MACROS.map((macro) => (
+                            <span key={macro} className="badge badge-ghost badge-sm font-mono">{`{${macro}}`}</span>
+                        ))}
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-4">
+                        {Object.values(POSTBACK_EVENTS).map((event) => (
+                            <label key={event} className="label cursor-pointer gap-2">
+                                <input
+                                    type="checkbox"
+                                    className="checkbox checkbox-sm checkbox-primary"
+                                    checked={form.events.includes(event)}
+                                    onChange={() => toggleEvent(event)}
+                                />
+                                <span className="label-text capitalize">{event}</span>
+                            </label>
+                        ))}
+                        <div className="ml-auto">
+                            <Button type="submit" isLoading={isSaving} disabled={isSaving || !form.campaignId}>
+                                <Icon name="Plus" size={16} className="mr-1" />
+                                Add Postback
+                            </Button>
+                        </div>
+                    </div>
+
+                    {error && (
+                        <div className="alert alert-error text-sm py-3 rounded-lg">
+                            <Icon name="AlertCircle" size={18} />
+                            <span>{error}</span>
+                        </div>
+                    )}
+                </form>
+
+                {postbacks.length > 0 && (
+                    <div className="overflow-x-auto mt-6">
+                        <table className="table table-sm">
+                            <thead className="bg-base-200/50">
+                                <tr>
+                                    <th>Campaign</th>
+                                    <th>URL</th>
+                                    <th>Events</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {postbacks.map((postback) => (
+                                    <tr key={postback._id} className="hover">
+                                        <td className="font-medium">{postback.campaignName || campaignName(postback.campaignId)}</td>
+                                        <td className="font-mono text-xs truncate max-w-[320px]" title={postback.url}>{postback.url}</td>
+                                        <td className="space-x-1">
+                                            {postback.events.map((event) => (
+                                                <span key={event} className="badge badge-outline badge-sm capitalize">{event}</span>
+                                            ))}
+                                        </td>
+                                        <td className="text-right">
+                                            <button
+                                                className="btn btn-ghost btn-xs text-error"
+                                                onClick={() => handleDelete(postback._id)}
+                                                title="Remove"
+                                            >
+                                                <Icon name="Trash2" size={14} />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </Card>
+
+            <Card title="Delivery Log" icon="ListChecks">
+                <div className="flex justify-end -mt-2 mb-2">
+                    <button className="btn btn-ghost btn-xs" onClick={fetchPostbacks}>
+                        <Icon name="RefreshCw" size={12} className="mr-1" />
+                        Refresh
+                    </button>
+                </div>
+                {deliveries.length === 0 ? (
+                    <p className="text-sm text-base-content/50 text-center py-6">No postbacks have been sent yet.</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="table table-sm">
+                            <thead className="bg-base-200/50">
+                                <tr>
+                                    <th>Time</th>
+                                    <th>Event</th>
+                                    <th>URL</th>
+                                    <th className="text-center">Response</th>
+                                    <th className="text-center">Attempts</th>
+                                    <th>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {deliveries.map((delivery) => {
+                                    const lastAttempt = delivery.attempts?.[delivery.attempts.length - 1];
+                                    return (
+                                        <tr key={delivery._id} className="hover">
+                                            <td className="text-xs whitespace-nowrap">{new Date(delivery.createdAt).toLocaleString()}</td>
+                                            <td><span className="badge badge-ghost badge-sm capitalize">{delivery.event}</span></td>
+                                            <td className="font-mono text-xs truncate max-w-[280px]" title={delivery.url}>{delivery.url}</td>
+                                            <td className="text-center font-mono text-xs" title={lastAttempt?.error || ""}>
+                                                {lastAttempt?.statusCode ?? (lastAttempt?.error ? "—" : "")}
+                                            </td>
+                                            <td className="text-center font-mono">{delivery.attempts?.length || 0}</td>
+                                            <td>
+                                                <span
+                                                    className={`badge badge-sm ${DELIVERY_BADGES[delivery.status] || "badge-ghost"}`}
+                                                    title={delivery.status === "pending" && delivery.nextAttemptAt
+                                                        ? `Next retry: ${new Date(delivery.nextAttemptAt).toLocaleString()}`
+                                                        : lastAttempt?.error || ""}
+                                                >
+                                                    {delivery.status}
+                                                </span>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </Card>
+        </div>
+    );
+};
+
+export default AffiliatePostbacks;
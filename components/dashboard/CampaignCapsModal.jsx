@@ -0,0 +1,239 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Modal from "@/components/ui/Modal";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+import CapProgress from "@/components/dashboard/CapProgress";
+import { validateCampaignUrlTemplate } from "@/models/Campaign";
+import {
+    CAP_METRICS,
+    CAP_PERIODS,
+    CAP_SCOPES,
+    MAX_CAMPAIGN_CAPS,
+    normalizeCampaignCaps,
+    validateCampaignCaps,
+} from "@/models/CampaignCap";
+
+const toEditable = (caps) => caps.map(({ id, metric, period, limit, scope, affiliateId }) => ({
+    id,
+    metric,
+    period,
+    limit,
+    scope,
+    affiliateId: affiliateId || "",
+}));
+
+const CampaignCapsModal = ({ isOpen, onClose, campaign, onSuccess }) => {
+    const [report, setReport] = useState([]);
+    const [caps, setCaps] = useState([]);
+    const [fallbackUrl, setFallbackUrl] = useState("");
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState("");
+    const [saved, setSaved] = useState(false);
+
+    const applyReport = (data) => {
+        setReport(data.caps);
+        setFallbackUrl(data.capFallbackUrl || "");
+        setCaps(toEditable(data.caps));
+    };
+
+    useEffect(() => {
+        if (!isOpen || !campaign?._id) return;
+
+        const fetchCaps = async () => {
+            setIsLoading(true);
+            setError("");
+            setSaved(false);
+            try {
+                const res = await fetch(`/api/campaigns/caps?campaignId=${campaign._id}`);
+                const data = await res.json();
+                if (data.success) {
+                    applyReport(data.data);
+                } else {
+                    setError(data.error || "Failed to load caps");
+                }
+            } catch (err) {
+                setError("An unexpected error occurred. Please try again.");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchCaps();
+    }, [isOpen, campaign?._id]);
+
+    const updateCap = (index, field, value) => {
+        setCaps((prev) => prev.map((cap, i) => (i === index ? { ...cap, [field]: value } : cap)));
+        setSaved(false);
+    };
+
+    const addCap = () => {
+        setCaps((prev) => [...prev, { metric: "payout", period: "monthly", limit: "", scope: CAP_SCOPES.CAMPAIGN, affiliateId: "" }]);
+        setSaved(false);
+    };
+
+    const removeCap = (index) => {
+        setCaps((prev) => prev.filter((_, i) => i !== index));
+        setSaved(false);
+    };
+
+    const handleSave = async () => {
+        const normalized = normalizeCampaignCaps(caps);
+        const validationError = validateCampaignCaps(normalized)
+            || (fallbackUrl.trim() ? validateCampaignUrlTemplate(fallbackUrl.trim()) : null);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setIsSaving(true);
+        setError("");
+        setSaved(false);
+        try {
+            const res = await fetch("/api/campaigns/caps", {
+                method: "PUT",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ campaignId: campaign._id, caps: normalized, capFallbackUrl: fallbackUrl }),
+            });
+            const data = await res.json();
+            if (data.success) {
+                applyReport(data.data);
+                setSaved(true);
+                if (onSuccess) onSuccess();
+            } else {
+                setError(data.error || "Failed to save caps");
+            }
+        } catch (err) {
+            setError("An unexpected error occurred. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={() => !isSaving && onClose()}
+            title={`Caps & Budgets${campaign ? ` — ${campaign.name}` : ""}`}
+            size="lg"
+        >
+            <div className="space-y-4 mt-2">
+                <div className="bg-base-200/50 p-4 rounded-lg text-sm text-base-content/70 flex gap-3 items-start">
+                    <Icon name="Gauge" size={18} className="mt-0.5 text-primary shrink-0" />
+                    <p>
+                        When a cap is reached, conversions stop earning commission and tracking links redirect to the
+                        fallback URL until the period ends (days and months are UTC). Admins and the affected affiliates are emailed.
+                    </p>
+                </div>
+
+                {error && (
+                    <div className="alert alert-error text-sm py-3 rounded-lg shadow-sm">
+                        <Icon name="AlertCircle" size={18} />
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <div className="animate-pulse h-24 bg-base-200 rounded-lg"></div>
+                ) : (
+                    <>
+                        <CapProgress caps={report} />
+
+                        <div className="divider my-2"></div>
+
+                        <div className="space-y-2">
+                            {caps.map((cap, index) => (
+                                <div key={cap.id || `new-${index}`} className="flex flex-wrap gap-2 items-center">
+                                    <select
+                                        className="select select-sm select-bordered"
+                                        value={cap.period}
+                                        onChange={(e) => updateCap(index, "period", e.target.value)}
+                                    >
+                                        {CAP_PERIODS.map((period) => <option key={period} value={period}>{period}</option>)}
+                                    </select>
+                                    <select
+                                        className="select select-sm select-bordered"
+                                        value={cap.metric}
+                                        onChange={(e) => updateCap(index, "metric", e.target.value)}
+                                    >
+                                        {CAP_METRICS.map((metric) => <option key={metric} value={metric}>{metric}</option>)}
+                                    </select>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step={cap.metric === "payout" ? "0.01" : "1"}
+                                        className="input input-sm input-bordered w-28"
+                                        placeholder={cap.metric === "payout" ? "₹ budget" : "Limit"}
+                                        value={cap.limit}
+                                        onChange={(e) => updateCap(index, "limit", e.target.value)}
+                                    />
+                                    <select
+                                        className="select select-sm select-bordered"
+                                        value={cap.scope}
+                                        onChange={(e) => updateCap(index, "scope", e.target.value)}
+                                    >
+                                        <option value={CAP_SCOPES.CAMPAIGN}>whole campaign</option>
+                                        <option value={CAP_SCOPES.AFFILIATE}>per affiliate</option>
+                                    </select>
+                                    {cap.scope === CAP_SCOPES.AFFILIATE && (
+                                        <input
+                                            type="text"
+                                            className="input input-sm input-bordered w-44 font-mono text-xs"
+                                            placeholder="Affiliate id (all)"
+                                            value={cap.affiliateId}
+                                            onChange={(e) => updateCap(index, "affiliateId", e.target.value)}
+                                        />
+                                    )}
+                                    <button
+                                        className="btn btn-ghost btn-sm btn-square"
+                                        onClick={() => removeCap(index)}
+                                        title="Remove cap"
+                                        type="button"
+                                    >
+                                        <Icon name="Trash2" size={14} />
+                                    </button>
+                                </div>
+                            ))}
+
+                            <Button size="sm" variant="ghost" onClick={addCap} disabled={caps.length >= MAX_CAMPAIGN_CAPS} type="button">
+                                <Icon name="Plus" size={14} className="mr-1" />
+                                Add Cap
+                            </Button>
+                        </div>
+
+                        <div className="form-control w-full">
+                            <label className="label">
+                                <span className="label-text font-medium">Fallback URL</span>
+                            </label>
+                            <input
+                                type="text"
+                                className="input input-sm input-bordered w-full font-mono text-xs"
+                                placeholder="https://example.com/offer-ended (empty: keep the campaign URL)"
+                                value={fallbackUrl}
+                                onChange={(e) => { setFallbackUrl(e.target.value); setSaved(false); }}
+                            />
+                        </div>
+                    </>
+                )}
+
+                <div className="modal-action pt-4">
+                    {saved && (
+                        <span className="text-xs text-success flex items-center gap-1">
+                            <Icon name="Check" size={14} /> Saved
+                        </span>
+                    )}
+                    <Button variant="ghost" onClick={onClose} disabled={isSaving} type="button">
+                        Close
+                    </Button>
+                    <Button onClick={handleSave} isLoading={isSaving} disabled={isSaving || isLoading || !campaign} type="button">
+                        Save Caps
+                    </Button>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+export default CampaignCapsModal;
@@ -0,0 +1,101 @@
+"use client";
+
+import React from "react";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+import { MAX_CAMPAIGN_GOALS, normalizeGoalId } from "@/models/CampaignGoal";
+import { PAYOUT_RULE_TYPES } from "@/models/PayoutRule";
+
+/**
+ * Ordered campaign goals (funnel order), each with its own payout rule.
+ * Controlled: goals are { id?, name, payout_rules: { type, amount | percentage } } objects.
+ */
+const CampaignGoalsEditor = ({ goals, onChange }) => {
+    const updateGoal = (index, changes) => {
+        onChange(goals.map((goal, i) => (i === index ? { ...goal, ...changes } : goal)));
+    };
+
+    const updatePayout = (index, changes) => {
+        updateGoal(index, { payout_rules: { ...goals[index].payout_rules, ...changes } });
+    };
+
+    const moveGoal = (index, offset) => {
+        const next = [...goals];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        onChange(next);
+    };
+
+    const addGoal = () => {
+        onChange([...goals, { id: "", name: "", payout_rules: { type: "CPA", amount: "" } }]);
+    };
+
+    const removeGoal = (index) => {
+        onChange(goals.filter((_, i) => i !== index));
+    };
+
+    return (
+        <div className="space-y-2">
+            {goals.length === 0 && (
+                <p className="text-xs text-base-content/50">No goals: every conversion is paid by the campaign payout rule.</p>
+            )}
+
+            {goals.map((goal, index) => {
+                const rules = goal.payout_rules || {};
+                const isRevShare = rules.type === "RevShare";
+
+                return (
+                    <div key={`goal-${index}`} className="flex flex-wrap gap-2 items-center">
+                        <span className="badge badge-sm badge-ghost font-mono">{index + 1}</span>
+                        <input
+                            type="text"
+                            className="input input-sm input-bordered w-36"
+                            placeholder="Name, e.g. Trial start"
+                            value={goal.name}
+                            onChange={(e) => updateGoal(index, { name: e.target.value })}
+                        />
+                        <input
+                            type="text"
+                            className="input input-sm input-bordered w-28 font-mono text-xs"
+                            placeholder={normalizeGoalId(goal.name) || "goal id"}
+                            value={goal.id || ""}
+                            onChange={(e) => updateGoal(index, { id: e.target.value })}
+                            title="Sent as goal= in postbacks, pixels and Stripe metadata"
+                        />
+                        <select
+                            className="select select-sm select-bordered"
+                            value={rules.type}
+                            onChange={(e) => updatePayout(index, { type: e.target.value })}
+                        >
+                            {PAYOUT_RULE_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+                        </select>
+                        <input
+                            type="number"
+                            min="0"
+                            step={isRevShare ? "0.1" : "0.01"}
+                            className="input input-sm input-bordered w-24"
+                            placeholder={isRevShare ? "%" : "₹"}
+                            value={(isRevShare ? rules.percentage : rules.amount) ?? ""}
+                            onChange={(e) => updatePayout(index, isRevShare ? { percentage: e.target.value } : { amount: e.target.value })}
+                        />
+                        <button className="btn btn-ghost btn-sm btn-square" onClick={() => moveGoal(index, -1)} disabled={index === 0} title="Move up" type="button">
+                            <Icon name="ArrowUp" size={14} />
+                        </button>
+                        <button className="btn btn-ghost btn-sm btn-square" onClick={() => moveGoal(index, 1)} disabled={index === goals.length - 1} title="Move down" type="button">
+                            <Icon name="ArrowDown" size={14} />
+                        </button>
+                        <button className="btn btn-ghost btn-sm btn-square" onClick={() => removeGoal(index)} title="Remove goal" type="button">
+                            <Icon name="Trash2" size={14} />
+                        </button>
+                    </div>
+                );
+            })}
+
+            <Button size="sm" variant="ghost" onClick={addGoal} disabled={goals.length >= MAX_CAMPAIGN_GOALS} type="button">
+                <Icon name="Plus" size={14} className="mr-1" />
+                Add Goal
+            </Button>
+        </div>
+    );
+};
+
+export default CampaignGoalsEditor;
@@ -0,0 +1,177 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Modal from "@/components/ui/Modal";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+import FunnelChart from "@/components/dashboard/FunnelChart";
+import CampaignGoalsEditor from "@/components/dashboard/CampaignGoalsEditor";
+import { normalizeCampaignGoals, validateCampaignGoals } from "@/models/CampaignGoal";
+
+const CampaignGoalsModal = ({ isOpen, onClose, campaign, onSuccess }) => {
+    const [goals, setGoals] = useState([]);
+    const [funnel, setFunnel] = useState([]);
+    const [affiliates, setAffiliates] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState("");
+    const [saved, setSaved] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen || !campaign?._id) return;
+
+        const fetchGoals = async () => {
+            setIsLoading(true);
+            setError("");
+            setSaved(false);
+            try {
+                const res = await fetch(`/api/campaigns/goals?campaignId=${campaign._id}`);
+                const data = await res.json();
+                if (data.success) {
+                    setGoals(data.data.goals);
+                    setFunnel(data.data.funnel);
+                    setAffiliates(data.data.affiliates);
+                } else {
+                    setError(data.error || "Failed to load goals");
+                }
+            } catch (err) {
+                setError("An unexpected error occurred. Please try again.");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchGoals();
+    }, [isOpen, campaign?._id]);
+
+    const handleChange = (next) => {
+        setGoals(next);
+        setSaved(false);
+    };
+
+    const handleSave = async () => {
+        const normalized = normalizeCampaignGoals(goals);
+        const validationError = validateCampaignGoals(normalized);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setIsSaving(true);
+        setError("");
+        setSaved(false);
+        try {
+            const res = await fetch("/api/campaigns/goals", {
+                method: "PUT",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ campaignId: campaign._id, goals: normalized }),
+            });
+            const data = await res.json();
+            if (data.success) {
+                setGoals(data.data.goals);
+                setSaved(true);
+                if (onSuccess) onSuccess();
+            } else {
+                setError(data.error || "Failed to save goals");
+            }
+        } catch (err) {
+            setError("An unexpected error occurred. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // Goal columns of the per-affiliate table, from the saved goals the funnels were built with
+    const goalSteps = funnel.filter((step) => step.goal);
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={() => !isSaving && onClose()}
+            title={`Goals${campaign ? ` — ${campaign.name}` : ""}`}
+            size="lg"
+        >
+            <div className="space-y-4 mt-2">
+                <div className="bg-base-200/50 p-4 rounded-lg text-sm text-base-content/70 flex gap-3 items-start">
+                    <Icon name="Flag" size={18} className="mt-0.5 text-primary shrink-0" />
+                    <p>
+                        Goals are the steps a visitor converts on, in funnel order, e.g. signup, trial start, paid plan.
+                        Postbacks and the pixel report one with <code>goal=&lt;id&gt;</code>, Stripe checkouts with a <code>goal</code> metadata
+                        key. Each goal is paid by its own rule and credited once per transaction.
+                    </p>
+                </div>
+
+                {error && (
+                    <div className="alert alert-error text-sm py-3 rounded-lg shadow-sm">
+                        <Icon name="AlertCircle" size={18} />
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <div className="animate-pulse h-24 bg-base-200 rounded-lg"></div>
+                ) : (
+                    <>
+                        <CampaignGoalsEditor goals={goals} onChange={handleChange} />
+
+                        {goalSteps.length > 0 && (
+                            <>
+                                <div className="divider my-2"></div>
+
+                                <div className="h-[320px]">
+                                    <FunnelChart data={funnel} title="Goal Funnel" />
+                                </div>
+
+                                {affiliates.length > 0 && (
+                                    <div className="overflow-x-auto">
+                                        <table className="table table-sm">
+                                            <thead className="bg-base-200/50">
+                                                <tr>
+                                                    <th>Affiliate</th>
+                                                    <th className="text-right">Clicks</th>
+                                                    {goalSteps.map((step) => (
+                                                        <th key={step.goal} className="text-right">{step.name}</th>
+                                                    ))}
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {affiliates.map(({ affiliateId, funnel: steps }) => (
+                                                    <tr key={affiliateId} className="hover">
+                                                        <td className="font-mono text-xs">{affiliateId}</td>
+                                                        <td className="text-right font-mono">{steps[0].value}</td>
+                                                        {steps.slice(1).map((step) => (
+                                                            <td key={step.goal} className="text-right font-mono">
+                                                                {step.value}
+                                                                <span className="text-xs text-base-content/50 ml-1">({step.stepRate}%)</span>
+                                                            </td>
+                                                        ))}
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                )}
+                            </>
+                        )}
+                    </>
+                )}
+
+                <div className="modal-action pt-4">
+                    {saved && (
+                        <span className="text-xs text-success flex items-center gap-1">
+                            <Icon name="Check" size={14} /> Saved
+                        </span>
+                    )}
+                    <Button variant="ghost" onClick={onClose} disabled={isSaving} type="button">
+                        Close
+                    </Button>
+                    <Button onClick={handleSave} isLoading={isSaving} disabled={isSaving || isLoading || !campaign} type="button">
+                        Save Goals
+                    </Button>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+export default CampaignGoalsModal;
@@ -0,0 +1,143 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Modal from "@/components/ui/Modal";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+import { normalizeCampaignSchedule, validateCampaignSchedule } from "@/models/Campaign";
+
+// ISO timestamp -> value for a datetime-local input (browser's time zone)
+export const toDateTimeInput = (iso) => {
+    if (!iso) return "";
+    const date = new Date(iso);
+    if (Number.isNaN(date.getTime())) return "";
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// datetime-local value -> ISO timestamp, or null when empty
+export const fromDateTimeInput = (value) => (value ? new Date(value).toISOString() : null);
+
+const CampaignScheduleModal = ({ isOpen, onClose, campaign, onSuccess }) => {
+    const [startsAt, setStartsAt] = useState("");
+    const [endsAt, setEndsAt] = useState("");
+    const [fallbackUrl, setFallbackUrl] = useState("");
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        if (!isOpen || !campaign) return;
+        setStartsAt(toDateTimeInput(campaign.startsAt));
+        setEndsAt(toDateTimeInput(campaign.endsAt));
+        setFallbackUrl(campaign.fallbackUrl || "");
+        setError("");
+    }, [isOpen, campaign]);
+
+    const handleSave = async () => {
+        const schedule = normalizeCampaignSchedule({
+            startsAt: fromDateTimeInput(startsAt),
+            endsAt: fromDateTimeInput(endsAt),
+            fallbackUrl,
+        });
+        const validationError = validateCampaignSchedule(schedule);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setIsSaving(true);
+        setError("");
+        try {
+            const res = await fetch("/api/campaigns/schedule", {
+                method: "PUT",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ campaignId: campaign._id, ...schedule }),
+            });
+            const data = await res.json();
+            if (data.success) {
+                if (onSuccess) onSuccess();
+                onClose();
+            } else {
+                setError(data.error || "Failed to save schedule");
+            }
+        } catch (err) {
+            setError("An unexpected error occurred. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={() => !isSaving && onClose()}
+            title={`Schedule${campaign ? ` — ${campaign.name}` : ""}`}
+        >
+            <div className="space-y-4 mt-2">
+                <div className="bg-base-200/50 p-4 rounded-lg text-sm text-base-content/70 flex gap-3 items-start">
+                    <Icon name="CalendarClock" size={18} className="mt-0.5 text-primary shrink-0" />
+                    <p>
+                        Before the start date the campaign is scheduled and hidden from affiliates&apos; link generator.
+                        After the end date it expires and clicks go to the fallback URL, which also catches clicks while the campaign is paused or archived.
+                        Without one, the global fallback from Settings is used. Paused and archived campaigns keep their status.
+                    </p>
+                </div>
+
+                {error && (
+                    <div className="alert alert-error text-sm py-3 rounded-lg shadow-sm">
+                        <Icon name="AlertCircle" size={18} />
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-2 gap-4">
+                    <div className="form-control w-full">
+                        <label className="label">
+                            <span className="label-text font-medium">Starts</span>
+                        </label>
+                        <input
+                            type="datetime-local"
+                            className="input input-sm input-bordered w-full"
+                            value={startsAt}
+                            onChange={(e) => setStartsAt(e.target.value)}
+                        />
+                    </div>
+                    <div className="form-control w-full">
+                        <label className="label">
+                            <span className="label-text font-medium">Ends</span>
+                        </label>
+                        <input
+                            type="datetime-local"
+                            className="input input-sm input-bordered w-full"
+                            value={endsAt}
+                            onChange={(e) => setEndsAt(e.target.value)}
+                        />
+                    </div>
+                </div>
+
+                <div className="form-control w-full">
+                    <label className="label">
+                        <span className="label-text font-medium">Fallback URL</span>
+                    </label>
+                    <input
+                        type="text"
+                        className="input input-sm input-bordered w-full font-mono text-xs"
+                        placeholder="https://example.com/offer-ended (empty: global fallback)"
+                        value={fallbackUrl}
+                        onChange={(e) => setFallbackUrl(e.target.value)}
+                    />
+                </div>
+
+                <div className="modal-action pt-4">
+                    <Button variant="ghost" onClick={onClose} disabled={isSaving} type="button">
+                        Cancel
+                    </Button>
+                    <Button onClick={handleSave} isLoading={isSaving} disabled={isSaving || !campaign} type="button">
+                        Save Schedule
+                    </Button>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+export default CampaignScheduleModal;
@@ -24,12 +24,15 @@ const CampaignTable = ({ campaigns }) => {
                     <thead className="bg-base-200/50">
                         <tr>
                             <th>Campaign</th>
+                            <th className="text-center">Impressions</th>
                             <th className="text-center">Clicks</th>
+                            <th className="text-center">CTR</th>
                             <th className="text-center">Conversions</th>
                             <th className="text-center">Conv. Rate</th>
                             <th className="text-right">Revenue</th>
                             <th className="text-right">Commission</th>
                             <th className="text-right">EPC</th>
+                            <th className="text-right">eCPM</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -41,7 +44,9 @@ const CampaignTable = ({ campaigns }) => {
                                         {camp.url && <span className="text-xs text-base-content/50 truncate max-w-[200px]">{camp.url}</span>}
                                     </div>
                                 </td>
+                                <td className="text-center font-mono">{camp.impressions}</td>
                                 <td className="text-center font-mono">{camp.clicks}</td>
+                                <td className="text-center text-xs">{camp.impressions > 0 ? `${camp.ctr.toFixed(2)}%` : '—'}</td>
                                 <td className="text-center font-mono">{camp.conversions}</td>
                                 <td className="text-center">
                                     <span className={`badge badge-sm ${camp.conversionRate > 2 ? 'badge-success' : 'badge-ghost'}`}>
@@ -51,6 +56,7 @@ const CampaignTable = ({ campaigns }) => {
                                 <td className="text-right font-mono text-base-content/70">₹{camp.revenue.toFixed(2)}</td>
                                 <td className="text-right font-bold text-success">₹{camp.commission.toFixed(2)}</td>
                                 <td className="text-right text-xs">₹{camp.epc.toFixed(2)}</td>
+                                <td className="text-right text-xs">{camp.impressions > 0 ? `₹${camp.ecpm.toFixed(2)}` : '—'}</td>
                             </tr>
                         ))}
                     </tbody>
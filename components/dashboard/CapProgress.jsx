@@ -0,0 +1,39 @@
+"use client";
+
+import React from "react";
+
+const formatUsed = (cap, value) => (cap.metric === "payout" ? `₹${Number(value).toFixed(2)}` : value);
+
+const progressClass = (cap) => {
+    if (cap.reached) return "progress-error";
+    if (cap.progress >= 80) return "progress-warning";
+    return "progress-success";
+};
+
+/**
+ * Progress bars for campaign caps as returned by /api/campaigns/caps
+ */
+const CapProgress = ({ caps, compact = false }) => {
+    if (!caps || caps.length === 0) return null;
+
+    return (
+        <div className={compact ? "space-y-1 min-w-[140px]" : "space-y-3"}>
+            {caps.map((cap) => (
+                <div key={cap.id} title={cap.topAffiliateId ? `Closest to the limit: affiliate ${cap.topAffiliateId}` : undefined}>
+                    <div className={`flex justify-between gap-2 ${compact ? "text-[10px]" : "text-xs"} text-base-content/60`}>
+                        <span className="capitalize">
+                            {cap.period} {cap.metric}
+                            {cap.scope === "affiliate" && (cap.affiliateId && !compact ? ` · ${cap.affiliateId}` : " / affiliate")}
+                        </span>
+                        <span className={cap.reached ? "text-error font-medium" : ""}>
+                            {formatUsed(cap, cap.used)} / {formatUsed(cap, cap.limit)}
+                        </span>
+                    </div>
+                    <progress className={`progress ${progressClass(cap)} w-full ${compact ? "h-1" : "h-2"}`} value={cap.progress} max="100"></progress>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default CapProgress;
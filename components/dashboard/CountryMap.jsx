@@ -0,0 +1,91 @@
+"use client";
+
+import React from 'react';
+import {
+    ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell
+} from 'recharts';
+import Icon from '@/components/Icon';
+
+// Bubble colour by share of flagged clicks
+const fraudColor = (fraudRate) => {
+    if (fraudRate >= 50) return '#ef4444';
+    if (fraudRate >= 10) return '#f59e0b';
+    return '#10b981';
+};
+
+const CountryTooltip = ({ active, payload }) => {
+    if (!active || !payload?.length) return null;
+    const row = payload[0].payload;
+
+    return (
+        <div className="bg-base-100 border border-base-200 rounded-lg shadow-md p-3 text-sm">
+            <div className="font-bold">{row.countryName} ({row.country})</div>
+            <div>{row.clicks} clicks</div>
+            <div className="text-error">{row.flagged} flagged ({row.fraudRate.toFixed(1)}%)</div>
+        </div>
+    );
+};
+
+/**
+ * World map of click origins: one bubble per country at its average click location,
+ * sized by clicks and coloured by the share of flagged clicks
+ */
+const CountryMap = ({ countries }) => {
+    const located = (countries || []).filter(c => typeof c.latitude === 'number' && typeof c.longitude === 'number');
+
+    if (!countries || countries.length === 0) {
+        return (
+            <div className="flex flex-col items-center justify-center h-64 text-base-content/40 text-center">
+                <Icon name="Globe" size={32} className="mb-2 opacity-50" />
+                <p>No location data yet.</p>
+                <p className="text-xs">Upload a GeoIP database in Settings to locate new clicks.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 h-72 bg-base-200/30 rounded-lg">
+                {located.length === 0 ? (
+                    <div className="flex items-center justify-center h-full text-xs text-base-content/40">
+                        The GeoIP database has no coordinates (country-only edition).
+                    </div>
+                ) : (
+                    <ResponsiveContainer width="100%" height="100%">
+                        <ScatterChart margin={{ top: 10, right: 10, bottom: 10, left: 10 }}>
+                            <CartesianGrid strokeDasharray="3 3" opacity={0.4} />
+                            <XAxis type="number" dataKey="longitude" domain={[-180, 180]} ticks={[-120, -60, 0, 60, 120]} hide />
+                            <YAxis type="number" dataKey="latitude" domain={[-60, 85]} ticks={[-30, 0, 30, 60]} hide />
+                            <ZAxis type="number" dataKey="clicks" range={[40, 1200]} />
+                            <Tooltip content={<CountryTooltip />} cursor={false} />
+                            <Scatter data={located}>
+                                {located.map((row) => (
+                                    <Cell key={row.country} fill={fraudColor(row.fraudRate)} fillOpacity={0.6} />
+                                ))}
+                            </Scatter>
+                        </ScatterChart>
+                    </ResponsiveContainer>
+                )}
+            </div>
+
+            <div className="space-y-2 max-h-72 overflow-y-auto">
+                {countries.slice(0, 15).map((row) => (
+                    <div key={row.country} className="flex items-center justify-between p-2 hover:bg-base-200/50 rounded-lg">
+                        <div>
+                            <div className="text-sm font-medium">{row.countryName}</div>
+                            <div className="text-xs text-base-content/50">{row.clicks} clicks</div>
+                        </div>
+                        <span
+                            className={`badge badge-sm ${row.fraudRate >= 50 ? 'badge-error' : row.fraudRate >= 10 ? 'badge-warning' : 'badge-ghost'}`}
+                            title={`${row.flagged} flagged`}
+                        >
+                            {row.fraudRate.toFixed(1)}%
+                        </span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default CountryMap;
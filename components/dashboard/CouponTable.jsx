@@ -0,0 +1,46 @@
+"use client";
+
+import React from 'react';
+
+const CouponTable = ({ coupons }) => {
+    // Only influencer affiliates have codes; hide the table for everyone else
+    if (!coupons || coupons.length === 0) return null;
+
+    return (
+        <div className="card bg-base-100 shadow-sm border border-base-200 overflow-hidden">
+            <div className="card-header p-4 border-b border-base-200">
+                <h3 className="font-bold text-lg">Coupon Codes</h3>
+                <p className="text-xs text-base-content/50">Sales using your codes are credited to you even without a tracking link.</p>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="table">
+                    <thead className="bg-base-200/50">
+                        <tr>
+                            <th>Code</th>
+                            <th>Campaign</th>
+                            <th className="text-center">Conversions</th>
+                            <th className="text-right">Revenue</th>
+                            <th className="text-right">Commission</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {coupons.map((row) => (
+                            <tr key={row.code} className="hover">
+                                <td>
+                                    <span className="font-mono font-bold">{row.code}</span>
+                                    {row.status !== 'active' && <span className="badge badge-ghost badge-sm ml-2">{row.status}</span>}
+                                </td>
+                                <td className="truncate max-w-[200px]">{row.campaignName || row.campaignId}</td>
+                                <td className="text-center font-mono">{row.conversions}</td>
+                                <td className="text-right font-mono text-base-content/70">₹{row.revenue.toFixed(2)}</td>
+                                <td className="text-right font-bold text-success">₹{row.commission.toFixed(2)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default CouponTable;
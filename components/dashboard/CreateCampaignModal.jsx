@@ -5,6 +5,34 @@ import Modal from "@/components/ui/Modal";
 import Input from "@/components/ui/Input";
 import Button from "@/components/ui/Button";
 import Icon from "@/components/Icon";
+import RoutingRulesEditor from "@/components/dashboard/RoutingRulesEditor";
+import CampaignGoalsEditor from "@/components/dashboard/CampaignGoalsEditor";
+import PayoutRuleEditor from "@/components/dashboard/PayoutRuleEditor";
+import { fromDateTimeInput } from "@/components/dashboard/CampaignScheduleModal";
+import {
+    CAMPAIGN_URL_MACROS,
+    expandCampaignUrl,
+    validateCampaignUrlTemplate,
+    getAllowedDomains,
+    normalizeAllowedDomains,
+    normalizeCampaignSchedule,
+    validateCampaignSchedule,
+} from "@/models/Campaign";
+import { normalizeRoutingRules, validateRoutingRules } from "@/models/RoutingRule";
+import { normalizeCampaignGoals, validateCampaignGoals } from "@/models/CampaignGoal";
+import { normalizePayoutRule, validatePayoutRule } from "@/models/PayoutRule";
+
+// Sample values used to preview the expanded tracking URL
+const PREVIEW_MACRO_VALUES = {
+    affiliate_id: "aff_123",
+    click_id: "click_abc123",
+    campaign_id: "camp_456",
+    sub1: "sub1",
+    utm_source: "affiliate",
+};
+
+// Payout rule of a new campaign, as raw form values
+const INITIAL_PAYOUT_RULES = { type: "CPA", amount: "", tiers: [] };
 
 const CreateCampaignModal = ({ isOpen, onClose, onSuccess }) => {
     const [isSubmitting, setIsSubmitting] = useState(false);
@@ -13,12 +41,20 @@ const CreateCampaignModal = ({ isOpen, onClose, onSuccess }) => {
     const initialFormState = {
         name: "",
         url: "",
-        payoutType: "CPA",
-        payoutAmount: "",
-        payoutCustom: "",
+        allowedDomains: "",
+        startsAt: "",
+        endsAt: "",
+        fallbackUrl: "",
         status: "active"
     };
     const [formData, setFormData] = useState(initialFormState);
+    const [routingRules, setRoutingRules] = useState([]);
+    const [goals, setGoals] = useState([]);
+    const [payoutRules, setPayoutRules] = useState(INITIAL_PAYOUT_RULES);
+
+    const urlError = formData.url ? validateCampaignUrlTemplate(formData.url) : null;
+    const urlPreview = formData.url && !urlError ? expandCampaignUrl(formData.url, PREVIEW_MACRO_VALUES) : "";
+    const derivedDomains = formData.url && !urlError ? getAllowedDomains({ url: formData.url }) : [];
 
     const handleInputChange = (e) => {
         const { name, value } = e.target;
@@ -30,43 +66,60 @@ const CreateCampaignModal = ({ isOpen, onClose, onSuccess }) => {
         setError("");
         setIsSubmitting(true);
 
-        // Construct payout_rules based on type
-        let payout_rules;
-        if (formData.payoutType === "Custom") {
-            if (!formData.payoutCustom) {
-                setError("Please enter the custom payout rule details.");
-                setIsSubmitting(false);
-                return;
-            }
-            payout_rules = formData.payoutCustom;
-        } else if (formData.payoutType === "RevShare") {
-            if (!formData.payoutAmount) {
-                setError("Please enter the percentage amount.");
-                setIsSubmitting(false);
-                return;
-            }
-            payout_rules = {
-                type: "RevShare",
-                percentage: parseFloat(formData.payoutAmount),
-                duration: "lifetime",
-            };
-        } else {
-            // CPA or Fixed
-            if (!formData.payoutAmount) {
-                setError("Please enter the payout amount.");
-                setIsSubmitting(false);
-                return;
-            }
-            payout_rules = {
-                type: formData.payoutType,
-                amount: parseFloat(formData.payoutAmount),
-                currency: "INR",
-            };
+        if (urlError) {
+            setError(urlError);
+            setIsSubmitting(false);
+            return;
+        }
+
+        const normalizedRules = normalizeRoutingRules(routingRules);
+        const rulesError = validateRoutingRules(normalizedRules);
+        if (rulesError) {
+            setError(rulesError);
+            setIsSubmitting(false);
+            return;
+        }
+
+        const normalizedGoals = normalizeCampaignGoals(goals);
+        const goalsError = validateCampaignGoals(normalizedGoals);
+        if (goalsError) {
+            setError(goalsError);
+            setIsSubmitting(false);
+            return;
+        }
+
+        const schedule = normalizeCampaignSchedule({
+            startsAt: fromDateTimeInput(formData.startsAt),
+            endsAt: fromDateTimeInput(formData.endsAt),
+            fallbackUrl: formData.fallbackUrl,
+        });
+        const scheduleError = validateCampaignSchedule(schedule);
+        if (scheduleError) {
+            setError(scheduleError);
+            setIsSubmitting(false);
+            return;
+        }
+
+        // RevShare campaigns credit returning customers for life (payout_rules.duration)
+        const payout_rules = {
+            ...normalizePayoutRule(payoutRules),
+            currency: "INR",
+            ...(payoutRules.type === "RevShare" ? { duration: "lifetime" } : {}),
+        };
+        const payoutError = validatePayoutRule(payout_rules);
+        if (payoutError) {
+            setError(payoutError);
+            setIsSubmitting(false);
+            return;
         }
 
         const payload = {
             name: formData.name,
             url: formData.url,
+            allowedDomains: normalizeAllowedDomains(formData.allowedDomains),
+            routingRules: normalizedRules,
+            goals: normalizedGoals,
+            ...schedule,
             payout_rules,
             status: formData.status,
         };
@@ -82,6 +135,9 @@ const CreateCampaignModal = ({ isOpen, onClose, onSuccess }) => {
 
             if (data.success) {
                 setFormData(initialFormState);
+                setRoutingRules([]);
+                setGoals([]);
+                setPayoutRules(INITIAL_PAYOUT_RULES);
                 onSuccess?.();
                 onClose();
             } else {
@@ -99,13 +155,13 @@ const CreateCampaignModal = ({ isOpen, onClose, onSuccess }) => {
             isOpen={isOpen}
             onClose={() => !isSubmitting && onClose()}
             title="Create New Campaign"
-            size="md"
+            size="lg"
         >
             <form onSubmit={handleSubmit} className="space-y-4 mt-2">
                 <div className="bg-base-200/50 p-4 rounded-lg mb-4 text-sm text-base-content/70 flex gap-3 items-start">
                     <Icon name="Lightbulb" size={18} className="mt-0.5 text-warning shrink-0" />
                     <p>
-                        Define your campaign details and payout structure. Use <code>{`{affiliate_id}`}</code> in the URL to track referrals.
+                        Define your campaign details and payout structure. Use <code>{`{affiliate_id}`}</code> and <code>{`{click_id}`}</code> in the URL to track referrals.
                     </p>
                 </div>
 
@@ -131,61 +187,92 @@ const CreateCampaignModal = ({ isOpen, onClose, onSuccess }) => {
                     name="url"
                     value={formData.url}
                     onChange={handleInputChange}
-                    placeholder="https://example.com?ref={affiliate_id}"
+                    placeholder="https://example.com?ref={affiliate_id}&cid={click_id}"
+                    error={urlError}
                     required
                     disabled={isSubmitting}
                 />
 
+                {urlPreview && (
+                    <div className="text-xs text-base-content/70 -mt-2">
+                        <span className="font-medium">Preview: </span>
+                        <code className="break-all">{urlPreview}</code>
+                    </div>
+                )}
+
+                <div className="flex flex-wrap gap-1">
+                    {CAMPAIGN_URL_MACROS.map((macro) => (
+                        <span key={macro} className="badge badge-ghost badge-sm font-mono">{`{${macro}}`}</span>
+                    ))}
+                </div>
+
+                <Input
+                    label="Allowed Redirect Domains"
+                    name="allowedDomains"
+                    value={formData.allowedDomains}
+                    onChange={handleInputChange}
+                    placeholder={derivedDomains.length > 0 ? derivedDomains.join(", ") : "example.com, shop.example.com"}
+                    disabled={isSubmitting}
+                />
+                <p className="text-xs text-base-content/60 -mt-2">
+                    Comma separated. <code>redirect_url</code> on tracking links may only point to these domains (and their subdomains). Leave empty to allow only the tracking URL's domain.
+                </p>
+
+                <div className="divider text-xs font-medium text-base-content/50 my-2">ROUTING RULES</div>
+
+                <p className="text-xs text-base-content/60 -mt-2">
+                    Optional. Send visitors to a different URL by device, OS, country or language, e.g. iPhones in India to the App Store. The first matching rule wins; everyone else goes to the tracking URL.
+                </p>
+
+                <RoutingRulesEditor
+                    rules={routingRules}
+                    onChange={setRoutingRules}
+                    fallbackUrl={formData.url}
+                />
+
                 <div className="divider text-xs font-medium text-base-content/50 my-2">PAYOUT RULES</div>
 
-                <div className="form-control w-full">
-                    <label className="label">
-                        <span className="label-text font-medium">Payout Model</span>
-                    </label>
-                    <select
-                        name="payoutType"
-                        value={formData.payoutType}
+                <PayoutRuleEditor rules={payoutRules} onChange={setPayoutRules} disabled={isSubmitting} />
+
+                <div className="divider text-xs font-medium text-base-content/50 my-2">GOALS</div>
+
+                <p className="text-xs text-base-content/60 -mt-2">
+                    Optional. Named conversion steps in funnel order, e.g. signup, trial start, paid plan, each paid by its own rule. Advertisers report them with <code>goal=&lt;id&gt;</code>; conversions without a goal use the payout rule above.
+                </p>
+
+                <CampaignGoalsEditor goals={goals} onChange={setGoals} />
+
+                <div className="divider text-xs font-medium text-base-content/50 my-2">SCHEDULE</div>
+
+                <div className="grid grid-cols-2 gap-4">
+                    <Input
+                        label="Starts"
+                        name="startsAt"
+                        type="datetime-local"
+                        value={formData.startsAt}
                         onChange={handleInputChange}
                         disabled={isSubmitting}
-                        className="select select-bordered w-full focus:ring-2 focus:ring-primary/20 transition-all"
-                    >
-                        <option value="CPA">CPA (Cost Per Action)</option>
-                        <option value="RevShare">Revenue Share (%)</option>
-                        <option value="Fixed">Fixed Amount</option>
-                        <option value="Custom">Custom Description</option>
-                    </select>
+                    />
+                    <Input
+                        label="Ends"
+                        name="endsAt"
+                        type="datetime-local"
+                        value={formData.endsAt}
+                        onChange={handleInputChange}
+                        disabled={isSubmitting}
+                    />
                 </div>
-
-                {formData.payoutType === "Custom" ? (
-                    <div className="form-control w-full">
-                        <label className="label">
-                            <span className="label-text font-medium">Rule Description</span>
-                        </label>
-                        <textarea
-                            name="payoutCustom"
-                            value={formData.payoutCustom}
-                            onChange={handleInputChange}
-                            disabled={isSubmitting}
-                            className="textarea textarea-bordered h-24 focus:ring-2 focus:ring-primary/20"
-                            placeholder="e.g. ₹500 for first purchase, ₹250 for recurring..."
-                        ></textarea>
-                    </div>
-                ) : (
-                    <div className="grid grid-cols-2 gap-4">
-                        <Input
-                            label={formData.payoutType === "RevShare" ? "Percentage (%)" : "Amount"}
-                            name="payoutAmount"
-                            type="number"
-                            step={formData.payoutType === "RevShare" ? "0.1" : "0.01"}
-                            min="0"
-                            value={formData.payoutAmount}
-                            onChange={handleInputChange}
-                            placeholder={formData.payoutType === "RevShare" ? "20" : "25.00"}
-                            required
-                            disabled={isSubmitting}
-                        />
-                    </div>
-                )}
+                <Input
+                    label="Fallback URL"
+                    name="fallbackUrl"
+                    value={formData.fallbackUrl}
+                    onChange={handleInputChange}
+                    placeholder="https://example.com/offer-ended"
+                    disabled={isSubmitting}
+                />
+                <p className="text-xs text-base-content/60 -mt-2">
+                    Optional. Until it starts the campaign is scheduled and hidden from affiliates&apos; link generator; once it ends (or while it is paused), clicks go to the fallback URL, or the global fallback from Settings when empty.
+                </p>
 
                 <div className="form-control w-full">
                     <label className="label">
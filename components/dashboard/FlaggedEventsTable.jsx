@@ -12,7 +12,10 @@ const FlaggedEventsTable = ({ events, loading }) => {
             label: "Reason",
             key: "filterReason",
             render: (row) => (
-                <span className="badge badge-error badge-sm font-medium">
+                <span
+                    className="badge badge-error badge-sm font-medium"
+                    title={row.blockedRedirectUrl ? `Blocked redirect to ${row.blockedRedirectUrl}` : undefined}
+                >
                     {row.filterReason}
                 </span>
             )
@@ -4,7 +4,7 @@ import React from 'react';
 import { FunnelChart, Funnel, Tooltip, LabelList, ResponsiveContainer, Cell } from 'recharts';
 import Icon from '@/components/Icon';
 
-const FunnelChartComponent = ({ data }) => {
+const FunnelChartComponent = ({ data, title = 'Conversion Funnel' }) => {
     if (!data || data.length === 0) {
         return (
             <div className="flex flex-col items-center justify-center h-64 text-base-content/40">
@@ -14,16 +14,20 @@ const FunnelChartComponent = ({ data }) => {
         );
     }
 
-    // Calculate Conversion Rate
+    // Calculate Conversion Rate (clicks to the last step: conversions, or the last campaign goal)
     const clicks = data.find(d => d.name === 'Clicks')?.value || 0;
-    const conversions = data.find(d => d.name === 'Conversions')?.value || 0;
+    const lastStep = data[data.length - 1];
+    const conversions = lastStep.name === 'Clicks' ? 0 : lastStep.value || 0;
     const conversionRate = clicks > 0 ? ((conversions / clicks) * 100).toFixed(2) : 0;
 
+    // Goal funnels carry the rate of each goal from clicks and from the previous step
+    const goalSteps = data.filter(d => d.goal);
+
     return (
         <div className="w-full h-full min-h-[300px] flex flex-col">
             <div className="flex justify-between items-center mb-4 px-2">
                 <div>
-                    <h4 className="text-sm font-medium text-base-content/70 uppercase tracking-wider">Conversion Funnel</h4>
+                    <h4 className="text-sm font-medium text-base-content/70 uppercase tracking-wider">{title}</h4>
                     <div className="text-2xl font-bold text-base-content">{conversionRate}% <span className="text-xs font-normal text-base-content/50">Conv. Rate</span></div>
                 </div>
             </div>
@@ -53,13 +57,29 @@ const FunnelChartComponent = ({ data }) => {
                 </ResponsiveContainer>
             </div>
 
+            {goalSteps.length > 0 && (
+                <div className="mt-4 space-y-1 text-xs">
+                    {goalSteps.map((step) => (
+                        <div key={step.goal} className="flex justify-between gap-2">
+                            <span className="flex items-center gap-2 truncate">
+                                <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: step.fill }}></span>
+                                {step.name}
+                            </span>
+                            <span className="font-mono text-base-content/70 whitespace-nowrap">
+                                {step.rate}% of clicks · {step.stepRate}% from previous
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             <div className="grid grid-cols-2 gap-4 mt-4 pt-4 border-t border-base-200">
                 <div className="text-center">
                     <div className="text-xs text-base-content/60">Total Clicks</div>
                     <div className="font-bold text-primary">{clicks}</div>
                 </div>
                 <div className="text-center">
-                    <div className="text-xs text-base-content/60">Total Conversions</div>
+                    <div className="text-xs text-base-content/60">{goalSteps.length > 0 ? lastStep.name : 'Total Conversions'}</div>
                     <div className="font-bold text-success">{conversions}</div>
                 </div>
             </div>
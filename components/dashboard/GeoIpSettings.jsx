@@ -0,0 +1,123 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Card from "@/components/ui/Card";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+
+const formatSize = (bytes) => (bytes ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : "—");
+
+const GeoIpSettings = () => {
+    const [status, setStatus] = useState(null);
+    const [file, setFile] = useState(null);
+    const [isUploading, setIsUploading] = useState(false);
+    const [message, setMessage] = useState({ type: "", text: "" });
+
+    useEffect(() => {
+        const fetchStatus = async () => {
+            try {
+                const res = await fetch("/api/admin/geoip");
+                const data = await res.json();
+                if (data.success) setStatus(data.data);
+            } catch (err) {
+                console.error("Failed to fetch GeoIP status", err);
+            }
+        };
+
+        fetchStatus();
+    }, []);
+
+    const handleUpload = async (e) => {
+        e.preventDefault();
+        if (!file) return;
+
+        setIsUploading(true);
+        setMessage({ type: "", text: "" });
+        try {
+            const formData = new FormData();
+            formData.append("file", file);
+
+            const res = await fetch("/api/admin/geoip", { method: "POST", body: formData });
+            const data = await res.json();
+            if (data.success) {
+                setStatus(data.data);
+                setFile(null);
+                e.target.reset();
+                setMessage({ type: "success", text: data.message });
+            } else {
+                setMessage({ type: "error", text: data.error || "Failed to upload GeoIP database" });
+            }
+        } catch (err) {
+            setMessage({ type: "error", text: "An unexpected error occurred. Please try again." });
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    return (
+        <Card title="GeoIP Database" className="border-t-4 border-t-info">
+            <div className="mb-6 bg-base-200/50 p-4 rounded-lg">
+                <div className="flex gap-3 items-start">
+                    <Icon name="Globe" size={20} className="text-info shrink-0 mt-0.5" />
+                    <p className="text-sm opacity-80">
+                        New clicks are tagged with country, region and city from a local MaxMind DB file
+                        (e.g. GeoLite2-City.mmdb or DB-IP Lite). Lookups never leave this server.
+                        Upload the file here or mount it at <code>GEOIP_DB_PATH</code>.
+                    </p>
+                </div>
+            </div>
+
+            {status && (
+                <div className="grid grid-cols-2 gap-3 text-sm mb-6">
+                    <div>
+                        <div className="text-xs text-base-content/50">Status</div>
+                        <span className={`badge badge-sm ${status.loaded ? "badge-success" : "badge-ghost"}`}>
+                            {status.loaded ? "loaded" : "not configured"}
+                        </span>
+                    </div>
+                    <div>
+                        <div className="text-xs text-base-content/50">Database</div>
+                        <div className="font-medium">{status.databaseType || "—"}</div>
+                    </div>
+                    <div>
+                        <div className="text-xs text-base-content/50">Built</div>
+                        <div>{status.builtAt ? new Date(status.builtAt).toLocaleDateString() : "—"}</div>
+                    </div>
+                    <div>
+                        <div className="text-xs text-base-content/50">Size</div>
+                        <div>{formatSize(status.size)}</div>
+                    </div>
+                    <div className="col-span-2">
+                        <div className="text-xs text-base-content/50">Path</div>
+                        <div className="font-mono text-xs break-all">{status.path}</div>
+                    </div>
+                    {status.error && (
+                        <div className="col-span-2 text-xs text-error">{status.error}</div>
+                    )}
+                </div>
+            )}
+
+            {message.text && (
+                <div className={`alert ${message.type === "success" ? "alert-success" : "alert-error"} text-sm py-3 rounded-lg mb-4`}>
+                    <Icon name={message.type === "success" ? "CheckCircle" : "AlertCircle"} size={18} />
+                    <span>{message.text}</span>
+                </div>
+            )}
+
+            <form onSubmit={handleUpload} className="flex flex-col sm:flex-row gap-3">
+                <input
+                    type="file"
+                    accept=".mmdb"
+                    className="file-input file-input-bordered file-input-sm w-full"
+                    onChange={(e) => setFile(e.target.files?.[0] || null)}
+                />
+                <Button type="submit" size="sm" variant="info" isLoading={isUploading} disabled={!file || isUploading}>
+                    <Icon name="Upload" size={16} className="mr-1" />
+                    Upload
+                </Button>
+            </form>
+        </Card>
+    );
+};
+
+export default GeoIpSettings;
@@ -3,6 +3,7 @@
 import React, { useState, useEffect } from "react";
 import Button from "@/components/ui/Button";
 import Icon from "@/components/Icon";
+import { getInactiveCampaignReason } from "@/models/Campaign";
 
 const GetLinkModal = ({ isOpen, onClose, campaign, affiliateId }) => {
     const [longLink, setLongLink] = useState("");
@@ -60,6 +61,8 @@ const GetLinkModal = ({ isOpen, onClose, campaign, affiliateId }) => {
 
     if (!isOpen) return null;
 
+    const isInactive = campaign && getInactiveCampaignReason(campaign) !== null;
+
     return (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm animate-in fade-in duration-200">
             <div className="bg-base-100 rounded-2xl shadow-2xl w-full max-w-md border border-base-200 overflow-hidden animate-in zoom-in-95 duration-200">
@@ -82,6 +85,13 @@ const GetLinkModal = ({ isOpen, onClose, campaign, affiliateId }) => {
                         Target Campaign: <span className="font-bold text-base-content">{campaign?.name}</span>
                     </div>
 
+                    {isInactive && (
+                        <div className="alert alert-warning text-sm py-3 rounded-lg">
+                            <Icon name="AlertTriangle" size={18} />
+                            <span>This campaign is {campaign.status}. Clicks go to a fallback page and do not count toward your stats.</span>
+                        </div>
+                    )}
+
                     {/* Long Link Section */}
                     <div className="space-y-2">
                         <label className="text-xs font-bold uppercase text-base-content/50 tracking-wider">
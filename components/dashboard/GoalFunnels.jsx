@@ -0,0 +1,37 @@
+"use client";
+
+import React, { useState } from "react";
+import FunnelChart from "@/components/dashboard/FunnelChart";
+
+// Click → goal funnel of one campaign at a time (goalFunnels from the analytics APIs)
+const GoalFunnels = ({ goalFunnels }) => {
+    const [campaignId, setCampaignId] = useState("");
+
+    if (!goalFunnels || goalFunnels.length === 0) return null;
+
+    const selected = goalFunnels.find((entry) => entry.campaignId === campaignId) || goalFunnels[0];
+
+    return (
+        <div className="w-full h-full flex flex-col">
+            {goalFunnels.length > 1 && (
+                <select
+                    className="select select-sm select-bordered w-full mb-2"
+                    value={selected.campaignId}
+                    onChange={(e) => setCampaignId(e.target.value)}
+                >
+                    {goalFunnels.map((entry) => (
+                        <option key={entry.campaignId} value={entry.campaignId}>
+                            {entry.campaignName}
+                        </option>
+                    ))}
+                </select>
+            )}
+            <FunnelChart
+                data={selected.funnel}
+                title={goalFunnels.length > 1 ? "Goal Funnel" : `Goal Funnel — ${selected.campaignName}`}
+            />
+        </div>
+    );
+};
+
+export default GoalFunnels;
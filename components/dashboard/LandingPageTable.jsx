@@ -0,0 +1,62 @@
+"use client";
+
+import React from 'react';
+
+// Shows the path for readability; the full URL is in the tooltip
+const formatLandingPage = (landingPage) => {
+    try {
+        const url = new URL(landingPage);
+        return `${url.hostname}${url.pathname === '/' ? '' : url.pathname}`;
+    } catch (e) {
+        return landingPage;
+    }
+};
+
+const LandingPageTable = ({ landingPages, title = "Landing Page Performance" }) => {
+    if (!landingPages || landingPages.length === 0) return null;
+
+    return (
+        <div className="card bg-base-100 shadow-sm border border-base-200 overflow-hidden">
+            <div className="card-header p-4 border-b border-base-200">
+                <h3 className="font-bold text-lg">{title}</h3>
+                <p className="text-xs text-base-content/50">Clicks and conversions by the page each link sent visitors to.</p>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="table">
+                    <thead className="bg-base-200/50">
+                        <tr>
+                            <th>Landing Page</th>
+                            <th className="text-center">Clicks</th>
+                            <th className="text-center">Conversions</th>
+                            <th className="text-center">Conv. Rate</th>
+                            <th className="text-right">Revenue</th>
+                            <th className="text-right">Commission</th>
+                            <th className="text-right">EPC</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {landingPages.map((row) => (
+                            <tr key={row.landingPage} className="hover">
+                                <td className="font-mono text-xs truncate max-w-[280px]" title={row.landingPage}>
+                                    {formatLandingPage(row.landingPage)}
+                                </td>
+                                <td className="text-center font-mono">{row.clicks}</td>
+                                <td className="text-center font-mono">{row.conversions}</td>
+                                <td className="text-center">
+                                    <span className={`badge badge-sm ${row.conversionRate > 2 ? 'badge-success' : 'badge-ghost'}`}>
+                                        {row.conversionRate.toFixed(2)}%
+                                    </span>
+                                </td>
+                                <td className="text-right font-mono text-base-content/70">₹{row.revenue.toFixed(2)}</td>
+                                <td className="text-right font-bold text-success">₹{row.commission.toFixed(2)}</td>
+                                <td className="text-right text-xs">₹{row.epc.toFixed(2)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default LandingPageTable;
@@ -0,0 +1,327 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Modal from "@/components/ui/Modal";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+import {
+    MAX_LANDING_VARIANTS,
+    MIN_LANDING_VARIANT_CLICKS,
+    normalizeLandingVariants,
+    validateLandingVariants,
+} from "@/models/Campaign";
+
+const toEditable = (variants) => variants.map(({ id, label, url, weight }) => ({ id, label, url, weight }));
+
+const LandingVariantsModal = ({ isOpen, onClose, campaign, onSuccess }) => {
+    const [report, setReport] = useState(null);
+    const [variants, setVariants] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [promotingId, setPromotingId] = useState(null);
+    const [error, setError] = useState("");
+    const [saved, setSaved] = useState(false);
+
+    const applyReport = (data) => {
+        setReport(data);
+        setVariants(toEditable(data.variants));
+    };
+
+    useEffect(() => {
+        if (!isOpen || !campaign?._id) return;
+
+        const fetchVariants = async () => {
+            setIsLoading(true);
+            setError("");
+            setSaved(false);
+            try {
+                const res = await fetch(`/api/campaigns/landing-variants?campaignId=${campaign._id}`);
+                const data = await res.json();
+                if (data.success) {
+                    applyReport(data.data);
+                } else {
+                    setError(data.error || "Failed to load landing variants");
+                }
+            } catch (err) {
+                setError("An unexpected error occurred. Please try again.");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchVariants();
+    }, [isOpen, campaign?._id]);
+
+    const updateVariant = (index, field, value) => {
+        setVariants((prev) => prev.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)));
+        setSaved(false);
+    };
+
+    const addVariant = () => {
+        setVariants((prev) => {
+            // Start a new test from the current campaign URL
+            const currentUrl = report?.url || campaign?.url;
+            const seed = prev.length === 0 && currentUrl
+                ? [{ label: "Control", url: currentUrl, weight: 50 }]
+                : prev;
+            return [...seed, { label: "", url: "", weight: 50 }];
+        });
+        setSaved(false);
+    };
+
+    const removeVariant = (index) => {
+        setVariants((prev) => prev.filter((_, i) => i !== index));
+        setSaved(false);
+    };
+
+    const handleSave = async () => {
+        const landingVariants = normalizeLandingVariants(variants);
+        const validationError = validateLandingVariants(landingVariants, campaign);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setIsSaving(true);
+        setError("");
+        setSaved(false);
+        try {
+            const res = await fetch("/api/campaigns/landing-variants", {
+                method: "PUT",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ campaignId: campaign._id, landingVariants }),
+            });
+            const data = await res.json();
+            if (data.success) {
+                applyReport(data.data);
+                setSaved(true);
+                if (onSuccess) onSuccess();
+            } else {
+                setError(data.error || "Failed to save landing variants");
+            }
+        } catch (err) {
+            setError("An unexpected error occurred. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handlePromote = async (variant) => {
+        if (!window.confirm(`Promote "${variant.label}"? Its URL becomes the campaign URL and the split test ends.`)) {
+            return;
+        }
+
+        setPromotingId(variant.id);
+        setError("");
+        try {
+            const res = await fetch("/api/campaigns/landing-variants", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ campaignId: campaign._id, variantId: variant.id }),
+            });
+            const data = await res.json();
+            if (data.success) {
+                applyReport(data.data);
+                if (onSuccess) onSuccess();
+            } else {
+                setError(data.error || "Failed to promote variant");
+            }
+        } catch (err) {
+            setError("An unexpected error occurred. Please try again.");
+        } finally {
+            setPromotingId(null);
+        }
+    };
+
+    const isBusy = isSaving || promotingId !== null;
+    const totalWeight = variants.reduce((sum, v) => sum + (Number(v.weight) || 0), 0);
+    const results = report?.variants || [];
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={() => !isBusy && onClose()}
+            title={`Landing Page Split Test${campaign ? ` — ${campaign.name}` : ""}`}
+            size="full"
+        >
+            <div className="space-y-4 mt-2">
+                <div className="bg-base-200/50 p-4 rounded-lg text-sm text-base-content/70 flex gap-3 items-start">
+                    <Icon name="Split" size={18} className="mt-0.5 text-primary shrink-0" />
+                    <p>
+                        Tracking links without a deep link send each visitor to one of these URLs, chosen by weight.
+                        Returning visitors keep the variant they saw first. URLs support the same {"{macros}"} as the campaign URL.
+                    </p>
+                </div>
+
+                {error && (
+                    <div className="alert alert-error text-sm py-3 rounded-lg shadow-sm">
+                        <Icon name="AlertCircle" size={18} />
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                {report?.promotedLandingVariant && variants.length === 0 && (
+                    <div className="alert alert-success text-sm py-3 rounded-lg shadow-sm">
+                        <Icon name="Trophy" size={18} />
+                        <span>
+                            {report.promotedLandingVariant.label} was promoted on {new Date(report.promotedLandingVariant.promotedAt).toLocaleDateString()}.
+                        </span>
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <div className="animate-pulse h-24 bg-base-200 rounded-lg"></div>
+                ) : (
+                    <>
+                        {results.length > 0 && (
+                            <div className="overflow-x-auto">
+                                <table className="table table-sm w-full">
+                                    <thead className="bg-base-200/50">
+                                        <tr>
+                                            <th>Variant</th>
+                                            <th className="text-center">Clicks</th>
+                                            <th className="text-center">Conversions</th>
+                                            <th className="text-center">Conv. Rate</th>
+                                            <th className="text-right">Revenue</th>
+                                            <th></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {results.map((row) => {
+                                            const isLeader = row.id === report.leader;
+                                            return (
+                                                <tr key={row.id} className="hover">
+                                                    <td>
+                                                        <div className="font-medium flex items-center gap-2">
+                                                            {row.label}
+                                                            {isLeader && (
+                                                                <span
+                                                                    className={`badge badge-sm ${report.significant ? "badge-success" : "badge-ghost"}`}
+                                                                    title={`${(report.confidence * 100).toFixed(1)}% confidence vs. the runner-up`}
+                                                                >
+                                                                    {report.significant ? "Winner" : "Leading"}
+                                                                </span>
+                                                            )}
+                                                            {row.weight === 0 && <span className="badge badge-sm badge-warning">paused</span>}
+                                                        </div>
+                                                        <div className="text-xs text-base-content/50 font-mono truncate max-w-[320px]" title={row.url}>{row.url}</div>
+                                                    </td>
+                                                    <td className="text-center font-mono">{row.clicks}</td>
+                                                    <td className="text-center font-mono">{row.conversions}</td>
+                                                    <td className="text-center">{row.conversionRate.toFixed(2)}%</td>
+                                                    <td className="text-right font-mono">₹{row.revenue.toFixed(2)}</td>
+                                                    <td className="text-right">
+                                                        <Button
+                                                            size="sm"
+                                                            variant={isLeader && report.significant ? "success" : "ghost"}
+                                                            onClick={() => handlePromote(row)}
+                                                            isLoading={promotingId === row.id}
+                                                            disabled={isBusy}
+                                                            type="button"
+                                                        >
+                                                            <Icon name="Trophy" size={14} className="mr-1" />
+                                                            Promote
+                                                        </Button>
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                                <p className="text-xs text-base-content/50 mt-2 ml-1">
+                                    {report.significant
+                                        ? `The leader's conversion rate is higher than the runner-up's with ${(report.confidence * 100).toFixed(1)}% confidence.`
+                                        : `Not significant yet (${(report.confidence * 100).toFixed(1)}% confidence). Each variant needs at least ${MIN_LANDING_VARIANT_CLICKS} clicks and 95% confidence.`}
+                                </p>
+                            </div>
+                        )}
+
+                        <div className="divider my-2"></div>
+
+                        <div className="space-y-2">
+                            {variants.map((variant, index) => (
+                                <div key={variant.id || `new-${index}`} className="flex flex-col md:flex-row gap-2 items-start md:items-center">
+                                    <input
+                                        type="text"
+                                        className="input input-sm input-bordered w-full md:w-40"
+                                        placeholder={`Variant ${String.fromCharCode(65 + index)}`}
+                                        value={variant.label}
+                                        onChange={(e) => updateVariant(index, "label", e.target.value)}
+                                    />
+                                    <input
+                                        type="text"
+                                        className="input input-sm input-bordered w-full font-mono text-xs flex-1"
+                                        placeholder="https://store.example.com/landing-b?ref={affiliate_id}"
+                                        value={variant.url}
+                                        onChange={(e) => updateVariant(index, "url", e.target.value)}
+                                    />
+                                    <div className="flex items-center gap-2">
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            className="input input-sm input-bordered w-20"
+                                            value={variant.weight}
+                                            onChange={(e) => updateVariant(index, "weight", e.target.value)}
+                                            title="Weight"
+                                        />
+                                        <span className="text-xs text-base-content/50 w-12">
+                                            {totalWeight > 0 ? `${Math.round(((Number(variant.weight) || 0) / totalWeight) * 100)}%` : "—"}
+                                        </span>
+                                        <button
+                                            className="btn btn-ghost btn-sm btn-square"
+                                            onClick={() => removeVariant(index)}
+                                            title="Remove variant"
+                                            type="button"
+                                        >
+                                            <Icon name="Trash2" size={14} />
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+
+                            <div className="flex items-center justify-between gap-3">
+                                <Button
+                                    size="sm"
+                                    variant="ghost"
+                                    onClick={addVariant}
+                                    disabled={variants.length >= MAX_LANDING_VARIANTS}
+                                    type="button"
+                                >
+                                    <Icon name="Plus" size={14} className="mr-1" />
+                                    Add Variant
+                                </Button>
+                                <div className="flex items-center gap-3">
+                                    {saved && (
+                                        <span className="text-xs text-success flex items-center gap-1">
+                                            <Icon name="Check" size={14} /> Saved
+                                        </span>
+                                    )}
+                                    <Button
+                                        size="sm"
+                                        onClick={handleSave}
+                                        isLoading={isSaving}
+                                        disabled={isBusy || !campaign}
+                                        type="button"
+                                    >
+                                        Save Variants
+                                    </Button>
+                                </div>
+                            </div>
+                            <p className="text-xs text-base-content/50">
+                                Set a weight of 0 to pause a variant and keep its results. Remove every variant to send all traffic to the campaign URL.
+                            </p>
+                        </div>
+                    </>
+                )}
+
+                <div className="modal-action pt-4">
+                    <Button variant="ghost" onClick={onClose} disabled={isBusy} type="button">
+                        Close
+                    </Button>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+export default LandingVariantsModal;
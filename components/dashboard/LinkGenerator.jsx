@@ -3,16 +3,23 @@
 import React, { useState, useEffect } from "react";
 import Button from "@/components/ui/Button";
 import Icon from "@/components/Icon";
+import { SUB_ID_KEYS, extractSubIds } from "@/models/ClickEvent";
+import { getAllowedDomains, validateDestinationUrl, isCampaignLinkable } from "@/models/Campaign";
 
 export default function LinkGenerator({ affiliateId }) {
     const [campaigns, setCampaigns] = useState([]);
     const [selectedCampaign, setSelectedCampaign] = useState("");
+    const [subIdValues, setSubIdValues] = useState({});
+    const [destinationUrl, setDestinationUrl] = useState("");
+    const [destinationError, setDestinationError] = useState("");
     const [generatedLink, setGeneratedLink] = useState("");
     const [shortLink, setShortLink] = useState("");
     const [loading, setLoading] = useState(true);
     const [generating, setGenerating] = useState(false);
     const [copySuccess, setCopySuccess] = useState(false);
     const [copyShortSuccess, setCopyShortSuccess] = useState(false);
+    const [pixelSnippet, setPixelSnippet] = useState("");
+    const [copyPixelSuccess, setCopyPixelSuccess] = useState(false);
 
     useEffect(() => {
         // Fetch active campaigns
@@ -21,9 +28,11 @@ export default function LinkGenerator({ affiliateId }) {
                 const response = await fetch("/api/campaigns?status=active");
                 if (response.ok) {
                     const data = await response.json();
-                    setCampaigns(data.data || data);
-                    if ((data.data || data).length > 0) {
-                        setSelectedCampaign((data.data || data)[0]._id);
+                    // Campaigns that have not started yet (or have ended) cannot be linked
+                    const linkable = (data.data || data).filter((camp) => isCampaignLinkable(camp));
+                    setCampaigns(linkable);
+                    if (linkable.length > 0) {
+                        setSelectedCampaign(linkable[0]._id);
                     }
                 }
             } catch (error) {
@@ -38,12 +47,22 @@ export default function LinkGenerator({ affiliateId }) {
         }
     }, [affiliateId]);
 
+    const campaign = campaigns.find((camp) => camp._id === selectedCampaign) || null;
+    const allowedDomains = getAllowedDomains(campaign);
+
     const generateLink = async () => {
         if (!affiliateId) return;
 
+        // Deep links must stay on the campaign's allowed domains
+        const destination = destinationUrl.trim();
+        const validationError = destination ? validateDestinationUrl(destination, campaign) : null;
+        setDestinationError(validationError || "");
+        if (validationError) return;
+
         setGenerating(true);
         setCopySuccess(false);
         setCopyShortSuccess(false);
+        setCopyPixelSuccess(false);
 
         // Base URL (client-side)
         const baseUrl = window.location.origin;
@@ -54,7 +73,22 @@ export default function LinkGenerator({ affiliateId }) {
             trackingUrl += `&campaign_id=${selectedCampaign}`;
         }
 
+        // Append sub-IDs for placement tracking
+        const subIds = extractSubIds(subIdValues);
+        Object.entries(subIds).forEach(([key, value]) => {
+            trackingUrl += `&${key}=${encodeURIComponent(value)}`;
+        });
+
+        // Impression pixel for banners, with the same campaign and sub-IDs
+        const pixelUrl = trackingUrl.replace('/api/tracking/click?', '/api/tracking/impression?');
+
+        // Deep link: the click redirects to this page instead of the campaign URL
+        if (destination) {
+            trackingUrl += `&redirect_url=${encodeURIComponent(destination)}`;
+        }
+
         setGeneratedLink(trackingUrl);
+        setPixelSnippet(`<img src="${pixelUrl}" width="1" height="1" alt="" style="border:0" />`);
 
         // Also generate short link
         try {
@@ -63,7 +97,9 @@ export default function LinkGenerator({ affiliateId }) {
                 headers: { "Content-Type": "application/json" },
                 body: JSON.stringify({
                     affiliateId,
-                    campaignId: selectedCampaign || null
+                    campaignId: selectedCampaign || null,
+                    destinationUrl: destination || null,
+                    ...subIds
                 })
             });
             const data = await res.json();
@@ -115,6 +151,51 @@ export default function LinkGenerator({ affiliateId }) {
                     </select>
                 </div>
 
+                <div className="form-control w-full mt-2">
+                    <label className="label">
+                        <span className="label-text font-medium">Landing Page (Optional)</span>
+                        <span className="label-text-alt text-base-content/50">
+                            {allowedDomains.length > 0 ? `Any page on ${allowedDomains.join(", ")}` : "Select a campaign first"}
+                        </span>
+                    </label>
+                    <input
+                        type="url"
+                        className={`input input-bordered w-full focus:outline-primary ${destinationError ? "input-error" : ""}`}
+                        placeholder="https://shop.example.com/product/123"
+                        value={destinationUrl}
+                        disabled={!campaign}
+                        onChange={(e) => {
+                            setDestinationUrl(e.target.value);
+                            setDestinationError("");
+                        }}
+                    />
+                    {destinationError && (
+                        <label className="label">
+                            <span className="label-text-alt text-error">{destinationError}</span>
+                        </label>
+                    )}
+                </div>
+
+                <div className="form-control w-full mt-2">
+                    <label className="label">
+                        <span className="label-text font-medium">Sub-IDs (Optional)</span>
+                        <span className="label-text-alt text-base-content/50">Tag placements to see which one converts</span>
+                    </label>
+                    <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+                        {SUB_ID_KEYS.map((key) => (
+                            <input
+                                key={key}
+                                type="text"
+                                className="input input-bordered input-sm w-full focus:outline-primary"
+                                placeholder={key}
+                                maxLength={100}
+                                value={subIdValues[key] || ""}
+                                onChange={(e) => setSubIdValues((prev) => ({ ...prev, [key]: e.target.value }))}
+                            />
+                        ))}
+                    </div>
+                </div>
+
                 <div className="mt-4 flex justify-end">
                     <Button
                         variant="primary"
@@ -155,6 +236,34 @@ export default function LinkGenerator({ affiliateId }) {
                             </div>
                         </div>
 
+                        {/* Impression Pixel */}
+                        <div className="p-4 bg-base-200/50 rounded-xl border border-base-200">
+                            <label className="label">
+                                <span className="label-text font-medium">Impression Pixel</span>
+                            </label>
+                            <div className="join w-full">
+                                <input
+                                    type="text"
+                                    className="input input-bordered join-item w-full font-mono text-xs focus:outline-primary"
+                                    value={pixelSnippet}
+                                    readOnly
+                                />
+                                <button
+                                    className={`btn join-item ${copyPixelSuccess ? 'btn-success text-white' : 'btn-neutral'}`}
+                                    onClick={() => copyToClipboard(pixelSnippet, setCopyPixelSuccess)}
+                                >
+                                    {copyPixelSuccess ? (
+                                        <><Icon name="Check" size={16} /> Copied</>
+                                    ) : (
+                                        <><Icon name="Copy" size={16} /> Copy</>
+                                    )}
+                                </button>
+                            </div>
+                            <p className="text-xs text-base-content/60 mt-2 ml-1">
+                                Place next to your banner to measure impressions, CTR and eCPM. Add <code>&amp;creative_id=...</code> to tell banners apart.
+                            </p>
+                        </div>
+
                         {/* Short Link */}
                         {shortLink && (
                             <div className="p-4 bg-primary/5 rounded-xl border border-primary/20">
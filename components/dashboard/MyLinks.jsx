@@ -0,0 +1,97 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Card from "@/components/ui/Card";
+import Icon from "@/components/Icon";
+
+// Warnings for links whose campaign no longer takes traffic (inactiveCampaign from /api/shortlinks)
+const INACTIVE_LABELS = {
+    paused: "Campaign paused",
+    archived: "Campaign archived",
+    unknown: "Campaign not found",
+};
+
+const MyLinks = ({ affiliateId }) => {
+    const [links, setLinks] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        if (!affiliateId) return;
+
+        const fetchLinks = async () => {
+            try {
+                const res = await fetch(`/api/shortlinks?affiliateId=${affiliateId}`);
+                const data = await res.json();
+                if (data.success) setLinks(data.data);
+            } catch (err) {
+                console.error("Failed to fetch short links", err);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchLinks();
+    }, [affiliateId]);
+
+    const inactiveCount = links.filter((link) => link.inactiveCampaign).length;
+
+    return (
+        <Card title="My Links">
+            {inactiveCount > 0 && (
+                <div className="alert alert-warning text-sm py-3 rounded-lg mb-4">
+                    <Icon name="AlertTriangle" size={18} />
+                    <span>
+                        {inactiveCount} of your links point at campaigns that are paused or no longer exist. Their clicks go to a
+                        fallback page and do not count toward your stats — replace them with a link to an active campaign.
+                    </span>
+                </div>
+            )}
+
+            {isLoading ? (
+                <div className="flex justify-center py-8">
+                    <span className="loading loading-spinner loading-md text-primary"></span>
+                </div>
+            ) : links.length === 0 ? (
+                <p className="text-sm text-base-content/50 text-center py-6">No links yet. Generate one above.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="table table-sm">
+                        <thead className="bg-base-200/50">
+                            <tr>
+                                <th>Short Link</th>
+                                <th>Campaign</th>
+                                <th className="text-center">Clicks</th>
+                                <th>Created</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {links.map((link) => (
+                                <tr key={link.code} className="hover">
+                                    <td className="font-mono text-xs">/s/{link.code}</td>
+                                    <td>
+                                        <div className="flex items-center gap-2">
+                                            <span className="truncate max-w-[160px]">{link.campaignName || link.campaignId || "—"}</span>
+                                            {link.inactiveCampaign && (
+                                                <span
+                                                    className="badge badge-sm badge-warning gap-1"
+                                                    title="Clicks go to a fallback page and are not counted"
+                                                >
+                                                    <Icon name="AlertTriangle" size={10} />
+                                                    {INACTIVE_LABELS[link.inactiveCampaign]}
+                                                </span>
+                                            )}
+                                        </div>
+                                    </td>
+                                    <td className="text-center font-mono">{link.clicks || 0}</td>
+                                    <td>{new Date(link.createdAt).toLocaleDateString()}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default MyLinks;
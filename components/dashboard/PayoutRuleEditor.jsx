@@ -0,0 +1,176 @@
+"use client";
+
+import React, { useState } from "react";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+import {
+    PAYOUT_RULE_TYPES,
+    MAX_PAYOUT_TIERS,
+    normalizePayoutRule,
+    validatePayoutRule,
+    calculatePayout,
+    describePayoutRule,
+} from "@/models/PayoutRule";
+
+const PAYOUT_TYPE_LABELS = {
+    RevShare: "Revenue Share (%)",
+    CPA: "CPA (Cost Per Action)",
+    Fixed: "Fixed Amount",
+};
+
+/**
+ * Structured payout rule with order thresholds, commission limits and tiered brackets,
+ * and a calculator that previews the commission for an order value with the same
+ * calculation conversions are credited with. Controlled: rules hold raw input values.
+ */
+const PayoutRuleEditor = ({ rules, onChange, disabled = false }) => {
+    const [previewOrderValue, setPreviewOrderValue] = useState("5000");
+
+    const isRevShare = rules.type === "RevShare";
+    const rateKey = isRevShare ? "percentage" : "amount";
+    const tiers = rules.tiers || [];
+
+    const update = (changes) => onChange({ ...rules, ...changes });
+
+    const updateTier = (index, changes) => {
+        update({ tiers: tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier)) });
+    };
+
+    const addTier = () => update({ tiers: [...tiers, { minOrderValue: "", [rateKey]: "" }] });
+
+    const removeTier = (index) => update({ tiers: tiers.filter((_, i) => i !== index) });
+
+    // Preview with the rule as it would be saved
+    const normalized = normalizePayoutRule(rules);
+    const ruleError = validatePayoutRule(normalized);
+    const orderValue = Number(previewOrderValue) || 0;
+    const previewCommission = ruleError ? null : calculatePayout(normalized, { amount: orderValue });
+
+    return (
+        <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-4">
+                <div className="form-control w-full">
+                    <label className="label">
+                        <span className="label-text font-medium">Payout Model</span>
+                    </label>
+                    <select
+                        value={rules.type}
+                        onChange={(e) => update({ type: e.target.value })}
+                        disabled={disabled}
+                        className="select select-bordered w-full focus:ring-2 focus:ring-primary/20 transition-all"
+                    >
+                        {PAYOUT_RULE_TYPES.map((type) => (
+                            <option key={type} value={type}>{PAYOUT_TYPE_LABELS[type]}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="form-control w-full">
+                    <label className="label">
+                        <span className="label-text font-medium">{isRevShare ? "Percentage (%)" : "Amount (₹)"}</span>
+                    </label>
+                    <input
+                        type="number"
+                        min="0"
+                        step={isRevShare ? "0.1" : "0.01"}
+                        className="input input-bordered w-full"
+                        placeholder={isRevShare ? "20" : "25.00"}
+                        value={rules[rateKey] ?? ""}
+                        onChange={(e) => update({ [rateKey]: e.target.value })}
+                        disabled={disabled}
+                    />
+                </div>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2">
+                <input
+                    type="number"
+                    min="0"
+                    className="input input-sm input-bordered w-full"
+                    placeholder="Min order value (₹)"
+                    title="Orders below this value earn no commission"
+                    value={rules.minOrderValue ?? ""}
+                    onChange={(e) => update({ minOrderValue: e.target.value })}
+                    disabled={disabled}
+                />
+                <input
+                    type="number"
+                    min="0"
+                    className="input input-sm input-bordered w-full"
+                    placeholder="Min commission (₹)"
+                    value={rules.minCommission ?? ""}
+                    onChange={(e) => update({ minCommission: e.target.value })}
+                    disabled={disabled}
+                />
+                <input
+                    type="number"
+                    min="0"
+                    className="input input-sm input-bordered w-full"
+                    placeholder="Max commission (₹)"
+                    value={rules.maxCommission ?? ""}
+                    onChange={(e) => update({ maxCommission: e.target.value })}
+                    disabled={disabled}
+                />
+            </div>
+
+            <div className="space-y-2">
+                {tiers.map((tier, index) => (
+                    <div key={`tier-${index}`} className="flex gap-2 items-center text-sm">
+                        <span className="text-base-content/60 whitespace-nowrap">Orders from ₹</span>
+                        <input
+                            type="number"
+                            min="0"
+                            className="input input-sm input-bordered w-28"
+                            placeholder="20000"
+                            value={tier.minOrderValue ?? ""}
+                            onChange={(e) => updateTier(index, { minOrderValue: e.target.value })}
+                            disabled={disabled}
+                        />
+                        <span className="text-base-content/60">earn</span>
+                        <input
+                            type="number"
+                            min="0"
+                            step={isRevShare ? "0.1" : "0.01"}
+                            className="input input-sm input-bordered w-24"
+                            placeholder={isRevShare ? "%" : "₹"}
+                            value={tier[rateKey] ?? ""}
+                            onChange={(e) => updateTier(index, { [rateKey]: e.target.value })}
+                            disabled={disabled}
+                        />
+                        <span className="text-base-content/60">{isRevShare ? "%" : "₹"}</span>
+                        <button className="btn btn-ghost btn-sm btn-square" onClick={() => removeTier(index)} title="Remove tier" type="button" disabled={disabled}>
+                            <Icon name="Trash2" size={14} />
+                        </button>
+                    </div>
+                ))}
+
+                <Button size="sm" variant="ghost" onClick={addTier} disabled={disabled || tiers.length >= MAX_PAYOUT_TIERS} type="button">
+                    <Icon name="Plus" size={14} className="mr-1" />
+                    Add Tier
+                </Button>
+            </div>
+
+            <div className="bg-base-200/50 p-3 rounded-lg space-y-2">
+                <div className="text-xs font-semibold text-base-content/70">Preview commission</div>
+                <div className="flex items-center gap-2 text-sm">
+                    <span className="text-base-content/60 whitespace-nowrap">Order value ₹</span>
+                    <input
+                        type="number"
+                        min="0"
+                        className="input input-sm input-bordered w-32"
+                        value={previewOrderValue}
+                        onChange={(e) => setPreviewOrderValue(e.target.value)}
+                    />
+                    <Icon name="ArrowRight" size={14} className="text-base-content/40" />
+                    <span className="font-bold text-success">
+                        {previewCommission === null ? "—" : `₹${previewCommission.toLocaleString("en-IN")}`}
+                    </span>
+                </div>
+                <p className="text-xs text-base-content/60">
+                    {ruleError || describePayoutRule(normalized)}
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default PayoutRuleEditor;
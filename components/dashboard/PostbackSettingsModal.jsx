@@ -0,0 +1,300 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Modal from "@/components/ui/Modal";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+import { normalizeIpAllowlist, validateIpAllowlist } from "@/lib/ipAllowlist";
+
+const PostbackSettingsModal = ({ isOpen, onClose, campaign }) => {
+    const [secret, setSecret] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isRotating, setIsRotating] = useState(false);
+    const [isRevealed, setIsRevealed] = useState(false);
+    const [copySuccess, setCopySuccess] = useState(false);
+    const [error, setError] = useState("");
+    const [allowlistText, setAllowlistText] = useState("");
+    const [rejectedIps, setRejectedIps] = useState([]);
+    const [isSavingAllowlist, setIsSavingAllowlist] = useState(false);
+    const [allowlistError, setAllowlistError] = useState("");
+    const [allowlistSaved, setAllowlistSaved] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen || !campaign?._id) return;
+
+        const fetchSecret = async () => {
+            setIsLoading(true);
+            setError("");
+            setIsRevealed(false);
+            try {
+                const res = await fetch(`/api/campaigns/postback-secret?campaignId=${campaign._id}`);
+                const data = await res.json();
+                if (data.success) {
+                    setSecret(data.data);
+                } else {
+                    setError(data.error || "Failed to load postback secret");
+                }
+            } catch (err) {
+                setError("An unexpected error occurred. Please try again.");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        const fetchAllowlist = async () => {
+            setAllowlistError("");
+            setAllowlistSaved(false);
+            try {
+                const res = await fetch(`/api/campaigns/postback-allowlist?campaignId=${campaign._id}`);
+                const data = await res.json();
+                if (data.success) {
+                    setAllowlistText(data.data.postbackAllowedIps.join("\n"));
+                    setRejectedIps(data.data.postbackRejectedIps);
+                } else {
+                    setAllowlistError(data.error || "Failed to load IP allowlist");
+                }
+            } catch (err) {
+                setAllowlistError("An unexpected error occurred. Please try again.");
+            }
+        };
+
+        fetchSecret();
+        fetchAllowlist();
+    }, [isOpen, campaign?._id]);
+
+    const handleSaveAllowlist = async () => {
+        const postbackAllowedIps = normalizeIpAllowlist(allowlistText);
+        const validationError = validateIpAllowlist(postbackAllowedIps);
+        if (validationError) {
+            setAllowlistError(validationError);
+            return;
+        }
+
+        setIsSavingAllowlist(true);
+        setAllowlistError("");
+        setAllowlistSaved(false);
+        try {
+            const res = await fetch("/api/campaigns/postback-allowlist", {
+                method: "PUT",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ campaignId: campaign._id, postbackAllowedIps }),
+            });
+            const data = await res.json();
+            if (data.success) {
+                setAllowlistText(data.data.postbackAllowedIps.join("\n"));
+                setAllowlistSaved(true);
+            } else {
+                setAllowlistError(data.error || "Failed to save IP allowlist");
+            }
+        } catch (err) {
+            setAllowlistError("An unexpected error occurred. Please try again.");
+        } finally {
+            setIsSavingAllowlist(false);
+        }
+    };
+
+    const addToAllowlist = (ip) => {
+        setAllowlistText((prev) => normalizeIpAllowlist(`${prev}\n${ip}`).join("\n"));
+        setAllowlistSaved(false);
+    };
+
+    const handleRotate = async () => {
+        if (!window.confirm("Rotate the postback secret? Postbacks signed with the current secret will be rejected immediately.")) {
+            return;
+        }
+
+        setIsRotating(true);
+        setError("");
+        try {
+            const res = await fetch("/api/campaigns/postback-secret", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ campaignId: campaign._id }),
+            });
+            const data = await res.json();
+            if (data.success) {
+                setSecret(data.data);
+                setIsRevealed(true);
+            } else {
+                setError(data.error || "Failed to rotate postback secret");
+            }
+        } catch (err) {
+            setError("An unexpected error occurred. Please try again.");
+        } finally {
+            setIsRotating(false);
+        }
+    };
+
+    const copyToClipboard = async () => {
+        try {
+            await navigator.clipboard.writeText(secret.postbackSecret);
+            setCopySuccess(true);
+            setTimeout(() => setCopySuccess(false), 2000);
+        } catch (err) {
+            console.error("Failed to copy", err);
+        }
+    };
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={() => !isRotating && !isSavingAllowlist && onClose()}
+            title={`Postback Settings${campaign ? ` — ${campaign.name}` : ""}`}
+            size="lg"
+        >
+            <div className="space-y-4 mt-2">
+                <div className="bg-base-200/50 p-4 rounded-lg text-sm text-base-content/70 flex gap-3 items-start">
+                    <Icon name="ShieldCheck" size={18} className="mt-0.5 text-primary shrink-0" />
+                    <p>
+                        Advertisers sign postbacks for this campaign with this secret (HMAC-SHA256).
+                        Keep it private — anyone with the secret can report conversions.
+                    </p>
+                </div>
+
+                {error && (
+                    <div className="alert alert-error text-sm py-3 rounded-lg shadow-sm">
+                        <Icon name="AlertCircle" size={18} />
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <div className="animate-pulse h-12 bg-base-200 rounded-lg"></div>
+                ) : secret && (
+                    <div>
+                        <div className="join w-full">
+                            <input
+                                type={isRevealed ? "text" : "password"}
+                                className="input input-bordered join-item w-full font-mono text-xs"
+                                value={secret.postbackSecret}
+                                readOnly
+                            />
+                            <button
+                                className="btn join-item btn-neutral"
+                                onClick={() => setIsRevealed((prev) => !prev)}
+                                title={isRevealed ? "Hide" : "Reveal"}
+                            >
+                                <Icon name={isRevealed ? "EyeOff" : "Eye"} size={16} />
+                            </button>
+                            <button
+                                className={`btn join-item ${copySuccess ? "btn-success text-white" : "btn-neutral"}`}
+                                onClick={copyToClipboard}
+                            >
+                                <Icon name={copySuccess ? "Check" : "Copy"} size={16} />
+                            </button>
+                        </div>
+                        {secret.postbackSecretRotatedAt && (
+                            <p className="text-xs text-base-content/50 mt-2 ml-1">
+                                Last rotated: {new Date(secret.postbackSecretRotatedAt).toLocaleString()}
+                            </p>
+                        )}
+                    </div>
+                )}
+
+                <div className="divider my-2"></div>
+
+                <div className="space-y-3">
+                    <div className="form-control w-full">
+                        <label className="label">
+                            <span className="label-text font-medium">Source IP Allowlist</span>
+                        </label>
+                        <textarea
+                            className="textarea textarea-bordered h-24 font-mono text-xs focus:ring-2 focus:ring-primary/20"
+                            placeholder={"203.0.113.7\n198.51.100.0/24"}
+                            value={allowlistText}
+                            onChange={(e) => {
+                                setAllowlistText(e.target.value);
+                                setAllowlistSaved(false);
+                            }}
+                        ></textarea>
+                        <label className="label">
+                            <span className="label-text-alt text-base-content/60">
+                                One IP or CIDR range per line. When set, postbacks from other IPs are rejected and allowlisted servers may send unsigned postbacks. Leave empty to accept any IP.
+                            </span>
+                        </label>
+                    </div>
+
+                    {allowlistError && (
+                        <div className="alert alert-error text-sm py-3 rounded-lg shadow-sm">
+                            <Icon name="AlertCircle" size={18} />
+                            <span>{allowlistError}</span>
+                        </div>
+                    )}
+
+                    <div className="flex items-center justify-end gap-3">
+                        {allowlistSaved && (
+                            <span className="text-xs text-success flex items-center gap-1">
+                                <Icon name="Check" size={14} /> Saved
+                            </span>
+                        )}
+                        <Button
+                            size="sm"
+                            onClick={handleSaveAllowlist}
+                            isLoading={isSavingAllowlist}
+                            disabled={isSavingAllowlist || !campaign}
+                            type="button"
+                        >
+                            Save Allowlist
+                        </Button>
+                    </div>
+
+                    <div>
+                        <p className="text-sm font-medium mb-2">Last Rejected Source IPs</p>
+                        {rejectedIps.length === 0 ? (
+                            <p className="text-xs text-base-content/50">No postbacks have been rejected.</p>
+                        ) : (
+                            <div className="overflow-x-auto max-h-48">
+                                <table className="table table-xs w-full">
+                                    <thead>
+                                        <tr>
+                                            <th>IP</th>
+                                            <th>Source</th>
+                                            <th>Rejected</th>
+                                            <th></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {rejectedIps.map((rejection, i) => (
+                                            <tr key={`${rejection.ip}-${rejection.rejectedAt}-${i}`}>
+                                                <td className="font-mono">{rejection.ip}</td>
+                                                <td>{rejection.source}</td>
+                                                <td>{new Date(rejection.rejectedAt).toLocaleString()}</td>
+                                                <td className="text-right">
+                                                    <button
+                                                        className="btn btn-ghost btn-xs"
+                                                        onClick={() => addToAllowlist(rejection.ip)}
+                                                        title="Add to allowlist"
+                                                    >
+                                                        <Icon name="Plus" size={12} />
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="modal-action pt-4">
+                    <Button variant="ghost" onClick={onClose} disabled={isRotating || isSavingAllowlist} type="button">
+                        Close
+                    </Button>
+                    <Button
+                        variant="error"
+                        onClick={handleRotate}
+                        isLoading={isRotating}
+                        disabled={isLoading || isRotating || !campaign}
+                        type="button"
+                    >
+                        <Icon name="RefreshCw" size={16} className="mr-1" />
+                        Rotate Secret
+                    </Button>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+export default PostbackSettingsModal;
@@ -0,0 +1,85 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Card from "@/components/ui/Card";
+import Icon from "@/components/Icon";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "—");
+
+const ReferredCustomers = ({ token }) => {
+    const [customers, setCustomers] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        if (!token) return;
+
+        const fetchCustomers = async () => {
+            try {
+                const res = await fetch("/api/affiliate/customers", { headers: { Authorization: `Bearer ${token}` } });
+                const data = await res.json();
+                if (data.success) setCustomers(data.data);
+            } catch (err) {
+                console.error("Failed to fetch referred customers", err);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchCustomers();
+    }, [token]);
+
+    return (
+        <Card title="Referred Customers">
+            <p className="text-sm text-base-content/60 mb-4 flex gap-2 items-start">
+                <Icon name="Info" size={16} className="mt-0.5 shrink-0" />
+                Customers you acquired stay linked to you. Their later purchases are credited to you for as long as the campaign&apos;s commission duration allows, even without a tracking link.
+            </p>
+
+            {isLoading ? (
+                <div className="flex justify-center py-8">
+                    <span className="loading loading-spinner loading-md text-primary"></span>
+                </div>
+            ) : customers.length === 0 ? (
+                <p className="text-sm text-base-content/50 text-center py-6">No referred customers yet.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="table table-sm">
+                        <thead className="bg-base-200/50">
+                            <tr>
+                                <th>Customer</th>
+                                <th>Campaign</th>
+                                <th>Acquired</th>
+                                <th className="text-center">Purchases</th>
+                                <th className="text-right">Revenue</th>
+                                <th>Last Purchase</th>
+                                <th>Credit</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {customers.map((row) => (
+                                <tr key={row.id} className="hover">
+                                    <td className="font-mono text-xs">{row.customer || "—"}</td>
+                                    <td className="truncate max-w-[200px]">{row.campaignName || row.campaignId || "—"}</td>
+                                    <td>{formatDate(row.acquiredAt)}</td>
+                                    <td className="text-center font-mono">{row.purchaseCount}</td>
+                                    <td className="text-right font-mono">₹{row.totalRevenue.toFixed(2)}</td>
+                                    <td>{formatDate(row.lastPurchaseAt)}</td>
+                                    <td>
+                                        <span
+                                            className={`badge badge-sm ${row.creditActive ? "badge-success" : "badge-ghost"}`}
+                                            title={row.duration ? `Commission duration: ${row.duration}` : "No repeat-purchase credit"}
+                                        >
+                                            {row.creditActive ? "active" : "ended"}
+                                        </span>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default ReferredCustomers;
@@ -0,0 +1,205 @@
+"use client";
+
+import React, { useState } from "react";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+import { parseUserAgent } from "@/lib/botDetection";
+import {
+    MAX_ROUTING_RULES,
+    ROUTING_DEVICE_TYPES,
+    ROUTING_OS_NAMES,
+    normalizeRoutingRules,
+    getRoutingContext,
+    findRoutingRule,
+} from "@/models/RoutingRule";
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
+
+/**
+ * Ordered smart-link rules with a test box that previews where a pasted user agent
+ * would be sent. Controlled: rules are { id?, name, url, conditions } objects.
+ */
+const RoutingRulesEditor = ({ rules, onChange, fallbackUrl }) => {
+    const [test, setTest] = useState({ userAgent: "", country: "", acceptLanguage: "" });
+
+    const updateRule = (index, changes) => {
+        onChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+    };
+
+    const updateConditions = (index, changes) => {
+        updateRule(index, { conditions: { ...rules[index].conditions, ...changes } });
+    };
+
+    const moveRule = (index, offset) => {
+        const next = [...rules];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        onChange(next);
+    };
+
+    const addRule = () => {
+        onChange([...rules, { name: "", url: "", conditions: { countries: "", devices: [], os: [], languages: "" } }]);
+    };
+
+    const removeRule = (index) => {
+        onChange(rules.filter((_, i) => i !== index));
+    };
+
+    // Preview the decision the click endpoint would make for the test visitor
+    const preview = (() => {
+        if (!test.userAgent.trim()) return null;
+        const { os, device } = parseUserAgent(test.userAgent.trim());
+        const context = getRoutingContext({
+            deviceType: device?.type,
+            os: os?.name,
+            country: test.country.trim(),
+            acceptLanguage: test.acceptLanguage,
+        });
+        const normalized = normalizeRoutingRules(rules);
+        const match = findRoutingRule(normalized, context);
+        return { context, match, index: match ? normalized.indexOf(match) : -1 };
+    })();
+
+    return (
+        <div className="space-y-3">
+            {rules.length === 0 && (
+                <p className="text-xs text-base-content/50">No rules: every click goes to the campaign URL.</p>
+            )}
+
+            {rules.map((rule, index) => {
+                const conditions = rule.conditions || {};
+                const devices = conditions.devices || [];
+                const osNames = conditions.os || [];
+                const isMatch = preview?.index === index;
+
+                return (
+                    <div
+                        key={rule.id || `new-${index}`}
+                        className={`border rounded-lg p-3 space-y-2 ${isMatch ? "border-success bg-success/5" : "border-base-200"}`}
+                    >
+                        <div className="flex gap-2 items-center">
+                            <span className="badge badge-sm badge-ghost font-mono">{index + 1}</span>
+                            <input
+                                type="text"
+                                className="input input-sm input-bordered w-full md:w-48"
+                                placeholder={`Rule ${index + 1}`}
+                                value={rule.name}
+                                onChange={(e) => updateRule(index, { name: e.target.value })}
+                            />
+                            <input
+                                type="text"
+                                className="input input-sm input-bordered w-full font-mono text-xs flex-1"
+                                placeholder="https://apps.apple.com/app/id000000?ref={affiliate_id}"
+                                value={rule.url}
+                                onChange={(e) => updateRule(index, { url: e.target.value })}
+                            />
+                            <button className="btn btn-ghost btn-sm btn-square" onClick={() => moveRule(index, -1)} disabled={index === 0} title="Move up" type="button">
+                                <Icon name="ArrowUp" size={14} />
+                            </button>
+                            <button className="btn btn-ghost btn-sm btn-square" onClick={() => moveRule(index, 1)} disabled={index === rules.length - 1} title="Move down" type="button">
+                                <Icon name="ArrowDown" size={14} />
+                            </button>
+                            <button className="btn btn-ghost btn-sm btn-square" onClick={() => removeRule(index)} title="Remove rule" type="button">
+                                <Icon name="Trash2" size={14} />
+                            </button>
+                        </div>
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-xs">
+                            <div className="flex flex-wrap items-center gap-2">
+                                <span className="text-base-content/50 w-14">Device</span>
+                                {ROUTING_DEVICE_TYPES.map((type) => (
+                                    <label key={type} className="flex items-center gap-1 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            className="checkbox checkbox-xs"
+                                            checked={devices.includes(type)}
+                                            onChange={() => updateConditions(index, { devices: toggle(devices, type) })}
+                                        />
+                                        {type}
+                                    </label>
+                                ))}
+                            </div>
+                            <div className="flex flex-wrap items-center gap-2">
+                                <span className="text-base-content/50 w-14">OS</span>
+                                {ROUTING_OS_NAMES.map((name) => (
+                                    <label key={name} className="flex items-center gap-1 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            className="checkbox checkbox-xs"
+                                            checked={osNames.includes(name)}
+                                            onChange={() => updateConditions(index, { os: toggle(osNames, name) })}
+                                        />
+                                        {name}
+                                    </label>
+                                ))}
+                            </div>
+                            <input
+                                type="text"
+                                className="input input-xs input-bordered w-full"
+                                placeholder="Countries, e.g. IN, US (any)"
+                                value={Array.isArray(conditions.countries) ? conditions.countries.join(", ") : conditions.countries || ""}
+                                onChange={(e) => updateConditions(index, { countries: e.target.value })}
+                            />
+                            <input
+                                type="text"
+                                className="input input-xs input-bordered w-full"
+                                placeholder="Languages, e.g. en, pt-br (any)"
+                                value={Array.isArray(conditions.languages) ? conditions.languages.join(", ") : conditions.languages || ""}
+                                onChange={(e) => updateConditions(index, { languages: e.target.value })}
+                            />
+                        </div>
+                    </div>
+                );
+            })}
+
+            <Button size="sm" variant="ghost" onClick={addRule} disabled={rules.length >= MAX_ROUTING_RULES} type="button">
+                <Icon name="Plus" size={14} className="mr-1" />
+                Add Rule
+            </Button>
+
+            <div className="bg-base-200/50 p-3 rounded-lg space-y-2">
+                <div className="text-xs font-semibold text-base-content/70">Test a visitor</div>
+                <textarea
+                    className="textarea textarea-bordered textarea-sm w-full font-mono text-xs"
+                    rows={2}
+                    placeholder="Paste a user agent, e.g. Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) ..."
+                    value={test.userAgent}
+                    onChange={(e) => setTest({ ...test, userAgent: e.target.value })}
+                />
+                <div className="flex gap-2">
+                    <input
+                        type="text"
+                        className="input input-xs input-bordered w-24"
+                        placeholder="Country"
+                        value={test.country}
+                        onChange={(e) => setTest({ ...test, country: e.target.value })}
+                    />
+                    <input
+                        type="text"
+                        className="input input-xs input-bordered flex-1"
+                        placeholder="Accept-Language, e.g. pt-BR,pt;q=0.9"
+                        value={test.acceptLanguage}
+                        onChange={(e) => setTest({ ...test, acceptLanguage: e.target.value })}
+                    />
+                </div>
+                {preview && (
+                    <div className="text-xs space-y-1">
+                        <div className="text-base-content/60">
+                            {preview.context.device} · {preview.context.os || "unknown OS"} · {preview.context.country || "any country"} · {preview.context.language || "no language"}
+                        </div>
+                        {preview.match ? (
+                            <div className="text-success">
+                                Rule {preview.index + 1} ({preview.match.name}) → <span className="font-mono break-all">{preview.match.url}</span>
+                            </div>
+                        ) : (
+                            <div className="text-base-content/70">
+                                No rule matches → fallback <span className="font-mono break-all">{fallbackUrl || "campaign URL"}</span>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default RoutingRulesEditor;
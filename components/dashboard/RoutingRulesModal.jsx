@@ -0,0 +1,149 @@
+"use client";
+
+import React, { useState, useEffect } from "react";
+import Modal from "@/components/ui/Modal";
+import Button from "@/components/ui/Button";
+import Icon from "@/components/Icon";
+import RoutingRulesEditor from "@/components/dashboard/RoutingRulesEditor";
+import { normalizeRoutingRules, validateRoutingRules } from "@/models/RoutingRule";
+
+const toEditable = (rules) => rules.map(({ id, name, url, conditions }) => ({ id, name, url, conditions }));
+
+const RoutingRulesModal = ({ isOpen, onClose, campaign, onSuccess }) => {
+    const [report, setReport] = useState(null);
+    const [rules, setRules] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState("");
+    const [saved, setSaved] = useState(false);
+
+    const applyReport = (data) => {
+        setReport(data);
+        setRules(toEditable(data.routingRules));
+    };
+
+    useEffect(() => {
+        if (!isOpen || !campaign?._id) return;
+
+        const fetchRules = async () => {
+            setIsLoading(true);
+            setError("");
+            setSaved(false);
+            try {
+                const res = await fetch(`/api/campaigns/routing-rules?campaignId=${campaign._id}`);
+                const data = await res.json();
+                if (data.success) {
+                    applyReport(data.data);
+                } else {
+                    setError(data.error || "Failed to load routing rules");
+                }
+            } catch (err) {
+                setError("An unexpected error occurred. Please try again.");
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        fetchRules();
+    }, [isOpen, campaign?._id]);
+
+    const handleChange = (next) => {
+        setRules(next);
+        setSaved(false);
+    };
+
+    const handleSave = async () => {
+        const routingRules = normalizeRoutingRules(rules);
+        const validationError = validateRoutingRules(routingRules);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setIsSaving(true);
+        setError("");
+        setSaved(false);
+        try {
+            const res = await fetch("/api/campaigns/routing-rules", {
+                method: "PUT",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ campaignId: campaign._id, routingRules }),
+            });
+            const data = await res.json();
+            if (data.success) {
+                applyReport(data.data);
+                setSaved(true);
+                if (onSuccess) onSuccess();
+            } else {
+                setError(data.error || "Failed to save routing rules");
+            }
+        } catch (err) {
+            setError("An unexpected error occurred. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const matched = report?.routingRules || [];
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={() => !isSaving && onClose()}
+            title={`Routing Rules${campaign ? ` — ${campaign.name}` : ""}`}
+            size="full"
+        >
+            <div className="space-y-4 mt-2">
+                <div className="bg-base-200/50 p-4 rounded-lg text-sm text-base-content/70 flex gap-3 items-start">
+                    <Icon name="Route" size={18} className="mt-0.5 text-primary shrink-0" />
+                    <p>
+                        Tracking links without a deep link send each visitor to the first rule matching their device, OS,
+                        country and browser language. Visitors matching no rule go to the campaign URL. Rule URLs support
+                        the same {"{macros}"} as the campaign URL and may point at app stores.
+                    </p>
+                </div>
+
+                {error && (
+                    <div className="alert alert-error text-sm py-3 rounded-lg shadow-sm">
+                        <Icon name="AlertCircle" size={18} />
+                        <span>{error}</span>
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <div className="animate-pulse h-24 bg-base-200 rounded-lg"></div>
+                ) : (
+                    <>
+                        {matched.length > 0 && (
+                            <div className="flex flex-wrap gap-2 text-xs">
+                                {matched.map((rule) => (
+                                    <span key={rule.id} className="badge badge-ghost">
+                                        {rule.name}: {rule.clicks} clicks
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+
+                        <RoutingRulesEditor rules={rules} onChange={handleChange} fallbackUrl={report?.url || campaign?.url} />
+                    </>
+                )}
+
+                <div className="modal-action pt-4">
+                    {saved && (
+                        <span className="text-xs text-success flex items-center gap-1">
+                            <Icon name="Check" size={14} /> Saved
+                        </span>
+                    )}
+                    <Button variant="ghost" onClick={onClose} disabled={isSaving} type="button">
+                        Close
+                    </Button>
+                    <Button onClick={handleSave} isLoading={isSaving} disabled={isSaving || isLoading || !campaign} type="button">
+                        Save Rules
+                    </Button>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+export default RoutingRulesModal;
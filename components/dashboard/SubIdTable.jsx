@@ -0,0 +1,60 @@
+"use client";
+
+import React from 'react';
+
+const SubIdTable = ({ subIds }) => {
+    if (!subIds || subIds.length === 0) {
+        return (
+            <div className="card bg-base-100 shadow-sm border border-base-200">
+                <div className="card-body items-center justify-center p-8">
+                    <p className="text-base-content/50">No sub-ID data yet. Add sub1–sub5 to your links to track placements.</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="card bg-base-100 shadow-sm border border-base-200 overflow-hidden">
+            <div className="card-header p-4 border-b border-base-200">
+                <h3 className="font-bold text-lg">Sub-ID Performance</h3>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="table">
+                    {/* head */}
+                    <thead className="bg-base-200/50">
+                        <tr>
+                            <th>Sub-ID</th>
+                            <th>Value</th>
+                            <th className="text-center">Clicks</th>
+                            <th className="text-center">Conversions</th>
+                            <th className="text-center">Conv. Rate</th>
+                            <th className="text-right">Revenue</th>
+                            <th className="text-right">Commission</th>
+                            <th className="text-right">EPC</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {subIds.map((row) => (
+                            <tr key={`${row.key}:${row.value}`} className="hover">
+                                <td><span className="badge badge-ghost badge-sm font-mono">{row.key}</span></td>
+                                <td className="font-medium truncate max-w-[200px]" title={row.value}>{row.value}</td>
+                                <td className="text-center font-mono">{row.clicks}</td>
+                                <td className="text-center font-mono">{row.conversions}</td>
+                                <td className="text-center">
+                                    <span className={`badge badge-sm ${row.conversionRate > 2 ? 'badge-success' : 'badge-ghost'}`}>
+                                        {row.conversionRate.toFixed(2)}%
+                                    </span>
+                                </td>
+                                <td className="text-right font-mono text-base-content/70">₹{row.revenue.toFixed(2)}</td>
+                                <td className="text-right font-bold text-success">₹{row.commission.toFixed(2)}</td>
+                                <td className="text-right text-xs">₹{row.epc.toFixed(2)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default SubIdTable;
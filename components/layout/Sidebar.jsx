@@ -29,6 +29,11 @@ const Sidebar = () => {
         href: "/dashboard/campaigns",
         icon: "Megaphone",
       },
+      {
+        name: "Coupons",
+        href: "/dashboard/coupons",
+        icon: "Ticket",
+      },
       {
         name: "Payouts",
         href: "/dashboard/payouts",
@@ -0,0 +1,25 @@
+/**
+ * Next.js instrumentation hook
+ * Loads startup state and starts background work once per server process.
+ */
+
+export async function register() {
+    if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+
+    const { getDb } = await import('@/lib/db');
+    const { startPostbackDeliveryWorker } = await import('@/lib/affiliatePostbacks');
+    const { migrateLegacyPayoutRules } = await import('@/lib/commissions');
+    const { startGeoDatabase } = await import('@/lib/geoip');
+
+    startPostbackDeliveryWorker(getDb);
+    await startGeoDatabase();
+
+    try {
+        const summary = await migrateLegacyPayoutRules(await getDb());
+        if (summary.migrated > 0 || summary.flagged > 0) {
+            console.log('Legacy campaign payout rules migrated:', summary);
+        }
+    } catch (error) {
+        console.error('Error migrating legacy payout rules:', error);
+    }
+}
@@ -0,0 +1,289 @@
+/**
+ * Outbound affiliate postbacks
+ * Notifies affiliates' own trackers when their revenue rows are created, reversed or refunded.
+ * Deliveries are queued and sent by processDueDeliveries, which the delivery worker
+ * (started from instrumentation.js) runs in the background; failures are retried with backoff.
+ */
+
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import {
+  AFFILIATE_POSTBACKS_COLLECTION,
+  POSTBACK_DELIVERIES_COLLECTION,
+  DELIVERY_STATUS,
+  expandPostbackTemplate,
+  getPostbackMacroValues,
+  getNextAttemptAt,
+} from '@/models/AffiliatePostback';
+import { parseIpAddress, isIpAllowed } from '@/lib/ipAllowlist';
+
+// Per-attempt timeout for the affiliate's tracker
+const DELIVERY_TIMEOUT_MS = 5000;
+
+// How long a worker holds a delivery it is sending before another worker may pick it up
+const DELIVERY_LEASE_MS = 60 * 1000;
+
+// Default seconds between delivery worker runs (POSTBACK_DELIVERY_INTERVAL_SECONDS)
+const DEFAULT_DELIVERY_INTERVAL_SECONDS = 15;
+
+// Unspecified, loopback, private, shared, link-local and unique-local ranges affiliates may not target
+const INTERNAL_RANGES = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16',
+  '::/128', '::1/128', 'fc00::/7', 'fe80::/10',
+];
+
+/**
+ * Whether an IP address is on this server's network
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isInternalAddress(address) {
+  return isIpAllowed(address, INTERNAL_RANGES);
+}
+
+/**
+ * Whether a postback URL points at this server's network (localhost or an internal IP literal).
+ * Hostnames are checked again when they are resolved for each delivery.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isInternalPostbackUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return false;
+  }
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) return true;
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  return parseIpAddress(host) !== null && isInternalAddress(host);
+}
+
+/**
+ * dns.lookup replacement for postback requests that refuses hostnames resolving to an
+ * internal address, so a public hostname cannot be re-pointed at this server's network
+ * @param {string} hostname
+ * @param {Object} options - Options from http.request
+ * @param {Function} callback
+ */
+export function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const internal = addresses.find(({ address }) => isInternalAddress(address));
+    if (internal || addresses.length === 0) {
+      const blocked = new Error(`${hostname} resolves to an internal address`);
+      blocked.code = 'EINTERNALADDRESS';
+      return callback(blocked);
+    }
+
+    if (options?.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Send one GET request to a postback URL. Redirects are not followed.
+ * @param {string} url
+ * @returns {Promise<number>} Response status code
+ */
+function sendPostbackRequest(url) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (e) {
+      return reject(new Error('Invalid URL'));
+    }
+
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      return reject(new Error(`Unsupported protocol ${target.protocol}`));
+    }
+
+    // IP literals are connected to without a lookup, so check them here
+    if (isInternalPostbackUrl(url)) {
+      return reject(new Error(`${target.hostname} is an internal address`));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.get(target, { lookup: lookupPublicAddress }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.setTimeout(DELIVERY_TIMEOUT_MS, () => request.destroy(new Error('Timed out')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Make one delivery attempt and record its outcome
+ * @param {import('mongodb').Db} database
+ * @param {Object} delivery - Delivery document
+ * @returns {Promise<string>} New delivery status
+ */
+export async function attemptDelivery(database, delivery) {
+  const startedAt = Date.now();
+  const attempt = { attemptedAt: new Date(startedAt).toISOString(), statusCode: null, error: null };
+
+  try {
+    attempt.statusCode = await sendPostbackRequest(delivery.url);
+    if (attempt.statusCode >= 300 && attempt.statusCode < 400) {
+      attempt.error = `Redirect not followed (HTTP ${attempt.statusCode})`;
+    } else if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+      attempt.error = `HTTP ${attempt.statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+
+  const attemptCount = (delivery.attempts?.length || 0) + 1;
+  const nextAttemptAt = attempt.error ? getNextAttemptAt(attemptCount) : null;
+  const status = !attempt.error
+    ? DELIVERY_STATUS.DELIVERED
+    : nextAttemptAt ? DELIVERY_STATUS.PENDING : DELIVERY_STATUS.FAILED;
+
+  await database.collection(POSTBACK_DELIVERIES_COLLECTION).updateOne(
+    { _id: delivery._id },
+    {
+      $push: { attempts: attempt },
+      $set: { status, nextAttemptAt, lastStatusCode: attempt.statusCode, updatedAt: new Date().toISOString() },
+    }
+  );
+
+  return status;
+}
+
+/**
+ * Queue the affiliate's postbacks for a revenue event. The delivery worker sends them.
+ * Never throws: a failing tracker must not break conversion processing.
+ * @param {import('mongodb').Db} database
+ * @param {Object} revenue - Revenue record (with _id)
+ * @param {string} event - One of POSTBACK_EVENTS
+ * @param {Object} [options]
+ * @param {number} [options.payout] - Commission deducted, for refunds/reversals
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function fireAffiliatePostbacks(database, revenue, event, { payout } = {}) {
+  if (!revenue?.affiliateId || !revenue.campaignId) return 0;
+
+  try {
+    const templates = await database.collection(AFFILIATE_POSTBACKS_COLLECTION).find({
+      affiliateId: String(revenue.affiliateId),
+      campaignId: String(revenue.campaignId),
+      active: true,
+      events: event,
+    }).toArray();
+
+    if (templates.length === 0) return 0;
+
+    const values = getPostbackMacroValues(revenue, event, payout);
+    const now = new Date().toISOString();
+
+    const deliveries = templates.map(template => ({
+      postbackId: template._id.toString(),
+      affiliateId: String(revenue.affiliateId),
+      campaignId: String(revenue.campaignId),
+      revenueId: revenue._id ? revenue._id.toString() : null,
+      event,
+      url: expandPostbackTemplate(template.url, values),
+      status: DELIVERY_STATUS.PENDING,
+      attempts: [],
+      nextAttemptAt: now,
+      createdAt: now,
+    }));
+
+    await database.collection(POSTBACK_DELIVERIES_COLLECTION).insertMany(deliveries);
+
+    return deliveries.length;
+  } catch (error) {
+    console.error('Error queueing affiliate postbacks:', error);
+    return 0;
+  }
+}
+
+/**
+ * Send queued deliveries and retries whose backoff has elapsed. Each delivery is leased
+ * before it is sent, so several workers (or instances) never send the same one at once.
+ * @param {import('mongodb').Db} database
+ * @param {number} [limit]
+ * @returns {Promise<{ processed: number, delivered: number, failed: number }>}
+ */
+export async function processDueDeliveries(database, limit = 50) {
+  const summary = { processed: 0, delivered: 0, failed: 0 };
+
+  while (summary.processed < limit) {
+    const now = Date.now();
+    const delivery = await database.collection(POSTBACK_DELIVERIES_COLLECTION).findOneAndUpdate(
+      { status: DELIVERY_STATUS.PENDING, nextAttemptAt: { $lte: new Date(now).toISOString() } },
+      { $set: { nextAttemptAt: new Date(now + DELIVERY_LEASE_MS).toISOString() } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    );
+    if (!delivery) break;
+
+    const status = await attemptDelivery(database, delivery);
+    summary.processed++;
+    if (status === DELIVERY_STATUS.DELIVERED) summary.delivered++;
+    if (status === DELIVERY_STATUS.FAILED) summary.failed++;
+  }
+
+  return summary;
+}
+
+let deliveryWorker = null;
+
+/**
+ * Start the background delivery worker (once per process).
+ * POSTBACK_DELIVERY_INTERVAL_SECONDS sets how often it runs; 0 disables it.
+ * @param {() => Promise<import('mongodb').Db>} getDatabase
+ * @returns {boolean} Whether a worker is running
+ */
+export function startPostbackDeliveryWorker(getDatabase) {
+  if (deliveryWorker) return true;
+
+  const configured = parseInt(process.env.POSTBACK_DELIVERY_INTERVAL_SECONDS, 10);
+  const seconds = Number.isNaN(configured) ? DEFAULT_DELIVERY_INTERVAL_SECONDS : configured;
+  if (seconds <= 0) return false;
+
+  let running = false;
+  deliveryWorker = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await processDueDeliveries(await getDatabase());
+      if (summary.processed > 0) {
+        console.log('Affiliate postback deliveries processed:', summary);
+      }
+    } catch (error) {
+      console.error('Error processing postback deliveries:', error);
+    } finally {
+      running = false;
+    }
+  }, seconds * 1000);
+  deliveryWorker.unref?.();
+
+  return true;
+}
+
+/**
+ * Stop the background delivery worker
+ */
+export function stopPostbackDeliveryWorker() {
+  if (deliveryWorker) clearInterval(deliveryWorker);
+  deliveryWorker = null;
+}
+
+export default {
+  isInternalPostbackUrl,
+  lookupPublicAddress,
+  attemptDelivery,
+  fireAffiliatePostbacks,
+  processDueDeliveries,
+  startPostbackDeliveryWorker,
+  stopPostbackDeliveryWorker,
+};
@@ -0,0 +1,325 @@
+/**
+ * Multi-touch Attribution Engine
+ * Resolves which clicks share the credit for a conversion and how much each one earns,
+ * based on the active model in attribution_settings.
+ */
+
+import { REVENUE_COLLECTION } from '@/models/Revenue';
+import {
+  ATTRIBUTION_SETTINGS_COLLECTION,
+  DEFAULT_ATTRIBUTION_SETTINGS,
+  AttributionModel,
+  calculateAttributionScore,
+  getAttributionWindowMs,
+  getCampaignSettings,
+  getCookieMaxAge,
+  isClickValid,
+} from '@/models/AttributionSettings';
+import { getInactiveCampaignReason, INACTIVE_CAMPAIGN_REASONS } from '@/models/Campaign';
+
+const CLICK_EVENTS_COLLECTION = 'click_events';
+
+/**
+ * First-party cookie holding the click id (also read by public/tracking.js)
+ */
+export const ATTRIBUTION_COOKIE_NAME = 'aff_click_id';
+
+/**
+ * Reasons a conversion can be rejected instead of credited
+ */
+export const RejectionReason = {
+  CLICK_EXPIRED: 'click_outside_attribution_window',
+  CLICK_FILTERED: 'click_filtered', // Bot, inactive campaign or blocked redirect
+  CAMPAIGN_OUTSIDE_SCHEDULE: 'campaign_outside_schedule', // Converted before startsAt or after endsAt
+  REJECTED_IN_REVIEW: 'rejected_in_review', // Unconfirmed conversion rejected by an admin
+  REPLACED_BY_POSTBACK: 'replaced_by_postback', // Unconfirmed conversion replaced by the advertiser's postback
+  PAYOUT_RULES_INVALID: 'payout_rules_invalid', // Campaign payout rules are free text (lib/commissions.js)
+};
+
+/**
+ * Load attribution settings, applying campaign-level overrides when present
+ * @param {import('mongodb').Db} database
+ * @param {string} campaignId
+ * @returns {Promise<Object>}
+ */
+export async function getAttributionSettings(database, campaignId) {
+  const stored = await database.collection(ATTRIBUTION_SETTINGS_COLLECTION).findOne({});
+  const globalSettings = { ...DEFAULT_ATTRIBUTION_SETTINGS, ...(stored || {}) };
+
+  return { ...globalSettings, ...getCampaignSettings(campaignId, globalSettings) };
+}
+
+/**
+ * Collect the clicks the same visitor made on the converting click's campaign within the
+ * attribution window, up to and including the converting click.
+ * Visitors are matched on IP address + user agent. Later clicks are ignored, so the
+ * converting click is always the last touch.
+ * @param {import('mongodb').Db} database
+ * @param {Object} click - The click the conversion was reported against
+ * @param {Object} settings - Resolved attribution settings
+ * @param {number} conversionTime - Conversion timestamp in ms
+ * @returns {Promise<Object[]>} Clicks sorted oldest first, ending with the converting click
+ */
+export async function collectTouches(database, click, settings, conversionTime = Date.now()) {
+  const canMatchVisitor = settings.ipTracking !== false
+    && click.ipAddress && click.ipAddress !== 'unknown'
+    && click.userAgent;
+
+  if (!canMatchVisitor) return [click];
+
+  const windowStart = new Date(conversionTime - getAttributionWindowMs(settings)).toISOString();
+  const windowEnd = click.createdAt || new Date(conversionTime).toISOString();
+
+  const clicks = await database.collection(CLICK_EVENTS_COLLECTION).find({
+    campaignId: click.campaignId,
+    ipAddress: click.ipAddress,
+    userAgent: click.userAgent,
+    filtered: { $ne: true },
+    clickId: { $ne: click.clickId },
+    createdAt: { $gte: windowStart, $lte: windowEnd },
+  }).sort({ createdAt: 1 }).toArray();
+
+  let touches = [...clicks, click];
+
+  // Repeat clicks on the same affiliate link count as a single (most recent) touch
+  if (settings.DeDuplicateTouches) {
+    const latestByLink = new Map();
+    touches.forEach(touch => latestByLink.set(`${touch.affiliateId}:${touch.campaignId}`, touch));
+    touches = touches.filter(touch => latestByLink.get(`${touch.affiliateId}:${touch.campaignId}`) === touch);
+  }
+
+  return touches;
+}
+
+/**
+ * Split one unit of credit across touches according to the attribution model
+ * @param {Object[]} touches - Clicks sorted oldest first, ending with the converting click
+ * @param {Object} settings - Resolved attribution settings
+ * @param {number} conversionTime - Conversion timestamp in ms
+ * @returns {{ click: Object, weight: number }[]} Credited touches (weights sum to 1)
+ */
+export function splitCredit(touches, settings, conversionTime = Date.now()) {
+  if (touches.length === 0) return [];
+
+  const model = settings?.attributionModel || DEFAULT_ATTRIBUTION_SETTINGS.attributionModel;
+  const lastTouch = [{ click: touches[touches.length - 1], weight: 1 }];
+
+  switch (model) {
+    case AttributionModel.FIRST_CLICK:
+      return [{ click: touches[0], weight: 1 }];
+
+    case AttributionModel.LINEAR:
+    case AttributionModel.TIME_DECAY: {
+      const scores = touches.map(click => calculateAttributionScore(click, settings, conversionTime));
+      const total = scores.reduce((sum, score) => sum + score, 0);
+
+      // Every touch decayed to zero - fall back to the converting click
+      if (total <= 0) return lastTouch;
+
+      return touches
+        .map((click, i) => ({ click, weight: scores[i] / total }))
+        .filter(credit => credit.weight > 0);
+    }
+
+    case AttributionModel.LAST_CLICK:
+    default:
+      return lastTouch;
+  }
+}
+
+/**
+ * Allocate a monetary amount across credits, rounded to 2 decimals.
+ * Any rounding remainder goes to the last credit so the parts add up to the total.
+ * @param {number} total
+ * @param {{ weight: number }[]} credits
+ * @returns {number[]}
+ */
+export function allocateAmount(total, credits) {
+  const amounts = credits.map(credit => Math.round(total * credit.weight * 100) / 100);
+  const allocated = amounts.reduce((sum, amount) => sum + amount, 0);
+
+  if (amounts.length > 0) {
+    amounts[amounts.length - 1] = Math.round((amounts[amounts.length - 1] + total - allocated) * 100) / 100;
+  }
+
+  return amounts;
+}
+
+/**
+ * Check that the converting click is inside the (campaign-aware) attribution window
+ * @param {Object} click
+ * @param {Object} settings - Resolved attribution settings
+ * @param {number} conversionTime - Conversion timestamp in ms
+ * @returns {{ reason: string, message: string } | null} Rejection, or null when the click is valid
+ */
+export function checkAttributionWindow(click, settings, conversionTime = Date.now()) {
+  if (isClickValid(click.createdAt, settings, conversionTime)) return null;
+
+  const window = settings?.clickAttributionWindow || DEFAULT_ATTRIBUTION_SETTINGS.clickAttributionWindow;
+
+  return {
+    reason: RejectionReason.CLICK_EXPIRED,
+    message: `Click ${click.clickId} from ${click.createdAt} is outside the ${window.value} ${window.unit} attribution window`,
+  };
+}
+
+/**
+ * Check that the converting click can still convert: filtered clicks (bots, inactive campaigns,
+ * blocked redirects) never do, campaigns take no conversions before startsAt or after endsAt,
+ * and other clicks must be inside the attribution window.
+ * Every conversion path (postback, pixel, tracking script, Stripe checkout) runs this check.
+ * @param {Object} click
+ * @param {Object} settings - Resolved attribution settings
+ * @param {number} conversionTime - Conversion timestamp in ms
+ * @param {Object|null} [campaign] - The click's campaign (findCampaign); skipped when not found
+ * @returns {{ reason: string, message: string } | null} Rejection, or null when the click may convert
+ */
+export function checkConversionClick(click, settings, conversionTime = Date.now(), campaign = null) {
+  if (click.filtered) {
+    return {
+      reason: RejectionReason.CLICK_FILTERED,
+      message: `Click ${click.clickId} was filtered (${click.filterReason || 'unknown'}) and cannot convert`,
+    };
+  }
+
+  const inactive = campaign ? getInactiveCampaignReason(campaign, new Date(conversionTime)) : null;
+  if (inactive === INACTIVE_CAMPAIGN_REASONS.SCHEDULED || inactive === INACTIVE_CAMPAIGN_REASONS.EXPIRED) {
+    return {
+      reason: RejectionReason.CAMPAIGN_OUTSIDE_SCHEDULE,
+      message: `Campaign ${click.campaignId} is ${inactive} and cannot convert`,
+    };
+  }
+
+  return checkAttributionWindow(click, settings, conversionTime);
+}
+
+/**
+ * Store a rejected conversion so it is visible for auditing without crediting commission
+ * @param {import('mongodb').Db} database
+ * @param {Object} click - The click the conversion was reported against
+ * @param {{ reason: string, message: string }} rejection
+ * @param {Object} [fields] - Path-specific fields (amount, currency, source, payment ids...)
+ * @returns {Promise<Object>} The stored record
+ */
+export async function recordRejectedConversion(database, click, rejection, fields = {}) {
+  const record = {
+    affiliateId: click.affiliateId,
+    campaignId: click.campaignId,
+    clickId: click.clickId,
+    ...fields,
+    commissionAmount: 0,
+    status: 'rejected',
+    rejectionReason: rejection.reason,
+    rejectionDetail: rejection.message,
+    createdAt: new Date().toISOString(),
+  };
+
+  await database.collection(REVENUE_COLLECTION).insertOne(record);
+
+  console.warn('Conversion rejected:', {
+    clickId: click.clickId,
+    affiliateId: click.affiliateId,
+    reason: rejection.reason,
+  });
+
+  return record;
+}
+
+/**
+ * Cookie options for the attribution cookie, honouring the first/third-party flags.
+ * Third-party use needs SameSite=None, which browsers only accept on secure cookies,
+ * so over plain HTTP we fall back to a first-party (Lax) cookie when that is allowed.
+ * @param {Object} settings - Resolved attribution settings
+ * @param {{ secure: boolean }} context - Whether the request arrived over HTTPS
+ * @returns {Object|null} Options for response.cookies.set, or null when cookies are disabled
+ */
+export function getAttributionCookieOptions(settings, { secure }) {
+  const firstParty = settings?.firstPartyCookie !== false;
+  const thirdParty = settings?.thirdPartyCookie === true;
+
+  const base = {
+    path: '/',
+    maxAge: getCookieMaxAge(settings),
+    httpOnly: false, // tracking.js reads it when served from the same origin
+  };
+
+  if (thirdParty && secure) {
+    return { ...base, sameSite: 'none', secure: true };
+  }
+
+  if (firstParty) {
+    return { ...base, sameSite: 'lax', secure };
+  }
+
+  return null;
+}
+
+/**
+ * Append the click id to a destination URL so advertisers without tracking.js can still attribute
+ * @param {string} targetUrl - Absolute or relative destination
+ * @param {string} baseUrl - Base for resolving relative destinations
+ * @param {Object} settings - Resolved attribution settings
+ * @param {string} clickId
+ * @returns {URL}
+ */
+export function appendClickId(targetUrl, baseUrl, settings, clickId) {
+  const url = new URL(targetUrl, baseUrl);
+  const param = settings?.clickIdParameter ?? DEFAULT_ATTRIBUTION_SETTINGS.clickIdParameter;
+
+  if (param) {
+    url.searchParams.set(param, clickId);
+  }
+
+  return url;
+}
+
+/**
+ * Resolve the credited touches for a conversion reported against a click
+ * @param {import('mongodb').Db} database
+ * @param {Object} click - The click the conversion was reported against
+ * @param {Object} [options]
+ * @param {number} [options.conversionTime] - Conversion timestamp in ms
+ * @param {Object} [options.settings] - Already resolved attribution settings
+ * @returns {Promise<{ model: string, settings: Object, touchCount: number, credits: { click: Object, weight: number }[] }>}
+ */
+export async function resolveAttribution(database, click, { conversionTime = Date.now(), settings: resolvedSettings } = {}) {
+  const settings = resolvedSettings || await getAttributionSettings(database, click.campaignId);
+  const touches = await collectTouches(database, click, settings, conversionTime);
+
+  return {
+    model: settings.attributionModel || DEFAULT_ATTRIBUTION_SETTINGS.attributionModel,
+    settings,
+    touchCount: touches.length,
+    credits: splitCredit(touches, settings, conversionTime),
+  };
+}
+
+/**
+ * Build the attribution metadata stored on each credited revenue row
+ * @param {Object} attribution - Result of resolveAttribution
+ * @param {{ click: Object, weight: number }} credit
+ * @param {string} conversionClickId - Click the conversion was reported against
+ * @returns {Object}
+ */
+export function describeCredit(attribution, credit, conversionClickId) {
+  return {
+    model: attribution.model,
+    weight: Math.round(credit.weight * 10000) / 10000,
+    touchCount: attribution.touchCount,
+    conversionClickId,
+  };
+}
+
+export default {
+  getAttributionSettings,
+  collectTouches,
+  splitCredit,
+  allocateAmount,
+  checkAttributionWindow,
+  checkConversionClick,
+  recordRejectedConversion,
+  getAttributionCookieOptions,
+  appendClickId,
+  resolveAttribution,
+  describeCredit,
+};
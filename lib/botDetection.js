@@ -183,6 +183,39 @@ export const extractIP = (headers = {}) => {
   return headers['remote-addr'] || 'unknown';
 };
 
+/**
+ * Number of proxies in front of the app that append the caller to X-Forwarded-For
+ * (TRUSTED_PROXY_HOPS). Defaults to 0: without a configured proxy every X-Forwarded-For
+ * entry may come from the client, so none is trusted.
+ * @returns {number}
+ */
+const getTrustedProxyHops = () => {
+  const hops = parseInt(process.env.TRUSTED_PROXY_HOPS ?? '0', 10);
+  return Number.isInteger(hops) && hops >= 0 ? hops : 0;
+};
+
+/**
+ * Extract the caller IP for security checks such as postback source allowlists.
+ * Unlike extractIP, entries the client can set are ignored: the caller is the address
+ * our own proxies appended, TRUSTED_PROXY_HOPS entries from the right of X-Forwarded-For.
+ * Without trusted proxies only the connection address (remote-addr) is used.
+ * @param {Object} headers - Request headers
+ * @param {number} [trustedProxyHops]
+ * @returns {string} IP address, or 'unknown'
+ */
+export const extractTrustedIP = (headers = {}, trustedProxyHops = getTrustedProxyHops()) => {
+  const forwarded = (headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  if (trustedProxyHops > 0 && forwarded.length >= trustedProxyHops) {
+    return forwarded[forwarded.length - trustedProxyHops];
+  }
+
+  return headers['remote-addr'] || 'unknown';
+};
+
 /**
  * Extract referrer from headers, preserving query params
  * @param {Object} headers - Request headers
@@ -200,5 +233,6 @@ export default {
   isBotHost,
   detectBot,
   extractIP,
+  extractTrustedIP,
   extractReferrer,
 };
\ No newline at end of file
@@ -0,0 +1,441 @@
+/**
+ * Campaign caps
+ * Usage of click, conversion and payout caps, the commission still allowed under them and
+ * the notices sent to admins and affiliates when a cap is reached. Clicks past a cap are
+ * stored with capped set and redirected to the campaign's capFallbackUrl; conversions
+ * past a cap are recorded without commission.
+ * Conversion and payout budget is reserved on a per-period counter (cap_usage) with a
+ * conditional update, so concurrent conversions cannot spend more than the limit; rows
+ * that stop counting (rejected, reversed, refunded, disputed) give their budget back.
+ */
+
+import { ObjectId } from 'mongodb';
+import {
+  CAP_NOTIFICATIONS_COLLECTION,
+  CAP_USAGE_COLLECTION,
+  CAP_SCOPES,
+  getApplicableCaps,
+  getCapPeriodStart,
+  getCapProgress,
+  describeCap,
+} from '@/models/CampaignCap';
+import { CLICK_EVENTS_COLLECTION } from '@/models/ClickEvent';
+import { REVENUE_COLLECTION } from '@/models/Revenue';
+import { USERS_COLLECTION, USER_ROLES } from '@/models/User';
+import { findCampaign } from '@/lib/campaigns';
+import { sendEmail } from '@/lib/email';
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Revenue rows that do not count towards conversion and payout caps
+const UNCOUNTED_REVENUE_STATUSES = ['rejected', 'refunded', 'failed', 'reversed', 'disputed'];
+
+// Caps whose budget is reserved when a revenue row is created
+const COMMISSION_CAP_METRICS = ['conversions', 'payout'];
+
+/**
+ * Query for the events a cap counts
+ * @param {Object} campaign
+ * @param {Object} cap
+ * @param {string|null} affiliateId - Affiliate for affiliate caps; null counts all affiliates
+ * @param {Date} now
+ * @returns {Object}
+ */
+function getCapMatch(campaign, cap, affiliateId, now) {
+  const match = { campaignId: String(campaign._id), capped: null };
+  if (cap.scope === CAP_SCOPES.AFFILIATE && affiliateId) match.affiliateId = String(affiliateId);
+
+  const periodStart = getCapPeriodStart(cap.period, now);
+  if (periodStart) match.createdAt = { $gte: periodStart };
+
+  if (cap.metric !== 'clicks') match.status = { $nin: UNCOUNTED_REVENUE_STATUSES };
+  else match.filtered = { $ne: true };
+
+  return match;
+}
+
+/**
+ * Count the clicks, conversions or commission stored for a cap in its current period
+ * @returns {Promise<number>}
+ */
+async function countCapUsage(database, campaign, cap, affiliateId, now) {
+  const match = getCapMatch(campaign, cap, affiliateId, now);
+
+  if (cap.metric === 'clicks') {
+    return database.collection(CLICK_EVENTS_COLLECTION).countDocuments(match);
+  }
+
+  if (cap.metric === 'conversions') {
+    return database.collection(REVENUE_COLLECTION).countDocuments(match);
+  }
+
+  const [row] = await database.collection(REVENUE_COLLECTION).aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: { $ifNull: ['$commissionAmount', 0] } } } }
+  ]).toArray();
+
+  return Math.round((row?.total || 0) * 100) / 100;
+}
+
+/**
+ * Id of the counter holding a conversion or payout cap's usage for an affiliate and period
+ * @returns {string}
+ */
+function getCapCounterId(campaign, cap, affiliateId, now) {
+  const affiliate = cap.scope === CAP_SCOPES.AFFILIATE ? String(affiliateId) : '*';
+  return `${campaign._id}|${cap.id}|${affiliate}|${getCapPeriodStart(cap.period, now) || 'lifetime'}`;
+}
+
+/**
+ * Clicks, conversions or commission counted towards a cap in its current period.
+ * Conversion and payout caps read their counter once one exists.
+ * @param {import('mongodb').Db} database
+ * @param {Object} campaign
+ * @param {Object} cap
+ * @param {string|null} affiliateId - Required for affiliate caps
+ * @param {Date} [now]
+ * @returns {Promise<number>}
+ */
+export async function getCapUsage(database, campaign, cap, affiliateId, now = new Date()) {
+  if (COMMISSION_CAP_METRICS.includes(cap.metric)) {
+    const counter = await database.collection(CAP_USAGE_COLLECTION).findOne({ _id: getCapCounterId(campaign, cap, affiliateId, now) });
+    if (counter) return Math.round(counter.used * 100) / 100;
+  }
+
+  return countCapUsage(database, campaign, cap, affiliateId, now);
+}
+
+/**
+ * Create a cap's counter for the period, starting from the revenue rows already stored
+ * (e.g. rows from before the cap was added). Concurrent creators keep the first counter.
+ * @returns {Promise<string>} Counter id
+ */
+async function ensureCapCounter(database, campaign, cap, affiliateId, now) {
+  const id = getCapCounterId(campaign, cap, affiliateId, now);
+  const counters = database.collection(CAP_USAGE_COLLECTION);
+  if (await counters.findOne({ _id: id })) return id;
+
+  const used = await countCapUsage(database, campaign, cap, affiliateId, now);
+  try {
+    await counters.updateOne(
+      { _id: id },
+      {
+        $setOnInsert: {
+          campaignId: String(campaign._id),
+          capId: cap.id,
+          affiliateId: cap.scope === CAP_SCOPES.AFFILIATE ? String(affiliateId) : null,
+          periodStart: getCapPeriodStart(cap.period, now),
+          used,
+          createdAt: new Date().toISOString(),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error?.code !== DUPLICATE_KEY_ERROR) throw error;
+  }
+
+  return id;
+}
+
+/**
+ * Reserve one conversion, or up to amount of commission, on a cap's counter. The limit is
+ * checked in the same update, so concurrent reservations never take more than it.
+ * @returns {Promise<{ granted: number, used: number }|null>} Reserved amount and usage after it, or null when the cap is used up
+ */
+async function reserveCap(database, id, cap, amount) {
+  const counters = database.collection(CAP_USAGE_COLLECTION);
+
+  if (cap.metric === 'conversions') {
+    const before = await counters.findOneAndUpdate(
+      { _id: id, used: { $lte: cap.limit - 1 } },
+      { $inc: { used: 1 } },
+      { returnDocument: 'before' }
+    );
+    return before ? { granted: 1, used: before.used + 1 } : null;
+  }
+
+  // Payout caps grant what is left of the budget, up to the commission
+  const before = await counters.findOneAndUpdate(
+    { _id: id, used: { $lt: cap.limit } },
+    [{ $set: { used: { $round: [{ $min: [cap.limit, { $add: ['$used', amount] }] }, 2] } } }],
+    { returnDocument: 'before' }
+  );
+  if (!before) return null;
+
+  const granted = Math.round(Math.min(amount, cap.limit - before.used) * 100) / 100;
+  return { granted, used: Math.round((before.used + granted) * 100) / 100 };
+}
+
+/**
+ * Give budget back to a cap's counter
+ */
+async function releaseCap(database, id, amount) {
+  await database.collection(CAP_USAGE_COLLECTION).updateOne({ _id: id }, { $inc: { used: -amount } });
+}
+
+/**
+ * Usage of every cap that applies to an affiliate
+ * @returns {Promise<Array<{ cap: Object, used: number }>>}
+ */
+async function getAffiliateCapUsage(database, campaign, affiliateId, metrics, now) {
+  const caps = getApplicableCaps(campaign?.caps, affiliateId, metrics);
+  return Promise.all(caps.map(async cap => ({ cap, used: await getCapUsage(database, campaign, cap, affiliateId, now) })));
+}
+
+/**
+ * Capped marker stored on clicks and revenue rows
+ * @param {Object} cap
+ * @returns {{ capId: string, metric: string, period: string, scope: string }}
+ */
+function toCapped(cap) {
+  return { capId: cap.id, metric: cap.metric, period: cap.period, scope: cap.scope };
+}
+
+/**
+ * Check a new click against the campaign's caps. A click is capped when any cap that
+ * applies to its affiliate is already used up; the click that uses up a click cap
+ * still goes through and triggers the notices.
+ * @param {import('mongodb').Db} database
+ * @param {Object|null} campaign
+ * @param {string} affiliateId
+ * @returns {Promise<Object|null>} Capped marker, or null when the click is within all caps
+ */
+export async function checkClickCaps(database, campaign, affiliateId) {
+  if (!campaign?.caps?.length) return null;
+
+  const now = new Date();
+  const usage = await getAffiliateCapUsage(database, campaign, affiliateId, undefined, now);
+
+  const reached = usage.find(({ cap, used }) => used >= cap.limit);
+  if (reached) {
+    await notifyCapReached(database, campaign, reached.cap, affiliateId, now);
+    return toCapped(reached.cap);
+  }
+
+  const lastClick = usage.find(({ cap, used }) => cap.metric === 'clicks' && used + 1 >= cap.limit);
+  if (lastClick) await notifyCapReached(database, campaign, lastClick.cap, affiliateId, now);
+
+  return null;
+}
+
+/**
+ * Commission allowed for a new revenue row under the campaign's conversion and payout caps,
+ * reserved on the caps' counters. Conversions of capped clicks and conversions past a
+ * conversion cap earn nothing; payout caps cut the commission down to the budget left.
+ * A reservation that is stored but never turned into a row (e.g. the insert failed) stays
+ * counted until the period ends.
+ * @param {import('mongodb').Db} database
+ * @param {Object} revenue - Revenue row about to be inserted ({ affiliateId, campaignId, commissionAmount, createdAt })
+ * @param {Object|null} [click] - Credited click, if any
+ * @returns {Promise<{ commissionAmount: number, capped: Object|null }>}
+ */
+export async function applyCommissionCaps(database, revenue, click = null) {
+  const commissionAmount = revenue.commissionAmount || 0;
+
+  if (click?.capped) return { commissionAmount: 0, capped: click.capped };
+
+  const campaign = revenue.campaignId ? await findCampaign(database, revenue.campaignId) : null;
+  if (!campaign?.caps?.length) return { commissionAmount, capped: null };
+
+  const now = revenue.createdAt ? new Date(revenue.createdAt) : new Date();
+  const caps = getApplicableCaps(campaign.caps, revenue.affiliateId, COMMISSION_CAP_METRICS);
+
+  let allowed = commissionAmount;
+  const reserved = [];
+
+  for (const cap of caps) {
+    const id = await ensureCapCounter(database, campaign, cap, revenue.affiliateId, now);
+    const reservation = await reserveCap(database, id, cap, allowed);
+
+    if (!reservation) {
+      // The conversion is capped, so it gives back what it reserved on the other caps
+      await Promise.all(reserved.map(({ id: reservedId, granted }) => releaseCap(database, reservedId, granted)));
+      await notifyCapReached(database, campaign, cap, revenue.affiliateId, now);
+      return { commissionAmount: 0, capped: toCapped(cap) };
+    }
+
+    reserved.push({ id, cap, ...reservation });
+
+    // Pay out what is left of the budget; later conversions are capped
+    if (cap.metric === 'payout') allowed = reservation.granted;
+  }
+
+  for (const reservation of reserved) {
+    // A later payout cap cut the commission below what this one reserved
+    if (reservation.cap.metric === 'payout' && reservation.granted > allowed) {
+      const excess = Math.round((reservation.granted - allowed) * 100) / 100;
+      await releaseCap(database, reservation.id, excess);
+      reservation.used = Math.round((reservation.used - excess) * 100) / 100;
+    }
+
+    if (reservation.used >= reservation.cap.limit) {
+      await notifyCapReached(database, campaign, reservation.cap, revenue.affiliateId, now);
+    }
+  }
+
+  return { commissionAmount: allowed, capped: null };
+}
+
+/**
+ * Give back the conversion and payout budget a revenue row reserved, when it stops counting
+ * (rejected in review, reversed, refunded or disputed). Pass the row as it was before the
+ * change: rows that were capped or already uncounted reserved nothing.
+ * @param {import('mongodb').Db} database
+ * @param {Object} revenue - Revenue row ({ affiliateId, campaignId, commissionAmount, capped, status, createdAt })
+ * @returns {Promise<void>}
+ */
+export async function releaseCommissionCaps(database, revenue) {
+  if (!revenue?.campaignId || revenue.capped || UNCOUNTED_REVENUE_STATUSES.includes(revenue.status)) return;
+
+  const campaign = await findCampaign(database, revenue.campaignId);
+  if (!campaign?.caps?.length) return;
+
+  const now = revenue.createdAt ? new Date(revenue.createdAt) : new Date();
+  const caps = getApplicableCaps(campaign.caps, revenue.affiliateId, COMMISSION_CAP_METRICS);
+
+  await Promise.all(caps.map(cap => {
+    const amount = cap.metric === 'conversions' ? 1 : revenue.commissionAmount || 0;
+    return amount > 0 ? releaseCap(database, getCapCounterId(campaign, cap, revenue.affiliateId, now), amount) : null;
+  }));
+}
+
+/**
+ * Email admins and affected affiliates that a cap was reached. Sent once per cap,
+ * affiliate and period; never throws.
+ * @param {import('mongodb').Db} database
+ * @param {Object} campaign
+ * @param {Object} cap
+ * @param {string} affiliateId - Affiliate whose traffic reached the cap
+ * @param {Date} [now]
+ * @returns {Promise<boolean>} Whether notices were sent
+ */
+export async function notifyCapReached(database, campaign, cap, affiliateId, now = new Date()) {
+  const campaignId = String(campaign._id);
+  const isAffiliateCap = cap.scope === CAP_SCOPES.AFFILIATE;
+  const periodStart = getCapPeriodStart(cap.period, now);
+
+  try {
+    await database.collection(CAP_NOTIFICATIONS_COLLECTION).insertOne({
+      campaignId,
+      capId: cap.id,
+      affiliateId: isAffiliateCap ? String(affiliateId) : null,
+      periodStart,
+      createdAt: now.toISOString(),
+    });
+  } catch (error) {
+    if (error?.code !== DUPLICATE_KEY_ERROR) console.error('Failed to record cap notice:', error);
+    return false;
+  }
+
+  try {
+    // Campaign caps affect every affiliate with traffic in the period
+    const affiliateIds = isAffiliateCap
+      ? [String(affiliateId)]
+      : await database.collection(CLICK_EVENTS_COLLECTION).distinct('affiliateId', {
+        campaignId,
+        ...(periodStart ? { createdAt: { $gte: periodStart } } : {}),
+      });
+
+    const [admins, affiliates] = await Promise.all([
+      database.collection(USERS_COLLECTION)
+        .find({ role: USER_ROLES.ADMIN }, { projection: { email: 1 } })
+        .toArray(),
+      database.collection(USERS_COLLECTION)
+        .find({ _id: { $in: affiliateIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) } }, { projection: { email: 1 } })
+        .toArray(),
+    ]);
+
+    const capLabel = describeCap(cap);
+    const fallback = campaign.capFallbackUrl
+      ? 'Its tracking links now redirect to the fallback page'
+      : 'Its tracking links still redirect to the campaign page';
+    const until = periodStart ? ` until the ${cap.period === 'daily' ? 'day' : 'month'} ends (UTC)` : '';
+
+    console.warn('Campaign cap reached:', { campaignId, capId: cap.id, affiliateId: isAffiliateCap ? affiliateId : null });
+
+    await Promise.all([
+      ...admins.map(admin => sendEmail({
+        to: admin.email,
+        subject: `Cap reached: ${campaign.name}`,
+        html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+          <h2 style="color: #d97706;">Campaign cap reached</h2>
+          <p><strong>${campaign.name}</strong> reached its ${capLabel}${isAffiliateCap && !cap.affiliateId ? ` for affiliate ${affiliateId}` : ''}.</p>
+          <p>No further commission is credited${until}. ${fallback}.</p>
+        </div>
+      `,
+      })),
+      ...affiliates.map(affiliate => sendEmail({
+        to: affiliate.email,
+        subject: `Campaign paused: ${campaign.name}`,
+        html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+          <h2 style="color: #d97706;">Campaign cap reached</h2>
+          <p><strong>${campaign.name}</strong> reached its ${capLabel}.</p>
+          <p>Conversions no longer earn commission${until}. ${fallback}, so consider pausing your traffic.</p>
+        </div>
+      `,
+      })),
+    ]);
+
+    return true;
+  } catch (error) {
+    console.error('Failed to send cap notices:', error);
+    return false;
+  }
+}
+
+/**
+ * Progress of every cap of a campaign. Affiliate caps without a fixed affiliate report
+ * the affiliate closest to the limit as topAffiliateId.
+ * @param {import('mongodb').Db} database
+ * @param {Object} campaign
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} Caps with used, progress (0-100), reached and topAffiliateId
+ */
+export async function getCampaignCapReport(database, campaign, now = new Date()) {
+  const caps = campaign?.caps || [];
+
+  return Promise.all(caps.map(async cap => {
+    let used = 0;
+    let topAffiliateId = null;
+
+    if (cap.scope === CAP_SCOPES.AFFILIATE && !cap.affiliateId) {
+      const match = getCapMatch(campaign, cap, null, now);
+      const collection = cap.metric === 'clicks' ? CLICK_EVENTS_COLLECTION : REVENUE_COLLECTION;
+      const value = cap.metric === 'payout' ? { $ifNull: ['$commissionAmount', 0] } : 1;
+
+      const [top] = await database.collection(collection).aggregate([
+        { $match: match },
+        { $group: { _id: '$affiliateId', used: { $sum: value } } },
+        { $sort: { used: -1 } },
+        { $limit: 1 }
+      ]).toArray();
+
+      used = Math.round((top?.used || 0) * 100) / 100;
+      topAffiliateId = top?._id || null;
+    } else {
+      used = await getCapUsage(database, campaign, cap, cap.affiliateId, now);
+    }
+
+    return {
+      ...cap,
+      used,
+      progress: getCapProgress(used, cap.limit),
+      reached: used >= cap.limit,
+      topAffiliateId,
+      periodStart: getCapPeriodStart(cap.period, now),
+    };
+  }));
+}
+
+export default {
+  getCapUsage,
+  checkClickCaps,
+  applyCommissionCaps,
+  releaseCommissionCaps,
+  notifyCapReached,
+  getCampaignCapReport,
+};
@@ -0,0 +1,104 @@
+/**
+ * Campaign goal funnels
+ * Clicks and distinct conversions of each campaign goal, in goal order, for FunnelChart.
+ * A conversion counts once per goal however many touches shared its credit; renewals,
+ * rejected and reversed revenue rows are not goal completions.
+ */
+
+import { CAMPAIGNS_COLLECTION } from '@/models/Campaign';
+import { CLICK_EVENTS_COLLECTION } from '@/models/ClickEvent';
+import { REVENUE_COLLECTION } from '@/models/Revenue';
+import { buildGoalFunnel } from '@/models/CampaignGoal';
+
+// Revenue rows that are not goal completions
+const UNCOUNTED_REVENUE_STATUSES = ['rejected', 'reversed', 'refunded', 'failed'];
+
+/**
+ * Goal funnels of every campaign with goals
+ * @param {import('mongodb').Db} database
+ * @param {Object} clickMatch - Click filter (date range, affiliate); bot clicks are excluded by default
+ * @param {Object} revenueMatch - Revenue filter (date range, affiliate, status)
+ * @param {Object} [options]
+ * @param {string|null} [options.campaignId] - Only this campaign
+ * @param {boolean} [options.byAffiliate] - One funnel per affiliate instead of the campaign funnel
+ * @returns {Promise<Object[]>} { campaignId, campaignName, goals, funnel } or, by affiliate,
+ *   { campaignId, campaignName, goals, affiliates: [{ affiliateId, funnel }] }
+ */
+export async function getGoalFunnels(database, clickMatch, revenueMatch, { campaignId = null, byAffiliate = false } = {}) {
+  const campaigns = await database.collection(CAMPAIGNS_COLLECTION)
+    .find({ 'goals.0': { $exists: true } })
+    .toArray();
+  const selected = campaigns.filter(campaign => !campaignId || String(campaign._id) === String(campaignId));
+  if (selected.length === 0) return [];
+
+  const campaignIds = selected.map(campaign => String(campaign._id));
+  const groupKey = byAffiliate
+    ? { campaignId: '$campaignId', affiliateId: '$affiliateId' }
+    : { campaignId: '$campaignId' };
+
+  const [clickStats, goalStats] = await Promise.all([
+    database.collection(CLICK_EVENTS_COLLECTION).aggregate([
+      { $match: { filtered: { $ne: true }, ...clickMatch, campaignId: { $in: campaignIds } } },
+      { $group: { _id: groupKey, clicks: { $sum: 1 } } }
+    ]).toArray(),
+    database.collection(REVENUE_COLLECTION).aggregate([
+      {
+        $match: {
+          status: { $nin: UNCOUNTED_REVENUE_STATUSES },
+          ...revenueMatch,
+          campaignId: { $in: campaignIds },
+          goal: { $type: 'string' },
+          'metadata.isRenewal': { $ne: true }
+        }
+      },
+      // One completion per transaction, even when several touches shared it
+      {
+        $group: {
+          _id: { ...groupKey, goal: '$goal', transaction: { $ifNull: ['$transactionId', '$stripePaymentId'] } }
+        }
+      },
+      {
+        $group: {
+          _id: byAffiliate
+            ? { campaignId: '$_id.campaignId', affiliateId: '$_id.affiliateId', goal: '$_id.goal' }
+            : { campaignId: '$_id.campaignId', goal: '$_id.goal' },
+          conversions: { $sum: 1 }
+        }
+      }
+    ]).toArray()
+  ]);
+
+  const rowKey = ({ campaignId: id, affiliateId }) => (byAffiliate ? `${id}:${affiliateId}` : id);
+
+  const clicksByKey = new Map(clickStats.map(row => [rowKey(row._id), row.clicks]));
+  const conversionsByKey = new Map();
+  goalStats.forEach(row => {
+    const key = rowKey(row._id);
+    conversionsByKey.set(key, { ...conversionsByKey.get(key), [row._id.goal]: row.conversions });
+  });
+
+  return selected.map(campaign => {
+    const id = String(campaign._id);
+    const entry = { campaignId: id, campaignName: campaign.name, goals: campaign.goals };
+
+    if (!byAffiliate) {
+      return { ...entry, funnel: buildGoalFunnel(campaign.goals, clicksByKey.get(id) || 0, conversionsByKey.get(id)) };
+    }
+
+    const affiliateIds = new Set(
+      [...clickStats, ...goalStats]
+        .filter(row => row._id.campaignId === id && row._id.affiliateId)
+        .map(row => row._id.affiliateId)
+    );
+    const affiliates = [...affiliateIds].map(affiliateId => {
+      const key = `${id}:${affiliateId}`;
+      return { affiliateId, funnel: buildGoalFunnel(campaign.goals, clicksByKey.get(key) || 0, conversionsByKey.get(key)) };
+    });
+
+    return { ...entry, affiliates };
+  });
+}
+
+export default {
+  getGoalFunnels
+};
@@ -0,0 +1,140 @@
+/**
+ * Campaign data access helpers shared by API routes
+ */
+
+import { ObjectId } from 'mongodb';
+import { CAMPAIGNS_COLLECTION, MAX_REJECTED_POSTBACK_IPS, getScheduledStatus } from '@/models/Campaign';
+import { GLOBAL_SETTINGS_COLLECTION } from '@/models/GlobalSettings';
+import { SHORTLINKS_COLLECTION } from '@/models/ShortLink';
+import { CLICK_EVENTS_COLLECTION } from '@/models/ClickEvent';
+import { COUPONS_COLLECTION } from '@/models/Coupon';
+import { isIpAllowed } from '@/lib/ipAllowlist';
+
+/**
+ * Query matching a campaign by ObjectId or custom string id
+ * @param {string} campaignId
+ * @returns {Object}
+ */
+export function campaignIdQuery(campaignId) {
+  return ObjectId.isValid(campaignId)
+    ? { _id: new ObjectId(campaignId) }
+    : { _id: campaignId };
+}
+
+/**
+ * Bring a campaign's status in line with its startsAt / endsAt. The status is updated
+ * lazily whenever a campaign is read, so no scheduled job is needed.
+ * @param {import('mongodb').Db} database
+ * @param {Object|null} campaign
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} The campaign with its current status
+ */
+export async function syncCampaignStatus(database, campaign, now = new Date()) {
+  if (!campaign || (!campaign.startsAt && !campaign.endsAt)) return campaign;
+
+  const status = getScheduledStatus(campaign, now);
+  if (status === campaign.status) return campaign;
+
+  const statusChangedAt = now.toISOString();
+  await database.collection(CAMPAIGNS_COLLECTION).updateOne(
+    { _id: campaign._id, status: campaign.status }, // Skip if someone changed it meanwhile
+    { $set: { status, statusChangedAt } }
+  );
+
+  console.log('Campaign status changed by schedule:', { campaignId: String(campaign._id), from: campaign.status, to: status });
+
+  return { ...campaign, status, statusChangedAt };
+}
+
+/**
+ * Find a campaign by id, with its status brought up to date
+ * @param {import('mongodb').Db} database
+ * @param {string} campaignId
+ * @returns {Promise<Object|null>}
+ */
+export async function findCampaign(database, campaignId) {
+  if (!campaignId) return null;
+  const campaign = await database.collection(CAMPAIGNS_COLLECTION).findOne(campaignIdQuery(campaignId));
+  return syncCampaignStatus(database, campaign);
+}
+
+/**
+ * Where to send clicks on an expired, paused, archived or unknown campaign:
+ * the campaign's fallbackUrl, else the global inactiveCampaignUrl setting
+ * @param {import('mongodb').Db} database
+ * @param {Object|null} campaign
+ * @returns {Promise<string|null>} null when neither is set
+ */
+export async function getCampaignFallbackUrl(database, campaign) {
+  if (campaign?.fallbackUrl) return campaign.fallbackUrl;
+
+  const settings = await database.collection(GLOBAL_SETTINGS_COLLECTION).findOne({});
+  return settings?.inactiveCampaignUrl || null;
+}
+
+/**
+ * Whether the campaign restricts postbacks to a source IP allowlist
+ * @param {Object|null} campaign
+ * @returns {boolean}
+ */
+export function hasPostbackIpAllowlist(campaign) {
+  return Array.isArray(campaign?.postbackAllowedIps) && campaign.postbackAllowedIps.length > 0;
+}
+
+/**
+ * Checks a postback caller against the campaign's source IP allowlist.
+ * Rejected sources are recorded on the campaign (most recent MAX_REJECTED_POSTBACK_IPS kept).
+ * @param {import('mongodb').Db} database
+ * @param {Object|null} campaign
+ * @param {Object} caller
+ * @param {string} caller.ip - Caller IP from extractTrustedIP
+ * @param {string} caller.source - 'postback' | 'tracking_script' | 'pixel'
+ * @param {string} [caller.clickId]
+ * @returns {Promise<{ reason: string, message: string } | null>} Error, or null when the caller is allowed
+ */
+export async function checkPostbackSource(database, campaign, { ip, source, clickId = null }) {
+  if (!hasPostbackIpAllowlist(campaign) || isIpAllowed(ip, campaign.postbackAllowedIps)) {
+    return null;
+  }
+
+  await database.collection(CAMPAIGNS_COLLECTION).updateOne(
+    { _id: campaign._id },
+    {
+      $push: {
+        postbackRejectedIps: {
+          $each: [{ ip, source, clickId, rejectedAt: new Date().toISOString() }],
+          $slice: -MAX_REJECTED_POSTBACK_IPS,
+        },
+      },
+    }
+  );
+
+  return { reason: 'source_ip_not_allowed', message: `Postbacks from ${ip} are not allowed for this campaign` };
+}
+
+/**
+ * Whether an affiliate promotes a campaign: they have a tracking link, a click or a coupon for it
+ * @param {import('mongodb').Db} database
+ * @param {string} affiliateId
+ * @param {Object} campaign
+ * @returns {Promise<boolean>}
+ */
+export async function affiliatePromotesCampaign(database, affiliateId, campaign) {
+  const query = { affiliateId: String(affiliateId), campaignId: campaign._id.toString() };
+
+  for (const collection of [SHORTLINKS_COLLECTION, CLICK_EVENTS_COLLECTION, COUPONS_COLLECTION]) {
+    if (await database.collection(collection).findOne(query, { projection: { _id: 1 } })) return true;
+  }
+
+  return false;
+}
+
+export default {
+  campaignIdQuery,
+  syncCampaignStatus,
+  findCampaign,
+  getCampaignFallbackUrl,
+  hasPostbackIpAllowlist,
+  checkPostbackSource,
+  affiliatePromotesCampaign,
+};
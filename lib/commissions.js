@@ -0,0 +1,152 @@
+/**
+ * Commissions
+ * Every credited revenue row gets its commission here (postbacks, the conversion pixel,
+ * tracking.js conversions and Stripe checkouts and renewals). A conversion is paid by the
+ * campaign goal's payout rule, else the campaign's payout_rules, else the affiliate's
+ * profile rate (commission_tiers by total earnings, default 10%). Campaign caps are
+ * applied afterwards by lib/campaignCaps.js. Older free-text campaign rules are converted
+ * by migrateLegacyPayoutRules; conversions on any left over are rejected, not paid.
+ */
+
+import { ObjectId } from 'mongodb';
+import { AFFILIATE_PROFILES_COLLECTION, getCommissionRate } from '@/models/AffiliateProfile';
+import { CAMPAIGNS_COLLECTION } from '@/models/Campaign';
+import { isStructuredPayoutRule, calculatePayout, parseLegacyPayoutRule } from '@/models/PayoutRule';
+import { findCampaign } from '@/lib/campaigns';
+import { RejectionReason } from '@/lib/attribution';
+import { ValidationError } from '@/lib/error-handler';
+
+const PAYOUT_RULES_INVALID_MESSAGE = 'Campaign payout rules are free text and must be restructured before conversions can be paid';
+
+/**
+ * The affiliate's profile rate as a RevShare payout rule
+ * @param {Object|null} profile
+ * @returns {{ type: 'RevShare', percentage: number }}
+ */
+export function getProfilePayoutRule(profile) {
+  return { type: 'RevShare', percentage: getCommissionRate(profile, profile?.total_earnings || 0) * 100 };
+}
+
+/**
+ * Affiliate profile by user id (stored as an ObjectId; older rows may hold the string)
+ * @param {import('mongodb').Db} database
+ * @param {string} affiliateId
+ * @returns {Promise<Object|null>}
+ */
+async function findAffiliateProfile(database, affiliateId) {
+  if (!affiliateId) return null;
+
+  const userId = ObjectId.isValid(affiliateId) ? new ObjectId(affiliateId) : affiliateId;
+  return database.collection(AFFILIATE_PROFILES_COLLECTION).findOne({ userId });
+}
+
+/**
+ * Rejection for a conversion on a campaign whose payout rules are free text, so it is
+ * stored as rejected instead of being paid an amount nobody agreed to. Every conversion
+ * path checks this before crediting.
+ * @param {import('mongodb').Db} database
+ * @param {Object} conversion
+ * @param {string} [conversion.campaignId]
+ * @param {Object|null} [conversion.campaign] - Campaign, when the caller already has it
+ * @param {Object|null} [conversion.goal] - Campaign goal reached; its own rule is always structured
+ * @returns {Promise<{ reason: string, message: string }|null>} Rejection, or null when the conversion can be paid
+ */
+export async function checkPayoutRules(database, { campaignId, campaign, goal = null }) {
+  if (isStructuredPayoutRule(goal?.payout_rules)) return null;
+
+  const rules = (campaign === undefined ? await findCampaign(database, campaignId) : campaign)?.payout_rules;
+  if (!rules || isStructuredPayoutRule(rules)) return null;
+
+  return { reason: RejectionReason.PAYOUT_RULES_INVALID, message: PAYOUT_RULES_INVALID_MESSAGE };
+}
+
+/**
+ * The payout rule a conversion is paid by. Renewals are not paid flat (CPA/Fixed)
+ * campaign payouts again; they use a RevShare rule or the profile rate.
+ * Free-text campaign rules throw; callers reject those conversions first (checkPayoutRules).
+ * @param {import('mongodb').Db} database
+ * @param {Object} conversion
+ * @param {string} [conversion.affiliateId]
+ * @param {string} [conversion.campaignId]
+ * @param {Object|null} [conversion.campaign] - Campaign, when the caller already has it
+ * @param {Object|null} [conversion.goal] - Campaign goal reached
+ * @param {boolean} [conversion.renewal] - Subscription renewal
+ * @returns {Promise<Object>} Structured payout rule
+ * @throws {ValidationError} When the campaign's payout rules are free text
+ */
+export async function getPayoutRule(database, { affiliateId, campaignId, campaign, goal = null, renewal = false }) {
+  if (isStructuredPayoutRule(goal?.payout_rules)) return goal.payout_rules;
+
+  const rules = (campaign === undefined ? await findCampaign(database, campaignId) : campaign)?.payout_rules;
+
+  if (isStructuredPayoutRule(rules)) {
+    if (!renewal || rules.type === 'RevShare') return rules;
+  } else if (rules) {
+    throw new ValidationError(PAYOUT_RULES_INVALID_MESSAGE, {
+      reason: RejectionReason.PAYOUT_RULES_INVALID,
+      campaignId: campaignId || String(campaign?._id),
+    });
+  }
+
+  return getProfilePayoutRule(await findAffiliateProfile(database, affiliateId));
+}
+
+/**
+ * Commission for one credited touch of a conversion
+ * @param {import('mongodb').Db} database
+ * @param {Object} conversion - getPayoutRule fields, plus:
+ * @param {number} conversion.amount - Credited revenue
+ * @param {number} [conversion.orderValue] - Whole order value for thresholds and tiers (default: amount)
+ * @param {number} [conversion.weight] - Attribution weight of the touch (0-1)
+ * @returns {Promise<number>}
+ */
+export async function calculateCommission(database, { amount = 0, orderValue = amount, weight = 1, ...conversion }) {
+  const rules = await getPayoutRule(database, conversion);
+  return calculatePayout(rules, { amount, orderValue, weight });
+}
+
+/**
+ * Converts campaigns' free-text payout_rules to structured rules where the wording is
+ * recognised (the text is kept in payout_rules_text). The rest are flagged with
+ * payoutRulesInvalid until an admin sets a rule (PUT /api/campaigns/payout-rules).
+ * @param {import('mongodb').Db} database
+ * @returns {Promise<{ migrated: number, flagged: number }>}
+ */
+export async function migrateLegacyPayoutRules(database) {
+  const collection = database.collection(CAMPAIGNS_COLLECTION);
+  const campaigns = await collection
+    .find({ payout_rules: { $type: 'string' } }, { projection: { name: 1, payout_rules: 1 } })
+    .toArray();
+
+  const summary = { migrated: 0, flagged: 0 };
+
+  for (const campaign of campaigns) {
+    const rules = parseLegacyPayoutRule(campaign.payout_rules);
+
+    if (rules) {
+      await collection.updateOne(
+        { _id: campaign._id, payout_rules: campaign.payout_rules },
+        { $set: { payout_rules: rules, payout_rules_text: campaign.payout_rules }, $unset: { payoutRulesInvalid: '' } }
+      );
+      summary.migrated++;
+    } else {
+      await collection.updateOne({ _id: campaign._id }, { $set: { payoutRulesInvalid: true } });
+      console.warn('Campaign payout rules could not be converted, conversions will be rejected until they are restructured:', {
+        campaignId: campaign._id.toString(),
+        name: campaign.name,
+        payout_rules: campaign.payout_rules,
+      });
+      summary.flagged++;
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  getProfilePayoutRule,
+  checkPayoutRules,
+  getPayoutRule,
+  calculateCommission,
+  migrateLegacyPayoutRules
+};
@@ -0,0 +1,204 @@
+/**
+ * Unconfirmed conversions
+ * Conversions reported from the visitor's browser (the tracking script and the conversion
+ * pixel) cannot be signed, so anyone can report them with any amount. Their revenue rows are
+ * stored pending with confirmed: false and are left out of the affiliate's earnings and
+ * postbacks until an admin approves them, or the advertiser's signed postback for the same
+ * transaction replaces them.
+ */
+
+import { ObjectId } from 'mongodb';
+import { REVENUE_COLLECTION } from '@/models/Revenue';
+import { AFFILIATE_PROFILES_COLLECTION } from '@/models/AffiliateProfile';
+import { POSTBACK_EVENTS } from '@/models/AffiliatePostback';
+import { CONVERSIONS_COLLECTION, CONVERSION_STATUS } from '@/models/Conversion';
+import { RejectionReason } from '@/lib/attribution';
+import { fireAffiliatePostbacks } from '@/lib/affiliatePostbacks';
+import { releaseCommissionCaps } from '@/lib/campaignCaps';
+
+// Conversion sources whose revenue rows wait for confirmation
+export const UNCONFIRMED_CONVERSION_SOURCES = ['tracking_script', 'pixel'];
+
+/**
+ * Whether a revenue row still waits for an admin or a signed postback
+ * @param {Object} revenue
+ * @returns {boolean}
+ */
+export function isUnconfirmedRevenue(revenue) {
+  return revenue?.confirmed === false;
+}
+
+/**
+ * Add a credited revenue row's commission to the affiliate's earnings and notify the
+ * affiliate's postbacks. Unconfirmed rows are skipped until they are approved.
+ * @param {import('mongodb').Db} database
+ * @param {Object} revenue - Stored revenue row
+ * @returns {Promise<boolean>} Whether the row was credited
+ */
+export async function creditEarnings(database, revenue) {
+  if (isUnconfirmedRevenue(revenue)) return false;
+
+  if (revenue.commissionAmount > 0 && ObjectId.isValid(revenue.affiliateId)) {
+    await database.collection(AFFILIATE_PROFILES_COLLECTION).updateOne(
+      { userId: new ObjectId(revenue.affiliateId) },
+      {
+        $inc: {
+          total_earnings: revenue.commissionAmount,
+          pendingPayouts: revenue.commissionAmount,
+        },
+      }
+    );
+  }
+
+  await fireAffiliatePostbacks(database, revenue, POSTBACK_EVENTS.CONVERSION);
+  return true;
+}
+
+/**
+ * Unconfirmed revenue rows waiting for review, newest first
+ * @param {import('mongodb').Db} database
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>}
+ */
+export async function listUnconfirmedConversions(database, limit = 100) {
+  return database.collection(REVENUE_COLLECTION)
+    .find({ confirmed: false, status: 'pending' })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Approve unconfirmed revenue rows: their commission is added to the affiliate's earnings
+ * and the affiliate's postbacks fire. Rows that were already reviewed are skipped.
+ * @param {import('mongodb').Db} database
+ * @param {string[]} revenueIds
+ * @param {string} reviewer - Admin id or email
+ * @returns {Promise<number>} Number of rows approved
+ */
+export async function approveConversions(database, revenueIds, reviewer) {
+  const confirmedAt = new Date().toISOString();
+  let approved = 0;
+
+  for (const id of revenueIds) {
+    // Only one review can flip a row, so its commission is credited once
+    const revenue = await database.collection(REVENUE_COLLECTION).findOneAndUpdate(
+      { _id: new ObjectId(id), confirmed: false, status: 'pending' },
+      { $set: { confirmed: true, confirmedAt, confirmedBy: reviewer } },
+      { returnDocument: 'after' }
+    );
+    if (!revenue) continue;
+
+    await creditEarnings(database, revenue);
+    approved++;
+  }
+
+  return approved;
+}
+
+/**
+ * Reject unconfirmed revenue rows. Nothing was credited for them, so nothing is deducted;
+ * the cap budget they reserved is given back.
+ * @param {import('mongodb').Db} database
+ * @param {string[]} revenueIds
+ * @param {string} reviewer - Admin id or email
+ * @param {string} [detail] - Why they were rejected
+ * @returns {Promise<number>} Number of rows rejected
+ */
+export async function rejectConversions(database, revenueIds, reviewer, detail = '') {
+  const reviewedAt = new Date().toISOString();
+  let rejected = 0;
+
+  for (const id of revenueIds) {
+    const revenue = await database.collection(REVENUE_COLLECTION).findOneAndUpdate(
+      { _id: new ObjectId(id), confirmed: false, status: 'pending' },
+      {
+        $set: {
+          status: 'rejected',
+          rejectionReason: RejectionReason.REJECTED_IN_REVIEW,
+          rejectionDetail: detail || 'Rejected in review',
+          reviewedAt,
+          reviewedBy: reviewer,
+        },
+      },
+      { returnDocument: 'before' }
+    );
+    if (!revenue) continue;
+
+    await releaseCommissionCaps(database, revenue);
+    rejected++;
+  }
+
+  return rejected;
+}
+
+/**
+ * Hand an unconfirmed conversion's claim over to the advertiser's signed postback for the
+ * same transaction. Its unconfirmed rows are rejected (replaced_by_postback) and the postback
+ * is credited with its own amount, as if it came first. Conversions with an approved row are
+ * left alone, so the postback is answered as a duplicate.
+ * @param {import('mongodb').Db} database
+ * @param {Object} key - Key returned by claimConversion
+ * @param {Object|null} existing - The stored conversion the postback collided with
+ * @returns {Promise<Object|null>} A fresh claim for the postback, or null
+ */
+export async function replaceUnconfirmedConversion(database, key, existing) {
+  if (existing?.status !== CONVERSION_STATUS.COMPLETED || !UNCONFIRMED_CONVERSION_SOURCES.includes(existing.source)) {
+    return null;
+  }
+
+  const revenues = database.collection(REVENUE_COLLECTION);
+  const touchKeys = (existing.creditedTouches || []).map(touchId => `${key.campaignId}|${key.transactionId}|${touchId}`);
+
+  if (await revenues.countDocuments({ touchKey: { $in: touchKeys }, confirmed: true }) > 0) {
+    return null;
+  }
+
+  const replacedAt = new Date().toISOString();
+  const claimed = await database.collection(CONVERSIONS_COLLECTION).findOneAndUpdate(
+    { ...key, source: existing.source, status: CONVERSION_STATUS.COMPLETED },
+    {
+      $set: {
+        source: 'postback',
+        replacedSource: existing.source,
+        status: CONVERSION_STATUS.PROCESSING,
+        creditedTouches: [],
+        replacedAt,
+      },
+      $unset: { result: '' },
+    },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) return null;
+
+  // The postback's rows take over the touch keys and the cap budget
+  for (const touchKey of touchKeys) {
+    const revenue = await revenues.findOneAndUpdate(
+      { touchKey, confirmed: false },
+      {
+        $set: {
+          status: 'rejected',
+          rejectionReason: RejectionReason.REPLACED_BY_POSTBACK,
+          rejectionDetail: 'Replaced by the advertiser\'s postback',
+          reviewedAt: replacedAt,
+        },
+        $unset: { touchKey: '' },
+      },
+      { returnDocument: 'before' }
+    );
+    if (revenue) await releaseCommissionCaps(database, revenue);
+  }
+
+  console.log('Unconfirmed conversion replaced by postback:', { ...key, source: existing.source });
+
+  return { claimed: true, key, resumed: false, claimedAt: new Date(claimed.createdAt).getTime() };
+}
+
+export default {
+  isUnconfirmedRevenue,
+  creditEarnings,
+  listUnconfirmedConversions,
+  approveConversions,
+  rejectConversions,
+  replaceUnconfirmedConversion,
+};
@@ -0,0 +1,165 @@
+/**
+ * Idempotent conversion handling
+ * Conversion paths claim a (campaignId, transactionId) key before crediting anything,
+ * so a retried postback or a repeated Affiliate.conversion() call is only credited once.
+ * Goal conversions are keyed per goal, so one order id can complete several goals.
+ * A conversion that fails part-way keeps its claim, marked failed with the touches it
+ * already credited; the next delivery resumes it and only credits the remaining touches.
+ */
+
+import { CONVERSIONS_COLLECTION, CONVERSION_STATUS } from '@/models/Conversion';
+import { REVENUE_COLLECTION } from '@/models/Revenue';
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Claim a conversion key. Only the first claim for a key succeeds, unless it failed
+ * part-way: then the next claim resumes it (resumed: true).
+ * @param {import('mongodb').Db} database
+ * @param {Object} conversion
+ * @param {string|null} conversion.campaignId
+ * @param {string} conversion.transactionId
+ * @param {string} conversion.source - postback | pixel | tracking_script | stripe
+ * @param {string|null} [conversion.goal] - Campaign goal id
+ * @returns {Promise<{ claimed: boolean, key: Object, resumed?: boolean, claimedAt?: number, existing?: Object }>}
+ *   claimedAt is when the conversion was first claimed (ms), so a resumed claim attributes it the same way
+ */
+export async function claimConversion(database, { campaignId, transactionId, source, goal = null }) {
+  const key = {
+    campaignId: campaignId ?? null,
+    transactionId: goal ? `${transactionId}#${goal}` : String(transactionId),
+  };
+  const createdAt = new Date().toISOString();
+
+  try {
+    await database.collection(CONVERSIONS_COLLECTION).insertOne({
+      ...key,
+      goal,
+      source,
+      status: CONVERSION_STATUS.PROCESSING,
+      creditedTouches: [],
+      createdAt,
+    });
+
+    return { claimed: true, key, resumed: false, claimedAt: new Date(createdAt).getTime() };
+  } catch (error) {
+    if (error?.code !== DUPLICATE_KEY_ERROR) throw error;
+
+    // Take over a claim that failed part-way (only one delivery can)
+    const resumed = await database.collection(CONVERSIONS_COLLECTION).findOneAndUpdate(
+      { ...key, status: CONVERSION_STATUS.FAILED },
+      { $set: { status: CONVERSION_STATUS.PROCESSING, resumedAt: createdAt } },
+      { returnDocument: 'after' }
+    );
+
+    if (resumed) {
+      console.warn('Resuming failed conversion:', { ...key, source, creditedTouches: resumed.creditedTouches || [] });
+      return { claimed: true, key, resumed: true, claimedAt: new Date(resumed.createdAt).getTime() };
+    }
+
+    const existing = await database.collection(CONVERSIONS_COLLECTION).findOne(key);
+    console.warn('Duplicate conversion ignored:', { ...key, source });
+
+    return { claimed: false, key, existing };
+  }
+}
+
+/**
+ * Store the revenue row of one credited touch of a claimed conversion and run onCredited
+ * (earnings, affiliate postbacks) for it exactly once. A resumed claim reuses the row an
+ * earlier attempt stored and skips touches it already credited. The touch is marked before
+ * onCredited runs, so a failure in between leaves earnings short rather than doubled.
+ * @param {import('mongodb').Db} database
+ * @param {Object} claim - Result of claimConversion
+ * @param {string} touchId - Stable id of the touch within the conversion, e.g. its click id
+ * @param {() => Promise<Object>} createRevenue - Builds the revenue row (commission, caps)
+ * @param {(revenue: Object) => Promise<void>} onCredited
+ * @returns {Promise<Object>} The stored revenue row
+ */
+export async function creditTouchOnce(database, claim, touchId, createRevenue, onCredited) {
+  const touchKey = `${claim.key.campaignId}|${claim.key.transactionId}|${touchId}`;
+  const revenues = database.collection(REVENUE_COLLECTION);
+
+  let revenue = claim.resumed ? await revenues.findOne({ touchKey }) : null;
+
+  if (!revenue) {
+    revenue = { ...(await createRevenue()), touchKey };
+    await revenues.insertOne(revenue);
+  }
+
+  const marked = await database.collection(CONVERSIONS_COLLECTION).updateOne(
+    { ...claim.key, creditedTouches: { $ne: touchId } },
+    { $addToSet: { creditedTouches: touchId } }
+  );
+
+  if (marked.modifiedCount > 0) {
+    await onCredited(revenue);
+  }
+
+  return revenue;
+}
+
+/**
+ * Store the result of a claimed conversion so duplicates can be answered with it
+ * @param {import('mongodb').Db} database
+ * @param {Object} key - Key returned by claimConversion
+ * @param {{ status: number, body: Object }} result - HTTP status and response body
+ */
+export async function completeConversion(database, key, result) {
+  await database.collection(CONVERSIONS_COLLECTION).updateOne(key, {
+    $set: {
+      status: CONVERSION_STATUS.COMPLETED,
+      result,
+      completedAt: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Mark an unfinished claim failed so the next delivery of the conversion resumes it.
+ * The touches it already credited are kept and are not credited again.
+ * @param {import('mongodb').Db} database
+ * @param {Object} key - Key returned by claimConversion
+ * @param {Error} error
+ */
+export async function failConversion(database, key, error) {
+  await database.collection(CONVERSIONS_COLLECTION).updateOne(
+    { ...key, status: CONVERSION_STATUS.PROCESSING },
+    {
+      $set: {
+        status: CONVERSION_STATUS.FAILED,
+        error: error?.message || String(error),
+        failedAt: new Date().toISOString(),
+      },
+    }
+  );
+}
+
+/**
+ * Response for a duplicate conversion: the original result flagged with duplicate: true
+ * @param {Object} existing - Stored conversion document
+ * @returns {{ status: number, body: Object }}
+ */
+export function getDuplicateResult(existing) {
+  if (existing?.status === CONVERSION_STATUS.COMPLETED && existing.result) {
+    return {
+      status: existing.result.status,
+      body: { ...existing.result.body, duplicate: true },
+    };
+  }
+
+  // The original request is still being processed
+  return {
+    status: 409,
+    body: { success: false, error: 'Conversion is already being processed', duplicate: true },
+  };
+}
+
+export default {
+  claimConversion,
+  creditTouchOnce,
+  completeConversion,
+  failConversion,
+  getDuplicateResult,
+};
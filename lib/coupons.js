@@ -0,0 +1,33 @@
+/**
+ * Coupon attribution
+ * Resolves discount codes to the affiliate and campaign that own them.
+ */
+
+import { COUPONS_COLLECTION, COUPON_STATUS, normalizeCouponCode } from '@/models/Coupon';
+
+/**
+ * Find the active coupon for the first known code
+ * @param {import('mongodb').Db} database
+ * @param {string|string[]} codes - Candidate codes in priority order
+ * @returns {Promise<Object|null>} Coupon document, or null when no code is assigned
+ */
+export async function resolveCoupon(database, codes) {
+  const candidates = [...new Set((Array.isArray(codes) ? codes : [codes]).map(normalizeCouponCode).filter(Boolean))];
+  if (candidates.length === 0) return null;
+
+  const coupons = await database.collection(COUPONS_COLLECTION).find({
+    code: { $in: candidates },
+    status: COUPON_STATUS.ACTIVE,
+  }).toArray();
+
+  for (const code of candidates) {
+    const coupon = coupons.find(c => c.code === code);
+    if (coupon) return coupon;
+  }
+
+  return null;
+}
+
+export default {
+  resolveCoupon,
+};
@@ -0,0 +1,153 @@
+/**
+ * Lifetime customer attribution
+ * Binds a customer (Stripe customer id and/or hashed email) to the affiliate who first
+ * acquired them and finds that affiliate again for later purchases.
+ */
+
+import crypto from 'crypto';
+import {
+  CUSTOMERS_COLLECTION,
+  getCreditDurationMs,
+  isWithinCreditDuration,
+  maskEmail,
+  normalizeEmail,
+} from '@/models/Customer';
+import { findCampaign } from '@/lib/campaigns';
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Hash an email for lookups. Keyed with CUSTOMER_HASH_SECRET when set, so hashes
+ * cannot be reversed by hashing guessed addresses.
+ * @param {string} email
+ * @returns {string|null}
+ */
+export function hashEmail(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+
+  const secret = process.env.CUSTOMER_HASH_SECRET;
+  return secret
+    ? crypto.createHmac('sha256', secret).update(normalized).digest('hex')
+    : crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Query matching a customer by Stripe customer id or email hash
+ * @param {{ stripeCustomerId?: string, email?: string }} identity
+ * @returns {Object|null} null when the identity is empty
+ */
+function customerQuery(identity) {
+  const conditions = [];
+  if (identity?.stripeCustomerId) conditions.push({ stripeCustomerId: String(identity.stripeCustomerId) });
+
+  const emailHash = hashEmail(identity?.email);
+  if (emailHash) conditions.push({ emailHash });
+
+  return conditions.length > 0 ? { $or: conditions } : null;
+}
+
+/**
+ * Find a referred customer
+ * @param {import('mongodb').Db} database
+ * @param {{ stripeCustomerId?: string, email?: string }} identity
+ * @returns {Promise<Object|null>}
+ */
+export async function findCustomer(database, identity) {
+  const query = customerQuery(identity);
+  if (!query) return null;
+  return database.collection(CUSTOMERS_COLLECTION).findOne(query);
+}
+
+/**
+ * Whether a purchase now is still credited under the campaign's duration rule
+ * @param {import('mongodb').Db} database
+ * @param {{ campaignId: string, acquiredAt: string }} customer
+ * @param {Object} [options]
+ * @param {boolean} [options.defaultActive=false] - Result when the campaign sets no duration
+ * @returns {Promise<boolean>}
+ */
+export async function isCustomerCreditActive(database, customer, { defaultActive = false } = {}) {
+  const campaign = await findCampaign(database, customer.campaignId);
+  const durationMs = getCreditDurationMs(campaign?.payout_rules);
+
+  if (durationMs === null) return defaultActive;
+  return isWithinCreditDuration(durationMs, customer.acquiredAt);
+}
+
+/**
+ * The customer record whose affiliate should be credited for a purchase without a
+ * click or coupon, or null when the customer is unknown or their credit has expired
+ * @param {import('mongodb').Db} database
+ * @param {{ stripeCustomerId?: string, email?: string }} identity
+ * @returns {Promise<Object|null>}
+ */
+export async function findActiveCustomerOwner(database, identity) {
+  const customer = await findCustomer(database, identity);
+  if (!customer) return null;
+
+  return (await isCustomerCreditActive(database, customer)) ? customer : null;
+}
+
+/**
+ * Record a credited purchase for a customer. Unknown customers are bound to the
+ * crediting affiliate; known customers keep their original affiliate.
+ * Never throws, so tracking problems do not fail the conversion.
+ * @param {import('mongodb').Db} database
+ * @param {{ stripeCustomerId?: string, email?: string }} identity
+ * @param {Object} credit - { affiliateId, campaignId, clickId?, couponCode? } of the credited affiliate
+ * @param {Object} purchase
+ * @param {number} purchase.amount
+ * @param {string} purchase.source - stripe | postback
+ */
+export async function trackCustomer(database, identity, credit, { amount, source }) {
+  const query = customerQuery(identity);
+  if (!query || !credit?.affiliateId) return;
+
+  const now = new Date().toISOString();
+  const purchase = {
+    $inc: { purchaseCount: 1, totalRevenue: Number(amount) || 0 },
+    $set: { lastPurchaseAt: now },
+  };
+
+  try {
+    const existing = await database.collection(CUSTOMERS_COLLECTION).findOne(query);
+
+    if (existing) {
+      await database.collection(CUSTOMERS_COLLECTION).updateOne({ _id: existing._id }, purchase);
+      return;
+    }
+
+    await database.collection(CUSTOMERS_COLLECTION).insertOne({
+      ...(identity.stripeCustomerId ? { stripeCustomerId: String(identity.stripeCustomerId) } : {}),
+      ...(identity.email ? { emailHash: hashEmail(identity.email), maskedEmail: maskEmail(identity.email) } : {}),
+      affiliateId: credit.affiliateId,
+      campaignId: credit.campaignId || null,
+      clickId: credit.clickId || null,
+      couponCode: credit.couponCode || null,
+      source,
+      acquiredAt: now,
+      purchaseCount: 1,
+      totalRevenue: Number(amount) || 0,
+      lastPurchaseAt: now,
+    });
+  } catch (error) {
+    if (error?.code === DUPLICATE_KEY_ERROR) {
+      // Bound concurrently by another purchase; count this one against that record
+      await database.collection(CUSTOMERS_COLLECTION).updateOne(query, purchase)
+        .catch(err => console.error('Failed to update customer:', err));
+      return;
+    }
+
+    console.error('Failed to track customer:', error);
+  }
+}
+
+export default {
+  hashEmail,
+  findCustomer,
+  isCustomerCreditActive,
+  findActiveCustomerOwner,
+  trackCustomer,
+};
@@ -3,6 +3,12 @@ import { initUserIndexes } from '@/models/User';
 import { initAffiliateProfileIndexes } from '@/models/AffiliateProfile';
 import { initCampaignIndexes } from '@/models/Campaign';
 import { initShortLinkIndexes } from '@/models/ShortLink';
+import { initConversionIndexes } from '@/models/Conversion';
+import { initAffiliatePostbackIndexes } from '@/models/AffiliatePostback';
+import { initImpressionIndexes } from '@/models/ImpressionEvent';
+import { initCouponIndexes } from '@/models/Coupon';
+import { initCustomerIndexes } from '@/models/Customer';
+import { initCapNotificationIndexes } from '@/models/CampaignCap';
 import { captureDatabaseError } from '@/lib/sentry';
 import { logWarning, logInfo } from '@/lib/error-handler';
 
@@ -238,6 +244,30 @@ async function initializeIndexes(db) {
         logWarning('Failed to initialize short link indexes', { error: err.message });
         return null;
       }),
+      initConversionIndexes(db).catch((err) => {
+        logWarning('Failed to initialize conversion indexes', { error: err.message });
+        return null;
+      }),
+      initAffiliatePostbackIndexes(db).catch((err) => {
+        logWarning('Failed to initialize affiliate postback indexes', { error: err.message });
+        return null;
+      }),
+      initImpressionIndexes(db).catch((err) => {
+        logWarning('Failed to initialize impression indexes', { error: err.message });
+        return null;
+      }),
+      initCouponIndexes(db).catch((err) => {
+        logWarning('Failed to initialize coupon indexes', { error: err.message });
+        return null;
+      }),
+      initCustomerIndexes(db).catch((err) => {
+        logWarning('Failed to initialize customer indexes', { error: err.message });
+        return null;
+      }),
+      initCapNotificationIndexes(db).catch((err) => {
+        logWarning('Failed to initialize cap notification indexes', { error: err.message });
+        return null;
+      }),
     ]);
 
     const duration = Date.now() - startTime;
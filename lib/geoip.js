@@ -0,0 +1,239 @@
+/**
+ * Offline GeoIP lookups
+ * Reads a MaxMind DB (.mmdb) file such as GeoLite2-City or DB-IP Lite from local disk with
+ * mmdb-lib. No external calls are made; admins upload the file or mount it at GEOIP_DB_PATH.
+ * The file is loaded once at startup (instrumentation.js) and reloaded in the background
+ * when it changes, so lookups in the click path never touch the disk.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Reader } from 'mmdb-lib';
+import { CLICK_EVENTS_COLLECTION, toClickGeo, mergeGeoStats } from '@/models/ClickEvent';
+import { REVENUE_COLLECTION, CONVERSION_KEY_EXPRESSION } from '@/models/Revenue';
+import { parseIpAddress, formatIpAddress } from '@/lib/ipAllowlist';
+
+// Start of the metadata section every MaxMind DB ends with
+const METADATA_MARKER = Buffer.from([0xab, 0xcd, 0xef, ...Buffer.from('MaxMind.com')]);
+
+// How often the file is checked for changes (e.g. a remounted database)
+const RELOAD_CHECK_MS = 60 * 1000;
+
+/**
+ * Location of the GeoIP database file
+ * @returns {string}
+ */
+export function getGeoDatabasePath() {
+  return process.env.GEOIP_DB_PATH || path.join(process.cwd(), 'data', 'geoip', 'GeoIP.mmdb');
+}
+
+/**
+ * Opens a MaxMind DB held in memory
+ * @param {Buffer} buffer - Contents of the .mmdb file
+ * @returns {{ metadata: Object, lookup: (ip: string) => Object|null }} metadata as parsed by mmdb-lib
+ * @throws {Error} When the buffer is not a supported MaxMind DB
+ */
+export function openGeoDatabase(buffer) {
+  if (buffer.lastIndexOf(METADATA_MARKER) === -1) {
+    throw new Error('Not a MaxMind DB file');
+  }
+
+  const reader = new Reader(buffer);
+
+  const lookup = (ip) => {
+    const address = parseIpAddress(ip);
+    if (!address || (address.version === 6 && reader.metadata.ipVersion === 4)) return null;
+
+    return reader.get(formatIpAddress(address));
+  };
+
+  return { metadata: reader.metadata, lookup };
+}
+
+/**
+ * Checks that a file is a MaxMind DB this reader supports
+ * @param {Buffer} buffer
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateGeoDatabase(buffer) {
+  try {
+    const { lookup } = openGeoDatabase(buffer);
+    lookup('8.8.8.8'); // Walks the tree and decodes a record, catching truncated files
+    return null;
+  } catch (error) {
+    return `Invalid GeoIP database: ${error.message}`;
+  }
+}
+
+// Loaded database, shared across hot reloads in development
+const state = global._geoDatabase || (global._geoDatabase = {
+  reader: null,
+  mtimeMs: null,
+  size: null,
+  loadedAt: null,
+  error: null,
+  watcher: null,
+});
+
+/**
+ * (Re)loads the database file when it appears or changes. Missing files clear the database.
+ * @returns {Promise<Object|null>} The loaded reader
+ */
+export async function loadGeoDatabase() {
+  const databasePath = getGeoDatabasePath();
+  try {
+    const stat = await fs.promises.stat(databasePath);
+    if (state.reader && state.mtimeMs === stat.mtimeMs) return state.reader;
+
+    state.reader = openGeoDatabase(await fs.promises.readFile(databasePath));
+    Object.assign(state, { mtimeMs: stat.mtimeMs, size: stat.size, loadedAt: new Date().toISOString(), error: null });
+    console.log('GeoIP database loaded:', { path: databasePath, type: state.reader.metadata.databaseType });
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error loading GeoIP database:', error);
+    Object.assign(state, {
+      reader: null,
+      mtimeMs: null,
+      size: null,
+      loadedAt: null,
+      error: error.code === 'ENOENT' ? null : error.message,
+    });
+  }
+
+  return state.reader;
+}
+
+/**
+ * Loads the database and checks the file for changes every minute (once per process)
+ * @returns {Promise<void>}
+ */
+export async function startGeoDatabase() {
+  if (state.watcher) return;
+
+  state.watcher = setInterval(loadGeoDatabase, RELOAD_CHECK_MS);
+  state.watcher.unref?.();
+
+  await loadGeoDatabase();
+}
+
+/**
+ * Looks up the location of an IP address in the loaded database
+ * Never throws; returns null without a database or for unknown and private addresses.
+ * @param {string} ip
+ * @returns {Object|null} { country, countryName, region, regionCode, city, latitude, longitude }
+ */
+export function lookupGeo(ip) {
+  try {
+    return state.reader ? toClickGeo(state.reader.lookup(ip)) : null;
+  } catch (error) {
+    console.error('GeoIP lookup failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Describes the loaded database for the admin UI
+ * @returns {Object}
+ */
+export function getGeoDatabaseStatus() {
+  const metadata = state.reader?.metadata;
+
+  return {
+    loaded: Boolean(state.reader),
+    path: getGeoDatabasePath(),
+    databaseType: metadata?.databaseType || null,
+    builtAt: metadata?.buildEpoch && !Number.isNaN(metadata.buildEpoch.getTime()) ? metadata.buildEpoch.toISOString() : null,
+    ipVersion: metadata?.ipVersion || null,
+    size: state.size,
+    loadedAt: state.loadedAt,
+    error: state.error,
+  };
+}
+
+/**
+ * Stores an uploaded database, replacing the current file
+ * @param {Buffer} buffer - Checked with validateGeoDatabase
+ * @returns {Promise<Object>} Status after loading, see getGeoDatabaseStatus
+ */
+export async function saveGeoDatabase(buffer) {
+  const reader = openGeoDatabase(buffer);
+  const databasePath = getGeoDatabasePath();
+
+  await fs.promises.mkdir(path.dirname(databasePath), { recursive: true });
+  const tempPath = `${databasePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, buffer);
+  await fs.promises.rename(tempPath, databasePath);
+
+  const stat = await fs.promises.stat(databasePath);
+  Object.assign(state, {
+    reader,
+    mtimeMs: stat.mtimeMs,
+    size: stat.size,
+    loadedAt: new Date().toISOString(),
+    error: null,
+  });
+
+  return getGeoDatabaseStatus();
+}
+
+/**
+ * Clicks and revenue grouped by country, region and city
+ * @param {import('mongodb').Db} database
+ * @param {Object} clickMatch - Filter for click_events
+ * @param {Object} revenueMatch - Filter for revenues
+ * @param {number} [limit] - Rows per level
+ * @returns {Promise<{ countries: Object[], regions: Object[], cities: Object[] }>}
+ */
+export async function getGeoBreakdown(database, clickMatch, revenueMatch, limit = 10) {
+  const levels = {
+    countries: { key: '$geo.country', field: 'geo.country' },
+    regions: { key: { $concat: ['$geo.region', ', ', '$geo.country'] }, field: 'geo.region' },
+    cities: { key: { $concat: ['$geo.city', ', ', '$geo.country'] }, field: 'geo.city' },
+  };
+
+  const entries = await Promise.all(Object.entries(levels).map(async ([level, { key, field }]) => {
+    const [clickStats, revenueStats] = await Promise.all([
+      database.collection(CLICK_EVENTS_COLLECTION).aggregate([
+        { $match: { ...clickMatch, [field]: { $type: 'string' } } },
+        {
+          $group: {
+            _id: key,
+            country: { $first: '$geo.country' },
+            countryName: { $first: '$geo.countryName' },
+            latitude: { $avg: '$geo.latitude' },
+            longitude: { $avg: '$geo.longitude' },
+            clicks: { $sum: 1 },
+          },
+        },
+      ]).toArray(),
+      database.collection(REVENUE_COLLECTION).aggregate([
+        { $match: { ...revenueMatch, [field]: { $type: 'string' } } },
+        {
+          $group: {
+            _id: key,
+            conversionKeys: { $addToSet: CONVERSION_KEY_EXPRESSION },
+            revenue: { $sum: '$amount' },
+            commission: { $sum: '$commissionAmount' },
+          },
+        },
+        { $set: { conversions: { $size: '$conversionKeys' } } },
+        { $unset: 'conversionKeys' },
+      ]).toArray(),
+    ]);
+
+    return [level, mergeGeoStats(clickStats, revenueStats).slice(0, limit)];
+  }));
+
+  return Object.fromEntries(entries);
+}
+
+export default {
+  getGeoDatabasePath,
+  openGeoDatabase,
+  validateGeoDatabase,
+  loadGeoDatabase,
+  startGeoDatabase,
+  lookupGeo,
+  getGeoDatabaseStatus,
+  saveGeoDatabase,
+  getGeoBreakdown,
+};
@@ -0,0 +1,188 @@
+/**
+ * IP Allowlists
+ * Parses IPv4/IPv6 addresses and CIDR ranges and checks addresses against them.
+ * Pure JavaScript so it can also be used to validate input in the dashboard.
+ */
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+/**
+ * Parse a dotted IPv4 address
+ * @param {string} ip
+ * @returns {bigint|null}
+ */
+function parseIPv4(ip) {
+  const match = IPV4_PATTERN.exec(ip);
+  if (!match) return null;
+
+  const octets = match.slice(1).map(Number);
+  if (octets.some(octet => octet > 255)) return null;
+
+  return octets.reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+}
+
+/**
+ * Parse an IPv6 address (supports :: compression and a trailing dotted IPv4 part)
+ * @param {string} ip
+ * @returns {bigint|null}
+ */
+function parseIPv6(ip) {
+  if (!ip.includes(':')) return null;
+
+  let address = ip;
+
+  // Rewrite a trailing embedded IPv4 as two hex groups, e.g. ::ffff:192.0.2.1 -> ::ffff:c000:201
+  const lastColon = address.lastIndexOf(':');
+  const lastPart = address.slice(lastColon + 1);
+  if (lastPart.includes('.')) {
+    const v4 = parseIPv4(lastPart);
+    if (v4 === null) return null;
+    address = `${address.slice(0, lastColon + 1)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+
+  const parseGroups = (part) => (part === '' ? [] : part.split(':'));
+  const head = parseGroups(halves[0]);
+  const rest = halves.length === 2 ? parseGroups(halves[1]) : [];
+
+  if ([...head, ...rest].some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return null;
+
+  const explicit = head.length + rest.length;
+  if (halves.length === 1 ? explicit !== 8 : explicit > 7) return null;
+
+  const groups = [
+    ...head.map(group => parseInt(group, 16)),
+    ...new Array(8 - explicit).fill(0),
+    ...rest.map(group => parseInt(group, 16)),
+  ];
+
+  return groups.reduce((value, group) => (value << 16n) + BigInt(group), 0n);
+}
+
+/**
+ * Parse a single IP address. IPv4-mapped IPv6 addresses are treated as IPv4.
+ * @param {string} ip
+ * @returns {{ version: 4|6, value: bigint }|null}
+ */
+export function parseIpAddress(ip) {
+  if (!ip || typeof ip !== 'string') return null;
+
+  let address = ip.trim();
+
+  // Strip [v6]:port, v4:port and zone ids
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(address);
+  if (bracketed) address = bracketed[1];
+  else if (/^[\d.]+:\d+$/.test(address)) address = address.split(':')[0];
+  address = address.split('%')[0];
+
+  const v4 = parseIPv4(address);
+  if (v4 !== null) return { version: 4, value: v4 };
+
+  const v6 = parseIPv6(address);
+  if (v6 === null) return null;
+
+  // ::ffff:0:0/96
+  if (v6 >> 32n === 0xffffn) {
+    return { version: 4, value: v6 & 0xffffffffn };
+  }
+
+  return { version: 6, value: v6 };
+}
+
+/**
+ * Format a parsed address: dotted IPv4, or IPv6 as eight uncompressed groups
+ * @param {{ version: 4|6, value: bigint }} address - From parseIpAddress
+ * @returns {string}
+ */
+export function formatIpAddress({ version, value }) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => Number((value >> shift) & 0xffn)).join('.');
+  }
+
+  return Array.from({ length: 8 }, (_, i) => ((value >> BigInt(112 - i * 16)) & 0xffffn).toString(16)).join(':');
+}
+
+/**
+ * Parse an allowlist entry: a single address or a CIDR range
+ * @param {string} entry - e.g. "203.0.113.7", "198.51.100.0/24", "2001:db8::/32"
+ * @returns {{ version: 4|6, network: bigint, prefix: number }|null}
+ */
+export function parseIpRange(entry) {
+  if (!entry || typeof entry !== 'string') return null;
+
+  const [address, prefixPart, ...extra] = entry.trim().split('/');
+  if (extra.length > 0) return null;
+
+  const parsed = parseIpAddress(address);
+  if (!parsed) return null;
+
+  const bits = parsed.version === 4 ? 32 : 128;
+  if (prefixPart !== undefined && !/^\d{1,3}$/.test(prefixPart)) return null;
+
+  const prefix = prefixPart === undefined ? bits : Number(prefixPart);
+  if (prefix > bits) return null;
+
+  const mask = ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix);
+  return { version: parsed.version, network: parsed.value & mask, prefix };
+}
+
+/**
+ * Normalizes an allowlist (trimmed, de-duplicated).
+ * Accepts an array or a comma/whitespace separated string.
+ * @param {string[]|string} entries
+ * @returns {string[]}
+ */
+export function normalizeIpAllowlist(entries) {
+  const list = Array.isArray(entries) ? entries : String(entries || '').split(/[\s,]+/);
+
+  const normalized = list
+    .map(entry => String(entry).trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(normalized)];
+}
+
+/**
+ * Validates an allowlist
+ * @param {string[]} entries
+ * @returns {string|null}
+ */
+export function validateIpAllowlist(entries) {
+  if (!Array.isArray(entries)) return 'IP allowlist must be an array';
+
+  const invalid = normalizeIpAllowlist(entries).filter(entry => !parseIpRange(entry));
+  if (invalid.length > 0) return `Invalid IP address or CIDR range(s): ${invalid.join(', ')}`;
+
+  return null;
+}
+
+/**
+ * Checks whether an address falls inside any allowlist entry
+ * @param {string} ip
+ * @param {string[]} allowlist
+ * @returns {boolean}
+ */
+export function isIpAllowed(ip, allowlist = []) {
+  const address = parseIpAddress(ip);
+  if (!address) return false;
+
+  return allowlist.some(entry => {
+    const range = parseIpRange(entry);
+    if (!range || range.version !== address.version) return false;
+
+    const bits = range.version === 4 ? 32 : 128;
+    const shift = BigInt(bits - range.prefix);
+    return (address.value >> shift) === (range.network >> shift);
+  });
+}
+
+export default {
+  parseIpAddress,
+  formatIpAddress,
+  parseIpRange,
+  normalizeIpAllowlist,
+  validateIpAllowlist,
+  isIpAllowed,
+};
@@ -0,0 +1,29 @@
+/**
+ * Tracking pixel responses
+ * Shared by the impression and conversion pixels.
+ */
+
+import { NextResponse } from 'next/server';
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * Pixel response; never cached so every load reaches the server
+ * @returns {NextResponse}
+ */
+export function pixelResponse() {
+  return new NextResponse(PIXEL, {
+    status: 200,
+    headers: {
+      'Content-Type': 'image/gif',
+      'Content-Length': String(PIXEL.length),
+      'Cache-Control': 'no-store, no-cache, must-revalidate, max-age=0',
+      'Access-Control-Allow-Origin': '*',
+    },
+  });
+}
+
+export default {
+  pixelResponse,
+};
@@ -0,0 +1,440 @@
+/**
+ * Postback conversion crediting
+ * Shared by the server-to-server postback and the conversion pixel so both credit
+ * a transaction with the same idempotency, attribution and commission rules.
+ * Postbacks without a click may name a coupon code instead (coupon attribution) or a
+ * returning customer (lifetime attribution). Commissions come from lib/commissions.js
+ * (the goal's, the campaign's or the affiliate's payout rule).
+ */
+
+import { ObjectId } from 'mongodb';
+import { REVENUE_COLLECTION } from '@/models/Revenue';
+import { AFFILIATE_PROFILES_COLLECTION } from '@/models/AffiliateProfile';
+import { POSTBACK_EVENTS } from '@/models/AffiliatePostback';
+import { getCouponCredit } from '@/models/Coupon';
+import { getCustomerCredit } from '@/models/Customer';
+import {
+  getAttributionSettings,
+  checkConversionClick,
+  recordRejectedConversion,
+  resolveAttribution,
+  allocateAmount,
+  describeCredit,
+} from '@/lib/attribution';
+import { claimConversion, creditTouchOnce, completeConversion, failConversion, getDuplicateResult } from '@/lib/conversions';
+import { fireAffiliatePostbacks } from '@/lib/affiliatePostbacks';
+import {
+  UNCONFIRMED_CONVERSION_SOURCES,
+  isUnconfirmedRevenue,
+  creditEarnings,
+  replaceUnconfirmedConversion,
+} from '@/lib/conversionReview';
+import { trackCustomer } from '@/lib/customers';
+import { applyCommissionCaps, releaseCommissionCaps } from '@/lib/campaignCaps';
+import { calculateCommission, checkPayoutRules } from '@/lib/commissions';
+import { findCampaign } from '@/lib/campaigns';
+
+const CLICK_EVENTS_COLLECTION = 'click_events';
+
+// Sources whose revenue rows can be reversed with a status=reversed postback
+export const POSTBACK_CONVERSION_SOURCES = ['postback', 'pixel'];
+
+/**
+ * Store the revenue row of a credited touch, add its commission to the affiliate's earnings
+ * and notify the affiliate's postbacks (creditEarnings), once per touch of the claimed conversion.
+ * Campaign caps may lower the built row's commissionAmount.
+ * @param {import('mongodb').Db} database
+ * @param {Object} claim - Result of claimConversion
+ * @param {string} touchId - The credited click id, or 'direct'
+ * @param {() => Promise<Object>} buildRevenue - Builds the revenue row with its commission
+ * @param {Object|null} [click] - Credited click, if any
+ * @returns {Promise<Object>} The stored revenue row
+ */
+async function creditRevenue(database, claim, touchId, buildRevenue, click = null) {
+  return creditTouchOnce(database, claim, touchId, async () => {
+    const revenue = await buildRevenue();
+    const caps = await applyCommissionCaps(database, revenue, click);
+    return { ...revenue, commissionAmount: caps.commissionAmount, capped: caps.capped };
+  }, revenue => creditEarnings(database, revenue));
+}
+
+/**
+ * Claim a conversion key. A signed postback for a transaction the tracking script already
+ * reported takes over its claim and replaces the unconfirmed revenue rows.
+ * @param {import('mongodb').Db} database
+ * @param {Object} conversion - Same fields as claimConversion
+ * @returns {Promise<Object>} Result of claimConversion
+ */
+async function claimPostbackConversion(database, conversion) {
+  const claim = await claimConversion(database, conversion);
+  if (claim.claimed || conversion.source !== 'postback') return claim;
+
+  return (await replaceUnconfirmedConversion(database, claim.key, claim.existing)) || claim;
+}
+
+/**
+ * Credit a conversion for a click. Each transaction id is credited once per campaign;
+ * repeats return the original result with duplicate: true.
+ * @param {import('mongodb').Db} database
+ * @param {Object} click - Converting click event
+ * @param {Object} conversion
+ * @param {string} conversion.transactionId
+ * @param {number} conversion.amount
+ * @param {string} conversion.currency
+ * @param {string} conversion.status - 'success' credits as succeeded, anything else as pending
+ * @param {string|null} [conversion.payoutOverride] - Total commission instead of the affiliate's rate
+ * @param {string} conversion.source - 'postback' | 'pixel' (stored unconfirmed, see lib/conversionReview.js)
+ * @param {Object|null} [conversion.customer] - { stripeCustomerId, email } to bind to the credited affiliate
+ * @param {Object|null} [conversion.goal] - Campaign goal reached (findCampaignGoal); paid by its payout rule
+ * @returns {Promise<{ status: number, body: Object }>} HTTP status and response body
+ */
+export async function recordPostbackConversion(database, click, {
+  transactionId,
+  amount,
+  currency,
+  status,
+  payoutOverride = null,
+  source,
+  customer = null,
+  goal = null,
+}) {
+  const clickId = click.clickId;
+
+  // Claim the transaction so retried postbacks are only credited once (per goal)
+  const claim = await claimPostbackConversion(database, { campaignId: click.campaignId, transactionId, source, goal: goal?.id });
+
+  if (!claim.claimed) {
+    return getDuplicateResult(claim.existing);
+  }
+
+  // Store the result on the claim so duplicates get the same answer
+  const respond = async (body, status = 200) => {
+    const result = { status, body };
+    await completeConversion(database, claim.key, result);
+    return result;
+  };
+
+  try {
+    // Reject conversions on filtered clicks, campaigns outside their schedule, clicks outside
+    // the attribution window and campaigns whose payout rules are free text (unless the
+    // advertiser names the payout). A resumed claim is judged and attributed as of its first
+    // delivery, so it credits the same touches.
+    const settings = await getAttributionSettings(database, click.campaignId);
+    const campaign = await findCampaign(database, click.campaignId);
+    const rejection = checkConversionClick(click, settings, claim.claimedAt, campaign)
+      || (payoutOverride ? null : await checkPayoutRules(database, { campaign, goal }));
+
+    if (rejection) {
+      await recordRejectedConversion(database, click, rejection, {
+        amount,
+        currency,
+        transactionId,
+        source,
+      });
+
+      return respond({
+        success: false,
+        error: rejection.message,
+        reason: rejection.reason,
+      }, 422);
+    }
+
+    // Mark click as converted
+    await database.collection(CLICK_EVENTS_COLLECTION).updateOne(
+      { clickId },
+      {
+        $set: {
+          converted: true,
+          convertedAt: new Date().toISOString(),
+          conversionAmount: amount,
+        },
+      }
+    );
+
+    // Resolve which touches share the credit under the active attribution model
+    const attribution = await resolveAttribution(database, click, { settings, conversionTime: claim.claimedAt });
+    const revenueShares = allocateAmount(amount, attribution.credits);
+    const payoutShares = payoutOverride ? allocateAmount(parseFloat(payoutOverride), attribution.credits) : null;
+
+    const credits = [];
+
+    for (const [i, credit] of attribution.credits.entries()) {
+      const touch = credit.click;
+
+      // Create one revenue record per credited touch
+      const revenue = await creditRevenue(database, claim, touch.clickId, async () => ({
+        affiliateId: touch.affiliateId,
+        campaignId: touch.campaignId,
+        clickId: touch.clickId,
+        transactionId,
+        goal: goal?.id || null,
+        amount: revenueShares[i],
+        commissionAmount: payoutShares
+          ? payoutShares[i]
+          : await calculateCommission(database, {
+            affiliateId: touch.affiliateId,
+            campaignId: touch.campaignId,
+            goal,
+            amount: revenueShares[i],
+            orderValue: amount,
+            weight: credit.weight,
+          }),
+        currency: currency,
+        status: status === 'success' ? 'succeeded' : 'pending',
+        ...(UNCONFIRMED_CONVERSION_SOURCES.includes(source) ? { confirmed: false } : {}),
+        source,
+        attribution: describeCredit(attribution, credit, clickId),
+        subIds: touch.subIds || null,
+        landingPage: touch.landingPage || null,
+        landingVariant: touch.landingVariant || null,
+        geo: touch.geo || null,
+        createdAt: new Date().toISOString(),
+      }), touch);
+
+      credits.push({
+        clickId: touch.clickId,
+        affiliateId: touch.affiliateId,
+        campaignId: touch.campaignId,
+        weight: revenue.attribution.weight,
+        amount: revenue.amount,
+        commission: revenue.commissionAmount,
+      });
+    }
+
+    const totalCommission = Math.round(credits.reduce((sum, c) => sum + c.commission, 0) * 100) / 100;
+
+    // Bind the customer to the touch with the largest share of the credit
+    const acquiringCredit = credits.reduce((best, c) => (c.weight > best.weight ? c : best), credits[0]);
+    await trackCustomer(database, customer, acquiringCredit, { amount, source });
+
+    return respond({
+      success: true,
+      message: 'Conversion recorded',
+      data: {
+        clickId,
+        transactionId,
+        goal: goal?.id || null,
+        affiliateId: click.affiliateId,
+        amount,
+        commission: totalCommission,
+        attribution: {
+          model: attribution.model,
+          credits,
+        },
+      },
+    });
+  } catch (error) {
+    // Let the advertiser's retry resume the touches that are left
+    await failConversion(database, claim.key, error).catch(err => console.error('Failed to mark conversion failed:', err));
+    throw error;
+  }
+}
+
+/**
+ * Credit a conversion in full to one affiliate without a click, e.g. through a coupon code
+ * or a returning customer. No attribution window applies; conversions on campaigns whose
+ * payout rules are free text are rejected. Each transaction id is credited once per campaign.
+ * @param {import('mongodb').Db} database
+ * @param {Object} owner
+ * @param {string} owner.affiliateId
+ * @param {string} owner.campaignId
+ * @param {Object} owner.credit - Revenue fields naming the attribution source (getCouponCredit / getCustomerCredit)
+ * @param {Object} conversion - Same fields as recordPostbackConversion
+ * @returns {Promise<{ status: number, body: Object }>} HTTP status and response body
+ */
+async function recordDirectConversion(database, { affiliateId, campaignId, credit }, {
+  transactionId,
+  amount,
+  currency,
+  status,
+  payoutOverride = null,
+  source,
+  customer = null,
+  goal = null,
+}) {
+  const claim = await claimPostbackConversion(database, { campaignId, transactionId, source, goal: goal?.id });
+
+  if (!claim.claimed) {
+    return getDuplicateResult(claim.existing);
+  }
+
+  try {
+    const rejection = payoutOverride ? null : await checkPayoutRules(database, { campaignId, goal });
+
+    if (rejection) {
+      await recordRejectedConversion(database, { affiliateId, campaignId, clickId: null }, rejection, {
+        amount,
+        currency,
+        transactionId,
+        source,
+        ...credit,
+      });
+
+      const result = { status: 422, body: { success: false, error: rejection.message, reason: rejection.reason } };
+      await completeConversion(database, claim.key, result);
+      return result;
+    }
+
+    const revenue = await creditRevenue(database, claim, 'direct', async () => ({
+      affiliateId,
+      campaignId,
+      clickId: null,
+      transactionId,
+      goal: goal?.id || null,
+      amount,
+      commissionAmount: payoutOverride
+        ? Math.round(parseFloat(payoutOverride) * 100) / 100
+        : await calculateCommission(database, { affiliateId, campaignId, goal, amount }),
+      currency,
+      status: status === 'success' ? 'succeeded' : 'pending',
+      source,
+      attribution: null,
+      ...credit,
+      subIds: null,
+      createdAt: new Date().toISOString(),
+    }));
+
+    await trackCustomer(database, customer, { affiliateId, campaignId, couponCode: credit.couponCode }, { amount, source });
+
+    const { attributionSource, ...reference } = credit;
+    const result = {
+      status: 200,
+      body: {
+        success: true,
+        message: 'Conversion recorded',
+        data: {
+          ...reference,
+          transactionId,
+          goal: goal?.id || null,
+          affiliateId,
+          amount,
+          commission: revenue.commissionAmount,
+          attribution: { source: attributionSource },
+        },
+      },
+    };
+
+    await completeConversion(database, claim.key, result);
+    return result;
+  } catch (error) {
+    // Let the advertiser's retry resume the touches that are left
+    await failConversion(database, claim.key, error).catch(err => console.error('Failed to mark conversion failed:', err));
+    throw error;
+  }
+}
+
+/**
+ * Credit a conversion reported with a coupon code instead of a click (coupon attribution)
+ * @param {import('mongodb').Db} database
+ * @param {Object} coupon - Active coupon document
+ * @param {Object} conversion - Same fields as recordPostbackConversion
+ * @returns {Promise<{ status: number, body: Object }>} HTTP status and response body
+ */
+export async function recordCouponConversion(database, coupon, conversion) {
+  return recordDirectConversion(database, {
+    affiliateId: coupon.affiliateId,
+    campaignId: coupon.campaignId,
+    credit: getCouponCredit(coupon),
+  }, conversion);
+}
+
+/**
+ * Credit a returning customer's conversion to the affiliate who acquired them
+ * @param {import('mongodb').Db} database
+ * @param {Object} customer - Customer document from findActiveCustomerOwner
+ * @param {Object} conversion - Same fields as recordPostbackConversion
+ * @returns {Promise<{ status: number, body: Object }>} HTTP status and response body
+ */
+export async function recordCustomerConversion(database, customer, conversion) {
+  return recordDirectConversion(database, {
+    affiliateId: customer.affiliateId,
+    campaignId: customer.campaignId,
+    credit: getCustomerCredit(customer),
+  }, conversion);
+}
+
+/**
+ * Reverse the revenue rows credited for a transaction (status=reversed).
+ * Deducts the commission and notifies the affiliates. Already reversed rows are skipped,
+ * so repeated reversal postbacks are harmless. The cap budget of reversed rows is given back.
+ * Unconfirmed pixel rows never reached the affiliate's earnings, so they are only marked reversed.
+ * @param {import('mongodb').Db} database
+ * @param {Object} conversion - The converting click id, or the coupon code / customer record for conversions without a click
+ * @param {string} [conversion.clickId]
+ * @param {string} [conversion.couponCode]
+ * @param {string} [conversion.customerId]
+ * @param {string} transactionId
+ * @param {string|null} [goal] - Only reverse this goal's conversion
+ * @returns {Promise<{ status: number, body: Object }>} HTTP status and response body
+ */
+export async function reversePostbackConversion(database, { clickId, couponCode, customerId }, transactionId, goal = null) {
+  const reference = clickId
+    ? { 'attribution.conversionClickId': clickId }
+    : couponCode ? { couponCode } : { customerId };
+
+  const revenues = await database.collection(REVENUE_COLLECTION).find({
+    transactionId,
+    source: { $in: POSTBACK_CONVERSION_SOURCES },
+    ...reference,
+    ...(goal ? { goal } : {}),
+    status: { $in: ['succeeded', 'pending'] },
+  }).toArray();
+
+  if (revenues.length === 0) {
+    return {
+      status: 404,
+      body: { success: false, error: 'No credited conversion found for this transaction' },
+    };
+  }
+
+  const reversedAt = new Date().toISOString();
+
+  for (const revenue of revenues) {
+    await database.collection(REVENUE_COLLECTION).updateOne(
+      { _id: revenue._id },
+      { $set: { status: 'reversed', reversedAt } }
+    );
+    await releaseCommissionCaps(database, revenue);
+
+    if (isUnconfirmedRevenue(revenue)) continue;
+
+    if (revenue.commissionAmount > 0) {
+      await database.collection(AFFILIATE_PROFILES_COLLECTION).updateOne(
+        { userId: new ObjectId(revenue.affiliateId) },
+        {
+          $inc: {
+            total_earnings: -revenue.commissionAmount,
+            pendingPayouts: -revenue.commissionAmount,
+          },
+        }
+      );
+    }
+
+    await fireAffiliatePostbacks(database, { ...revenue, status: 'reversed' }, POSTBACK_EVENTS.REVERSAL);
+  }
+
+  const totalCommission = Math.round(revenues
+    .filter(r => !isUnconfirmedRevenue(r))
+    .reduce((sum, r) => sum + (r.commissionAmount || 0), 0) * 100) / 100;
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: 'Conversion reversed',
+      data: {
+        ...(clickId ? { clickId } : couponCode ? { couponCode } : { customerId }),
+        transactionId,
+        reversed: revenues.length,
+        commission: -totalCommission,
+      },
+    },
+  };
+}
+
+export default {
+  recordPostbackConversion,
+  recordCouponConversion,
+  recordCustomerConversion,
+  reversePostbackConversion,
+};
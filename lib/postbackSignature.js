@@ -0,0 +1,118 @@
+/**
+ * Postback Signing
+ * Postbacks carry an HMAC-SHA256 signature over their parameters plus a timestamp,
+ * keyed with the campaign's postback secret. Signatures outside the replay window are rejected.
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_PARAM = 'signature';
+export const TIMESTAMP_PARAM = 'timestamp';
+
+// How far a postback timestamp may drift from server time (seconds)
+export const REPLAY_WINDOW_SECONDS = parseInt(process.env.POSTBACK_REPLAY_WINDOW_SECONDS || '300');
+
+/**
+ * Reasons a postback signature can be rejected
+ */
+export const SignatureError = {
+  SECRET_NOT_CONFIGURED: 'postback_secret_not_configured',
+  MISSING_SIGNATURE: 'missing_signature',
+  INVALID_TIMESTAMP: 'invalid_timestamp',
+  EXPIRED_TIMESTAMP: 'timestamp_outside_replay_window',
+  INVALID_SIGNATURE: 'invalid_signature',
+};
+
+/**
+ * Generate a new random postback secret
+ * @returns {string}
+ */
+export function generatePostbackSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Canonical string that is signed: every parameter except the signature,
+ * sorted by name and joined as URL-encoded key=value pairs.
+ * @param {URLSearchParams|Object} params
+ * @returns {string}
+ */
+export function buildSigningString(params) {
+  const entries = typeof params.entries === 'function'
+    ? [...params.entries()]
+    : Object.entries(params).filter(([, value]) => value !== undefined && value !== null);
+
+  return entries
+    .filter(([key]) => key !== SIGNATURE_PARAM)
+    .map(([key, value]) => [key, String(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+/**
+ * Sign postback parameters
+ * @param {URLSearchParams|Object} params - Must include the timestamp
+ * @param {string} secret - Campaign postback secret
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+export function signPostbackParams(params, secret) {
+  return crypto.createHmac('sha256', secret).update(buildSigningString(params)).digest('hex');
+}
+
+/**
+ * Add a timestamp and signature to postback parameters
+ * @param {Object} params
+ * @param {string} secret
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Parameters including timestamp and signature
+ */
+export function createSignedParams(params, secret, now = Date.now()) {
+  const signed = { ...params, [TIMESTAMP_PARAM]: Math.floor(now / 1000).toString() };
+  signed[SIGNATURE_PARAM] = signPostbackParams(signed, secret);
+  return signed;
+}
+
+/**
+ * Verify a postback's signature and timestamp
+ * @param {URLSearchParams} params - Query parameters of the postback
+ * @param {string|null} secret - Campaign postback secret
+ * @param {number} [now] - Current time in ms
+ * @returns {{ reason: string, message: string } | null} Error, or null when the signature is valid
+ */
+export function verifyPostbackSignature(params, secret, now = Date.now()) {
+  if (!secret) {
+    return { reason: SignatureError.SECRET_NOT_CONFIGURED, message: 'Postback secret is not configured for this campaign' };
+  }
+
+  const signature = params.get(SIGNATURE_PARAM);
+  if (!signature) {
+    return { reason: SignatureError.MISSING_SIGNATURE, message: `${SIGNATURE_PARAM} and ${TIMESTAMP_PARAM} are required` };
+  }
+
+  const timestamp = Number(params.get(TIMESTAMP_PARAM));
+  if (!Number.isInteger(timestamp) || timestamp <= 0) {
+    return { reason: SignatureError.INVALID_TIMESTAMP, message: `${TIMESTAMP_PARAM} must be a Unix timestamp in seconds` };
+  }
+
+  if (Math.abs(now / 1000 - timestamp) > REPLAY_WINDOW_SECONDS) {
+    return { reason: SignatureError.EXPIRED_TIMESTAMP, message: `${TIMESTAMP_PARAM} is outside the ${REPLAY_WINDOW_SECONDS}s replay window` };
+  }
+
+  const expected = Buffer.from(signPostbackParams(params, secret), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { reason: SignatureError.INVALID_SIGNATURE, message: 'Invalid postback signature' };
+  }
+
+  return null;
+}
+
+export default {
+  generatePostbackSecret,
+  buildSigningString,
+  signPostbackParams,
+  createSignedParams,
+  verifyPostbackSignature,
+};
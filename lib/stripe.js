@@ -1,4 +1,5 @@
 import Stripe from 'stripe';
+import { extractSubIds } from '@/models/ClickEvent';
 
 /**
  * Initialize Stripe with the secret key from environment
@@ -41,14 +42,60 @@ export const verifyWebhookSignature = (payload, signature, webhookSecret) => {
 /**
  * Extract affiliate and campaign information from Stripe payment metadata
  * @param {Object} metadata - Payment metadata object
- * @returns {Object} { affiliateId, campaignId }
+ * @returns {Object} { affiliateId, campaignId, clickId, goal, subIds }
  */
 export const extractAttributionInfo = (metadata) => {
   return {
     affiliateId: metadata?.affiliate_id || null,
     campaignId: metadata?.campaign_id || null,
-    clickId: metadata?.click_id || null
+    clickId: metadata?.click_id || null,
+    goal: metadata?.goal || null,
+    subIds: extractSubIds(metadata)
   };
 };
 
+/**
+ * Collect the codes of the promotion codes and coupons applied to a checkout session or invoice.
+ * Promotion codes that arrive as ids are looked up to get their customer-facing code.
+ * Coupon ids and names are included too, since a Stripe coupon id is often the code itself.
+ * @param {Object} stripeObject - Checkout session or invoice
+ * @returns {Promise<string[]>} Candidate codes, promotion codes first
+ */
+export const getDiscountCodes = async (stripeObject) => {
+  const discounts = [
+    ...(Array.isArray(stripeObject?.discounts) ? stripeObject.discounts : []),
+    ...(stripeObject?.discount ? [stripeObject.discount] : []),
+    ...(stripeObject?.total_details?.breakdown?.discounts || []).map(entry => entry.discount),
+  ].filter(discount => discount && typeof discount === 'object'); // Unexpanded discount ids carry no codes
+
+  const promotionCodes = [];
+  const couponCodes = [];
+
+  for (const discount of discounts) {
+    const promotionCode = discount.promotion_code;
+
+    if (typeof promotionCode === 'string') {
+      try {
+        const stripe = getStripeInstance();
+        const promotion = stripe ? await stripe.promotionCodes.retrieve(promotionCode) : null;
+        if (promotion?.code) promotionCodes.push(promotion.code);
+      } catch (error) {
+        console.error('Failed to retrieve promotion code:', error.message);
+      }
+    } else if (promotionCode?.code) {
+      promotionCodes.push(promotionCode.code);
+    }
+
+    const coupon = discount.coupon;
+    if (typeof coupon === 'string') {
+      couponCodes.push(coupon);
+    } else if (coupon) {
+      if (coupon.id) couponCodes.push(coupon.id);
+      if (coupon.name) couponCodes.push(coupon.name);
+    }
+  }
+
+  return [...new Set([...promotionCodes, ...couponCodes])];
+};
+
 export default getStripeInstance;
\ No newline at end of file
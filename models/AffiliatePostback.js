@@ -0,0 +1,160 @@
+/**
+ * Affiliate Postback Model Definition
+ * Affiliates register postback URL templates per campaign. Whenever one of their
+ * revenue rows is created, reversed or refunded, the template is expanded and
+ * delivered to their tracker; every delivery is logged with its attempts.
+ *
+ * Note: This project uses the native MongoDB driver.
+ */
+
+export const AFFILIATE_POSTBACKS_COLLECTION = 'affiliate_postbacks';
+export const POSTBACK_DELIVERIES_COLLECTION = 'postback_deliveries';
+
+export const POSTBACK_EVENTS = {
+  CONVERSION: 'conversion',
+  REVERSAL: 'reversal',
+  REFUND: 'refund'
+};
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending', // Waiting for the first attempt or a retry
+  DELIVERED: 'delivered',
+  FAILED: 'failed' // Gave up after MAX_DELIVERY_ATTEMPTS
+};
+
+// Delay before each retry; the number of entries + 1 is the attempt limit
+export const RETRY_BACKOFF_MINUTES = [1, 5, 30, 120, 720];
+export const MAX_DELIVERY_ATTEMPTS = RETRY_BACKOFF_MINUTES.length + 1;
+
+export const AffiliatePostbackSchema = {
+  affiliateId: { type: 'string', required: true },
+  campaignId: { type: 'string', required: true },
+  url: { type: 'string', required: true }, // Template with {macro} placeholders
+  events: { type: 'array', default: Object.values(POSTBACK_EVENTS) },
+  active: { type: 'boolean', default: true },
+  createdAt: { type: 'date', default: () => new Date().toISOString() }
+};
+
+export const PostbackDeliverySchema = {
+  postbackId: { type: 'string', required: true },
+  affiliateId: { type: 'string', required: true },
+  campaignId: { type: 'string', required: true },
+  revenueId: { type: 'string', required: false },
+  event: { type: 'string', enum: Object.values(POSTBACK_EVENTS), required: true },
+  url: { type: 'string', required: true }, // Expanded URL
+  status: { type: 'string', enum: Object.values(DELIVERY_STATUS), default: DELIVERY_STATUS.PENDING },
+  attempts: { type: 'array', default: [] }, // { attemptedAt, statusCode, error, durationMs }
+  nextAttemptAt: { type: 'date', required: false },
+  createdAt: { type: 'date', default: () => new Date().toISOString() }
+};
+
+/**
+ * Macros that can be used in affiliate postback templates, e.g.
+ * https://tracker.example.com/postback?cid={click_id}&payout={payout}&status={status}
+ */
+export const AFFILIATE_POSTBACK_MACROS = [
+  'click_id',
+  'sub1', 'sub2', 'sub3', 'sub4', 'sub5',
+  'payout',
+  'amount',
+  'currency',
+  'status',
+  'event',
+  'transaction_id',
+  'campaign_id'
+];
+
+const MACRO_PATTERN = /\{([^{}]*)\}/g;
+
+/**
+ * Expands {macro} placeholders in a postback template.
+ * Values are URL-encoded; macros without a value expand to an empty string.
+ * @param {string} template
+ * @param {Object} values - Map of macro name to value
+ * @returns {string}
+ */
+export function expandPostbackTemplate(template, values = {}) {
+  return template.replace(MACRO_PATTERN, (match, name) => {
+    if (!AFFILIATE_POSTBACK_MACROS.includes(name)) return match;
+    const value = values[name];
+    return value === undefined || value === null ? '' : encodeURIComponent(value);
+  });
+}
+
+/**
+ * Macro values for a revenue row
+ * @param {Object} revenue - Revenue record
+ * @param {string} event - One of POSTBACK_EVENTS
+ * @param {number} [payout] - Commission credited, or deducted for refunds/reversals
+ * @returns {Object}
+ */
+export function getPostbackMacroValues(revenue, event, payout = revenue.commissionAmount) {
+  return {
+    click_id: revenue.clickId,
+    ...(revenue.subIds || {}),
+    payout,
+    amount: revenue.amount,
+    currency: revenue.currency,
+    status: revenue.status,
+    event,
+    transaction_id: revenue.transactionId || revenue.stripePaymentId,
+    campaign_id: revenue.campaignId
+  };
+}
+
+/**
+ * Validates an affiliate postback registration
+ * @param {Object} data - { campaignId, url, events }
+ * @returns {string|null}
+ */
+export function validateAffiliatePostback(data) {
+  if (!data.campaignId || typeof data.campaignId !== 'string') return 'Campaign is required';
+  if (!data.url || typeof data.url !== 'string') return 'Postback URL is required';
+
+  const unknown = [...data.url.matchAll(MACRO_PATTERN)]
+    .map(([, name]) => name)
+    .filter(name => !AFFILIATE_POSTBACK_MACROS.includes(name));
+
+  if (unknown.length > 0) {
+    return `Unknown postback macro(s): ${unknown.map(name => `{${name}}`).join(', ')}`;
+  }
+
+  try {
+    const url = new URL(expandPostbackTemplate(data.url));
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return 'Postback URL must use http or https';
+    }
+  } catch (e) {
+    return 'Postback URL must be a valid absolute URL';
+  }
+
+  if (data.events !== undefined) {
+    if (!Array.isArray(data.events) || data.events.length === 0) return 'Select at least one event';
+    const invalid = data.events.filter(event => !Object.values(POSTBACK_EVENTS).includes(event));
+    if (invalid.length > 0) return `Invalid event(s): ${invalid.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * When to retry after a failed attempt
+ * @param {number} attemptCount - Attempts made so far
+ * @param {number} [now] - Current time in ms
+ * @returns {string|null} ISO date, or null when no retries are left
+ */
+export function getNextAttemptAt(attemptCount, now = Date.now()) {
+  if (attemptCount >= MAX_DELIVERY_ATTEMPTS) return null;
+  const minutes = RETRY_BACKOFF_MINUTES[attemptCount - 1];
+  return new Date(now + minutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Creates indexes for the affiliate postback collections
+ * @param {import('mongodb').Db} db
+ */
+export async function initAffiliatePostbackIndexes(db) {
+  await db.collection(AFFILIATE_POSTBACKS_COLLECTION).createIndex({ affiliateId: 1, campaignId: 1 }); // Templates per affiliate/campaign
+  await db.collection(POSTBACK_DELIVERIES_COLLECTION).createIndex({ status: 1, nextAttemptAt: 1 }); // Due retries
+  await db.collection(POSTBACK_DELIVERIES_COLLECTION).createIndex({ affiliateId: 1, createdAt: -1 }); // Delivery log
+}
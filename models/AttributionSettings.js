@@ -37,6 +37,7 @@ export const DEFAULT_ATTRIBUTION_SETTINGS = {
   categoryLevelSettings: [],         // Array of category-specific overrides
   firstPartyCookie: true,
   thirdPartyCookie: true,
+  clickIdParameter: 'aff_click_id', // Query parameter appended to destination URLs ('' disables)
   ipTracking: true,
   createdAt: new Date().toISOString(),
   updatedAt: new Date().toISOString()
@@ -62,9 +63,61 @@ export function validateAttributionSettings(data) {
     }
   }
   
+  if (data.cookieExpiry) {
+    if (typeof data.cookieExpiry.value !== 'number' || data.cookieExpiry.value < 0) {
+      errors.push('Cookie expiry value must be a non-negative number');
+    }
+
+    if (!['hours', 'days', 'months'].includes(data.cookieExpiry.unit)) {
+      errors.push('Cookie expiry unit must be one of: hours, days, months');
+    }
+  }
+
+  if (data.clickIdParameter !== undefined && !/^[A-Za-z0-9_-]{0,64}$/.test(data.clickIdParameter)) {
+    errors.push('Click ID parameter may only contain letters, numbers, dashes and underscores');
+  }
+
+  ['firstPartyCookie', 'thirdPartyCookie'].forEach(flag => {
+    if (data[flag] !== undefined && typeof data[flag] !== 'boolean') {
+      errors.push(`${flag} must be a boolean`);
+    }
+  });
+
   return errors.length > 0 ? errors : null;
 }
 
+/**
+ * Convert a { value, unit } duration into milliseconds
+ * Months are treated as 30 days so durations are stable across calendar months
+ */
+export function durationToMs(duration) {
+  const hourMs = 60 * 60 * 1000;
+
+  switch (duration.unit) {
+    case 'hours':
+      return duration.value * hourMs;
+    case 'months':
+      return duration.value * 30 * 24 * hourMs;
+    case 'days':
+    default:
+      return duration.value * 24 * hourMs;
+  }
+}
+
+/**
+ * Convert the configured click attribution window into milliseconds
+ */
+export function getAttributionWindowMs(settings) {
+  return durationToMs(settings?.clickAttributionWindow || DEFAULT_ATTRIBUTION_SETTINGS.clickAttributionWindow);
+}
+
+/**
+ * Lifetime of the attribution cookie in seconds (for Max-Age)
+ */
+export function getCookieMaxAge(settings) {
+  return Math.floor(durationToMs(settings?.cookieExpiry || DEFAULT_ATTRIBUTION_SETTINGS.cookieExpiry) / 1000);
+}
+
 /**
  * Calculate click expiry time based on current settings
  */
@@ -92,13 +145,13 @@ export function calculateClickExpiry(settings) {
 /**
  * Check if a click is still within the attribution window
  */
-export function isClickValid(clickTimestamp, settings) {
+export function isClickValid(clickTimestamp, settings, currentTimestamp = Date.now()) {
   if (!clickTimestamp) return false;
-  
-  const clickDate = new Date(clickTimestamp);
-  const expiry = calculateClickExpiry(settings);
-  
-  return clickDate <= expiry;
+
+  const clickTime = new Date(clickTimestamp).getTime();
+  if (isNaN(clickTime)) return false;
+
+  return currentTimestamp - clickTime <= getAttributionWindowMs(settings);
 }
 
 /**
@@ -126,8 +179,8 @@ export function calculateAttributionScore(click, settings, currentTimestamp) {
       const timeDiff = currentTime - clickTime;
       
       // Calculate decay score
-      const windowDays = settings?.clickAttributionWindow?.value || 30;
-      const windowMs = windowDays * 24 * 60 * 60 * 1000;
+      const windowMs = getAttributionWindowMs(settings);
+      if (windowMs <= 0) return 0;
       
       // Linear decay: score decreases from 1 to 0 over the attribution window
       const score = Math.max(0, 1 - (timeDiff / windowMs));
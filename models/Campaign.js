@@ -4,26 +4,467 @@
  * Note: This project uses the native MongoDB driver.
  */
 
+import { normalizePayoutRule, validatePayoutRule } from '@/models/PayoutRule';
+
 export const CAMPAIGNS_COLLECTION = 'campaigns';
 
 export const CAMPAIGN_STATUS = {
   ACTIVE: 'active',
   PAUSED: 'paused',
-  ARCHIVED: 'archived'
+  ARCHIVED: 'archived',
+  SCHEDULED: 'scheduled', // Set from startsAt, not by hand
+  EXPIRED: 'expired' // Set from endsAt, not by hand
+};
+
+// Statuses that follow startsAt / endsAt; paused and archived are only changed by hand
+const SCHEDULE_STATUSES = [CAMPAIGN_STATUS.ACTIVE, CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.EXPIRED];
+
+// Why a click went to an inactive campaign; stored on the click as inactiveCampaign
+export const INACTIVE_CAMPAIGN_REASONS = {
+  PAUSED: 'paused',
+  ARCHIVED: 'archived',
+  SCHEDULED: 'scheduled', // Before startsAt
+  EXPIRED: 'expired', // Past endsAt
+  UNKNOWN: 'unknown' // No campaign with the click's campaign_id
 };
 
 export const CampaignSchema = {
   name: { type: 'string', required: true },
   url: { type: 'string', required: true },
-  payout_rules: { type: 'mixed', required: true }, // Can be string or object
+  payout_rules: { type: 'object', required: true }, // Structured payout rule, see models/PayoutRule.js; older free text is migrated by lib/commissions.js
+  payoutRulesInvalid: { type: 'boolean', required: false }, // Free-text rule that could not be migrated; conversions are rejected until it is restructured
+  allowedDomains: { type: 'array', default: [] }, // Redirect allowlist; empty = derived from url
+  landingVariants: { type: 'array', default: [] }, // Weighted A/B destinations: { id, label, url, weight }; empty = url
+  promotedLandingVariant: { type: 'object', required: false }, // Last promoted variant: { id, label, url, previousUrl, promotedAt }
+  routingRules: { type: 'array', default: [] }, // Ordered smart-link rules, see models/RoutingRule.js; first match wins, none = url
+  caps: { type: 'array', default: [] }, // Click, conversion and payout caps, see models/CampaignCap.js
+  capFallbackUrl: { type: 'string', required: false }, // Redirect for capped traffic; empty = url
+  goals: { type: 'array', default: [] }, // Named conversion steps with their own payout, see models/CampaignGoal.js; empty = payout_rules
+  startsAt: { type: 'date', required: false }, // Scheduled until then; null = immediately
+  endsAt: { type: 'date', required: false }, // Expired from then on; null = open-ended
+  fallbackUrl: { type: 'string', required: false }, // Redirect for clicks on expired, paused or archived campaigns; empty = global inactiveCampaignUrl
   status: { 
     type: 'string', 
     enum: Object.values(CAMPAIGN_STATUS), 
     default: CAMPAIGN_STATUS.ACTIVE 
   },
+  postbackSecret: { type: 'string', private: true }, // HMAC key for signed postbacks
+  postbackSecretRotatedAt: { type: 'date' },
+  postbackAllowedIps: { type: 'array', default: [], private: true }, // Source IPs/CIDRs allowed to send postbacks; empty = any
+  postbackRejectedIps: { type: 'array', default: [], private: true }, // Last rejected sources: { ip, source, clickId, rejectedAt }
   createdAt: { type: 'date', default: () => new Date().toISOString() }
 };
 
+/**
+ * Fields that are never returned by campaign listings
+ */
+export const PRIVATE_CAMPAIGN_FIELDS = ['postbackSecret', 'postbackAllowedIps', 'postbackRejectedIps'];
+
+// Number of rejected postback sources kept on a campaign
+export const MAX_REJECTED_POSTBACK_IPS = 20;
+
+/**
+ * Strips private fields (postback secret and source IPs) from a campaign
+ * @param {Object} campaign
+ * @returns {Object}
+ */
+export function toPublicCampaign(campaign) {
+  const result = { ...campaign };
+  PRIVATE_CAMPAIGN_FIELDS.forEach(field => delete result[field]);
+  return result;
+}
+
+/**
+ * Macros that can be used in campaign URL templates, e.g.
+ * https://store.example.com/sale?ref={affiliate_id}&cid={click_id}
+ */
+export const CAMPAIGN_URL_MACROS = [
+  'affiliate_id',
+  'click_id',
+  'campaign_id',
+  'sub1', 'sub2', 'sub3', 'sub4', 'sub5',
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'
+];
+
+const MACRO_PATTERN = /\{([^{}]*)\}/g;
+
+/**
+ * Expands {macro} placeholders in a campaign URL template.
+ * Values are URL-encoded; macros without a value expand to an empty string.
+ * @param {string} template
+ * @param {Object} values - Map of macro name to value
+ * @returns {string}
+ */
+export function expandCampaignUrl(template, values = {}) {
+  return template.replace(MACRO_PATTERN, (match, name) => {
+    if (!CAMPAIGN_URL_MACROS.includes(name)) return match;
+    const value = values[name];
+    return value === undefined || value === null ? '' : encodeURIComponent(value);
+  });
+}
+
+/**
+ * Validates a campaign URL template
+ * @param {string} template
+ * @returns {string|null}
+ */
+export function validateCampaignUrlTemplate(template) {
+  const unknown = [...template.matchAll(MACRO_PATTERN)]
+    .map(([, name]) => name)
+    .filter(name => !CAMPAIGN_URL_MACROS.includes(name));
+
+  if (unknown.length > 0) {
+    return `Unknown URL macro(s): ${unknown.map(name => `{${name}}`).join(', ')}`;
+  }
+
+  const sample = Object.fromEntries(CAMPAIGN_URL_MACROS.map(name => [name, name]));
+  try {
+    const url = new URL(expandCampaignUrl(template, sample));
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return 'Campaign URL must use http or https';
+    }
+  } catch (e) {
+    return 'Campaign URL must be a valid absolute URL';
+  }
+
+  return null;
+}
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+/**
+ * Normalizes a list of allowed redirect domains (lowercase, no scheme/path, de-duplicated).
+ * Accepts an array or a comma/newline separated string.
+ * @param {string[]|string} domains
+ * @returns {string[]}
+ */
+export function normalizeAllowedDomains(domains) {
+  const list = Array.isArray(domains) ? domains : String(domains || '').split(/[,\n]/);
+
+  const normalized = list
+    .map(domain => String(domain).trim().toLowerCase())
+    .map(domain => domain.replace(/^[a-z]+:\/\//, '').replace(/[/:?#].*$/, '').replace(/^\*\./, ''))
+    .filter(Boolean);
+
+  return [...new Set(normalized)];
+}
+
+/**
+ * Domains a campaign may redirect to.
+ * Uses the campaign's explicit allowlist, falling back to the host of the campaign URL.
+ * @param {Object} campaign
+ * @returns {string[]}
+ */
+export function getAllowedDomains(campaign) {
+  if (!campaign) return [];
+
+  const explicit = normalizeAllowedDomains(campaign.allowedDomains || []);
+  if (explicit.length > 0) return explicit;
+
+  try {
+    return [new URL(expandCampaignUrl(campaign.url || '')).hostname.toLowerCase()];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Checks whether a redirect target is on one of the allowed domains (or a subdomain of one)
+ * @param {string} targetUrl - Absolute URL
+ * @param {string[]} allowedDomains
+ * @returns {boolean}
+ */
+export function isAllowedRedirect(targetUrl, allowedDomains) {
+  let url;
+  try {
+    url = new URL(targetUrl);
+  } catch (e) {
+    return false;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) return false;
+
+  const host = url.hostname.toLowerCase();
+  return allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Validates a deep link destination for a campaign's tracking links
+ * @param {string} destinationUrl - Absolute URL of a page on the advertiser's site
+ * @param {Object} campaign
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateDestinationUrl(destinationUrl, campaign) {
+  if (!campaign) return 'Select a campaign to link to a specific page';
+
+  try {
+    new URL(destinationUrl);
+  } catch (e) {
+    return 'Destination must be a full URL, e.g. https://shop.example.com/product';
+  }
+
+  const allowedDomains = getAllowedDomains(campaign);
+  if (!isAllowedRedirect(destinationUrl, allowedDomains)) {
+    return allowedDomains.length > 0
+      ? `Destination must be on ${allowedDomains.join(', ')}`
+      : 'This campaign does not allow custom destinations';
+  }
+
+  return null;
+}
+
+// Upper bound on landing page variants per campaign
+export const MAX_LANDING_VARIANTS = 10;
+
+// Confidence at which the leading variant is reported as a significant winner
+export const LANDING_VARIANT_CONFIDENCE = 0.95;
+
+// Clicks each compared variant needs before significance is reported
+export const MIN_LANDING_VARIANT_CLICKS = 30;
+
+/**
+ * Normalizes landing page variants (trimmed, integer weights, ids assigned to new variants)
+ * @param {Object[]} variants - { id?, label?, url, weight }
+ * @returns {Object[]} { id, label, url, weight }
+ */
+export function normalizeLandingVariants(variants) {
+  if (!Array.isArray(variants)) return [];
+
+  const used = new Set(variants.map(v => v?.id).filter(Boolean).map(String));
+  let next = 1;
+  const nextId = () => {
+    while (used.has(`v${next}`)) next++;
+    used.add(`v${next}`);
+    return `v${next}`;
+  };
+
+  return variants.map((variant, i) => ({
+    id: variant?.id ? String(variant.id) : nextId(),
+    label: String(variant?.label || '').trim() || `Variant ${String.fromCharCode(65 + i)}`,
+    url: String(variant?.url || '').trim(),
+    weight: Math.max(0, Math.round(Number(variant?.weight) || 0)),
+  }));
+}
+
+/**
+ * Validates landing page variants for a campaign.
+ * Variant URLs are URL templates like the campaign URL and must stay on its allowed domains.
+ * @param {Object[]} variants - Normalized variants
+ * @param {Object} campaign
+ * @returns {string|null}
+ */
+export function validateLandingVariants(variants, campaign) {
+  if (!Array.isArray(variants)) return 'Landing variants must be an array';
+  if (variants.length === 0) return null;
+  if (variants.length === 1) return 'Add at least two variants to split traffic';
+  if (variants.length > MAX_LANDING_VARIANTS) return `At most ${MAX_LANDING_VARIANTS} variants are allowed`;
+
+  const ids = new Set(variants.map(v => v.id));
+  if (ids.size !== variants.length) return 'Variant ids must be unique';
+
+  const allowedDomains = getAllowedDomains(campaign);
+  const sample = Object.fromEntries(CAMPAIGN_URL_MACROS.map(name => [name, name]));
+
+  for (const variant of variants) {
+    if (!variant.url) return `${variant.label}: URL is required`;
+
+    const urlError = validateCampaignUrlTemplate(variant.url);
+    if (urlError) return `${variant.label}: ${urlError}`;
+
+    if (!isAllowedRedirect(expandCampaignUrl(variant.url, sample), allowedDomains)) {
+      return `${variant.label}: URL must be on ${allowedDomains.join(', ')}`;
+    }
+
+    if (!Number.isInteger(variant.weight) || variant.weight < 0) {
+      return `${variant.label}: weight must be a whole number of 0 or more`;
+    }
+  }
+
+  if (!variants.some(v => v.weight > 0)) return 'At least one variant needs a weight above 0';
+
+  return null;
+}
+
+/**
+ * Variants currently receiving traffic (weight above 0)
+ * @param {Object|null} campaign
+ * @returns {Object[]}
+ */
+export function getActiveLandingVariants(campaign) {
+  const variants = Array.isArray(campaign?.landingVariants) ? campaign.landingVariants : [];
+  return variants.filter(v => v?.url && v.weight > 0);
+}
+
+/**
+ * Picks a variant with probability proportional to its weight
+ * @param {Object[]} variants - Active variants
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {Object|null}
+ */
+export function pickLandingVariant(variants, random = Math.random) {
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+  if (total <= 0) return null;
+
+  let point = random() * total;
+  for (const variant of variants) {
+    point -= variant.weight;
+    if (point < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+// Abramowitz and Stegun 7.1.26, accurate to about 1.5e-7
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-x * x));
+}
+
+/**
+ * Two-sided confidence that two conversion rates differ (two-proportion z-test)
+ * @param {{ clicks: number, conversions: number }} a
+ * @param {{ clicks: number, conversions: number }} b
+ * @returns {number} 0..1
+ */
+export function getConversionRateConfidence(a, b) {
+  if (!a.clicks || !b.clicks) return 0;
+
+  const pooled = (a.conversions + b.conversions) / (a.clicks + b.clicks);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.clicks + 1 / b.clicks));
+  if (standardError === 0) return 0;
+
+  const z = Math.abs(a.conversions / a.clicks - b.conversions / b.clicks) / standardError;
+  return erf(z / Math.SQRT2);
+}
+
+/**
+ * Per-variant results of a landing page split test.
+ * The leader is the variant with the best conversion rate; its confidence is measured
+ * against the runner-up.
+ * @param {Object[]} variants - Campaign landingVariants
+ * @param {Object[]} clickStats - Aggregation rows { _id: variantId, clicks }
+ * @param {Object[]} revenueStats - Aggregation rows { _id: variantId, conversions, revenue, commission }
+ * @returns {{ variants: Object[], leader: string|null, confidence: number, significant: boolean }}
+ */
+export function summarizeLandingVariants(variants, clickStats, revenueStats) {
+  const clicksById = new Map(clickStats.map(row => [row._id, row]));
+  const revenueById = new Map(revenueStats.map(row => [row._id, row]));
+
+  const rows = variants.map(variant => {
+    const clicks = clicksById.get(variant.id)?.clicks || 0;
+    const revenue = revenueById.get(variant.id);
+    const conversions = revenue?.conversions || 0;
+    return {
+      ...variant,
+      clicks,
+      conversions,
+      revenue: revenue?.revenue || 0,
+      commission: revenue?.commission || 0,
+      conversionRate: clicks > 0 ? (conversions / clicks) * 100 : 0,
+    };
+  });
+
+  const ranked = rows.filter(row => row.clicks > 0).sort((a, b) => b.conversionRate - a.conversionRate);
+  if (ranked.length < 2) {
+    return { variants: rows, leader: ranked[0]?.id || null, confidence: 0, significant: false };
+  }
+
+  const [leader, runnerUp] = ranked;
+  const confidence = getConversionRateConfidence(leader, runnerUp);
+  const enoughClicks = leader.clicks >= MIN_LANDING_VARIANT_CLICKS && runnerUp.clicks >= MIN_LANDING_VARIANT_CLICKS;
+
+  return {
+    variants: rows,
+    leader: leader.id,
+    confidence,
+    significant: enoughClicks && confidence >= LANDING_VARIANT_CONFIDENCE,
+  };
+}
+
+/**
+ * Normalizes schedule fields from a request (ISO timestamps, trimmed fallback URL)
+ * @param {Object} data - { startsAt, endsAt, fallbackUrl }
+ * @returns {{ startsAt: string|null, endsAt: string|null, fallbackUrl: string|null }} Invalid dates are kept as given
+ */
+export function normalizeCampaignSchedule({ startsAt, endsAt, fallbackUrl } = {}) {
+  const toIso = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+  };
+
+  return {
+    startsAt: toIso(startsAt),
+    endsAt: toIso(endsAt),
+    fallbackUrl: String(fallbackUrl || '').trim() || null,
+  };
+}
+
+/**
+ * Validates normalized schedule fields
+ * @param {Object} schedule - From normalizeCampaignSchedule
+ * @returns {string|null}
+ */
+export function validateCampaignSchedule({ startsAt, endsAt, fallbackUrl }) {
+  if (startsAt && Number.isNaN(Date.parse(startsAt))) return 'Start date is invalid';
+  if (endsAt && Number.isNaN(Date.parse(endsAt))) return 'End date is invalid';
+  if (startsAt && endsAt && Date.parse(endsAt) <= Date.parse(startsAt)) return 'End date must be after the start date';
+
+  if (fallbackUrl) {
+    const urlError = validateCampaignUrlTemplate(fallbackUrl);
+    if (urlError) return `Fallback URL: ${urlError}`;
+  }
+
+  return null;
+}
+
+/**
+ * Status of a campaign at a point in time. Active, scheduled and expired campaigns follow
+ * startsAt / endsAt; paused and archived campaigns keep their status.
+ * @param {Object} campaign
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function getScheduledStatus(campaign, now = new Date()) {
+  const status = campaign?.status || CAMPAIGN_STATUS.ACTIVE;
+  if (!SCHEDULE_STATUSES.includes(status)) return status;
+
+  if (campaign.endsAt && now >= new Date(campaign.endsAt)) return CAMPAIGN_STATUS.EXPIRED;
+  if (campaign.startsAt && now < new Date(campaign.startsAt)) return CAMPAIGN_STATUS.SCHEDULED;
+  return CAMPAIGN_STATUS.ACTIVE;
+}
+
+/**
+ * Whether affiliates can create links for a campaign (started and not expired)
+ * @param {Object} campaign
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isCampaignLinkable(campaign, now = new Date()) {
+  const status = getScheduledStatus(campaign, now);
+  return status !== CAMPAIGN_STATUS.SCHEDULED && status !== CAMPAIGN_STATUS.EXPIRED;
+}
+
+/**
+ * Why a campaign takes no traffic: paused, archived, outside its schedule (not started yet
+ * or expired) or unknown (no campaign found)
+ * @param {Object|null} campaign
+ * @param {Date} [now]
+ * @returns {string|null} One of INACTIVE_CAMPAIGN_REASONS, or null when the campaign is live
+ */
+export function getInactiveCampaignReason(campaign, now = new Date()) {
+  if (!campaign) return INACTIVE_CAMPAIGN_REASONS.UNKNOWN;
+
+  switch (getScheduledStatus(campaign, now)) {
+    case CAMPAIGN_STATUS.PAUSED: return INACTIVE_CAMPAIGN_REASONS.PAUSED;
+    case CAMPAIGN_STATUS.ARCHIVED: return INACTIVE_CAMPAIGN_REASONS.ARCHIVED;
+    case CAMPAIGN_STATUS.SCHEDULED: return INACTIVE_CAMPAIGN_REASONS.SCHEDULED;
+    case CAMPAIGN_STATUS.EXPIRED: return INACTIVE_CAMPAIGN_REASONS.EXPIRED;
+    default: return null;
+  }
+}
+
 /**
  * Validates campaign data
  * @param {Object} data 
@@ -32,13 +473,26 @@ export const CampaignSchema = {
 export function validateCampaign(data) {
   if (!data.name || typeof data.name !== 'string') return 'Campaign name is required';
   if (!data.url || typeof data.url !== 'string') return 'Campaign URL is required';
+
+  const urlError = validateCampaignUrlTemplate(data.url);
+  if (urlError) return urlError;
   
-  if (!data.payout_rules) return 'Payout rules are required';
+  const payoutError = validatePayoutRule(normalizePayoutRule(data.payout_rules));
+  if (payoutError) return payoutError;
+
+  if (data.allowedDomains !== undefined) {
+    if (!Array.isArray(data.allowedDomains)) return 'Allowed domains must be an array';
+    const invalid = normalizeAllowedDomains(data.allowedDomains).filter(domain => !DOMAIN_PATTERN.test(domain));
+    if (invalid.length > 0) return `Invalid allowed domain(s): ${invalid.join(', ')}`;
+  }
   
   if (data.status && !Object.values(CAMPAIGN_STATUS).includes(data.status)) {
     return `Status must be one of: ${Object.values(CAMPAIGN_STATUS).join(', ')}`;
   }
 
+  const scheduleError = validateCampaignSchedule(normalizeCampaignSchedule(data));
+  if (scheduleError) return scheduleError;
+
   return null;
 }
 
@@ -0,0 +1,172 @@
+/**
+ * Campaign Cap Model Definition
+ * Caps stored on a campaign as caps, with capFallbackUrl as the redirect for capped traffic.
+ * A cap limits clicks, conversions or payout (commission) per day, per calendar month or
+ * over the campaign's lifetime, either for the whole campaign or for each affiliate.
+ * Days and months are UTC.
+ *
+ * Example: [
+ *   { metric: 'payout', period: 'monthly', limit: 50000, scope: 'campaign' },
+ *   { metric: 'clicks', period: 'daily', limit: 1000, scope: 'affiliate' }
+ * ]
+ *
+ * Note: This project uses the native MongoDB driver.
+ */
+
+export const CAP_NOTIFICATIONS_COLLECTION = 'cap_notifications';
+
+export const CAP_USAGE_COLLECTION = 'cap_usage';
+
+export const CAP_METRICS = ['clicks', 'conversions', 'payout'];
+
+export const CAP_PERIODS = ['daily', 'monthly', 'lifetime'];
+
+export const CAP_SCOPES = {
+  CAMPAIGN: 'campaign', // Total across all affiliates
+  AFFILIATE: 'affiliate' // Each affiliate separately (or only affiliateId when set)
+};
+
+export const MAX_CAMPAIGN_CAPS = 10;
+
+export const CampaignCapSchema = {
+  id: { type: 'string', required: true },
+  metric: { type: 'string', enum: CAP_METRICS, required: true },
+  period: { type: 'string', enum: CAP_PERIODS, required: true },
+  limit: { type: 'number', required: true }, // Count, or commission amount for payout caps
+  scope: { type: 'string', enum: Object.values(CAP_SCOPES), default: CAP_SCOPES.CAMPAIGN },
+  affiliateId: { type: 'string', required: false } // Affiliate scope only: cap a single affiliate
+};
+
+// One notice per cap, affiliate and period
+export const CapNotificationSchema = {
+  campaignId: { type: 'string', required: true },
+  capId: { type: 'string', required: true },
+  affiliateId: { type: 'string', required: false }, // null for campaign caps
+  periodStart: { type: 'string', required: false }, // null for lifetime caps
+  createdAt: { type: 'date', default: () => new Date().toISOString() }
+};
+
+// Conversions or commission reserved under a conversion or payout cap, one counter per cap,
+// affiliate and period. _id is '<campaignId>|<capId>|<affiliateId or *>|<periodStart or lifetime>'.
+export const CapUsageSchema = {
+  campaignId: { type: 'string', required: true },
+  capId: { type: 'string', required: true },
+  affiliateId: { type: 'string', required: false }, // null for campaign caps
+  periodStart: { type: 'string', required: false }, // null for lifetime caps
+  used: { type: 'number', default: 0 },
+  createdAt: { type: 'date', default: () => new Date().toISOString() }
+};
+
+/**
+ * Normalizes campaign caps (numeric limits, default scope, ids assigned)
+ * @param {Object[]} caps
+ * @returns {Object[]} { id, metric, period, limit, scope, affiliateId }
+ */
+export function normalizeCampaignCaps(caps) {
+  if (!Array.isArray(caps)) return [];
+
+  const used = new Set(caps.map(cap => cap?.id).filter(Boolean).map(String));
+  let next = 1;
+  const nextId = () => {
+    while (used.has(`c${next}`)) next++;
+    used.add(`c${next}`);
+    return `c${next}`;
+  };
+
+  return caps.map(cap => {
+    const scope = cap?.scope === CAP_SCOPES.AFFILIATE ? CAP_SCOPES.AFFILIATE : CAP_SCOPES.CAMPAIGN;
+    const affiliateId = scope === CAP_SCOPES.AFFILIATE ? String(cap?.affiliateId || '').trim() : '';
+    const metric = String(cap?.metric || '').toLowerCase();
+    const limit = Number(cap?.limit);
+
+    return {
+      id: cap?.id ? String(cap.id) : nextId(),
+      metric,
+      period: String(cap?.period || '').toLowerCase(),
+      limit: metric === 'payout' ? Math.round(limit * 100) / 100 : Math.floor(limit),
+      scope,
+      affiliateId: affiliateId || null,
+    };
+  });
+}
+
+/**
+ * Validates normalized campaign caps
+ * @param {Object[]} caps
+ * @returns {string|null}
+ */
+export function validateCampaignCaps(caps) {
+  if (!Array.isArray(caps)) return 'Caps must be an array';
+  if (caps.length > MAX_CAMPAIGN_CAPS) return `At most ${MAX_CAMPAIGN_CAPS} caps are allowed`;
+
+  for (const cap of caps) {
+    if (!CAP_METRICS.includes(cap.metric)) return `Cap metric must be one of: ${CAP_METRICS.join(', ')}`;
+    if (!CAP_PERIODS.includes(cap.period)) return `Cap period must be one of: ${CAP_PERIODS.join(', ')}`;
+    if (!Number.isFinite(cap.limit) || cap.limit <= 0) return `${describeCap(cap)}: limit must be greater than 0`;
+  }
+
+  return null;
+}
+
+/**
+ * Start of the cap period containing a date (UTC)
+ * @param {string} period - daily | monthly | lifetime
+ * @param {Date} [now]
+ * @returns {string|null} ISO timestamp, or null for lifetime caps
+ */
+export function getCapPeriodStart(period, now = new Date()) {
+  if (period === 'daily') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString();
+  }
+  if (period === 'monthly') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+  }
+  return null;
+}
+
+/**
+ * Caps that limit an affiliate's traffic on the campaign
+ * @param {Object[]} caps - Campaign caps
+ * @param {string} affiliateId
+ * @param {string[]} [metrics] - Only caps on these metrics
+ * @returns {Object[]}
+ */
+export function getApplicableCaps(caps, affiliateId, metrics = CAP_METRICS) {
+  if (!Array.isArray(caps)) return [];
+  return caps.filter(cap => metrics.includes(cap.metric)
+    && (cap.scope !== CAP_SCOPES.AFFILIATE || !cap.affiliateId || cap.affiliateId === String(affiliateId)));
+}
+
+/**
+ * Percentage of a cap used, 0-100
+ * @param {number} used
+ * @param {number} limit
+ * @returns {number}
+ */
+export function getCapProgress(used, limit) {
+  if (!(limit > 0)) return 0;
+  return Math.min(100, Math.round((used / limit) * 1000) / 10);
+}
+
+/**
+ * Human readable cap, e.g. "monthly payout cap per affiliate (50000)"
+ * @param {Object} cap
+ * @returns {string}
+ */
+export function describeCap(cap) {
+  const scope = cap.scope === CAP_SCOPES.AFFILIATE
+    ? (cap.affiliateId ? ` for affiliate ${cap.affiliateId}` : ' per affiliate')
+    : '';
+  return `${cap.period} ${cap.metric} cap${scope} (${cap.limit})`;
+}
+
+/**
+ * Creates indexes for the cap notifications collection
+ * @param {import('mongodb').Db} db
+ */
+export async function initCapNotificationIndexes(db) {
+  await db.collection(CAP_NOTIFICATIONS_COLLECTION).createIndex(
+    { campaignId: 1, capId: 1, affiliateId: 1, periodStart: 1 },
+    { unique: true } // Notify once per cap, affiliate and period
+  );
+}
@@ -0,0 +1,128 @@
+/**
+ * Campaign Goal Model Definition
+ * Goals stored on a campaign as goals: the named conversion steps an advertiser pays for
+ * (e.g. signup, trial start, paid plan), in funnel order, each with its own payout rule.
+ * Postbacks, the conversion pixel and the Stripe webhook name the goal they report with a
+ * goal parameter; conversions without one are paid as before.
+ *
+ * Example: [
+ *   { id: 'signup', name: 'Signup', payout_rules: { type: 'CPA', amount: 50 } },
+ *   { id: 'trial', name: 'Trial start', payout_rules: { type: 'CPA', amount: 200 } },
+ *   { id: 'purchase', name: 'Paid plan', payout_rules: { type: 'RevShare', percentage: 20 } }
+ * ]
+ *
+ * Note: This project uses the native MongoDB driver.
+ */
+
+import { normalizePayoutRule, validatePayoutRule } from '@/models/PayoutRule';
+
+export const MAX_CAMPAIGN_GOALS = 10;
+
+export const MAX_GOAL_ID_LENGTH = 50;
+
+export const CampaignGoalSchema = {
+  id: { type: 'string', required: true }, // Sent as goal= by the advertiser, e.g. 'trial'
+  name: { type: 'string', required: true },
+  payout_rules: { type: 'object', required: true } // Structured payout rule, see models/PayoutRule.js
+};
+
+// Funnel colors: clicks, then one per goal
+const FUNNEL_COLORS = ['#3b82f6', '#8b5cf6', '#f59e0b', '#10b981', '#ec4899', '#14b8a6'];
+
+/**
+ * Normalizes a goal identifier: lowercase letters, digits, '_' and '-'
+ * @param {*} value - e.g. 'Trial Start'
+ * @returns {string|null} e.g. 'trial_start', or null when empty
+ */
+export function normalizeGoalId(value) {
+  const id = String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '_')
+    .replace(/[^a-z0-9_-]/g, '')
+    .slice(0, MAX_GOAL_ID_LENGTH);
+
+  return id || null;
+}
+
+/**
+ * Normalizes campaign goals (ids derived from names, numeric payouts)
+ * @param {Object[]} goals
+ * @returns {Object[]} { id, name, payout_rules }
+ */
+export function normalizeCampaignGoals(goals) {
+  if (!Array.isArray(goals)) return [];
+
+  return goals.map(goal => {
+    const name = String(goal?.name || '').trim();
+
+    return {
+      id: normalizeGoalId(goal?.id) || normalizeGoalId(name),
+      name,
+      payout_rules: normalizePayoutRule(goal?.payout_rules || {}),
+    };
+  });
+}
+
+/**
+ * Validates normalized campaign goals
+ * @param {Object[]} goals
+ * @returns {string|null}
+ */
+export function validateCampaignGoals(goals) {
+  if (!Array.isArray(goals)) return 'Goals must be an array';
+  if (goals.length > MAX_CAMPAIGN_GOALS) return `At most ${MAX_CAMPAIGN_GOALS} goals are allowed`;
+
+  const ids = new Set();
+  for (const goal of goals) {
+    if (!goal.name) return 'Every goal needs a name';
+    if (!goal.id) return `${goal.name}: goal id is required`;
+    if (ids.has(goal.id)) return `Goal id "${goal.id}" is used more than once`;
+    ids.add(goal.id);
+
+    const payoutError = validatePayoutRule(goal.payout_rules);
+    if (payoutError) return `${goal.name}: ${payoutError.charAt(0).toLowerCase()}${payoutError.slice(1)}`;
+  }
+
+  return null;
+}
+
+/**
+ * A campaign's goal by id
+ * @param {Object|null} campaign
+ * @param {string|null} goalId
+ * @returns {Object|null}
+ */
+export function findCampaignGoal(campaign, goalId) {
+  const id = normalizeGoalId(goalId);
+  if (!id || !Array.isArray(campaign?.goals)) return null;
+  return campaign.goals.find(goal => goal.id === id) || null;
+}
+
+/**
+ * Funnel steps for FunnelChart: clicks, then each goal in order, with the conversion
+ * rate from clicks and from the previous step
+ * @param {Object[]} goals - Campaign goals in funnel order
+ * @param {number} clicks
+ * @param {Object} conversions - { [goalId]: count }
+ * @returns {Object[]} { name, value, fill, goal?, rate?, stepRate? }
+ */
+export function buildGoalFunnel(goals, clicks, conversions = {}) {
+  const steps = [{ name: 'Clicks', value: clicks, fill: FUNNEL_COLORS[0] }];
+
+  (goals || []).forEach((goal, index) => {
+    const value = conversions[goal.id] || 0;
+    const previous = steps[steps.length - 1].value;
+
+    steps.push({
+      name: goal.name,
+      goal: goal.id,
+      value,
+      fill: FUNNEL_COLORS[(index + 1) % FUNNEL_COLORS.length],
+      rate: clicks > 0 ? Math.round((value / clicks) * 10000) / 100 : 0,
+      stepRate: previous > 0 ? Math.round((value / previous) * 10000) / 100 : 0,
+    });
+  });
+
+  return steps;
+}
@@ -0,0 +1,165 @@
+/**
+ * Click Event Model Definition
+ *
+ * Note: This project uses the native MongoDB driver.
+ */
+
+export const CLICK_EVENTS_COLLECTION = 'click_events';
+
+/**
+ * Sub-ID parameters affiliates append to their links to tag placements
+ */
+export const SUB_ID_KEYS = ['sub1', 'sub2', 'sub3', 'sub4', 'sub5'];
+
+export const MAX_SUB_ID_LENGTH = 100;
+
+/**
+ * Extracts sub1..sub5 from query parameters or a plain object.
+ * Values are trimmed and capped at MAX_SUB_ID_LENGTH; empty values are dropped.
+ * @param {URLSearchParams|Object} source
+ * @returns {Object} Only the sub-IDs that are present, e.g. { sub1: 'banner' }
+ */
+export function extractSubIds(source) {
+  if (!source) return {};
+
+  const read = typeof source.get === 'function'
+    ? key => source.get(key)
+    : key => source[key];
+
+  const subIds = {};
+  SUB_ID_KEYS.forEach(key => {
+    const value = read(key);
+    if (value === undefined || value === null) return;
+
+    const trimmed = String(value).trim().slice(0, MAX_SUB_ID_LENGTH);
+    if (trimmed) subIds[key] = trimmed;
+  });
+
+  return subIds;
+}
+
+/**
+ * Landing page a click was sent to, for grouping reports: the destination without its
+ * query string or fragment (which carry click ids and tracking parameters)
+ * @param {string|URL|null} destination - Destination URL
+ * @param {string} [base] - Base for resolving relative destinations
+ * @returns {string|null}
+ */
+export function getLandingPage(destination, base) {
+  if (!destination) return null;
+
+  try {
+    const url = new URL(destination, base);
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    return `${url.origin}${url.pathname}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Combines click and revenue aggregates keyed by _id into report rows, busiest first.
+// Extra fields on the click rows (e.g. countryName) are kept.
+function mergeReportStats(key, clickStats, revenueStats) {
+  const rows = {};
+  const row = (id) => {
+    if (!rows[id]) {
+      rows[id] = { [key]: id, clicks: 0, conversions: 0, revenue: 0, commission: 0 };
+    }
+    return rows[id];
+  };
+
+  clickStats.forEach(({ _id, ...stat }) => {
+    Object.assign(row(_id), stat);
+  });
+
+  revenueStats.forEach(stat => {
+    Object.assign(row(stat._id), {
+      conversions: stat.conversions,
+      revenue: stat.revenue,
+      commission: stat.commission || 0,
+    });
+  });
+
+  return Object.values(rows)
+    .map(stat => ({
+      ...stat,
+      conversionRate: stat.clicks > 0 ? (stat.conversions / stat.clicks) * 100 : 0,
+      epc: stat.clicks > 0 ? stat.commission / stat.clicks : 0,
+    }))
+    .sort((a, b) => b.clicks - a.clicks || b.revenue - a.revenue);
+}
+
+/**
+ * Combines per-landing-page click and revenue aggregates into report rows, busiest first
+ * @param {{ _id: string, clicks: number }[]} clickStats
+ * @param {{ _id: string, conversions: number, revenue: number, commission: number }[]} revenueStats
+ * @returns {Object[]} { landingPage, clicks, conversions, revenue, commission, conversionRate, epc }
+ */
+export function mergeLandingPageStats(clickStats, revenueStats) {
+  return mergeReportStats('landingPage', clickStats, revenueStats);
+}
+
+/**
+ * Location of a click from a MaxMind DB record (GeoLite2 / DB-IP layout)
+ * @param {Object|null} record - Lookup result
+ * @returns {Object|null} { country, countryName, region, regionCode, city, latitude, longitude },
+ *   or null when the record has no country
+ */
+export function toClickGeo(record) {
+  const country = record?.country || record?.registered_country;
+  if (!country?.iso_code) return null;
+
+  const subdivision = record.subdivisions?.[0];
+  return {
+    country: country.iso_code,
+    countryName: country.names?.en || country.iso_code,
+    region: subdivision?.names?.en || null,
+    regionCode: subdivision?.iso_code || null,
+    city: record.city?.names?.en || null,
+    latitude: record.location?.latitude ?? null,
+    longitude: record.location?.longitude ?? null,
+  };
+}
+
+/**
+ * Combines per-location click and revenue aggregates into report rows, busiest first
+ * @param {{ _id: string, clicks: number, country: string, countryName: string }[]} clickStats
+ * @param {{ _id: string, conversions: number, revenue: number, commission: number }[]} revenueStats
+ * @returns {Object[]} { location, country, countryName, latitude, longitude, clicks, conversions, revenue, commission, conversionRate, epc }
+ */
+export function mergeGeoStats(clickStats, revenueStats) {
+  return mergeReportStats('location', clickStats, revenueStats);
+}
+
+/**
+ * Visitor consent recorded on clicks from tracking.js. Clicks from plain tracking
+ * links carry no consent state and are reported as unknown.
+ */
+export const CLICK_CONSENT = {
+  GRANTED: 'granted',
+  PENDING: 'pending', // Waiting for the visitor's choice; nothing stored on the device
+  DENIED: 'denied',
+  UNKNOWN: 'unknown'
+};
+
+// Aggregation expression for a click's consent state
+export const CLICK_CONSENT_EXPRESSION = { $ifNull: ['$consent', CLICK_CONSENT.UNKNOWN] };
+
+/**
+ * Parses the consent state sent by tracking.js
+ * @param {string|null} value
+ * @returns {string|null} granted | pending | denied, or null when absent or invalid
+ */
+export function parseClickConsent(value) {
+  const state = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return [CLICK_CONSENT.GRANTED, CLICK_CONSENT.PENDING, CLICK_CONSENT.DENIED].includes(state) ? state : null;
+}
+
+/**
+ * Whether the attribution cookie may be set for a click with this consent state
+ * @param {string|null} consent - From parseClickConsent
+ * @returns {boolean}
+ */
+export function allowsAttributionCookie(consent) {
+  return consent !== CLICK_CONSENT.PENDING && consent !== CLICK_CONSENT.DENIED;
+}
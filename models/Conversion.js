@@ -0,0 +1,70 @@
+/**
+ * Conversion Model Definition
+ * One document per reported conversion, keyed by campaign + transaction/order id.
+ * The unique index makes retried postbacks and repeated tracking calls idempotent.
+ *
+ * Note: This project uses the native MongoDB driver.
+ */
+
+export const CONVERSIONS_COLLECTION = 'conversions';
+
+export const CONVERSION_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed' // Failed part-way; the next delivery resumes it
+};
+
+export const ConversionSchema = {
+  campaignId: { type: 'string', required: false }, // null when the campaign is unknown (e.g. Stripe metadata)
+  transactionId: { type: 'string', required: true }, // Advertiser transaction/order id; '<id>#<goal>' for goal conversions
+  goal: { type: 'string', required: false }, // Campaign goal id, see models/CampaignGoal.js
+  source: { type: 'string', required: true }, // postback | pixel | tracking_script | stripe
+  status: { type: 'string', enum: Object.values(CONVERSION_STATUS), default: CONVERSION_STATUS.PROCESSING },
+  result: { type: 'object', required: false }, // { status, body } returned to duplicate requests
+  creditedTouches: { type: 'array', default: [] }, // Touch ids already credited, skipped when a failed claim is resumed
+  error: { type: 'string', required: false }, // Why the last attempt failed
+  createdAt: { type: 'date', default: () => new Date().toISOString() }
+};
+
+/**
+ * Creates indexes for the Conversions collection
+ * @param {import('mongodb').Db} db
+ */
+export async function initConversionIndexes(db) {
+  await db.collection(CONVERSIONS_COLLECTION).createIndex(
+    { campaignId: 1, transactionId: 1 },
+    { unique: true } // One conversion per transaction id per campaign
+  );
+
+  // Revenue rows of a claimed conversion, looked up when a failed claim is resumed
+  await db.collection('revenues').createIndex({ touchKey: 1 }, { sparse: true });
+}
+
+export const DEFAULT_CONVERSION_CURRENCY = 'INR';
+
+export const MAX_TRANSACTION_ID_LENGTH = 200;
+
+/**
+ * Reads conversion pixel parameters from its query string.
+ * The click_id parameter wins over the attribution cookie; the order id defaults to the click id.
+ * @param {URLSearchParams} searchParams
+ * @param {string|null} [cookieClickId] - Value of the aff_click_id cookie
+ * @returns {{ clickId: string|null, transactionId: string|null, amount: number, currency: string }}
+ */
+export function parseConversionPixelParams(searchParams, cookieClickId = null) {
+  const clickId = searchParams.get('click_id') || cookieClickId || null;
+  const orderId = searchParams.get('order_id') || searchParams.get('transaction_id');
+  const transactionId = orderId
+    ? String(orderId).trim().slice(0, MAX_TRANSACTION_ID_LENGTH) || clickId
+    : clickId;
+
+  const amount = parseFloat(searchParams.get('amount') || '0');
+  const currency = String(searchParams.get('currency') || '').trim().toUpperCase();
+
+  return {
+    clickId,
+    transactionId,
+    amount: Number.isFinite(amount) && amount > 0 ? Math.round(amount * 100) / 100 : 0,
+    currency: /^[A-Z]{3}$/.test(currency) ? currency : DEFAULT_CONVERSION_CURRENCY,
+  };
+}
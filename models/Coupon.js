@@ -0,0 +1,91 @@
+/**
+ * Coupon Model Definition
+ * Discount codes assigned to an affiliate and campaign. Sales that use a code without a
+ * tracked click are credited to the code's affiliate (coupon attribution).
+ *
+ * Note: This project uses the native MongoDB driver.
+ */
+
+export const COUPONS_COLLECTION = 'coupons';
+
+export const COUPON_STATUS = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive'
+};
+
+// Where a revenue row's affiliate credit came from. Rows without attributionSource are link (click) credits.
+export const ATTRIBUTION_SOURCES = {
+  LINK: 'link',
+  COUPON: 'coupon',
+  CUSTOMER: 'customer' // Returning customer credited to the affiliate who acquired them
+};
+
+// Aggregation expression for a revenue row's attribution source
+export const ATTRIBUTION_SOURCE_EXPRESSION = { $ifNull: ['$attributionSource', ATTRIBUTION_SOURCES.LINK] };
+
+export const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+export const CouponSchema = {
+  code: { type: 'string', required: true }, // Normalized (upper case), unique
+  affiliateId: { type: 'string', required: true }, // User id of the owning affiliate
+  affiliateName: { type: 'string', required: false }, // Denormalized for listings
+  campaignId: { type: 'string', required: true },
+  campaignName: { type: 'string', required: false }, // Denormalized for listings
+  status: { type: 'string', enum: Object.values(COUPON_STATUS), default: COUPON_STATUS.ACTIVE },
+  description: { type: 'string', required: false },
+  createdBy: { type: 'string', required: false },
+  createdAt: { type: 'date', default: () => new Date().toISOString() },
+  updatedAt: { type: 'date', required: false }
+};
+
+/**
+ * Normalizes a coupon code for storage and lookup (trimmed, upper case)
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeCouponCode(code) {
+  if (code === undefined || code === null) return '';
+  return String(code).trim().toUpperCase();
+}
+
+/**
+ * Validates coupon data
+ * @param {Object} data - { code, affiliateId, campaignId, status }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCoupon(data) {
+  const code = normalizeCouponCode(data?.code);
+
+  if (!code) return 'Coupon code is required';
+  if (!COUPON_CODE_PATTERN.test(code)) {
+    return 'Coupon code must be 3-40 characters: letters, numbers, dashes or underscores';
+  }
+  if (!data.affiliateId) return 'Affiliate is required';
+  if (!data.campaignId) return 'Campaign is required';
+  if (data.status && !Object.values(COUPON_STATUS).includes(data.status)) {
+    return `Status must be one of: ${Object.values(COUPON_STATUS).join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Revenue fields recording a coupon credit
+ * @param {Object} coupon - Coupon document
+ * @returns {{ attributionSource: string, couponCode: string }}
+ */
+export function getCouponCredit(coupon) {
+  return {
+    attributionSource: ATTRIBUTION_SOURCES.COUPON,
+    couponCode: coupon.code,
+  };
+}
+
+/**
+ * Creates indexes for the Coupons collection
+ * @param {import('mongodb').Db} db
+ */
+export async function initCouponIndexes(db) {
+  await db.collection(COUPONS_COLLECTION).createIndex({ code: 1 }, { unique: true }); // One owner per code
+  await db.collection(COUPONS_COLLECTION).createIndex({ affiliateId: 1 }); // Affiliate's codes
+}
@@ -0,0 +1,146 @@
+/**
+ * Customer Model Definition
+ * One document per referred customer, keyed by Stripe customer id and/or a hash of the
+ * customer's email, pointing to the affiliate who first acquired them. Later purchases
+ * without a click or coupon are credited to that affiliate while the campaign's
+ * payout_rules.duration allows it (e.g. "lifetime").
+ *
+ * Raw emails are never stored; only the hash and a masked form for display.
+ *
+ * Note: This project uses the native MongoDB driver.
+ */
+
+import { ATTRIBUTION_SOURCES } from '@/models/Coupon';
+
+export const CUSTOMERS_COLLECTION = 'customers';
+
+export const CREDIT_DURATION = {
+  ONCE: 'once', // Only the acquiring purchase
+  LIFETIME: 'lifetime'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DURATION_UNITS_MS = {
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+  year: 365 * DAY_MS
+};
+
+const DURATION_PATTERN = /^(\d+)\s*(day|week|month|year)s?$/;
+
+export const CustomerSchema = {
+  stripeCustomerId: { type: 'string', required: false }, // Stripe customer id (cus_...) or the id sent in postbacks
+  emailHash: { type: 'string', required: false }, // HMAC-SHA256 of the normalized email
+  maskedEmail: { type: 'string', required: false }, // e.g. j***@g***.com
+  affiliateId: { type: 'string', required: true }, // Affiliate who first acquired the customer
+  campaignId: { type: 'string', required: false }, // Campaign whose duration rule applies
+  clickId: { type: 'string', required: false },
+  couponCode: { type: 'string', required: false },
+  source: { type: 'string', required: true }, // stripe | postback | pixel
+  acquiredAt: { type: 'date', required: true },
+  purchaseCount: { type: 'number', default: 0 },
+  totalRevenue: { type: 'number', default: 0 },
+  lastPurchaseAt: { type: 'date', required: false }
+};
+
+/**
+ * Length of time after acquisition during which later purchases are credited
+ * @param {Object|string|null} payoutRules - Campaign payout_rules
+ * @returns {number|null} Milliseconds (Infinity for lifetime, 0 for once), or null when the campaign sets no duration
+ */
+export function getCreditDurationMs(payoutRules) {
+  const duration = typeof payoutRules === 'object' && payoutRules !== null ? payoutRules.duration : null;
+  if (duration === undefined || duration === null || duration === '') return null;
+
+  const value = String(duration).trim().toLowerCase();
+  if (value === CREDIT_DURATION.LIFETIME) return Infinity;
+  if (value === CREDIT_DURATION.ONCE) return 0;
+
+  const match = value.match(DURATION_PATTERN);
+  if (!match) return 0; // Unknown rules never extend credit
+
+  return parseInt(match[1], 10) * DURATION_UNITS_MS[match[2]];
+}
+
+/**
+ * Whether a purchase at `now` falls within the credit duration
+ * @param {number} durationMs - From getCreditDurationMs
+ * @param {string|Date} acquiredAt
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isWithinCreditDuration(durationMs, acquiredAt, now = Date.now()) {
+  if (!durationMs) return false;
+  if (durationMs === Infinity) return true;
+  return now - new Date(acquiredAt).getTime() <= durationMs;
+}
+
+/**
+ * Normalizes an email for hashing (trimmed, lower case)
+ * @param {string} email
+ * @returns {string}
+ */
+export function normalizeEmail(email) {
+  if (!email) return '';
+  return String(email).trim().toLowerCase();
+}
+
+/**
+ * Masks an email for display to affiliates, keeping the first letter of the name and domain
+ * @param {string} email
+ * @returns {string|null} e.g. jane@gmail.com -> j***@g***.com
+ */
+export function maskEmail(email) {
+  const normalized = normalizeEmail(email);
+  const at = normalized.lastIndexOf('@');
+  if (at < 1) return null;
+
+  const name = normalized.slice(0, at);
+  const domain = normalized.slice(at + 1);
+  const dot = domain.lastIndexOf('.');
+  const host = dot > 0 ? domain.slice(0, dot) : domain;
+  const tld = dot > 0 ? domain.slice(dot) : '';
+
+  return `${name[0]}***@${host[0] || ''}***${tld}`;
+}
+
+/**
+ * Masks a Stripe customer id for display, keeping the last four characters
+ * @param {string} customerId
+ * @returns {string|null}
+ */
+export function maskCustomerId(customerId) {
+  if (!customerId) return null;
+  const id = String(customerId);
+  return id.length <= 4 ? '****' : `****${id.slice(-4)}`;
+}
+
+/**
+ * Revenue fields recording a returning-customer credit
+ * @param {Object} customer - Customer document
+ * @returns {{ attributionSource: string, customerId: string }}
+ */
+export function getCustomerCredit(customer) {
+  return {
+    attributionSource: ATTRIBUTION_SOURCES.CUSTOMER,
+    customerId: customer._id.toString(),
+  };
+}
+
+/**
+ * Creates indexes for the Customers collection
+ * @param {import('mongodb').Db} db
+ */
+export async function initCustomerIndexes(db) {
+  await db.collection(CUSTOMERS_COLLECTION).createIndex(
+    { stripeCustomerId: 1 },
+    { unique: true, partialFilterExpression: { stripeCustomerId: { $type: 'string' } } }
+  );
+  await db.collection(CUSTOMERS_COLLECTION).createIndex(
+    { emailHash: 1 },
+    { unique: true, partialFilterExpression: { emailHash: { $type: 'string' } } }
+  );
+  await db.collection(CUSTOMERS_COLLECTION).createIndex({ affiliateId: 1, acquiredAt: -1 }); // My Portal listing
+}
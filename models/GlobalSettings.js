@@ -5,6 +5,8 @@
  * These settings control platform behavior like commission rates and payout thresholds.
  */
 
+import { validateCampaignUrlTemplate } from '@/models/Campaign';
+
 export const GLOBAL_SETTINGS_COLLECTION = 'global_settings';
 
 export const DEFAULT_SETTINGS = {
@@ -14,6 +16,7 @@ export const DEFAULT_SETTINGS = {
   currency: 'INR',
   allowRegistration: true,
   supportEmail: 'support@example.com',
+  inactiveCampaignUrl: '', // Redirect for clicks on paused, archived or unknown campaigns without their own fallbackUrl
   updatedAt: new Date().toISOString()
 };
 
@@ -49,5 +52,10 @@ export function validateSettings(data) {
     return 'Invalid support email format';
   }
 
+  if (data.inactiveCampaignUrl) {
+    const urlError = validateCampaignUrlTemplate(String(data.inactiveCampaignUrl).trim());
+    if (urlError) return `Inactive campaign URL: ${urlError}`;
+  }
+
   return null;
 }
\ No newline at end of file
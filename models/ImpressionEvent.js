@@ -0,0 +1,76 @@
+/**
+ * Impression Event Model Definition
+ * One document per banner/placement view recorded by the impression pixel.
+ * Bot impressions are stored with filtered: true and excluded from reports, like clicks.
+ *
+ * Note: This project uses the native MongoDB driver.
+ */
+
+export const IMPRESSION_EVENTS_COLLECTION = 'impression_events';
+
+export const MAX_CREATIVE_ID_LENGTH = 100;
+
+export const ImpressionEventSchema = {
+  affiliateId: { type: 'string', required: true },
+  campaignId: { type: 'string', required: true },
+  creativeId: { type: 'string', required: false }, // Banner/creative identifier
+  subIds: { type: 'object', required: false }, // { sub1..sub5 }
+  ipAddress: { type: 'string' },
+  referrer: { type: 'string' },
+  userAgent: { type: 'string' },
+  deviceType: { type: 'string' },
+  filtered: { type: 'boolean', default: false },
+  filterReason: { type: 'string', required: false },
+  createdAt: { type: 'date', default: () => new Date().toISOString() }
+};
+
+/**
+ * Reads the creative id (creative_id or creative) from query parameters or an object
+ * @param {URLSearchParams|Object} source
+ * @returns {string|null}
+ */
+export function extractCreativeId(source) {
+  if (!source) return null;
+
+  const get = typeof source.get === 'function'
+    ? (key) => source.get(key)
+    : (key) => source[key];
+
+  const value = get('creative_id') ?? get('creative');
+  if (value === undefined || value === null) return null;
+
+  const trimmed = String(value).trim().slice(0, MAX_CREATIVE_ID_LENGTH);
+  return trimmed || null;
+}
+
+/**
+ * Click-through rate in percent
+ * @param {number} clicks
+ * @param {number} impressions
+ * @returns {number}
+ */
+export function calculateCtr(clicks, impressions) {
+  if (!impressions) return 0;
+  return Math.round((clicks / impressions) * 10000) / 100;
+}
+
+/**
+ * Effective cost (or earnings) per thousand impressions
+ * @param {number} amount - Revenue or commission over the same period
+ * @param {number} impressions
+ * @returns {number}
+ */
+export function calculateEcpm(amount, impressions) {
+  if (!impressions) return 0;
+  return Math.round((amount / impressions) * 1000 * 100) / 100;
+}
+
+/**
+ * Creates indexes for the Impression Events collection
+ * @param {import('mongodb').Db} db
+ */
+export async function initImpressionIndexes(db) {
+  await db.collection(IMPRESSION_EVENTS_COLLECTION).createIndex({ affiliateId: 1, createdAt: -1 }); // Affiliate reports
+  await db.collection(IMPRESSION_EVENTS_COLLECTION).createIndex({ campaignId: 1, createdAt: -1 }); // Campaign reports
+  await db.collection(IMPRESSION_EVENTS_COLLECTION).createIndex({ createdAt: -1 }); // Overview date range
+}
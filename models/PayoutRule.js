@@ -0,0 +1,214 @@
+/**
+ * Payout Rule Model Definition
+ * The structured payout_rules of campaigns and campaign goals, and the calculator every
+ * commission goes through (lib/commissions.js). Client-safe, so the campaign form can
+ * preview commissions with the same code the server credits them with.
+ *
+ * Example: 15% on orders over ₹5,000, at least ₹100 and at most ₹2,000 per conversion,
+ * 20% from ₹20,000:
+ * {
+ *   type: 'RevShare', percentage: 15, minOrderValue: 5000,
+ *   minCommission: 100, maxCommission: 2000,
+ *   tiers: [{ minOrderValue: 20000, percentage: 20 }]
+ * }
+ *
+ * Note: This project uses the native MongoDB driver.
+ */
+
+export const PAYOUT_RULE_TYPES = ['RevShare', 'CPA', 'Fixed'];
+
+export const MAX_PAYOUT_TIERS = 10;
+
+export const PayoutRuleSchema = {
+  type: { type: 'string', enum: PAYOUT_RULE_TYPES, required: true }, // RevShare = percentage of the order; CPA/Fixed = flat amount
+  percentage: { type: 'number' }, // RevShare, 0-100
+  amount: { type: 'number' }, // CPA/Fixed
+  minOrderValue: { type: 'number', default: 0 }, // Smaller orders earn no commission
+  minCommission: { type: 'number', required: false }, // Per conversion
+  maxCommission: { type: 'number', required: false }, // Per conversion
+  tiers: { type: 'array', default: [] }, // Brackets { minOrderValue, percentage | amount }; the highest one the order reaches replaces the base rate
+  currency: { type: 'string', default: 'INR' },
+  duration: { type: 'string', required: false } // Returning customer credit, see models/Customer.js
+};
+
+// Optional numeric fields: empty input means "not set"
+const OPTIONAL_NUMBERS = ['minOrderValue', 'minCommission', 'maxCommission'];
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? undefined : Number(value));
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether payout rules can be calculated (legacy free-text rules cannot)
+ * @param {*} rules
+ * @returns {boolean}
+ */
+export function isStructuredPayoutRule(rules) {
+  return Boolean(rules) && typeof rules === 'object' && PAYOUT_RULE_TYPES.includes(rules.type);
+}
+
+/**
+ * Normalizes payout rules from a form or API body: parses numbers, drops unset
+ * optional fields and sorts tiers by order value. Non-objects are returned as is.
+ * @param {*} rules
+ * @returns {*}
+ */
+export function normalizePayoutRule(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return rules;
+
+  const type = PAYOUT_RULE_TYPES.find(t => t.toLowerCase() === String(rules.type || '').toLowerCase()) || String(rules.type || '');
+  const isRevShare = type === 'RevShare';
+  const normalized = { ...rules, type };
+
+  delete normalized.percentage;
+  delete normalized.amount;
+  if (isRevShare) normalized.percentage = toNumber(rules.percentage);
+  else normalized.amount = round2(toNumber(rules.amount));
+
+  OPTIONAL_NUMBERS.forEach(field => {
+    const value = toNumber(rules[field]);
+    if (value === undefined) delete normalized[field];
+    else normalized[field] = value;
+  });
+
+  if (Array.isArray(rules.tiers) && rules.tiers.length > 0) {
+    normalized.tiers = rules.tiers
+      .map(tier => (isRevShare
+        ? { minOrderValue: toNumber(tier.minOrderValue), percentage: toNumber(tier.percentage) }
+        : { minOrderValue: toNumber(tier.minOrderValue), amount: round2(toNumber(tier.amount)) }))
+      .sort((a, b) => a.minOrderValue - b.minOrderValue);
+  } else {
+    delete normalized.tiers;
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates normalized payout rules
+ * @param {*} rules
+ * @returns {string|null}
+ */
+export function validatePayoutRule(rules) {
+  if (!rules) return 'Payout rules are required';
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return 'Payout rules must be structured: a percentage (RevShare) or fixed (CPA, Fixed) payout';
+  }
+  if (!PAYOUT_RULE_TYPES.includes(rules.type)) return `Payout type must be one of: ${PAYOUT_RULE_TYPES.join(', ')}`;
+
+  const isValidPercentage = (value) => Number.isFinite(value) && value > 0 && value <= 100;
+  const isValidAmount = (value) => Number.isFinite(value) && value >= 0;
+
+  if (rules.type === 'RevShare' && !isValidPercentage(rules.percentage)) return 'Percentage must be between 0 and 100';
+  if (rules.type !== 'RevShare' && !isValidAmount(rules.amount)) return 'Payout amount must be 0 or more';
+
+  for (const field of OPTIONAL_NUMBERS) {
+    if (rules[field] !== undefined && !isValidAmount(rules[field])) return `${field} must be 0 or more`;
+  }
+  if (rules.minCommission !== undefined && rules.maxCommission !== undefined && rules.minCommission > rules.maxCommission) {
+    return 'minCommission cannot be more than maxCommission';
+  }
+
+  if (rules.tiers !== undefined) {
+    if (!Array.isArray(rules.tiers)) return 'Tiers must be an array';
+    if (rules.tiers.length > MAX_PAYOUT_TIERS) return `At most ${MAX_PAYOUT_TIERS} tiers are allowed`;
+
+    const thresholds = new Set();
+    for (const tier of rules.tiers) {
+      if (!(Number.isFinite(tier.minOrderValue) && tier.minOrderValue > 0)) return 'Each tier needs an order value above 0';
+      if (thresholds.has(tier.minOrderValue)) return `More than one tier starts at ${tier.minOrderValue}`;
+      thresholds.add(tier.minOrderValue);
+
+      if (rules.type === 'RevShare' && !isValidPercentage(tier.percentage)) return 'Tier percentages must be between 0 and 100';
+      if (rules.type !== 'RevShare' && !isValidAmount(tier.amount)) return 'Tier amounts must be 0 or more';
+    }
+  }
+
+  return null;
+}
+
+// Amount in rupees as older free-text rules write it, e.g. "₹5,000", "Rs. 250", "INR 99.50"
+const LEGACY_MONEY = '(?:₹|rs\\.?|inr)\\s*([\\d,]+(?:\\.\\d+)?)';
+const LEGACY_THRESHOLD = `(?:\\s+(?:over|above)\\s+${LEGACY_MONEY})?`;
+const LEGACY_REVSHARE_PATTERN = new RegExp(`^(\\d+(?:\\.\\d+)?)\\s*%\\s+(?:on|of)\\s+(?:all\\s+|each\\s+|every\\s+)?(?:orders?|sales?)${LEGACY_THRESHOLD}$`);
+const LEGACY_FLAT_PATTERN = new RegExp(`^${LEGACY_MONEY}\\s*(?:per|/)\\s*(?:sale|order|conversion|lead|signup)${LEGACY_THRESHOLD}$`);
+
+/**
+ * Converts an older free-text payout rule to a structured one when it follows a known
+ * wording ("15% on all orders over ₹5,000", "₹250 per sale"). Anything else is left
+ * for an admin to restructure.
+ * @param {string} text
+ * @returns {Object|null} Structured rule, or null when the text is not recognised
+ */
+export function parseLegacyPayoutRule(text) {
+  if (typeof text !== 'string') return null;
+
+  const value = text.trim().toLowerCase().replace(/\s+/g, ' ');
+  const toAmount = (raw) => (raw === undefined ? undefined : Number(raw.replace(/,/g, '')));
+
+  const revShare = LEGACY_REVSHARE_PATTERN.exec(value);
+  const flat = revShare ? null : LEGACY_FLAT_PATTERN.exec(value);
+  if (!revShare && !flat) return null;
+
+  const rules = normalizePayoutRule(revShare
+    ? { type: 'RevShare', percentage: Number(revShare[1]), minOrderValue: toAmount(revShare[2]) }
+    : { type: 'CPA', amount: toAmount(flat[1]), minOrderValue: toAmount(flat[2]) });
+
+  return validatePayoutRule(rules) ? null : rules;
+}
+
+/**
+ * Commission for one credited touch of a conversion. The order value picks the tier and
+ * checks the minimum order; RevShare applies to the touch's share of the revenue, flat
+ * payouts and the min/max commission are split by the touch's attribution weight.
+ * @param {Object} rules - Structured payout rules
+ * @param {Object} conversion
+ * @param {number} conversion.amount - Credited revenue
+ * @param {number} [conversion.orderValue] - Whole order value (default: amount)
+ * @param {number} [conversion.weight] - Attribution weight of the touch (0-1)
+ * @returns {number|null} Rounded commission, or null when the rules cannot be calculated
+ */
+export function calculatePayout(rules, { amount = 0, orderValue = amount, weight = 1 } = {}) {
+  if (!isStructuredPayoutRule(rules)) return null;
+
+  if (rules.minOrderValue && !(orderValue >= rules.minOrderValue)) return 0;
+
+  const tier = [...(rules.tiers || [])]
+    .sort((a, b) => b.minOrderValue - a.minOrderValue)
+    .find(bracket => orderValue >= bracket.minOrderValue);
+
+  let commission = rules.type === 'RevShare'
+    ? (amount || 0) * ((tier?.percentage ?? rules.percentage ?? 0) / 100)
+    : (tier?.amount ?? rules.amount ?? 0) * weight;
+
+  if (rules.minCommission !== undefined && rules.minCommission !== null) {
+    commission = Math.max(commission, rules.minCommission * weight);
+  }
+  if (rules.maxCommission !== undefined && rules.maxCommission !== null) {
+    commission = Math.min(commission, rules.maxCommission * weight);
+  }
+
+  return Math.max(0, round2(commission));
+}
+
+/**
+ * Short description of payout rules, e.g. "15% of orders over ₹5,000, max ₹2,000"
+ * @param {*} rules
+ * @returns {string}
+ */
+export function describePayoutRule(rules) {
+  if (!isStructuredPayoutRule(rules)) return typeof rules === 'string' ? rules : '';
+
+  const money = (value) => `${rules.currency && rules.currency !== 'INR' ? `${rules.currency} ` : '₹'}${Number(value).toLocaleString('en-IN')}`;
+  const base = (rule) => (rules.type === 'RevShare' ? `${rule.percentage}%` : money(rule.amount));
+
+  const threshold = rules.minOrderValue ? ` over ${money(rules.minOrderValue)}` : '';
+  const parts = [rules.type === 'RevShare'
+    ? `${base(rules)} of ${threshold ? `orders${threshold}` : 'each order'}`
+    : `${base(rules)} per ${threshold ? `order${threshold}` : 'conversion'}`];
+  (rules.tiers || []).forEach(tier => parts.push(`${base(tier)} from ${money(tier.minOrderValue)}`));
+  if (rules.minCommission !== undefined) parts.push(`min ${money(rules.minCommission)}`);
+  if (rules.maxCommission !== undefined) parts.push(`max ${money(rules.maxCommission)}`);
+
+  return parts.join(', ');
+}
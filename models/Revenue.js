@@ -2,6 +2,22 @@ import db from "@/lib/db";
 
 export const REVENUE_COLLECTION = "revenues";
 
+// Statuses a revenue row can have; refunds, disputes and reversals change them after crediting
+export const REVENUE_STATUSES = ['pending', 'succeeded', 'failed', 'refunded', 'partially_refunded', 'disputed', 'reversed', 'rejected'];
+
+/**
+ * Aggregation expression naming the conversion a revenue row belongs to.
+ * Multi-touch attribution writes one row per credited touch and goals one row per goal,
+ * so conversion counts take the distinct keys ($addToSet, then $size), not the rows.
+ */
+export const CONVERSION_KEY_EXPRESSION = {
+  $concat: [
+    { $toString: { $ifNull: ["$campaignId", ""] } },
+    ":",
+    { $toString: { $ifNull: ["$transactionId", { $ifNull: ["$stripeInvoiceId", { $ifNull: ["$stripePaymentId", "$_id"] }] }] } }
+  ]
+};
+
 /**
  * Revenue Model - Tracks Stripe payments and conversions
  * Links payments to affiliate_id and campaign_id for attribution
@@ -35,8 +51,12 @@ export const Revenue = {
       errors.push("Campaign ID is required");
     }
 
-    if (data.status && !['pending', 'succeeded', 'failed', 'refunded'].includes(data.status)) {
-      errors.push("Status must be one of: pending, succeeded, failed, refunded");
+    if (data.status && !REVENUE_STATUSES.includes(data.status)) {
+      errors.push(`Status must be one of: ${REVENUE_STATUSES.join(', ')}`);
+    }
+
+    if (data.status === 'rejected' && !data.rejectionReason) {
+      errors.push("Rejected revenue must include a rejection reason");
     }
 
     if (data.commissionAmount !== undefined && typeof data.commissionAmount !== 'number') {
@@ -0,0 +1,182 @@
+/**
+ * Routing Rule Model Definition
+ * Ordered smart-link rules stored on a campaign as routingRules. Each click is sent to
+ * the URL of the first rule whose conditions all match; clicks matching no rule go to
+ * the campaign URL (or its landing page split test).
+ *
+ * Example: [
+ *   { name: 'iOS in India', conditions: { devices: ['mobile'], os: ['iOS'], countries: ['IN'] }, url: 'https://apps.apple.com/...' },
+ *   { name: 'Desktop', conditions: { devices: ['desktop'] }, url: 'https://shop.example.com/?ref={affiliate_id}' }
+ * ]
+ *
+ * Note: This project uses the native MongoDB driver.
+ */
+
+import { validateCampaignUrlTemplate } from '@/models/Campaign';
+
+export const MAX_ROUTING_RULES = 20;
+
+export const ROUTING_DEVICE_TYPES = ['desktop', 'mobile', 'tablet'];
+
+// OS names as reported by ua-parser-js
+export const ROUTING_OS_NAMES = ['iOS', 'Android', 'Windows', 'macOS', 'Linux', 'Chrome OS'];
+
+export const RoutingRuleSchema = {
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  url: { type: 'string', required: true }, // URL template; may point outside allowedDomains (e.g. app stores)
+  conditions: {
+    type: 'object',
+    default: {}, // { countries: ['IN'], devices: ['mobile'], os: ['iOS'], languages: ['en', 'pt-br'] }; empty lists match all
+  }
+};
+
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+
+// Splits a list given as an array or a comma separated string
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const normalizeOs = (name) => String(name || '').toLowerCase().replace(/\s+/g, '');
+
+/**
+ * Normalizes routing rules (trimmed, upper-case countries, lower-case languages, ids assigned)
+ * @param {Object[]} rules
+ * @returns {Object[]} { id, name, url, conditions: { countries, devices, os, languages } }
+ */
+export function normalizeRoutingRules(rules) {
+  if (!Array.isArray(rules)) return [];
+
+  const used = new Set(rules.map(rule => rule?.id).filter(Boolean).map(String));
+  let next = 1;
+  const nextId = () => {
+    while (used.has(`r${next}`)) next++;
+    used.add(`r${next}`);
+    return `r${next}`;
+  };
+
+  return rules.map((rule, i) => {
+    const conditions = rule?.conditions || {};
+    return {
+      id: rule?.id ? String(rule.id) : nextId(),
+      name: String(rule?.name || '').trim() || `Rule ${i + 1}`,
+      url: String(rule?.url || '').trim(),
+      conditions: {
+        countries: [...new Set(toList(conditions.countries).map(c => c.toUpperCase()))],
+        devices: [...new Set(toList(conditions.devices).map(d => d.toLowerCase()))],
+        os: [...new Set(toList(conditions.os))],
+        languages: [...new Set(toList(conditions.languages).map(l => l.toLowerCase().replace('_', '-')))],
+      },
+    };
+  });
+}
+
+/**
+ * Validates normalized routing rules
+ * @param {Object[]} rules
+ * @returns {string|null}
+ */
+export function validateRoutingRules(rules) {
+  if (!Array.isArray(rules)) return 'Routing rules must be an array';
+  if (rules.length > MAX_ROUTING_RULES) return `At most ${MAX_ROUTING_RULES} routing rules are allowed`;
+
+  const ids = new Set(rules.map(rule => rule.id));
+  if (ids.size !== rules.length) return 'Routing rule ids must be unique';
+
+  for (const rule of rules) {
+    if (!rule.url) return `${rule.name}: URL is required`;
+
+    const urlError = validateCampaignUrlTemplate(rule.url);
+    if (urlError) return `${rule.name}: ${urlError}`;
+
+    const { countries, devices, os, languages } = rule.conditions;
+
+    const badCountries = countries.filter(c => !COUNTRY_PATTERN.test(c));
+    if (badCountries.length > 0) return `${rule.name}: invalid country code(s) ${badCountries.join(', ')}`;
+
+    const badDevices = devices.filter(d => !ROUTING_DEVICE_TYPES.includes(d));
+    if (badDevices.length > 0) return `${rule.name}: device must be one of ${ROUTING_DEVICE_TYPES.join(', ')}`;
+
+    const knownOs = ROUTING_OS_NAMES.map(normalizeOs);
+    const badOs = os.filter(name => !knownOs.includes(normalizeOs(name)));
+    if (badOs.length > 0) return `${rule.name}: OS must be one of ${ROUTING_OS_NAMES.join(', ')}`;
+
+    const badLanguages = languages.filter(l => !LANGUAGE_PATTERN.test(l));
+    if (badLanguages.length > 0) return `${rule.name}: invalid language code(s) ${badLanguages.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Visitor's preferred language from an Accept-Language header
+ * @param {string} acceptLanguage - e.g. "pt-BR,pt;q=0.9,en;q=0.8"
+ * @returns {string|null} Lower-case tag, e.g. "pt-br"
+ */
+export function getPreferredLanguage(acceptLanguage) {
+  const languages = String(acceptLanguage || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: quality ? parseFloat(quality.slice(2)) : 1, index };
+    })
+    .filter(language => language.tag && language.tag !== '*' && language.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  return languages[0]?.tag || null;
+}
+
+/**
+ * Click attributes rules are matched against
+ * @param {Object} click
+ * @param {string} [click.deviceType] - ua-parser-js device type; undefined means desktop
+ * @param {string} [click.os] - ua-parser-js OS name
+ * @param {string} [click.country] - ISO country code from GeoIP
+ * @param {string} [click.acceptLanguage] - Accept-Language header
+ * @returns {{ device: string, os: string|null, country: string|null, language: string|null }}
+ */
+export function getRoutingContext({ deviceType, os, country, acceptLanguage } = {}) {
+  return {
+    device: deviceType && deviceType !== 'unknown' ? deviceType : 'desktop',
+    os: os && os !== 'unknown' ? os : null,
+    country: country ? String(country).toUpperCase() : null,
+    language: getPreferredLanguage(acceptLanguage),
+  };
+}
+
+/**
+ * Whether every condition of a rule matches the click
+ * @param {Object} rule - Normalized rule
+ * @param {Object} context - From getRoutingContext
+ * @returns {boolean}
+ */
+export function matchesRoutingRule(rule, context) {
+  const { countries = [], devices = [], os = [], languages = [] } = rule.conditions || {};
+
+  if (countries.length > 0 && !countries.includes(context.country)) return false;
+  if (devices.length > 0 && !devices.includes(context.device)) return false;
+  if (os.length > 0 && !os.some(name => normalizeOs(name) === normalizeOs(context.os))) return false;
+
+  if (languages.length > 0) {
+    if (!context.language) return false;
+    const primary = context.language.split('-')[0];
+    // "pt" matches pt-BR; "pt-br" only matches pt-BR
+    if (!languages.some(language => language === context.language || language === primary)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * First rule matching the click, in order
+ * @param {Object[]} rules
+ * @param {Object} context - From getRoutingContext
+ * @returns {Object|null}
+ */
+export function findRoutingRule(rules, context) {
+  if (!Array.isArray(rules)) return null;
+  return rules.find(rule => rule?.url && matchesRoutingRule(rule, context)) || null;
+}
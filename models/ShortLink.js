@@ -10,6 +10,8 @@ export const ShortLinkSchema = {
     code: { type: 'string', required: true }, // Unique 6-char code
     affiliateId: { type: 'string', required: true },
     campaignId: { type: 'string', required: false },
+    subIds: { type: 'object', required: false }, // sub1..sub5 appended to targetUrl
+    destinationUrl: { type: 'string', required: false }, // Deep link, sent as redirect_url
     targetUrl: { type: 'string', required: true }, // Full tracking URL
     clicks: { type: 'number', default: 0 },
     createdAt: { type: 'string', required: true },
@@ -2,29 +2,87 @@
  * AffiliatePro Tracking Script
  * 
  * Usage:
- * <script src="https://your-domain.com/tracking.js"></script>
+ * <script>window.Affiliate = window.Affiliate || [];</script>
+ * <script src="https://your-domain.com/tracking.js" async></script>
  * 
  * This script automatically handles:
- * 1. Detecting affiliate_id and campaign_id from URL
+ * 1. Detecting affiliate_id and campaign_id from URL (again after pushState/popstate in SPAs)
  * 2. Logging the click to the server
  * 3. Storing the click_id in a cookie/localStorage
  * 4. Exposing a global Affiliate.conversion() method
+ *
+ * The API base is the origin of the script's src, or data-api-base="https://..." on the tag.
+ * Calls queued before the script loads, e.g. Affiliate.push(['conversion', { amount: 100 }]),
+ * run as soon as it does.
+ *
+ * Consent mode:
+ * <script src="https://your-domain.com/tracking.js" data-wait-for-consent="true"></script>
+ * (or window.AffiliateConfig = { waitForConsent: true } before the script)
+ *
+ * Nothing is written to cookies or localStorage until Affiliate.setConsent(true) is called.
+ * Until then the click id is kept in memory and in the page URL, so a conversion on the
+ * same page is still attributed. Affiliate.setConsent(false) removes any stored click id.
  */
 
 (function (window, document) {
     'use strict';
 
+    // Read before load: document.currentScript is only set while the script executes
+    const scriptElement = document.currentScript;
+    const userConfig = window.AffiliateConfig || {};
+
+    /**
+     * API base URL: data-api-base or AffiliateConfig.apiBase, else the origin the script
+     * was loaded from, else the current page (inline or same-origin installs)
+     */
+    const resolveApiBase = () => {
+        const configured = (scriptElement && scriptElement.getAttribute('data-api-base')) || userConfig.apiBase;
+        if (configured) return configured.replace(/\/+$/, '');
+
+        if (scriptElement && scriptElement.src) {
+            try {
+                return new URL(scriptElement.src, window.location.href).origin;
+            } catch (e) { }
+        }
+
+        return window.location.origin;
+    };
+
     const CONFIG = {
-        // Dynamically determine API base URL based on script source or current origin
-        // For now, we assume it's hosted on the same domain
-        API_BASE: window.location.origin,
+        API_BASE: resolveApiBase(),
         COOKIE_NAME: 'aff_click_id',
         STORAGE_KEY: 'aff_click_id',
+        SUB_ID_KEYS: ['sub1', 'sub2', 'sub3', 'sub4', 'sub5'],
         CLICK_ENDPOINT: '/api/tracking/click',
-        CONVERSION_ENDPOINT: '/api/tracking/click' // Using PUT method on same route
+        CONVERSION_ENDPOINT: '/api/tracking/click', // Using PUT method on same route
+        // Beacons can only POST; the route treats event=conversion like PUT
+        CONVERSION_BEACON_ENDPOINT: '/api/tracking/click?event=conversion',
+        CONSENT_ENDPOINT: '/api/tracking/click', // Using PATCH method on same route
+        // Used until the server reports the configured cookieExpiry
+        DEFAULT_COOKIE_MAX_AGE: 30 * 24 * 60 * 60,
+        // Query parameter the click redirect appends to destination URLs
+        CLICK_ID_PARAMETER: 'aff_click_id',
+        WAIT_FOR_CONSENT: userConfig.waitForConsent === true ||
+            (scriptElement && scriptElement.getAttribute('data-wait-for-consent') === 'true')
     };
 
     const Affiliate = {
+        // 'pending' until setConsent() is called in consent mode; null when consent is not managed
+        consent: CONFIG.WAIT_FOR_CONSENT ? 'pending' : null,
+
+        // Click id for this page view, kept even when it may not be stored
+        memoryClickId: null,
+
+        // Cookie lifetime (seconds) and click id parameter reported by the server
+        cookieMaxAge: null,
+        clickIdParameter: CONFIG.CLICK_ID_PARAMETER,
+
+        // Click recorded on this page and the consent state the server has for it
+        lastClick: null,
+
+        // Tracking links already logged on this page view, so SPA navigation does not log them twice
+        trackedLinks: {},
+
         /**
          * Initialize tracking
          */
@@ -35,7 +93,83 @@
             const campaignId = params.get('campaign_id') || params.get('cid');
 
             if (affiliateId && campaignId) {
-                this.trackClick(affiliateId, campaignId);
+                const linkKey = `${affiliateId}|${campaignId}|${window.location.search}`;
+                if (!this.trackedLinks[linkKey]) {
+                    this.trackedLinks[linkKey] = true;
+                    this.trackClick(affiliateId, campaignId);
+                }
+                return;
+            }
+
+            // Landed from a tracking link redirect: the click id is already in the URL
+            const urlClickId = params.get(this.clickIdParameter);
+            if (urlClickId) {
+                this.memoryClickId = urlClickId;
+            }
+        },
+
+        /**
+         * Re-check URL parameters when a single-page app changes route
+         */
+        watchNavigation: function () {
+            const history = window.history;
+            if (history && typeof history.pushState === 'function') {
+                const pushState = history.pushState;
+                history.pushState = function () {
+                    const result = pushState.apply(this, arguments);
+                    Affiliate.init();
+                    return result;
+                };
+            }
+
+            window.addEventListener('popstate', () => this.init());
+        },
+
+        /**
+         * Run a queued call: ['method', ...args] or a function receiving Affiliate
+         */
+        push: function (call) {
+            if (typeof call === 'function') {
+                call(this);
+            } else if (Array.isArray(call) && typeof this[call[0]] === 'function' && call[0] !== 'push') {
+                this[call[0]].apply(this, call.slice(1));
+            } else {
+                console.warn('AffiliatePro: Ignoring unknown call', call);
+            }
+        },
+
+        /**
+         * Whether click ids may be written to cookies and localStorage
+         */
+        canStore: function () {
+            return this.consent === null || this.consent === 'granted';
+        },
+
+        /**
+         * Record the visitor's consent choice (call from your consent banner)
+         * @param {boolean} granted
+         */
+        setConsent: function (granted) {
+            this.consent = granted ? 'granted' : 'denied';
+
+            if (granted) {
+                if (this.memoryClickId) this.persistClickId(this.memoryClickId);
+            } else {
+                this.clearStoredClickId();
+            }
+
+            // Let the server report the final choice for the click recorded on this page
+            if (this.lastClick && this.lastClick.consent !== this.consent) {
+                this.lastClick.consent = this.consent;
+
+                fetch(`${CONFIG.API_BASE}${CONFIG.CONSENT_ENDPOINT}`, {
+                    method: 'PATCH',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ clickId: this.lastClick.clickId, consent: this.consent }),
+                    keepalive: true
+                }).catch(err => console.error('AffiliatePro: Consent update failed', err));
             }
         },
 
@@ -56,6 +190,22 @@
             return utmParams;
         },
 
+        /**
+         * Extract affiliate sub-IDs (sub1..sub5) from URL
+         */
+        extractSubIds: function (params) {
+            const subIds = {};
+
+            CONFIG.SUB_ID_KEYS.forEach(key => {
+                const value = params.get(key);
+                if (value) {
+                    subIds[key] = value;
+                }
+            });
+
+            return subIds;
+        },
+
         /**
          * Track a click event
          */
@@ -64,6 +214,7 @@
 
             const params = new URLSearchParams(window.location.search);
             const utmParams = this.extractUTMParameters(params);
+            const subIds = this.extractSubIds(params);
 
             const payload = {
                 affiliate_id: affiliateId,
@@ -82,7 +233,18 @@
             // Since the API expects query params for GET/POST usually, let's match the API signature.
             // The API implementation I saw uses query params: ?affiliate_id=...
 
-            const endpoint = `${CONFIG.API_BASE}${CONFIG.CLICK_ENDPOINT}?affiliate_id=${encodeURIComponent(affiliateId)}&campaign_id=${encodeURIComponent(campaignId)}&redirect_url=${encodeURIComponent(window.location.href)}`;
+            let endpoint = `${CONFIG.API_BASE}${CONFIG.CLICK_ENDPOINT}?affiliate_id=${encodeURIComponent(affiliateId)}&campaign_id=${encodeURIComponent(campaignId)}&redirect_url=${encodeURIComponent(window.location.href)}`;
+
+            // Forward UTM parameters and sub-IDs so they are stored on the click
+            Object.entries(Object.assign({}, utmParams, subIds)).forEach(([key, value]) => {
+                endpoint += `&${key}=${encodeURIComponent(value)}`;
+            });
+
+            // The server skips its cookie while consent is pending or denied
+            if (this.consent) {
+                endpoint += `&consent=${encodeURIComponent(this.consent)}`;
+            }
+            const clickConsent = this.consent;
 
             // Use Beacon API if available for reliability during navigation, otherwise fetch
             if (navigator.sendBeacon) {
@@ -103,7 +265,10 @@
                 }).then(res => res.json())
                     .then(data => {
                         if (data.clickId) {
-                            this.storeClickId(data.clickId);
+                            this.lastClick = { clickId: data.clickId, consent: clickConsent };
+                            this.storeClickId(data.clickId, data);
+                            // Consent may have changed while the click was being recorded
+                            if (this.consent !== clickConsent) this.setConsent(this.consent === 'granted');
                         }
                     })
                     .catch(err => console.error('AffiliatePro: Tracking failed', err));
@@ -113,37 +278,85 @@
                 fetch(endpoint + '&json=true', { method: 'POST' })
                     .then(res => res.json())
                     .then(data => {
-                        if (data.clickId) this.storeClickId(data.clickId);
+                        if (data.clickId) {
+                            this.lastClick = { clickId: data.clickId, consent: clickConsent };
+                            this.storeClickId(data.clickId, data);
+                            if (this.consent !== clickConsent) this.setConsent(this.consent === 'granted');
+                        }
                     });
             }
         },
 
         /**
          * Store click ID for attribution
+         * @param {string} clickId
+         * @param {Object} [options] - Click response: { cookieMaxAge, clickIdParameter }
          */
-        storeClickId: function (clickId) {
+        storeClickId: function (clickId, options = {}) {
             if (!clickId) return;
 
+            if (options.cookieMaxAge) this.cookieMaxAge = options.cookieMaxAge;
+            if (options.clickIdParameter !== undefined) this.clickIdParameter = options.clickIdParameter;
+
+            this.memoryClickId = clickId;
+
+            if (this.canStore()) {
+                this.persistClickId(clickId);
+                return;
+            }
+
+            // Without consent, keep the click id in the URL so a reload still attributes
+            if (this.clickIdParameter && window.history && window.history.replaceState) {
+                try {
+                    const url = new URL(window.location.href);
+                    url.searchParams.set(this.clickIdParameter, clickId);
+                    window.history.replaceState(window.history.state, '', url.toString());
+                } catch (e) { }
+            }
+
+            console.log('AffiliatePro: Click id kept in memory until consent is given', clickId);
+        },
+
+        /**
+         * Write the click ID to localStorage and the attribution cookie
+         */
+        persistClickId: function (clickId) {
             // 1. LocalStorage
             try {
                 localStorage.setItem(CONFIG.STORAGE_KEY, clickId);
             } catch (e) { }
 
-            // 2. Cookie (30 days)
-            const d = new Date();
-            d.setTime(d.getTime() + (30 * 24 * 60 * 60 * 1000));
-            const expires = "expires=" + d.toUTCString();
-            document.cookie = CONFIG.COOKIE_NAME + "=" + clickId + ";" + expires + ";path=/";
+            // 2. Cookie (lifetime from the server's cookieExpiry setting)
+            const maxAge = this.cookieMaxAge || CONFIG.DEFAULT_COOKIE_MAX_AGE;
+            const secure = window.location.protocol === 'https:' ? ';Secure' : '';
+            document.cookie = CONFIG.COOKIE_NAME + "=" + clickId + ";max-age=" + maxAge + ";path=/;SameSite=Lax" + secure;
 
             console.log('AffiliatePro: Conversion tracking enabled for click', clickId);
         },
 
+        /**
+         * Remove the click ID from localStorage and the cookie (consent withdrawn)
+         */
+        clearStoredClickId: function () {
+            try {
+                localStorage.removeItem(CONFIG.STORAGE_KEY);
+            } catch (e) { }
+
+            document.cookie = CONFIG.COOKIE_NAME + "=;max-age=0;path=/";
+        },
+
         /**
          * Get stored click ID
          */
         getClickId: function () {
+            // Click recorded (or landed with) on this page
+            if (this.memoryClickId) return this.memoryClickId;
+
             // Try local storage
-            let id = localStorage.getItem(CONFIG.STORAGE_KEY);
+            let id = null;
+            try {
+                id = localStorage.getItem(CONFIG.STORAGE_KEY);
+            } catch (e) { }
             if (id) return id;
 
             // Try cookie
@@ -164,7 +377,7 @@
 
         /**
          * Trigger a conversion
-         * @param {Object} data - { amount, transactionId, revenue }
+         * @param {Object} data - { amount, transactionId, orderId, revenue }
          */
         conversion: function (data = {}) {
             const clickId = this.getClickId();
@@ -176,11 +389,21 @@
             const conversionData = {
                 clickId: clickId,
                 revenueAmount: data.amount || data.revenue || 0,
-                transactionId: data.transactionId || ('txn_' + Date.now())
+                // Used to de-duplicate repeated calls; the server falls back to the click ID
+                transactionId: data.transactionId || data.orderId || null
             };
 
             console.log('AffiliatePro: Reporting conversion...', conversionData);
 
+            // Beacons survive the page unloading (e.g. redirecting after checkout).
+            // text/plain keeps the request simple so no CORS preflight is needed.
+            if (navigator.sendBeacon) {
+                const body = new Blob([JSON.stringify(conversionData)], { type: 'text/plain' });
+                if (navigator.sendBeacon(`${CONFIG.API_BASE}${CONFIG.CONVERSION_BEACON_ENDPOINT}`, body)) {
+                    return;
+                }
+            }
+
             fetch(`${CONFIG.API_BASE}${CONFIG.CONVERSION_ENDPOINT}`, {
                 method: 'PUT',
                 headers: {
@@ -190,6 +413,10 @@
             })
                 .then(res => res.json())
                 .then(res => {
+                    if (res.duplicate) {
+                        console.log('AffiliatePro: Conversion already reported for this transaction', res);
+                        return;
+                    }
                     console.log('AffiliatePro: Conversion reported! ', res);
                 })
                 .catch(err => {
@@ -198,14 +425,24 @@
         }
     };
 
+    // Calls queued by the loader snippet before this script arrived
+    const queuedCalls = Array.isArray(window.Affiliate) ? window.Affiliate : [];
+
     // Expose to window
     window.Affiliate = Affiliate;
 
+    queuedCalls.forEach(call => Affiliate.push(call));
+
     // Auto-init
-    if (document.readyState === 'complete') {
+    const start = () => {
         Affiliate.init();
+        Affiliate.watchNavigation();
+    };
+
+    if (document.readyState === 'complete') {
+        start();
     } else {
-        window.addEventListener('load', () => Affiliate.init());
+        window.addEventListener('load', start);
     }
 
 })(window, document);